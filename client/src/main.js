@@ -21,6 +21,8 @@ if (!document.querySelector("meta[charset]") && document.head) {
 
 window.currentMode = "search";
 window.selectedPerspectives = null; // Track selected perspectives
+window.searchFilters = null; // Metadata filters sent with every request
+window.asOfDate = null; // Research the law as it stood on this date (YYYY-MM-DD)
 
 document.querySelector("#app").innerHTML = `
   <div class="main-container">
@@ -50,6 +52,28 @@ document.querySelector("#app").innerHTML = `
                 <option value="perspective-analysis">⚖️ Perspective Analysis</option>
               </select>
             </div>
+            <div class="filter-selector" id="filterSelector">
+              <select id="filterType" title="Document type" aria-label="Document type">
+                <option value="" selected>📚 All documents</option>
+                <option value="republic-act">Republic Acts</option>
+                <option value="gr-decision">G.R. decisions</option>
+                <option value="am-circular">A.M. circulars</option>
+                <option value="presidential-decree">Presidential Decrees</option>
+                <option value="executive-order">Executive Orders</option>
+                <option value="batas-pambansa">Batas Pambansa</option>
+                <option value="commonwealth-act">Commonwealth Acts</option>
+                <option value="act">Acts</option>
+              </select>
+              <select id="filterDivision" title="Court" aria-label="Court">
+                <option value="" selected>🏛️ Any court</option>
+                <option value="en-banc">En Banc</option>
+                <option value="division">Division</option>
+              </select>
+              <input type="date" id="filterDateFrom" title="Dated on or after" aria-label="Dated on or after" />
+              <input type="date" id="filterDateTo" title="Dated on or before" aria-label="Dated on or before" />
+              <label class="as-of-label" for="asOfDate" title="Research the law as it stood on this date">As of</label>
+              <input type="date" id="asOfDate" title="Research the law as it stood on this date" />
+            </div>
             <div class="perspective-selector" id="perspectiveSelector" style="display: none;">
               <select id="perspectiveDropdown" title="Select perspective" aria-label="Select perspective">
                 <option value="prosecutor">👨‍💼 Prosecutor (Complainant/Plaintiff)</option>
@@ -57,6 +81,7 @@ document.querySelector("#app").innerHTML = `
                 <option value="judge">👨‍⚖️ Judge (Judicial)</option>
               </select>
             </div>
+            <div class="quota-indicator" id="quotaIndicator" aria-live="polite"></div>
           </div>
         </form>
       </div>
@@ -95,6 +120,29 @@ document
     );
   });
 
+// Handle filter changes: collect the set fields into window.searchFilters
+function readSearchFilters() {
+  const filters = {};
+  const type = document.getElementById("filterType").value;
+  const division = document.getElementById("filterDivision").value;
+  const dateFrom = document.getElementById("filterDateFrom").value;
+  const dateTo = document.getElementById("filterDateTo").value;
+  if (type) filters.documentTypes = [type];
+  if (division) filters.division = division;
+  if (dateFrom) filters.dateFrom = dateFrom;
+  if (dateTo) filters.dateTo = dateTo;
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+document.getElementById("filterSelector").addEventListener("change", () => {
+  window.searchFilters = readSearchFilters();
+  window.asOfDate = document.getElementById("asOfDate").value || null;
+  document
+    .getElementById("filterSelector")
+    .classList.toggle("active", window.searchFilters !== null || window.asOfDate !== null);
+  console.log("Search filters:", window.searchFilters || "none", "as of:", window.asOfDate || "today");
+});
+
   // Wire license button to open copyrights modal
   try {
     const licenseBtn = document.getElementById('licenseBtn');
@@ -8,6 +8,7 @@ import {
 } from "./chatMessages.js";
 import { sendMessage } from "./chatSend.js";
 import { showClearHistoryModal } from "./modal.js";
+import { refreshQuota, renderQuota } from "./quota.js";
 
 export function initChat() {
   const form = document.getElementById("chatForm");
@@ -45,6 +46,8 @@ export function initChat() {
       window.selectedPerspectives = null;
     }
 
+    renderQuota();
+
     // Show greeting and examples again when switching modes
     showGreeting();
     showExamples();
@@ -75,6 +78,8 @@ export function initChat() {
 
   // Load and display chat history
   loadAndRestoreChatHistory();
+
+  refreshQuota();
 }
 
 function loadAndRestoreChatHistory() {
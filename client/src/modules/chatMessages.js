@@ -1,5 +1,6 @@
 import { marked } from "marked";
 
+import { parseIdentifiers } from "../../../src/utils/legalIdentifiers.mjs";
 import { escapeHtml, autoScroll } from "../utils/dom.js";
 
 import { sendMessage } from "./chatSend.js";
@@ -277,7 +278,9 @@ export function addMessage(
   autoScroll();
 }
 
-export function createThinkingBubble() {
+// options: { onCancel } - when provided, a Cancel button is shown beside the bubble
+// until the answer arrives (replaceThinkingWithAnswer removes it)
+export function createThinkingBubble({ onCancel = null } = {}) {
   const messagesDiv = document.querySelector("#messages");
   const msgDiv = document.createElement("div");
   msgDiv.className = "message message-assistant thinking animate-in";
@@ -286,17 +289,30 @@ export function createThinkingBubble() {
       <div class="markdown-content"><em>Loading</em><span class="loading-dots"></span></div>
     </div>
   `;
+  if (typeof onCancel === "function") {
+    const cancelBtn = document.createElement("button");
+    cancelBtn.type = "button";
+    cancelBtn.className = "cancel-request-btn";
+    cancelBtn.textContent = "Cancel";
+    cancelBtn.addEventListener("click", () => {
+      cancelBtn.disabled = true;
+      onCancel();
+    });
+    msgDiv.appendChild(cancelBtn);
+  }
   messagesDiv.appendChild(msgDiv);
   autoScroll();
   return msgDiv;
 }
 
-export function editThinkingBubble(newText) {
+// targetEl: the thinking bubble of a specific request; defaults to the most recent one
+export function editThinkingBubble(newText, targetEl = null) {
   const length = document.querySelectorAll(".message.thinking").length;
   const thinkingEl =
-    length > 0
+    targetEl ||
+    (length > 0
       ? document.querySelectorAll(".message.thinking")[length - 1]
-      : null;
+      : null);
   if (thinkingEl) {
     const bubble = thinkingEl.querySelector(".message-bubble");
     bubble.innerHTML = `<div class="markdown-content"><em>${escapeHtml(newText)}</em><span class="loading-dots"></span></div>`;
@@ -304,6 +320,22 @@ export function editThinkingBubble(newText) {
   }
 }
 
+// Render partial answer markdown into a thinking bubble while delta frames arrive.
+// Renders are coalesced to one per animation frame; the final result frame is
+// applied with replaceThinkingWithAnswer() which also attaches sources.
+export function renderStreamingAnswer(thinkingEl, text) {
+  if (!thinkingEl) return;
+  thinkingEl.__streamingText = text;
+  if (thinkingEl.__streamingFrame) return;
+  thinkingEl.__streamingFrame = requestAnimationFrame(() => {
+    thinkingEl.__streamingFrame = null;
+    const bubble = thinkingEl.querySelector(".message-bubble");
+    if (!bubble) return;
+    bubble.innerHTML = `<div class="markdown-content">${marked(thinkingEl.__streamingText || "")}<span class="loading-dots"></span></div>`;
+    autoScroll();
+  });
+}
+
 export function parseFileSource(source) {
   if (!source) {
     return { uuid: "unknown", filename: String(source), url: String(source) };
@@ -354,13 +386,59 @@ function extractHighlightTerms(answerText) {
     });
   });
 
+  // Laws and cases the answer cites; the viewer marks them in any spelling
+  parseIdentifiers(answerText).forEach((id) => terms.add(id.canonical));
+
   return Array.from(terms).filter((t) => t.length > 5);
 }
 
+const FACET_GROUPS = [
+  ["category", "Category"],
+  ["decade", "Decade"],
+  ["court", "Court"],
+];
+const MAX_FACET_CHIPS = 8;
+
+// Facet chips (how the matching documents are distributed) and the
+// "Load more" button of a search page, appended below the sources
+function renderSearchExtras(bubble, { facets, onLoadMore }) {
+  if (facets) {
+    const groups = FACET_GROUPS.filter(([key]) => Array.isArray(facets[key]) && facets[key].length > 0)
+      .map(([key, label]) => {
+        const chips = facets[key]
+          .slice(0, MAX_FACET_CHIPS)
+          .map(
+            (f) =>
+              `<span class="facet-chip">${escapeHtml(f.value)}<span class="facet-count">${Number(f.count) || 0}</span></span>`,
+          )
+          .join("");
+        return `<div class="facet-group"><span class="facet-label">${label}</span>${chips}</div>`;
+      })
+      .join("");
+    if (groups) bubble.insertAdjacentHTML("beforeend", `<div class="facets-container">${groups}</div>`);
+  }
+
+  if (typeof onLoadMore === "function") {
+    const moreBtn = document.createElement("button");
+    moreBtn.type = "button";
+    moreBtn.className = "load-more-btn";
+    moreBtn.textContent = "Load more results";
+    moreBtn.addEventListener("click", () => {
+      moreBtn.remove();
+      onLoadMore();
+    });
+    bubble.appendChild(moreBtn);
+  }
+}
+
+// facets / onLoadMore: search pages only (see renderSearchExtras); they are
+// not kept in the stored history
 export function replaceThinkingWithAnswer({
   thinkingEl,
   answerText = "",
   sources = [],
+  facets = null,
+  onLoadMore = null,
 }) {
   const highlightTerms = extractHighlightTerms(answerText);
   setHighlightTerms(highlightTerms);
@@ -369,12 +447,28 @@ export function replaceThinkingWithAnswer({
     answerText,
   });
 
+  // Drop any pending streaming render so it cannot overwrite the final answer
+  if (thinkingEl.__streamingFrame) {
+    cancelAnimationFrame(thinkingEl.__streamingFrame);
+    thinkingEl.__streamingFrame = null;
+  }
+
+  thinkingEl.querySelector(".cancel-request-btn")?.remove();
+
   const bubble = thinkingEl.querySelector(".message-bubble");
   bubble.innerHTML = `<div class="markdown-content">${marked(answerText || "")}</div>`;
 
   // Use same function to attach anchors and sources and get combined sources for saving
   const combinedSources = applyMessageContentEnhancements(bubble, answerText, sources || []);
 
+  // Sources are inserted on the next frame; queue the extras after them
+  if (facets || onLoadMore) {
+    requestAnimationFrame(() => {
+      renderSearchExtras(bubble, { facets, onLoadMore });
+      autoScroll();
+    });
+  }
+
   // Save answer to storage (now includes deduped combinedSources)
   saveMsgToStorage(answerText, "assistant", false, combinedSources);
 
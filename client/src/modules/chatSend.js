@@ -3,14 +3,17 @@ import {
   createThinkingBubble,
   replaceThinkingWithAnswer,
   editThinkingBubble,
+  renderStreamingAnswer,
 } from "./chatMessages.js";
+import { getSessionToken, refreshQuota, renderQuota } from "./quota.js";
 
 // Use same-origin websocket URL by default (no env variable required).
 // If the client and server are hosted on the same origin this simply works.
 const SERVER_WS = (() => {
   try {
     const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
-    return `${proto}//${location.host}`;
+    const token = getSessionToken();
+    return `${proto}//${location.host}${token ? `/?session=${encodeURIComponent(token)}` : ''}`;
   } catch {
     // Fallback to an empty string; connection will fail and the client will retry.
     return '';
@@ -24,8 +27,36 @@ const RECONNECT_DELAY = 3000;
 // When set, the client will not attempt to reconnect and will prevent new sends
 let rateLimited = false;
 
+// In-flight requests keyed by requestId: { question, thinkingEl, mode, filters, asOf, streamedText }
 const pending = new Map();
 
+function createRequestId() {
+  try {
+    if (crypto?.randomUUID) return crypto.randomUUID();
+  } catch {
+    /* randomUUID is unavailable outside secure contexts */
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Find the pending request a server frame belongs to. Frames carry the
+// requestId we sent; frames without one (older servers) fall back to the
+// question text or, failing that, the most recent request.
+function findPending(msg) {
+  if (msg?.requestId && pending.has(msg.requestId)) {
+    return [msg.requestId, pending.get(msg.requestId)];
+  }
+  if (msg?.requestId) return [];
+  if (msg?.question) {
+    const key = String(msg.question).trim();
+    for (const [id, entry] of pending) {
+      if (entry.question === key) return [id, entry];
+    }
+  }
+  const entries = Array.from(pending.entries());
+  return entries[entries.length - 1] || [];
+}
+
 function connectWebSocket() {
   // teardown previous ws
   if (ws) {
@@ -66,12 +97,19 @@ function connectWebSocket() {
   ws.onmessage = (event) => {
     try {
       const msg = JSON.parse(event.data);
+      // Late frames for a request we already cancelled (or gave up on) are dropped;
+      // a rate-limit error still has to disable the connection below.
+      if (msg?.requestId && !pending.has(msg.requestId) && msg?.code !== 'RATE_LIMIT') {
+        return;
+      }
       let payload = null;
       if (msg?.question) {
         payload = {
           question: msg.question,
           answer: msg.answer,
           sources: msg.sources || [],
+          nextOffset: msg.nextOffset ?? null,
+          facets: msg.facets || null,
         };
       } else if (msg?.type === "error") {
         const errMsg = String(msg.message || 'Unknown');
@@ -79,15 +117,27 @@ function connectWebSocket() {
         // Detect structured rate-limit responses from the server and handle specially
         // Prefer explicit `code: 'RATE_LIMIT'` but still support legacy text matching.
         if (msg?.code === 'RATE_LIMIT' || /request limit reached/i.test(errMsg)) {
-          rateLimited = true;
-          // If there's a pending request, map the error to it; otherwise add to chat
-          if (pending.size > 0) {
-            const entries = Array.from(pending.entries());
-            const [lastKey, lastEntry] = entries[entries.length - 1] || [];
-            if (lastEntry && lastEntry.thinkingEl) {
-              replaceThinkingWithAnswer({ thinkingEl: lastEntry.thinkingEl, answerText: `${errMsg}`, sources: [] });
-              pending.delete(lastKey);
+          if (msg?.quota) renderQuota(msg.quota);
+
+          // Burst and per-mode limits are temporary or mode-specific: report them on
+          // the request but keep the connection usable for other requests/modes.
+          if (msg?.scope === 'burst' || msg?.scope === 'mode') {
+            const [id, entry] = findPending(msg);
+            if (entry && entry.thinkingEl) {
+              replaceThinkingWithAnswer({ thinkingEl: entry.thinkingEl, answerText: errMsg, sources: [] });
+              pending.delete(id);
+            } else {
+              addMessage(`Error: ${errMsg}`, "error");
             }
+            return;
+          }
+
+          rateLimited = true;
+          // If the error belongs to a pending request, map it there; otherwise add to chat
+          const [id, entry] = findPending(msg);
+          if (entry && entry.thinkingEl) {
+            replaceThinkingWithAnswer({ thinkingEl: entry.thinkingEl, answerText: `${errMsg}`, sources: [] });
+            pending.delete(id);
           } else {
             addMessage(`Error: ${errMsg}`, "error");
           }
@@ -104,44 +154,73 @@ function connectWebSocket() {
           return;
         }
 
-        // Non-rate-limit errors: map to pending thinking bubble if present, otherwise log
-        if (pending.size > 0) {
-          const entries = Array.from(pending.entries());
-          const [lastKey, lastEntry] = entries[entries.length - 1] || [];
-          if (lastEntry && lastEntry.thinkingEl) {
-            replaceThinkingWithAnswer({ thinkingEl: lastEntry.thinkingEl, answerText: `Error: ${errMsg}`, sources: [] });
-            pending.delete(lastKey);
-            return;
-          }
+        // Non-rate-limit errors: map to the request's thinking bubble if present, otherwise log
+        const [id, entry] = findPending(msg);
+        if (entry && entry.thinkingEl) {
+          replaceThinkingWithAnswer({ thinkingEl: entry.thinkingEl, answerText: `Error: ${errMsg}`, sources: [] });
+          pending.delete(id);
+          return;
         }
 
         addMessage(`Error: ${errMsg}`, "error");
         return;
+      } else if (msg?.type === "cancelled") {
+        refreshQuota();
+        const [id, entry] = findPending(msg);
+        if (entry && entry.thinkingEl) {
+          replaceThinkingWithAnswer({ thinkingEl: entry.thinkingEl, answerText: "Request cancelled.", sources: [] });
+          pending.delete(id);
+        }
+        return;
+      } else if (msg?.type === "delta") {
+        // Streamed answer text for one of the outstanding requests
+        const [, entry] = findPending(msg);
+        if (entry && entry.thinkingEl) {
+          entry.streamedText = (entry.streamedText || "") + String(msg.delta || "");
+          renderStreamingAnswer(entry.thinkingEl, entry.streamedText);
+        }
+        return;
       } else if (msg?.type === "status") {
         console.log("Status update:", msg.message);
-        editThinkingBubble(msg.message);
+        // Once answer text is streaming, keep it on screen instead of status lines
+        const [, entry] = findPending(msg);
+        if (!entry || entry.streamedText) return;
+        editThinkingBubble(msg.message, entry.thinkingEl);
         return;
       } else {
         addMessage(JSON.stringify(msg), "assistant");
         return;
       }
 
-      const key = String(payload.question).trim();
-      if (!key) {
+      if (!String(payload.question).trim()) {
         addMessage(payload.answer || "No answer", "assistant", false, payload.sources || []);
         return;
       }
 
-      const entry = pending.get(key);
+      const [id, entry] = findPending(msg);
+      refreshQuota();
       const combinedAnswer = (payload.answer || "").trim();
 
       if (entry) {
+        // Search pages offer the next page of the same query and filters
+        const onLoadMore =
+          entry.mode === "search" && payload.nextOffset != null
+            ? () =>
+                loadMoreResults({
+                  question: entry.question,
+                  filters: entry.filters,
+                  asOf: entry.asOf,
+                  offset: payload.nextOffset,
+                })
+            : null;
         replaceThinkingWithAnswer({
           thinkingEl: entry.thinkingEl,
           answerText: combinedAnswer || "No answer returned.",
           sources: payload.sources || [],
+          facets: payload.facets,
+          onLoadMore,
         });
-        pending.delete(key);
+        pending.delete(id);
       } else {
         // Show sources for messages that arrive outside of a pending request
         addMessage(combinedAnswer, "assistant", false, payload.sources || []);
@@ -199,18 +278,69 @@ async function ensureWsOpen() {
   ]);
 }
 
-// Snapshot localStorage into a plain object for sending with the QA payload
-function snapshotLocalStorage() {
-  const obj = {};
+// Stop an in-flight request: the server aborts the work (and refunds the daily
+// slot); the bubble is finalized right away so the user is not left waiting.
+function cancelRequest(requestId) {
+  const entry = pending.get(requestId);
+  if (!entry) return;
+  pending.delete(requestId);
   try {
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      obj[key] = localStorage.getItem(key);
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: "cancel", requestId }));
     }
   } catch (err) {
-    console.warn("Failed to snapshot localStorage:", err);
+    console.warn("Failed to send cancel:", err);
+  }
+  replaceThinkingWithAnswer({ thinkingEl: entry.thinkingEl, answerText: "Request cancelled.", sources: [] });
+  // The server refunds the slot once the work stops; give it a moment
+  setTimeout(refreshQuota, 1000);
+}
+
+// Next page of a search: the same query, filters and as-of date from
+// `offset`, answered in a new bubble below the previous page
+async function loadMoreResults({ question, filters, asOf, offset }) {
+  const requestId = createRequestId();
+  const thinkingEl = createThinkingBubble({ onCancel: () => cancelRequest(requestId) });
+  pending.set(requestId, { question, thinkingEl, mode: "search", filters, asOf });
+
+  try {
+    await ensureWsOpen();
+    const payload = { type: "search", query: question, requestId, offset };
+    if (filters) payload.filters = filters;
+    if (asOf) payload.asOf = asOf;
+    ws.send(JSON.stringify(payload));
+  } catch (err) {
+    console.warn("WebSocket send failed:", err);
+    replaceThinkingWithAnswer({
+      thinkingEl,
+      answerText: "WebSocket error: failed to load more results. Please try again.",
+      sources: [],
+    });
+    pending.delete(requestId);
+    scheduleReconnect();
+  }
+}
+
+// Recent conversation for follow-up questions. The server only reads the last
+// few turns and caps clientState in size, so send a trimmed copy of the stored
+// history rather than all of it.
+const CLIENT_STATE_MESSAGES = 10;
+const CLIENT_STATE_MESSAGE_CHARS = 4000;
+
+function buildClientState() {
+  let messages = [];
+  try {
+    messages = JSON.parse(localStorage.getItem("rag_chat_messages")) || [];
+  } catch {
+    messages = [];
   }
-  return obj;
+  if (!Array.isArray(messages)) messages = [];
+  return {
+    messages: messages.slice(-CLIENT_STATE_MESSAGES).map((m) => ({
+      sender: m.sender,
+      text: String(m.text || "").slice(0, CLIENT_STATE_MESSAGE_CHARS),
+    })),
+  };
 }
 
 export async function sendMessage(e) {
@@ -219,17 +349,6 @@ export async function sendMessage(e) {
   const input = document.querySelector("#messageInput");
   const sendBtn = document.querySelector("#sendBtn");
 
-  // Enforce single outstanding message: if there's a pending request, do not allow another send
-  if (pending.size > 0) {
-    try {
-      // Inform the user briefly
-      addMessage('Please wait for the previous response before sending another message.', 'error');
-    } catch {
-      /* ignore */
-    }
-    return;
-  }
-
   // If the client has been flagged as rate-limited, do not attempt to send and inform the user
   if (rateLimited) {
     addMessage('Error: Connection disabled due to daily limit. Please try again tomorrow.', 'error');
@@ -248,14 +367,18 @@ export async function sendMessage(e) {
   window.autoScrollEnabled = true;
 
   const currentMode = window.currentMode;
-  const thinkingEl = createThinkingBubble();
-  // No client-side timeout: wait for backend to respond.
-  pending.set(question, { thinkingEl });
+  // No client-side timeout: wait for backend to respond. Several requests may be
+  // outstanding at once; replies are correlated by requestId.
+  const requestId = createRequestId();
+  const filters = window.searchFilters;
+  const asOf = window.asOfDate;
+  const thinkingEl = createThinkingBubble({ onCancel: () => cancelRequest(requestId) });
+  pending.set(requestId, { question, thinkingEl, mode: currentMode, filters, asOf });
 
   try {
     await ensureWsOpen();
 
-    // Build the payload for the server; include localStorage snapshot & clientState if mode === 'qa'
+    // Build the payload for the server; QA requests also carry recent conversation (clientState)
     const basePayload = {
       type:
         currentMode === "search"
@@ -264,6 +387,7 @@ export async function sendMessage(e) {
             ? "qa"
             : "perspective-analysis",
       query: question,
+      requestId,
     };
 
     // Add selected perspective for perspective-analysis or QA (optional)
@@ -271,19 +395,17 @@ export async function sendMessage(e) {
       basePayload.perspective = window.selectedPerspectives;
     }
 
-    // If QA, include a snapshot of localStorage and client payload state
+    // Metadata filters (document type, court, date range) apply to every mode
+    if (filters) {
+      basePayload.filters = filters;
+    }
+    if (asOf) {
+      basePayload.asOf = asOf;
+    }
+
+    // If QA, include recent conversation so follow-up questions have context
     if (currentMode === "qa") {
-      const snapshot = snapshotLocalStorage();
-      // Try to extract our message history from localStorage (used by chatMessages)
-      let messages = null;
-      try {
-        const raw = snapshot['rag_chat_messages'];
-        if (raw) messages = JSON.parse(raw);
-      } catch {
-        messages = null;
-      }
-      // Send structured client state: provide messages array (if available) and full snapshot for debugging
-      basePayload.clientState = { ...(messages ? { messages } : {}), localStorage: snapshot };
+      basePayload.clientState = buildClientState();
     }
 
     if (import.meta.env.DEV) {
@@ -300,10 +422,7 @@ export async function sendMessage(e) {
       sources: [],
     });
 
-    const entry = pending.get(question);
-    if (entry) {
-      pending.delete(question);
-    }
+    pending.delete(requestId);
 
     scheduleReconnect();
   } finally {
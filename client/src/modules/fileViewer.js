@@ -1,8 +1,11 @@
+import { parseIdentifiers } from "../../../src/utils/legalIdentifiers.mjs";
 import { escapeHtml } from "../utils/dom.js";
 
 let currentRawContent = "";
 let currentFilename = "";
 let highlightTerms = [];
+// Keys of the laws and cases to mark in any spelling (see setHighlightTerms)
+let highlightKeys = new Set();
 
 export function initFileViewer() {
   const fileViewer = document.querySelector("#fileViewer");
@@ -31,6 +34,22 @@ function downloadFile() {
   document.body.removeChild(element);
 }
 
+// `line` escaped, with the identifiers in highlightKeys marked; null when
+// the line mentions none of them
+function markIdentifiers(line) {
+  const hits = parseIdentifiers(line).filter((id) => id.keys.some((key) => highlightKeys.has(key)));
+  if (hits.length === 0) return null;
+  let html = "";
+  let pos = 0;
+  hits.forEach((id) => {
+    html +=
+      escapeHtml(line.slice(pos, id.start)) +
+      `<span class="identifier-match" title="${escapeHtml(id.canonical)}">${escapeHtml(line.slice(id.start, id.end))}</span>`;
+    pos = id.end;
+  });
+  return html + escapeHtml(line.slice(pos));
+}
+
 function displayRawContent(content) {
   const fileContent = document.querySelector("#fileContent");
   const lines = content.split("\n");
@@ -90,6 +109,10 @@ function displayRawContent(content) {
         }
       }
 
+      if (!lineHasHighlight && highlightKeys.size > 0) {
+        escapedLine = markIdentifiers(line) ?? escapedLine;
+      }
+
       return `<div class="line ${lineHasHighlight ? "has-match" : ""}"><span class="line-content">${escapedLine}</span></div>`;
     })
     .join("");
@@ -102,6 +125,184 @@ function displayRawContent(content) {
   }
 }
 
+// JSON about the document at `url` (`/api/file/<uuid>`) from
+// `/api/<route>/<uuid>` (relations, citations), or null when unavailable;
+// never fails the viewer
+async function fetchDocumentInfo(url, route) {
+  const uuid = (String(url).match(/\/api\/file\/([0-9a-f-]{36})/i) || [])[1];
+  if (!uuid) return null;
+  try {
+    const response = await fetch(`/api/${route}/${uuid}`);
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+function bindDocumentLinks(container) {
+  container.querySelectorAll(".relation-link").forEach((link) => {
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      loadFileContent(`/api/file/${link.dataset.uuid}`, link.dataset.label);
+    });
+  });
+}
+
+function documentLink(uuid, label) {
+  const text = escapeHtml(label || "");
+  return uuid
+    ? `<a href="#" class="relation-link" data-uuid="${escapeHtml(uuid)}" data-label="${text}">${text}</a>`
+    : text;
+}
+
+function relationText(entry) {
+  const verb = entry.relation === "repeals" ? "repealed" : "amended";
+  const subject = entry.provision || "This law";
+  const plural = /^(?:Sections|Articles)\b|,|\band\b/i.test(entry.provision || "");
+  return `${subject} ${plural ? "were" : "was"} ${verb} by`;
+}
+
+// Warning banner under the file header: later laws that amended or repealed
+// this one. Their documents open in the viewer when they are in the corpus.
+function renderRelationsBanner(relations) {
+  const fileInfo = document.querySelector("#fileInfo");
+  if (!fileInfo || !relations || !Array.isArray(relations.amendedBy) || relations.amendedBy.length === 0) return;
+
+  const repealed = relations.amendedBy.some((e) => e.relation === "repeals" && !e.provision);
+  const items = relations.amendedBy
+    .map((e) => {
+      const law = documentLink(e.byUuid, e.byLabel || e.byKey);
+      const date = e.byDate ? ` (${escapeHtml(e.byDate)})` : "";
+      return `<li>${escapeHtml(relationText(e))} ${law}${date}</li>`;
+    })
+    .join("");
+
+  fileInfo.insertAdjacentHTML(
+    "beforeend",
+    `<div class="relations-banner ${repealed ? "repealed" : ""}">
+      <div class="relations-title">${repealed ? "This law has been repealed" : "This law has been amended"}</div>
+      <ul class="relations-list">${items}</ul>
+    </div>`,
+  );
+  bindDocumentLinks(fileInfo.lastElementChild);
+}
+
+function citationItem(label, doc, mentions) {
+  const name = doc ? doc.title || label || doc.filename : label;
+  const link = documentLink(doc?.uuid, name);
+  const extra = [doc?.date, mentions > 1 ? `${mentions}×` : ""].filter(Boolean).join(", ");
+  return `<li>${link}${extra ? ` <span class="citation-meta">(${escapeHtml(extra)})</span>` : ""}</li>`;
+}
+
+// Collapsed panel under the file header listing what this document cites and
+// which documents cite it; documents in the corpus open in the viewer
+function renderCitationsPanel(graph) {
+  const fileInfo = document.querySelector("#fileInfo");
+  if (!fileInfo || !graph) return;
+  const cites = Array.isArray(graph.cites) ? graph.cites : [];
+  const citedBy = Array.isArray(graph.citedBy) ? graph.citedBy : [];
+  if (cites.length === 0 && citedBy.length === 0) return;
+
+  const citesList = cites.map((c) => citationItem(c.label, c.document, c.mentions)).join("");
+  const citedByList = citedBy.map((c) => citationItem(null, c.document, c.mentions)).join("");
+  const more = graph.citedByCount > citedBy.length ? `<li class="citation-meta">and ${graph.citedByCount - citedBy.length} more</li>` : "";
+
+  fileInfo.insertAdjacentHTML(
+    "beforeend",
+    `<details class="citations-panel">
+      <summary>Citations: cites ${cites.length}, cited by ${graph.citedByCount || citedBy.length}</summary>
+      <div class="citations-columns">
+        <div>
+          <div class="citations-heading">Cites</div>
+          <ul class="citations-list">${citesList || '<li class="citation-meta">None found</li>'}</ul>
+        </div>
+        <div>
+          <div class="citations-heading">Cited by</div>
+          <ul class="citations-list">${citedByList || '<li class="citation-meta">None found</li>'}${more}</ul>
+        </div>
+      </div>
+    </details>`,
+  );
+  bindDocumentLinks(fileInfo.lastElementChild);
+}
+
+// Title, citation, date, category and division of the document from
+// /api/documents, with its summary; the filename and size when unavailable
+function renderFileHeader(details, filename, content) {
+  const fileInfo = document.querySelector("#fileInfo");
+  const fileSizeKB = (new Blob([content]).size / 1024).toFixed(2);
+  const title = details?.title || filename;
+  const meta = [
+    details?.citation && !title.includes(details.citation) ? details.citation : "",
+    details?.date,
+    details?.category,
+    details?.courtDivision,
+    `${fileSizeKB} KB`,
+  ].filter(Boolean);
+
+  fileInfo.innerHTML = `
+    <div class="file-header">
+      <div class="file-info-column">
+        <div class="file-name">${escapeHtml(title)}</div>
+        <div class="file-size">${meta.map((m) => escapeHtml(m)).join(" · ")}</div>
+      </div>
+      <button id="downloadBtn" class="download-button">Download</button>
+    </div>
+    ${details?.summary ? `<div class="file-summary">${escapeHtml(details.summary)}</div>` : ""}
+  `;
+
+  document
+    .querySelector("#downloadBtn")
+    .addEventListener("click", downloadFile);
+
+  renderOutlinePanel(details?.outline);
+  renderRelatedPanel(details?.related);
+}
+
+// Collapsed outline (articles, sections, parts of a decision); an entry
+// scrolls the text to its line
+function renderOutlinePanel(outline) {
+  const fileInfo = document.querySelector("#fileInfo");
+  if (!Array.isArray(outline) || outline.length === 0) return;
+
+  const items = outline
+    .map(
+      (entry) =>
+        `<li class="outline-${escapeHtml(entry.kind)}"><a href="#" class="outline-link" data-line="${Number(entry.line)}">${escapeHtml(entry.label)}</a></li>`,
+    )
+    .join("");
+  fileInfo.insertAdjacentHTML(
+    "beforeend",
+    `<details class="citations-panel outline-panel">
+      <summary>Outline (${outline.length})</summary>
+      <ul class="citations-list outline-list">${items}</ul>
+    </details>`,
+  );
+  fileInfo.lastElementChild.querySelectorAll(".outline-link").forEach((link) => {
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      const line = document.querySelectorAll("#fileContent .line")[Number(link.dataset.line)];
+      if (line) line.scrollIntoView({ behavior: "smooth", block: "start" });
+    });
+  });
+}
+
+// Collapsed list of the nearest documents in the corpus, which open in the viewer
+function renderRelatedPanel(related) {
+  const fileInfo = document.querySelector("#fileInfo");
+  if (!Array.isArray(related) || related.length === 0) return;
+
+  const items = related.map((doc) => citationItem(null, doc, 0)).join("");
+  fileInfo.insertAdjacentHTML(
+    "beforeend",
+    `<details class="citations-panel">
+      <summary>Related documents (${related.length})</summary>
+      <ul class="citations-list">${items}</ul>
+    </details>`,
+  );
+  bindDocumentLinks(fileInfo.lastElementChild);
+}
+
 export async function loadFileContent(url, filename) {
   const fileViewer = document.querySelector("#fileViewer");
   const fileInfo = document.querySelector("#fileInfo");
@@ -116,32 +317,28 @@ export async function loadFileContent(url, filename) {
     fileContent.innerHTML =
       '<div class="loading-content">Loading document<span class="loading-dots"></span></div>';
 
+    const detailsRequest = fetchDocumentInfo(url, "documents");
+    const relationsRequest = fetchDocumentInfo(url, "relations");
+    const citationsRequest = fetchDocumentInfo(url, "citations");
     const response = await fetch(url);
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
     const content = await response.text();
+    const details = await detailsRequest;
+    // Another document may have been opened meanwhile
+    if (currentFilename !== filename) return;
     currentRawContent = content;
 
-    // Calculate file size in KB
-    const fileSizeKB = (new Blob([content]).size / 1024).toFixed(2);
-
-    fileInfo.innerHTML = `
-      <div class="file-header">
-        <div class="file-info-column">
-          <div class="file-name">${escapeHtml(filename)}</div>
-          <div class="file-size">${fileSizeKB} KB</div>
-        </div>
-        <button id="downloadBtn" class="download-button">Download</button>
-      </div>
-    `;
-
-    document
-      .querySelector("#downloadBtn")
-      .addEventListener("click", downloadFile);
-
+    renderFileHeader(details, filename, content);
     displayRawContent(content);
+
+    const [relations, citations] = await Promise.all([relationsRequest, citationsRequest]);
+    if (currentFilename === filename) {
+      renderRelationsBanner(relations);
+      renderCitationsPanel(citations);
+    }
   } catch (error) {
     console.error("[LOAD] Error:", error);
     fileInfo.innerHTML = `<div class="file-error">Error loading: ${escapeHtml(currentFilename)}</div>`;
@@ -149,8 +346,20 @@ export async function loadFileContent(url, filename) {
   }
 }
 
+// A term that is a legal identifier ("R.A. 9262") marks every spelling of
+// it in the document ("Republic Act No. 9262", "RA 9262"); other terms are
+// matched as text
 export function setHighlightTerms(terms) {
-  highlightTerms = Array.isArray(terms) ? terms : [terms];
+  highlightTerms = [];
+  highlightKeys = new Set();
+  (Array.isArray(terms) ? terms : [terms]).forEach((term) => {
+    const ids = parseIdentifiers(term);
+    if (ids.length === 1 && ids[0].raw === String(term).trim()) {
+      ids[0].keys.forEach((key) => highlightKeys.add(key));
+    } else {
+      highlightTerms.push(term);
+    }
+  });
   if (currentRawContent) {
     displayRawContent(currentRawContent);
   }
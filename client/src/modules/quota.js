@@ -0,0 +1,64 @@
+// Rate-limit quota display. The server reports quota per client in cost
+// units; we show how many requests of the current mode are left today so the
+// user sees the limit coming instead of hitting it.
+
+const SESSION_KEY = "rag_session_token";
+
+let lastQuota = null;
+
+// Random per-browser token the server may use as rate-limit identity
+// (RATE_LIMIT_IDENTITY=session). Sent as ?session= on the WebSocket URL and
+// X-Session-Token on HTTP requests.
+export function getSessionToken() {
+  try {
+    let token = localStorage.getItem(SESSION_KEY);
+    if (!token) {
+      const bytes = new Uint8Array(16);
+      crypto.getRandomValues(bytes);
+      token = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+      localStorage.setItem(SESSION_KEY, token);
+    }
+    return token;
+  } catch {
+    return null;
+  }
+}
+
+function modeLabel(mode) {
+  if (mode === "qa") return "Q&A";
+  if (mode === "perspective-analysis") return "Analysis";
+  return "Search";
+}
+
+export function renderQuota(quota = lastQuota) {
+  const el = document.querySelector("#quotaIndicator");
+  if (!el || !quota || !quota.modes) return;
+  lastQuota = quota;
+
+  const mode = window.currentMode || "search";
+  const info = quota.modes[mode];
+  if (!info) {
+    el.textContent = "";
+    return;
+  }
+
+  el.textContent = `${modeLabel(mode)}: ${info.remaining} left today`;
+  el.title =
+    `${quota.client.remaining}/${quota.client.limit} units left today ` +
+    `(this mode costs ${info.cost}). Resets ${new Date(quota.resetsAt).toLocaleString()}.`;
+  el.classList.toggle("quota-low", info.remaining <= 2);
+}
+
+export async function refreshQuota() {
+  try {
+    const token = getSessionToken();
+    const res = await fetch("/api/quota", {
+      headers: token ? { "X-Session-Token": token } : {},
+      cache: "no-store",
+    });
+    if (!res.ok) return;
+    renderQuota(await res.json());
+  } catch (err) {
+    console.warn("Failed to load quota:", err);
+  }
+}
@@ -0,0 +1,11 @@
+import { defineConfig, searchForWorkspaceRoot } from "vite";
+
+// The client imports src/utils/legalIdentifiers.mjs from the server tree, so
+// the dev server has to serve files from the repository root too
+export default defineConfig({
+  server: {
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), ".."],
+    },
+  },
+});
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/*
+  scripts/check-corpus.mjs
+
+  Audit the database against the corpus directory (RAG_CORPUS_PATH) and
+  report what makes documents unsearchable or unreadable:
+
+    errors    embeddings or passages without a documents row, documents
+              without an embedding, documents whose corpus file is missing
+              or empty, vector dimensions that differ between the tables
+              and DOWNSAMPLE_DIM
+    warnings  undated documents (the 0001-01-01 sentinel), duplicate
+              titles, empty summaries, corpus files no document points to
+
+  With --fix it repairs what it can: deletes orphaned embeddings and
+  passages, points documents whose file moved to the only corpus file with
+  that name, reads missing dates from the document header and writes
+  missing summaries (the `summary` task of the model registry). The rest
+  needs a re-import, scripts/ingest.mjs or scripts/reembed.mjs.
+
+  Exits with status 1 while errors remain.
+
+  Usage:
+    node scripts/check-corpus.mjs
+    node scripts/check-corpus.mjs --fix
+*/
+
+import path from 'path';
+
+import { closeDb, connectDb, query, withTransaction } from '../src/db.mjs';
+import { extractMetadata } from '../src/ingest/documentMetadata.mjs';
+import { summarizeDocument } from '../src/ingest/summary.mjs';
+import { initLlmProvider } from '../src/llm.mjs';
+import { loadModelRegistry } from '../src/modelRegistry.mjs';
+import { listCorpusFiles, readCorpusText } from '../src/utils/corpusFiles.mjs';
+import { MIN_DATE } from '../src/utils/documentFilters.mjs';
+import { tableExists, vectorColumnType } from '../src/utils/vectorIndex.mjs';
+
+const CORPUS_DIR = process.env.RAG_CORPUS_PATH || null;
+const DOWNSAMPLE_DIM = Number(process.env.DOWNSAMPLE_DIM) || null;
+const FIX = process.argv.includes('--fix');
+// Examples printed per finding
+const SAMPLES = parseInt(process.env.CHECK_SAMPLES || '10', 10);
+
+const findings = [];
+
+function report(id, severity, label, items, describe = (item) => String(item)) {
+  findings.push({ id, severity, label, count: items.length, samples: items.slice(0, SAMPLES).map(describe), fixed: 0 });
+  return findings[findings.length - 1];
+}
+
+const docLabel = (r) => `${r.uuid} ${r.title || '(untitled)'}`;
+const corpusPath = (r) => path.posix.join(r.relative_path || '', `${r.filename}.txt`);
+
+async function checkOrphans(hasChunks) {
+  const { rows: embeddings } = await query(
+    `SELECT e.uuid FROM embeddings e LEFT JOIN documents d USING (uuid) WHERE d.uuid IS NULL ORDER BY e.uuid`
+  );
+  const orphanEmbeddings = report('orphan-embeddings', 'error', 'embeddings without a documents row', embeddings, (r) => r.uuid);
+  let chunks = [];
+  if (hasChunks) {
+    ({ rows: chunks } = await query(
+      `SELECT c.uuid, count(*)::int AS passages FROM chunks c LEFT JOIN documents d USING (uuid)
+       WHERE d.uuid IS NULL GROUP BY c.uuid ORDER BY c.uuid`
+    ));
+  }
+  const orphanChunks = report('orphan-passages', 'error', 'passages of documents that do not exist', chunks, (r) => `${r.uuid} (${r.passages} passages)`);
+
+  if (FIX && (embeddings.length || chunks.length)) {
+    await withTransaction(async (client) => {
+      const uuids = [...new Set([...embeddings, ...chunks].map((r) => r.uuid))];
+      await client.query(`DELETE FROM embeddings WHERE uuid = ANY($1::uuid[])`, [uuids]);
+      if (hasChunks) await client.query(`DELETE FROM chunks WHERE uuid = ANY($1::uuid[])`, [uuids]);
+    });
+    orphanEmbeddings.fixed = embeddings.length;
+    orphanChunks.fixed = chunks.length;
+  }
+
+  const { rows: unembedded } = await query(
+    `SELECT d.uuid, d.title FROM documents d LEFT JOIN embeddings e USING (uuid) WHERE e.uuid IS NULL ORDER BY d.uuid`
+  );
+  report('missing-embeddings', 'error', 'documents without an embedding (never retrieved)', unembedded, docLabel);
+}
+
+// Documents whose corpus file is missing or empty. A missing file is
+// relocated when exactly one corpus file has its name; the document is then
+// re-indexed and rescanned by the next setup-db run.
+async function checkFiles(documents, files) {
+  const byName = new Map();
+  for (const rel of files.keys()) {
+    const name = path.posix.basename(rel).toLowerCase();
+    byName.set(name, [...(byName.get(name) || []), rel]);
+  }
+
+  const missing = [];
+  const empty = [];
+  const referenced = new Set();
+  for (const doc of documents) {
+    if (!doc.filename) {
+      missing.push({ ...doc, candidates: [] });
+      continue;
+    }
+    const rel = corpusPath(doc);
+    referenced.add(rel);
+    if (!files.has(rel)) missing.push({ ...doc, candidates: byName.get(`${doc.filename}.txt`.toLowerCase()) || [] });
+    else if (files.get(rel) === 0) empty.push(doc);
+  }
+
+  const missingFinding = report('missing-files', 'error', 'documents without a corpus file (searches return no text)', missing, (r) => {
+    const moved = r.candidates.length === 1 && !referenced.has(r.candidates[0]) ? ` -> found at ${r.candidates[0]}` : '';
+    return `${docLabel(r)}: ${r.filename ? corpusPath(r) : 'no filename'}${moved}`;
+  });
+  report('empty-files', 'error', 'documents whose corpus file is empty', empty, (r) => `${docLabel(r)}: ${corpusPath(r)}`);
+
+  if (FIX) {
+    for (const doc of missing) {
+      const [rel] = doc.candidates;
+      // The file must be unclaimed, also by a document moved before this one
+      if (doc.candidates.length !== 1 || referenced.has(rel)) continue;
+      const dir = path.posix.dirname(rel);
+      await query(
+        `UPDATE documents SET relative_path = $2, filename = $3, search_tsv = NULL, court_division = NULL,
+           relations_scanned_at = NULL, citations_scanned_at = NULL
+         WHERE uuid = $1`,
+        [doc.uuid, dir === '.' ? '' : dir, path.posix.basename(rel, '.txt')]
+      );
+      referenced.add(rel);
+      missingFinding.fixed++;
+    }
+  }
+
+  const unreferenced = [...files.keys()].filter((rel) => !referenced.has(rel)).sort();
+  report('unreferenced-files', 'warning', 'corpus files no document points to (scripts/ingest.mjs adds them)', unreferenced);
+}
+
+async function checkDates() {
+  const { rows } = await query(
+    `SELECT uuid, title, relative_path, filename FROM documents WHERE date = $1 ORDER BY uuid`,
+    [MIN_DATE]
+  );
+  const finding = report('undated', 'warning', `documents dated ${MIN_DATE} (no date; excluded by date filters)`, rows, docLabel);
+  if (!FIX || !CORPUS_DIR) return;
+  for (const doc of rows) {
+    const text = await readCorpusText(CORPUS_DIR, doc.relative_path, doc.filename);
+    const { date } = text ? extractMetadata(text) : {};
+    if (!date) continue;
+    await query(`UPDATE documents SET date = $2::date WHERE uuid = $1`, [doc.uuid, date]);
+    finding.fixed++;
+  }
+}
+
+async function checkTitles() {
+  const { rows } = await query(
+    `SELECT min(title) AS title, count(*)::int AS n, array_agg(uuid ORDER BY uuid) AS uuids
+     FROM documents WHERE title IS NOT NULL AND btrim(title) <> ''
+     GROUP BY lower(btrim(title)) HAVING count(*) > 1 ORDER BY count(*) DESC, min(title)`
+  );
+  report('duplicate-titles', 'warning', 'titles shared by several documents', rows, (r) => `${r.title} (${r.n}: ${r.uuids.join(', ')})`);
+}
+
+async function checkSummaries() {
+  const { rows } = await query(
+    `SELECT uuid, title, relative_path, filename FROM documents WHERE summary IS NULL OR btrim(summary) = '' ORDER BY uuid`
+  );
+  const finding = report('empty-summaries', 'warning', 'documents without a summary', rows, docLabel);
+  if (!FIX || !CORPUS_DIR || rows.length === 0) return;
+  loadModelRegistry();
+  initLlmProvider();
+  for (const doc of rows) {
+    const text = await readCorpusText(CORPUS_DIR, doc.relative_path, doc.filename);
+    if (!text?.trim()) continue;
+    try {
+      const summary = await summarizeDocument(doc.title || doc.filename, text);
+      if (!summary) continue;
+      // Summaries weigh in the full-text index; the next setup-db run rebuilds it
+      await query(`UPDATE documents SET summary = $2, search_tsv = NULL WHERE uuid = $1`, [doc.uuid, summary]);
+      finding.fixed++;
+    } catch (err) {
+      console.warn(`Summary for ${doc.uuid} failed:`, err?.message || err);
+    }
+  }
+}
+
+// Stored vectors must all have the dimension queries are embedded to
+async function checkDimensions(hasChunks) {
+  const problems = [];
+  const dimOf = async (table) => (await vectorColumnType({ query }, table, 'embedding'))?.dim;
+  const dims = { embeddings: await dimOf('embeddings') };
+  if (hasChunks) dims.chunks = await dimOf('chunks');
+
+  for (const [table, dim] of Object.entries(dims)) {
+    const { rows } = await query(`SELECT vector_dims(embedding) AS dim, count(*)::int AS n FROM ${table} GROUP BY 1 ORDER BY 1`);
+    for (const r of rows) {
+      if (dim && r.dim !== dim) problems.push(`${table}: ${r.n} vectors of dimension ${r.dim}, column has ${dim}`);
+    }
+    if (!dim && rows.length > 1) problems.push(`${table}: mixed dimensions ${rows.map((r) => `${r.dim} (${r.n})`).join(', ')}`);
+    if (DOWNSAMPLE_DIM && rows.some((r) => r.dim !== DOWNSAMPLE_DIM)) {
+      problems.push(`${table}: DOWNSAMPLE_DIM=${DOWNSAMPLE_DIM} but stored vectors have dimension ${rows.map((r) => r.dim).join(', ')}`);
+    }
+  }
+  if (dims.chunks && dims.embeddings && dims.chunks !== dims.embeddings) {
+    problems.push(`chunks have ${dims.chunks} dimensions but embeddings ${dims.embeddings}`);
+  }
+  if (await vectorColumnType({ query }, 'embeddings', 'embedding_next')) {
+    problems.push('embeddings has a staging column embedding_next: an interrupted scripts/reembed.mjs or scripts/vector-index.mjs migrate run');
+  }
+  report('dimensions', 'error', 'embedding dimension mismatches (run scripts/reembed.mjs)', problems);
+}
+
+function printReport(totals) {
+  console.log(`Corpus check: ${totals.documents} documents, ${totals.embeddings} embeddings, ${totals.files ?? 'unknown'} corpus files`);
+  for (const f of findings) {
+    if (f.count === 0) continue;
+    const fixed = f.fixed ? `, ${f.fixed} fixed` : '';
+    console.log(`\n[${f.severity}] ${f.id}: ${f.count} ${f.label}${fixed}`);
+    for (const s of f.samples) console.log(`  - ${s}`);
+    if (f.count > f.samples.length) console.log(`  ... ${f.count - f.samples.length} more`);
+  }
+  const open = (severity) => findings.filter((f) => f.severity === severity).reduce((n, f) => n + f.count - f.fixed, 0);
+  console.log(`\n${open('error')} errors, ${open('warning')} warnings${FIX ? ' left' : ''}.`);
+  if (!FIX && findings.some((f) => f.count > 0)) console.log('Run with --fix to repair what can be repaired.');
+}
+
+async function run() {
+  await connectDb();
+  const hasChunks = await tableExists({ query }, 'chunks');
+  const { rows: documents } = await query(`SELECT uuid, title, relative_path, filename FROM documents ORDER BY uuid`);
+  const { rows: [{ n: embeddings }] } = await query(`SELECT count(*)::int AS n FROM embeddings`);
+
+  let files = null;
+  if (CORPUS_DIR) files = await listCorpusFiles(CORPUS_DIR);
+  else console.warn('RAG_CORPUS_PATH not set — corpus files are not checked.');
+
+  await checkOrphans(hasChunks);
+  if (files) await checkFiles(documents, files);
+  await checkDimensions(hasChunks);
+  await checkDates();
+  await checkTitles();
+  await checkSummaries();
+
+  printReport({ documents: documents.length, embeddings, files: files?.size });
+  if (findings.some((f) => f.severity === 'error' && f.count > f.fixed)) process.exitCode = 1;
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error('check-corpus failed:', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/*
+  scripts/ingest.mjs
+
+  Add documents to the corpus from a directory of PDFs, HTML pages or text
+  files, without a new dataset bundle. Each file is decoded (encoding
+  detected, OCR for scanned PDFs, see src/ingest/extractText.mjs), cleaned
+  with formatDocument(), and its title, date and category are read from its
+  header (src/ingest/documentMetadata.mjs). The LLM provider writes a summary
+  (the `summary` task) and the embedding backend embeds it like
+  scripts/reembed.mjs does. The text is written to
+  RAG_CORPUS_PATH/<INGEST_RELATIVE_PATH>/<name>.txt and the `documents` and
+  `embeddings` rows are upserted.
+
+  The document id is derived from the corpus path, so ingesting a file again
+  updates its rows instead of adding a duplicate. Afterwards run setup-db to
+  scan the new documents for amendments and citations (and, with
+  CHUNK_DOCUMENTS=true, to build their passages). The schema must exist.
+
+  Usage:
+    node scripts/ingest.mjs ./new-decisions
+    INGEST_DIR=./new-decisions INGEST_RELATIVE_PATH=decisions/2025 node scripts/ingest.mjs
+    INGEST_DRY_RUN=true node scripts/ingest.mjs ./new-decisions  # print metadata only
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { v5 as uuidv5 } from 'uuid';
+
+import { closeDb, connectDb, query, withTransaction } from '../src/db.mjs';
+import { formatDocument } from '../src/formatter/formatter.mjs';
+import { extractMetadata } from '../src/ingest/documentMetadata.mjs';
+import { extractText, sourceFormat } from '../src/ingest/extractText.mjs';
+import { summarizeDocument } from '../src/ingest/summary.mjs';
+import { getEmbeddings, initEmbeddingBackend, initLlmProvider } from '../src/llm.mjs';
+import { loadModelRegistry } from '../src/modelRegistry.mjs';
+import { MIN_DATE, detectCourtDivision } from '../src/utils/documentFilters.mjs';
+import { toDim } from '../src/utils/downsample.mjs';
+import { TS_CONFIG, documentSearchVectorSql, truncateForIndex } from '../src/utils/fullText.mjs';
+import { statuteKey } from '../src/utils/statuteRelations.mjs';
+import { tableExists, vectorColumnType } from '../src/utils/vectorIndex.mjs';
+
+const SOURCE_DIR = process.argv[2] || process.env.INGEST_DIR || null;
+const CORPUS_DIR = process.env.RAG_CORPUS_PATH || null;
+// Corpus subdirectory (documents.relative_path) the files are written to
+const RELATIVE_PATH = (process.env.INGEST_RELATIVE_PATH || 'ingested').replace(/^\/+|\/+$/g, '');
+const DRY_RUN = process.env.INGEST_DRY_RUN === 'true';
+// Characters of each document sent to the embedding model, as in reembed
+const MAX_CHARS = parseInt(process.env.REEMBED_MAX_CHARS || '8000', 10);
+// Texts shorter than this are taken as failed extractions
+const MIN_TEXT_LENGTH = 100;
+// Namespace of the uuid v5 ids derived from corpus paths
+const UUID_NAMESPACE = 'a3c1f0de-5b8e-4c3a-9a57-6f0d2e4b7c19';
+
+async function listSourceFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listSourceFiles(full)));
+    else if (entry.isFile() && sourceFormat(full)) files.push(full);
+  }
+  return files.sort();
+}
+
+// Corpus file name (without .txt) of a source file: "RA 9262 (2004).pdf" -> "ra-9262-2004"
+function corpusName(filePath) {
+  return path
+    .basename(filePath, path.extname(filePath))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Extract, clean and describe one source file
+async function readSource(filePath) {
+  const source = await extractText(filePath);
+  const text = await formatDocument(source.text);
+  if (text.trim().length < MIN_TEXT_LENGTH) {
+    throw new Error(`only ${text.trim().length} characters of text${source.format === 'pdf' ? ' (scanned PDF without OCR?)' : ''}`);
+  }
+  const filename = corpusName(filePath);
+  const subdir = path.relative(SOURCE_DIR, path.dirname(filePath)).split(path.sep).filter(Boolean);
+  const relativePath = path.posix.join(RELATIVE_PATH, ...subdir);
+  const meta = extractMetadata(text, { fallbackTitle: source.title || path.basename(filePath) });
+  return { source, text, filename, relativePath, ...meta };
+}
+
+async function saveDocument(doc, { column, chunks }) {
+  const uuid = uuidv5(`${doc.relativePath}/${doc.filename}`, UUID_NAMESPACE);
+  const summary = await summarizeDocument(doc.title, doc.text);
+  const [vector] = await getEmbeddings([[doc.title, summary, doc.text].filter(Boolean).join('\n\n').slice(0, MAX_CHARS)]);
+  const embedding = '[' + toDim(vector, column.dim).join(',') + ']';
+
+  const dir = path.join(CORPUS_DIR, doc.relativePath);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${doc.filename}.txt`), doc.text, 'utf8');
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO documents (uuid, title, date, category, relative_path, filename, summary, search_tsv, court_division, statute_key) VALUES ($1,$2,$3::date,$4,$5,$6,$7,${documentSearchVectorSql('$9', '$2', '$7', '$8')},$10,$11) ON CONFLICT (uuid) DO UPDATE SET title = EXCLUDED.title, date = EXCLUDED.date, category = EXCLUDED.category, relative_path = EXCLUDED.relative_path, filename = EXCLUDED.filename, summary = EXCLUDED.summary, search_tsv = EXCLUDED.search_tsv, court_division = EXCLUDED.court_division, statute_key = EXCLUDED.statute_key, relations_scanned_at = NULL, citations_scanned_at = NULL`,
+      [uuid, doc.title, doc.date || MIN_DATE, doc.category, doc.relativePath, doc.filename, summary, truncateForIndex(doc.text), TS_CONFIG, detectCourtDivision(doc.text), statuteKey(doc.title)]
+    );
+    await client.query(
+      `INSERT INTO embeddings (uuid, embedding) VALUES ($1, $2::${column.type}) ON CONFLICT (uuid) DO UPDATE SET embedding = EXCLUDED.embedding`,
+      [uuid, embedding]
+    );
+    // Passages of the previous version are rebuilt by the next CHUNK_DOCUMENTS run
+    if (chunks) await client.query('DELETE FROM chunks WHERE uuid = $1', [uuid]);
+  });
+  return uuid;
+}
+
+function describe(doc) {
+  const extra = [doc.source.format, doc.source.encoding, doc.source.ocr ? 'OCR' : null].filter(Boolean).join(', ');
+  return `${doc.title} | ${doc.date || 'undated'} | ${doc.category || 'no category'} (${extra})`;
+}
+
+async function run() {
+  if (!SOURCE_DIR) throw new Error('no source directory: pass it as an argument or set INGEST_DIR');
+  if (!DRY_RUN && !CORPUS_DIR) throw new Error('RAG_CORPUS_PATH must be set to write the corpus files');
+  const files = await listSourceFiles(SOURCE_DIR);
+  console.log(`Found ${files.length} PDF, HTML and text files in ${SOURCE_DIR}`);
+
+  let column = null;
+  let chunks = false;
+  if (!DRY_RUN) {
+    loadModelRegistry();
+    initLlmProvider();
+    initEmbeddingBackend();
+    await connectDb();
+    column = await vectorColumnType({ query }, 'embeddings', 'embedding');
+    if (!column) throw new Error('embeddings table not found — run scripts/setup-db.mjs first');
+    chunks = await tableExists({ query }, 'chunks');
+  }
+
+  const seen = new Set();
+  let ingested = 0;
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const doc = await readSource(file);
+      const target = `${doc.relativePath}/${doc.filename}`;
+      if (seen.has(target)) throw new Error(`another file was already ingested as ${target}`);
+      seen.add(target);
+      if (DRY_RUN) {
+        console.log(`${file} -> ${target}: ${describe(doc)}`);
+      } else {
+        const uuid = await saveDocument(doc, { column, chunks });
+        console.log(`${file} -> ${target} (${uuid}): ${describe(doc)}`);
+      }
+      ingested++;
+    } catch (err) {
+      failed++;
+      console.warn(`Skipping ${file}:`, err?.message || err);
+    }
+  }
+
+  console.log(`${DRY_RUN ? 'Checked' : 'Ingested'} ${ingested} documents, ${failed} failed`);
+  if (!DRY_RUN && ingested > 0) {
+    console.log('Run scripts/setup-db.mjs to scan them for amendments and citations.');
+  }
+  if (failed > 0) process.exitCode = 1;
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error('ingest failed:', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
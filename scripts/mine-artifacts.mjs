@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/*
+  scripts/mine-artifacts.mjs
+
+  Mine the corpus (RAG_CORPUS_PATH, or the directory given as argument) for
+  encoding artifacts the formatter does not handle yet, and propose rules
+  for review:
+
+    artifacts   recurring tokens that cannot be words: garbled variants of
+                the Lawphil watermark, tokens mixing scripts, symbols or
+                digits into letters (src/formatter/artifactDetection.mjs).
+                Tokens the formatter already removes are only counted.
+    characters  what a U+FFFD stands for, learned from the same two
+                characters on each side elsewhere in the corpus ("Ni�o" ->
+                "ñ" when "Niño" is what the corpus has), when one character
+                fills that context in at least MINE_MIN_SHARE of the cases
+    mojibake    double-encoded UTF-8 ("PeÃ±a"), which the formatter
+                re-decodes (src/formatter/mojibake.mjs); listed so the source
+                of the files can be fixed
+
+  Each proposal carries its frequency, the number of documents and sample
+  contexts. They are written to MINE_OUTPUT; copy the accepted `artifacts`
+  and `characters` entries into config/encoding-artifacts.json (or the file
+  named by RAG_ENCODING_RULES), which formatDocument() applies.
+
+  Usage:
+    node scripts/mine-artifacts.mjs
+    MINE_MIN_COUNT=3 node scripts/mine-artifacts.mjs ./corpus/decisions
+*/
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { artifactReason, tokenize } from '../src/formatter/artifactDetection.mjs';
+import { removeEncodingArtifacts } from '../src/formatter/encodingArtifacts.mjs';
+import { CONTEXT_CHARS, characterKey } from '../src/formatter/learnedRules.mjs';
+import { findMojibake } from '../src/formatter/mojibake.mjs';
+import { listCorpusFiles } from '../src/utils/corpusFiles.mjs';
+
+const CORPUS_DIR = process.argv[2] || process.env.RAG_CORPUS_PATH || null;
+const OUTPUT = process.env.MINE_OUTPUT || 'config/encoding-artifacts.proposed.json';
+// A proposal needs this many occurrences, in at least MINE_MIN_DOCUMENTS documents
+const MIN_COUNT = parseInt(process.env.MINE_MIN_COUNT || '5', 10);
+const MIN_DOCUMENTS = parseInt(process.env.MINE_MIN_DOCUMENTS || '2', 10);
+// Share of a U+FFFD context one character must fill to be proposed
+const MIN_SHARE = Number(process.env.MINE_MIN_SHARE || '0.8');
+// Sample contexts kept per proposal, and their width on each side
+const SAMPLES = parseInt(process.env.MINE_SAMPLES || '3', 10);
+const SAMPLE_CHARS = 40;
+// Proposals printed per section (all are written to MINE_OUTPUT)
+const PRINTED = 20;
+const REPLACEMENT_CHAR = '\ufffd';
+
+function sampleAt(file, text, index, length) {
+  const before = text.slice(Math.max(0, index - SAMPLE_CHARS), index);
+  const after = text.slice(index + length, index + length + SAMPLE_CHARS);
+  return `${file}: …${before}[${text.slice(index, index + length)}]${after}…`.replace(/\s+/g, ' ');
+}
+
+// Count one occurrence of `key` in `tally`, which keeps the document count
+// (files are visited one at a time) and the first SAMPLES contexts
+function record(tally, key, file, fields, sample) {
+  let entry = tally.get(key);
+  if (!entry) {
+    entry = { ...fields, count: 0, documents: 0, samples: [], lastFile: null };
+    tally.set(key, entry);
+  }
+  entry.count++;
+  if (entry.lastFile !== file) {
+    entry.documents++;
+    entry.lastFile = file;
+  }
+  if (entry.samples.length < SAMPLES) entry.samples.push(sample());
+}
+
+const recurring = (entry) => entry.count >= MIN_COUNT && entry.documents >= MIN_DOCUMENTS;
+
+function finish(tally) {
+  return [...tally.values()]
+    .map((entry) => {
+      delete entry.lastFile;
+      return entry;
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+// First pass: suspicious tokens, double-encoded sequences and the contexts of U+FFFD
+function scanFile(file, text, { tokens, known, mojibake, contexts }) {
+  for (const { token, index } of tokenize(text)) {
+    // Those are learned as characters, double-encoded ones re-decoded
+    if (token.includes(REPLACEMENT_CHAR) || findMojibake(token).length > 0) continue;
+    const reason = artifactReason(token);
+    if (!reason) continue;
+    const tally = removeEncodingArtifacts(token) !== token ? known : tokens;
+    record(tally, token, file, { token, reason }, () => sampleAt(file, text, index, token.length));
+  }
+  for (const m of findMojibake(text)) {
+    record(mojibake, m.sequence, file, { sequence: m.sequence, replacement: m.replacement }, () =>
+      sampleAt(file, text, m.index, m.sequence.length)
+    );
+  }
+  for (let i = text.indexOf(REPLACEMENT_CHAR); i >= 0; i = text.indexOf(REPLACEMENT_CHAR, i + 1)) {
+    const before = text.slice(Math.max(0, i - CONTEXT_CHARS), i);
+    const after = text.slice(i + 1, i + 1 + CONTEXT_CHARS);
+    if (before.length < CONTEXT_CHARS || after.length < CONTEXT_CHARS) continue;
+    if (before.includes(REPLACEMENT_CHAR) || after.includes(REPLACEMENT_CHAR)) continue;
+    record(contexts, characterKey(before, after), file, { before, after, fills: new Map() }, () => sampleAt(file, text, i, 1));
+  }
+}
+
+// Second pass: the characters the corpus has inside each U+FFFD context
+function fillContexts(text, contexts, befores) {
+  for (let i = CONTEXT_CHARS; i < text.length - CONTEXT_CHARS; i++) {
+    if (text[i] === REPLACEMENT_CHAR || !befores.has(text.slice(i - CONTEXT_CHARS, i))) continue;
+    const entry = contexts.get(characterKey(text.slice(i - CONTEXT_CHARS, i), text.slice(i + 1, i + 1 + CONTEXT_CHARS)));
+    if (entry) entry.fills.set(text[i], (entry.fills.get(text[i]) || 0) + 1);
+  }
+}
+
+// Context entries whose most frequent fill is clear enough to propose
+function characterProposals(contexts) {
+  const proposals = [];
+  for (const { fills, ...entry } of finish(contexts)) {
+    const total = [...fills.values()].reduce((n, c) => n + c, 0);
+    const [replacement, seen] = [...fills].sort((a, b) => b[1] - a[1])[0] || [];
+    if (!recurring(entry) || !replacement || seen < MIN_COUNT || seen / total < MIN_SHARE) continue;
+    proposals.push({ ...entry, replacement, share: Number((seen / total).toFixed(2)), matches: total });
+  }
+  return proposals;
+}
+
+const shown = (s) => JSON.stringify(s).slice(1, -1);
+
+function printSection(title, entries, describe) {
+  console.log(`\n${title}: ${entries.length}`);
+  for (const e of entries.slice(0, PRINTED)) {
+    console.log(`  ${describe(e)}  ${e.count}× in ${e.documents} documents`);
+    for (const s of e.samples) console.log(`    ${s}`);
+  }
+  if (entries.length > PRINTED) console.log(`  ... ${entries.length - PRINTED} more in ${OUTPUT}`);
+}
+
+async function run() {
+  if (!CORPUS_DIR) throw new Error('no corpus: pass a directory or set RAG_CORPUS_PATH');
+  const files = [...(await listCorpusFiles(CORPUS_DIR)).keys()];
+  console.log(`Mining ${files.length} corpus files in ${CORPUS_DIR}`);
+
+  const tallies = { tokens: new Map(), known: new Map(), mojibake: new Map(), contexts: new Map() };
+  for (const file of files) {
+    scanFile(file, await fs.readFile(path.join(CORPUS_DIR, file), 'utf8'), tallies);
+  }
+  if (tallies.contexts.size > 0) {
+    const befores = new Set([...tallies.contexts.values()].map((c) => c.before));
+    for (const file of files) {
+      fillContexts(await fs.readFile(path.join(CORPUS_DIR, file), 'utf8'), tallies.contexts, befores);
+    }
+  }
+
+  const artifacts = finish(tallies.tokens).filter(recurring);
+  const characters = characterProposals(tallies.contexts);
+  const mojibake = finish(tallies.mojibake);
+  const known = finish(tallies.known);
+
+  printSection('Artifact tokens proposed', artifacts, (e) => `${e.token} (${e.reason})`);
+  printSection('Replacement characters learned', characters, (e) =>
+    `"${shown(e.before)}${REPLACEMENT_CHAR}${shown(e.after)}" -> "${shown(e.replacement)}" (${Math.round(e.share * 100)}% of ${e.matches} matches)`
+  );
+  printSection('Double-encoded sequences (re-decoded by the formatter)', mojibake, (e) => `${shown(e.sequence)} -> ${e.replacement}`);
+  if (known.length > 0) {
+    console.log(`\nKnown artifacts still in the corpus files: ${known.slice(0, PRINTED).map((e) => `${e.token} ${e.count}×`).join(', ')}`);
+  }
+
+  await fs.mkdir(path.dirname(OUTPUT), { recursive: true });
+  const proposals = { corpus: CORPUS_DIR, generatedAt: new Date().toISOString(), artifacts, characters, mojibake };
+  await fs.writeFile(OUTPUT, JSON.stringify(proposals, null, 2) + '\n', 'utf8');
+  console.log(`\nProposals written to ${OUTPUT}. Copy the accepted artifacts and characters into config/encoding-artifacts.json.`);
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error('mine-artifacts failed:', err?.message || err);
+  process.exitCode = 1;
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/*
+  scripts/reembed.mjs
+
+  Recompute every stored vector with the embedding backend the server uses
+  for queries (EMBEDDING_BACKEND, see src/llm.mjs), so documents and queries
+  come from the same model. Covers `embeddings` (one vector per document,
+  from its title, summary and body read from RAG_CORPUS_PATH) and, when it
+  exists, the passage index `chunks`.
+
+  New vectors are written to a staging column `embedding_next`, so the
+  running server keeps searching the old vectors until the end, when each
+  table's column is swapped in one transaction and its vector index rebuilt
+  (same method, sized to the table, see src/utils/vectorIndex.mjs). The
+  column keeps its storage type (`vector` or `halfvec`). An interrupted run
+  resumes where it stopped. Restart the server afterwards with the same
+  EMBEDDING_BACKEND and DOWNSAMPLE_DIM set to the printed dimension.
+
+  Usage:
+    EMBEDDING_BACKEND=local node scripts/reembed.mjs
+*/
+
+import { closeDb, connectDb, query, withTransaction } from '../src/db.mjs';
+import { getEmbeddings, initEmbeddingBackend } from '../src/llm.mjs';
+import { loadModelRegistry } from '../src/modelRegistry.mjs';
+import { readCorpusText } from '../src/utils/corpusFiles.mjs';
+import { toDim } from '../src/utils/downsample.mjs';
+import {
+  MIGRATE_STAGING_COMMENT,
+  createIndexSql,
+  isIndexable,
+  tableExists,
+  vectorColumnType,
+  vectorIndexes,
+} from '../src/utils/vectorIndex.mjs';
+
+const CORPUS_DIR = process.env.RAG_CORPUS_PATH || null;
+const DOWNSAMPLE_DIM = Number(process.env.DOWNSAMPLE_DIM) || null;
+const BATCH = parseInt(process.env.REEMBED_BATCH || '32', 10);
+// Characters of each document sent to the model; most truncate far earlier
+const MAX_CHARS = parseInt(process.env.REEMBED_MAX_CHARS || '8000', 10);
+const CREATE_INDEX = process.env.PGVECTOR_CREATE_INDEX !== 'false';
+
+const TABLES = {
+  embeddings: {
+    alias: 'e',
+    key: ['uuid'],
+    select: `SELECT e.uuid, m.title, m.summary, m.relative_path, m.filename
+             FROM embeddings e LEFT JOIN documents m USING (uuid)`,
+    text: documentText,
+  },
+  chunks: {
+    alias: 'c',
+    key: ['uuid', 'ordinal'],
+    select: 'SELECT c.uuid, c.ordinal, c.text FROM chunks c',
+    text: async (row) => row.text,
+  },
+};
+
+
+
+async function documentText(row) {
+  const body = await readCorpusText(CORPUS_DIR, row.relative_path, row.filename);
+  const text = [row.title, row.summary, body].filter(Boolean).join('\n\n').slice(0, MAX_CHARS);
+  return text.trim() || row.filename || String(row.uuid);
+}
+
+// Staging column of the target dimension, stored like `embedding`; a leftover
+// one of another dimension (previous run with a different model) or of an
+// unfinished vector-index migrate (the previous model's vectors) is discarded.
+async function ensureStagingColumn(table, dim) {
+  const type = (await vectorColumnType({ query }, table, 'embedding'))?.type || 'vector';
+  const existing = await vectorColumnType({ query }, table, 'embedding_next');
+  const migrated = existing?.comment === MIGRATE_STAGING_COMMENT;
+  if (existing?.dim === dim && existing.type === type && !migrated) return;
+  if (existing) {
+    console.log(`${table}: discarding staged vectors of dimension ${existing.dim}${migrated ? ' from vector-index migrate' : ''}`);
+    await query(`ALTER TABLE ${table} DROP COLUMN embedding_next`);
+  }
+  await query(`ALTER TABLE ${table} ADD COLUMN embedding_next ${type}(${dim})`);
+}
+
+async function fillTable(name, dim) {
+  const spec = TABLES[name];
+  const order = spec.key.map((k) => `${spec.alias}.${k}`).join(', ');
+  let done = 0;
+  for (;;) {
+    const { rows } = await query(
+      `${spec.select} WHERE ${spec.alias}.embedding_next IS NULL ORDER BY ${order} LIMIT $1`,
+      [BATCH]
+    );
+    if (rows.length === 0) break;
+
+    const texts = await Promise.all(rows.map((r) => spec.text(r)));
+    const vectors = await getEmbeddings(texts);
+    await withTransaction(async (client) => {
+      for (let i = 0; i < rows.length; i++) {
+        const params = spec.key.map((k) => rows[i][k]);
+        const where = spec.key.map((k, j) => `${k} = $${j + 2}`).join(' AND ');
+        await client.query(`UPDATE ${name} SET embedding_next = $1::vector WHERE ${where}`, [
+          '[' + toDim(vectors[i], dim).join(',') + ']',
+          ...params,
+        ]);
+      }
+    });
+    done += rows.length;
+    console.log(`${name}: re-embedded ${done} rows`);
+  }
+  console.log(`${name}: all ${done} remaining rows staged`);
+}
+
+// Replace `embedding` with the staged column and rebuild the vector index,
+// for all tables in one transaction so they never mix models
+async function swapColumns(names, dim) {
+  const types = {};
+  for (const name of names) types[name] = (await vectorColumnType({ query }, name, 'embedding_next')).type;
+  await withTransaction(async (client) => {
+    await client.query('SET LOCAL statement_timeout = 0');
+    for (const name of names) {
+      const indexes = await vectorIndexes(client, name);
+      for (const index of indexes) await client.query(`DROP INDEX IF EXISTS ${index.name}`);
+      await client.query(`ALTER TABLE ${name} DROP COLUMN embedding`);
+      await client.query(`ALTER TABLE ${name} RENAME COLUMN embedding_next TO embedding`);
+      await client.query(`ALTER TABLE ${name} ALTER COLUMN embedding SET NOT NULL`);
+      if (CREATE_INDEX && isIndexable(types[name], dim)) {
+        const { rows } = await client.query(`SELECT count(*)::int AS n FROM ${name}`);
+        const method = indexes[0]?.method || 'ivfflat';
+        // ivfflat clusters the rows present at build time
+        if (rows[0].n === 0 && method === 'ivfflat') continue;
+        await client.query(createIndexSql(name, { method, type: types[name], rows: rows[0].n }));
+      }
+    }
+  });
+  for (const name of names) console.log(`${name}: switched to ${types[name]}(${dim})`);
+}
+
+async function run() {
+  loadModelRegistry();
+  const backend = initEmbeddingBackend();
+  await connectDb();
+
+  // Probe the model for its output dimension
+  const [probe] = await getEmbeddings(['dimension probe']);
+  const modelDim = probe?.length;
+  if (!modelDim) throw new Error('embedding backend returned no vector');
+  const dim = DOWNSAMPLE_DIM && DOWNSAMPLE_DIM < modelDim ? DOWNSAMPLE_DIM : modelDim;
+  console.log(`Re-embedding with ${backend.name} (${backend.model}): model dim ${modelDim}, stored dim ${dim}`);
+  if (!CORPUS_DIR) console.warn('RAG_CORPUS_PATH not set — documents are embedded from titles and summaries only.');
+
+  const tables = [];
+  for (const name of Object.keys(TABLES)) {
+    if (await tableExists({ query }, name)) tables.push(name);
+  }
+  for (const name of tables) {
+    await ensureStagingColumn(name, dim);
+    await fillTable(name, dim);
+  }
+  await swapColumns(tables, dim);
+
+  if (DOWNSAMPLE_DIM !== dim) console.log(`Done. Restart the server with DOWNSAMPLE_DIM=${dim}.`);
+  else console.log('Done. Restart the server to use the new vectors.');
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error('reembed failed:', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
@@ -7,18 +7,62 @@
   NOT require an INPUT_FILE and
   will create the schema even when no input is provided.
 
+  Imports are incremental: every row stores a hash of its imported content
+  (for documents, including the corpus text), unchanged rows are skipped, and the
+  line reached is checkpointed in `import_state`, so an interrupted import
+  resumes where it stopped. Each import ends with a summary of added,
+  updated, unchanged and removed rows; IMPORT_PRUNE=true deletes the rows
+  that are no longer in the file.
+
+  New vector columns are `vector` unless VECTOR_STORAGE=halfvec, which halves
+  their size and allows an index on up to 4000 dimensions (2000 for
+  `vector`), so larger embeddings need no downsampling. A table without a
+  vector index gets one (VECTOR_INDEX_METHOD, ivfflat by default, or hnsw)
+  sized to its rows after the import; scripts/vector-index.mjs rebuilds
+  existing indexes and migrates the columns.
+
+  With CHUNK_DOCUMENTS=true it also builds the passage index (`chunks`):
+  every document without chunks is read from RAG_CORPUS_PATH, formatted,
+  split into passages and embedded with the configured LLM provider.
+
+  Documents found in RAG_CORPUS_PATH are also scanned for amendment and
+  repeal clauses, which fill the statute relationship graph
+  (`statute_relations`) behind the "amended by" warnings, and for the
+  identifiers they cite, which fill the citation graph (`citations`).
+
   Usage:
     INPUT_FILE=./output/embeddings/embeddings.jsonl node scripts/setup-db.mjs
+    CHUNK_DOCUMENTS=true node scripts/setup-db.mjs  # (re)fill missing chunks
+    IMPORT_PRUNE=true DOCUMENTS_FILE=./documents.jsonl node scripts/setup-db.mjs
     node scripts/setup-db.mjs  # only creates schema
 */
 
+import crypto from 'crypto';
 import { createReadStream } from 'fs';
 import fs from 'fs/promises';
 import readline from 'readline';
 
+import pLimit from 'p-limit';
 import { Client } from 'pg';
 
+import { formatDocument } from '../src/formatter/formatter.mjs';
+import { getQueryEmbedding } from '../src/llm.mjs';
+import { chunkText } from '../src/utils/chunking.mjs';
+import { citationKey, findCitations } from '../src/utils/citations.mjs';
+import { readCorpusText } from '../src/utils/corpusFiles.mjs';
+import { MIN_DATE, detectCourtDivision } from '../src/utils/documentFilters.mjs';
 import { downsampleEmbedding } from '../src/utils/downsample.mjs';
+import { TS_CONFIG, documentSearchVectorSql, truncateForIndex } from '../src/utils/fullText.mjs';
+import { detectStatuteRelations, statuteKey } from '../src/utils/statuteRelations.mjs';
+import {
+  INDEX_METHODS,
+  VECTOR_TYPES,
+  createIndexSql,
+  isIndexable,
+  tableExists,
+  vectorColumnType,
+  vectorIndexes,
+} from '../src/utils/vectorIndex.mjs';
 
 
 async function fileExists(p) {
@@ -33,6 +77,18 @@ async function fileExists(p) {
 const INPUT_FILE = process.env.INPUT_FILE || null;
 const DOWNSAMPLE_DIM = process.env.DOWNSAMPLE_DIM ? Number(process.env.DOWNSAMPLE_DIM) : null;
 const DOCUMENTS_FILE = process.env.DOCUMENTS_FILE || null;
+// Document bodies are read from the corpus to build the full-text index
+const CORPUS_DIR = process.env.RAG_CORPUS_PATH || null;
+const CHUNK_DOCUMENTS = process.env.CHUNK_DOCUMENTS === 'true';
+const CHUNK_EMBED_CONCURRENCY = parseInt(process.env.CHUNK_EMBED_CONCURRENCY || '4', 10);
+// Rows written per multi-row statement (and checkpoint) when importing
+const EMBEDDINGS_BATCH = parseInt(process.env.IMPORT_EMBEDDINGS_BATCH || '1000', 10);
+const DOCUMENTS_BATCH = parseInt(process.env.IMPORT_DOCUMENTS_BATCH || '500', 10);
+// Delete rows that are no longer in the imported files
+const IMPORT_PRUNE = process.env.IMPORT_PRUNE === 'true';
+// Storage of new vector columns and method of new vector indexes
+const VECTOR_STORAGE = (process.env.VECTOR_STORAGE || 'vector').toLowerCase();
+const VECTOR_INDEX_METHOD = (process.env.VECTOR_INDEX_METHOD || 'ivfflat').toLowerCase();
 
 // Prefer explicit DATABASE_URL when available — it commonly comes from platforms
 // like Dokku and encodes the full host/port/user/password in one string.
@@ -77,46 +133,27 @@ async function connectWithRetries(retries = 8, delayMs = 2000) {
   }
 }
 
-async function tableExists(tableName) {
-  const res = await client.query(
-    `SELECT EXISTS (
-       SELECT 1 FROM information_schema.tables
-       WHERE table_schema = current_schema() AND table_name = $1
-     )`,
-    [tableName]
-  );
-  return !!res.rows[0].exists;
-}
-
-async function getDbEmbeddingDim() {
-  try {
-    const res = await client.query(`
-      SELECT pg_catalog.format_type(a.atttypid, a.atttypmod) AS t
-      FROM pg_attribute a
-      JOIN pg_class c ON a.attrelid = c.oid
-      WHERE c.relname = 'embeddings' AND a.attname = 'embedding'
-      LIMIT 1
-    `);
-    if (!res.rows || !res.rows[0] || !res.rows[0].t) return null;
-    const t = res.rows[0].t; // e.g. 'vector(1536)'
-    const m = t.match(/vector\((\d+)\)/i);
-    if (m) return Number(m[1]);
-    return null;
-  } catch {
-    // if query fails, assume no dimension info
-    return null;
-  }
+// Adjust embedding length to final targetDim — downsample or pad with zeros.
+function adjustEmbeddingToDim(arr, finalDim) {
+  if (!Array.isArray(arr)) return arr;
+  const orig = arr.length;
+  if (!finalDim || finalDim === orig) return arr.slice();
+  if (orig > finalDim) return downsampleEmbedding(arr, finalDim);
+  // orig < finalDim -> pad with zeros
+  const out = arr.slice();
+  for (let i = orig; i < finalDim; i++) out.push(0);
+  return out;
 }
 
-
-async function createTablesWithVector(dim, createVectorIndex = true) {
+// The vector index is created by ensureVectorIndex() once the table has rows
+async function createTablesWithVector(dim, type) {
   await client.query(`CREATE EXTENSION IF NOT EXISTS vector;`);
 
 
   await client.query(`
     CREATE TABLE IF NOT EXISTS embeddings (
       uuid UUID PRIMARY KEY,
-      embedding vector(${dim}) NOT NULL
+      embedding ${type}(${dim}) NOT NULL
     );
   `);
 
@@ -129,21 +166,16 @@ async function createTablesWithVector(dim, createVectorIndex = true) {
       category TEXT,
       relative_path TEXT,
       filename TEXT,
-      summary TEXT
+      summary TEXT,
+      search_tsv tsvector,
+      court_division TEXT,
+      statute_key TEXT,
+      relations_scanned_at TIMESTAMPTZ,
+      citation_key TEXT,
+      citations_scanned_at TIMESTAMPTZ
     );
   `);
 
-  if (createVectorIndex) {
-    try {
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_embeddings_vector_ivfflat ON embeddings USING ivfflat (embedding) WITH (lists = 100);`);
-    } catch (err) {
-      console.warn('Failed to create ivfflat index:', err.message || err);
-      console.warn('Falling back to no vector index. Search queries will be slower for large datasets.');
-    }
-  } else {
-    console.warn(`Skipping creation of ivfflat vector index because embedding dimension (${dim}) > 2000.`);
-  }
-
   // Create trigram or fallback indexes for documents filename
   try {
     await client.query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
@@ -220,37 +252,45 @@ async function run() {
     
 
     // Only create the embeddings tables/indexes when they don't already exist
-    const embeddingsExists = await tableExists('embeddings');
+    const embeddingsExists = await tableExists(client, 'embeddings');
 
     // If embeddings table exists, query its declared dimension so we can
     // import compatible vectors (downsample or pad inputs when needed).
     let dbEmbeddingDim = null;
+    let vectorType = VECTOR_STORAGE;
     if (embeddingsExists) {
-      dbEmbeddingDim = await getDbEmbeddingDim();
-      if (dbEmbeddingDim) console.log(`Found existing embeddings column dimension: ${dbEmbeddingDim}`);
+      const column = await vectorColumnType(client, 'embeddings', 'embedding');
+      if (column) {
+        dbEmbeddingDim = column.dim;
+        vectorType = column.type;
+        console.log(`Found existing embeddings column: ${column.type}(${column.dim})`);
+      }
     }
+    if (!VECTOR_TYPES[vectorType]) throw new Error(`VECTOR_STORAGE must be one of ${Object.keys(VECTOR_TYPES).join(', ')}`);
+    if (!INDEX_METHODS.includes(VECTOR_INDEX_METHOD)) throw new Error(`VECTOR_INDEX_METHOD must be one of ${INDEX_METHODS.join(', ')}`);
+    const { maxIndexDim } = VECTOR_TYPES[vectorType];
 
     let createVectorIndex = false;
     let finalDim = Number(targetDim);
     const indexWanted = (process.env.PGVECTOR_CREATE_INDEX !== 'false');
     if (embeddingsExists && dbEmbeddingDim) {
-      // DB table exists; index only possible if DB dim <= 2000
-      createVectorIndex = dbEmbeddingDim <= 2000 && indexWanted;
+      // DB table exists; index only possible up to the type's limit
+      createVectorIndex = isIndexable(vectorType, dbEmbeddingDim) && indexWanted;
       finalDim = dbEmbeddingDim;
     } else {
       // No existing table; we can choose a smaller finalDim to allow indexing
-      if (finalDim <= 2000) {
+      if (finalDim <= maxIndexDim) {
         createVectorIndex = indexWanted;
       } else if (indexWanted) {
         // choose a safe indexable dim (use DOWNSAMPLE_DIM if provided; otherwise default 1536)
         const envIdx = Number.isFinite(Number(DOWNSAMPLE_DIM)) && Number(DOWNSAMPLE_DIM) > 0 ? Number(DOWNSAMPLE_DIM) : 1536;
         const chosen = envIdx;
-        if (chosen <= 2000) {
-          console.log(`Target dim ${finalDim} > 2000 — downsampling to ${chosen} so a vector index can be created`);
+        if (chosen <= maxIndexDim) {
+          console.log(`Target dim ${finalDim} > ${maxIndexDim} — downsampling to ${chosen} so a vector index can be created`);
           finalDim = chosen;
           createVectorIndex = true;
         } else {
-          console.warn(`Requested index dimension ${chosen} is >2000 — skipping vector index`);
+          console.warn(`Requested index dimension ${chosen} is >${maxIndexDim} — skipping vector index`);
           createVectorIndex = false;
         }
       } else {
@@ -262,26 +302,16 @@ async function run() {
 
     if (!embeddingsExists) {
       console.log('embeddings missing -> creating schema');
-      console.log(`Creating embeddings with vector dim ${finalDim} (indexable=${createVectorIndex})`);
-      await createTablesWithVector(finalDim, createVectorIndex);
+      console.log(`Creating embeddings with ${vectorType} dim ${finalDim} (indexable=${createVectorIndex})`);
+      await createTablesWithVector(finalDim, vectorType);
       // If we've just created the table, this is now the DB embedding dim
       if (!dbEmbeddingDim) dbEmbeddingDim = finalDim;
       // ensure we insert using the final dimension (may be downsampled for index)
       targetDim = finalDim;
       // If we've just created the table, this is now the DB embedding dim
       if (!dbEmbeddingDim) dbEmbeddingDim = targetDim;
-    } else {
-      console.log('embeddings already exist — ensuring indexes');
-      if (createVectorIndex) {
-        try {
-          await client.query(`CREATE INDEX IF NOT EXISTS idx_embeddings_vector_ivfflat ON embeddings USING ivfflat (embedding) WITH (lists = 100);`);
-        } catch (err) {
-          console.warn('Unable to create ivfflat index on existing table:', err.message || err);
-          console.warn('Search may be slower; consider re-embedding or enabling PGVECTOR_CREATE_INDEX.');
-        }
-      } else {
-        console.warn(`Not creating vector index: embeddings dimension (${targetDim}) > 2000.`);
-      }
+    } else if (!createVectorIndex && indexWanted) {
+      console.warn(`Not creating vector index: embeddings dimension (${dbEmbeddingDim}) > ${maxIndexDim} for ${vectorType}.`);
     }
 
     // If the DB already has an embeddings dimension (dbEmbeddingDim) and it's
@@ -296,11 +326,11 @@ async function run() {
 
     // Also ensure suggestion tables exist (create inlined here so we don't need a
     // separate script file). Create only when missing so we avoid dropping existing data.
-    const suggestionsExists = await tableExists('suggestions');
-    const suggestionsMetaExists = await tableExists('suggestions_meta');
+    const suggestionsExists = await tableExists(client, 'suggestions');
+    const suggestionsMetaExists = await tableExists(client, 'suggestions_meta');
 
     // Ensure documents table exists (create when missing)
-    const documentsExists = await tableExists('documents');
+    const documentsExists = await tableExists(client, 'documents');
     async function createDocumentsIfMissing() {
       try {
         if (!documentsExists) {
@@ -313,7 +343,13 @@ async function run() {
               category TEXT,
               relative_path TEXT,
               filename TEXT,
-              summary TEXT
+              summary TEXT,
+              search_tsv tsvector,
+              court_division TEXT,
+              statute_key TEXT,
+              relations_scanned_at TIMESTAMPTZ,
+              citation_key TEXT,
+              citations_scanned_at TIMESTAMPTZ
             );
           `);
           try {
@@ -347,6 +383,93 @@ async function run() {
       console.warn('Warning: unable to enforce documents.date NOT NULL/default:', err?.message || err);
     }
 
+    // Full-text index for hybrid (lexical + vector) search. Older databases
+    // get the column added here and are backfilled after the imports below.
+    try {
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS search_tsv tsvector`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_search_tsv ON documents USING GIN (search_tsv)`);
+    } catch (err) {
+      console.warn('Warning: unable to create documents.search_tsv full-text index:', err?.message || err);
+    }
+
+    // Court division ("EN BANC", "THIRD DIVISION") read from each decision's
+    // header, for the search `division` filter. NULL = not checked yet, '' = none.
+    try {
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS court_division TEXT`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_court_division ON documents (court_division)`);
+    } catch (err) {
+      console.warn('Warning: unable to create documents.court_division:', err?.message || err);
+    }
+
+    // Statute relationship graph: which law amends or repeals which, keyed
+    // like 'ra:9262' (src/utils/statuteRelations.mjs). `statute_key` is the
+    // law a document is; `relations_scanned_at` marks documents whose text
+    // has been analyzed (set it to NULL to analyze a document again).
+    try {
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS statute_key TEXT`);
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS relations_scanned_at TIMESTAMPTZ`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_statute_key ON documents (statute_key)`);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS statute_relations (
+          source_uuid UUID NOT NULL,
+          from_key TEXT NOT NULL,
+          relation TEXT NOT NULL CHECK (relation IN ('amends', 'repeals')),
+          to_key TEXT NOT NULL,
+          provision TEXT NOT NULL DEFAULT '',
+          from_label TEXT,
+          to_label TEXT,
+          evidence TEXT,
+          PRIMARY KEY (source_uuid, from_key, relation, to_key, provision)
+        );
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_statute_relations_to_key ON statute_relations (to_key)`);
+    } catch (err) {
+      console.warn('Warning: unable to create statute_relations:', err?.message || err);
+    }
+
+    // Citation graph: every identifier a document cites ('gr:123456',
+    // 'ra:9262', see src/utils/citations.mjs), resolved to the document whose
+    // `citation_key` it is. `citations_scanned_at` works like
+    // `relations_scanned_at` above.
+    try {
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS citation_key TEXT`);
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS citations_scanned_at TIMESTAMPTZ`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_documents_citation_key ON documents (citation_key)`);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS citations (
+          citing_uuid UUID NOT NULL,
+          cited_key TEXT NOT NULL,
+          cited_label TEXT,
+          mentions INT NOT NULL DEFAULT 1,
+          resolved_uuid UUID,
+          PRIMARY KEY (citing_uuid, cited_key)
+        );
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_citations_resolved_uuid ON citations (resolved_uuid)`);
+      await client.query(`CREATE INDEX IF NOT EXISTS idx_citations_cited_key ON citations (cited_key)`);
+    } catch (err) {
+      console.warn('Warning: unable to create citations:', err?.message || err);
+    }
+
+    // Passage index: overlapping chunks of each document with their own
+    // embeddings (same dimension as `embeddings`). Offsets point into the
+    // formatted document text served by /api/file/:uuid.
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS chunks (
+          uuid UUID NOT NULL,
+          ordinal INT NOT NULL,
+          start_offset INT NOT NULL,
+          end_offset INT NOT NULL,
+          text TEXT NOT NULL,
+          embedding ${vectorType}(${targetDim}) NOT NULL,
+          PRIMARY KEY (uuid, ordinal)
+        );
+      `);
+    } catch (err) {
+      console.warn('Warning: unable to create chunks table:', err?.message || err);
+    }
+
     async function createSuggestionTablesIfMissing() {
       if (!suggestionsExists) {
         console.log('Creating suggestions table...');
@@ -388,101 +511,57 @@ async function run() {
       console.log('suggestions tables already exist — skipping');
     }
 
-    // If input file present, optionally import (use reduced importer behavior)
+    // Incremental imports: each row keeps a hash of what it was built from, so
+    // unchanged rows are skipped, and `import_state` checkpoints the input line
+    // reached, so an interrupted import resumes after the last committed batch.
+    try {
+      await client.query(`ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS content_hash TEXT`);
+      await client.query(`ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_hash TEXT`);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS import_state (
+          source TEXT PRIMARY KEY,
+          file TEXT NOT NULL,
+          file_size BIGINT NOT NULL,
+          file_mtime TIMESTAMPTZ NOT NULL,
+          line BIGINT NOT NULL DEFAULT 0,
+          added INT NOT NULL DEFAULT 0,
+          updated INT NOT NULL DEFAULT 0,
+          unchanged INT NOT NULL DEFAULT 0,
+          skipped INT NOT NULL DEFAULT 0,
+          started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+          finished_at TIMESTAMPTZ
+        );
+      `);
+    } catch (err) {
+      console.warn('Warning: unable to create import state:', err?.message || err);
+    }
+
     if (INPUT_FILE && (await fileExists(INPUT_FILE))) {
-      console.log('Importing from provided INPUT_FILE ...');
-
-      // Use a lightweight streaming importer (based on previous importer logic)
-      const stream = createReadStream(INPUT_FILE);
-      const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-      const BATCH = 10000;
-      let batch = [];
-      let totalProcessed = 0;
-      let totalSkipped = 0;
-
-      for await (const line of rl) {
-        if (!line.trim()) continue;
-        let obj;
-        try {
-          obj = JSON.parse(line);
-        } catch {
-          totalSkipped++;
-          continue;
-        }
-        let embedding = obj.embedding || null;
-        if (!Array.isArray(embedding) || embedding.length === 0) {
-          totalSkipped++;
-          continue;
-        }
-        embedding = embedding.map((v) => (typeof v === 'number' ? v : Number(v)));
-        // Adjust embedding length to final targetDim — downsample or pad with zeros.
-        const adjustEmbeddingToDim = (arr, finalDim) => {
-          if (!Array.isArray(arr)) return arr;
-          const orig = arr.length;
-          if (!finalDim || finalDim === orig) return arr.slice();
-          if (orig > finalDim) return downsampleEmbedding(arr, finalDim);
-          // orig < finalDim -> pad with zeros
-          const out = arr.slice();
-          for (let i = orig; i < finalDim; i++) out.push(0);
-          return out;
-        };
-
-        const embeddingToInsert = adjustEmbeddingToDim(embedding, targetDim);
-        batch.push({ uuid: obj.uuid, embedding: embeddingToInsert, filename: obj.filename || null, relative_path: obj.relative_path || null, extracted_title: obj.extracted_title || null });
-
-        if (batch.length >= BATCH) {
-          await insertBatch(batch);
-          totalProcessed += batch.length;
-          console.log(`Inserted ${totalProcessed} (skipped ${totalSkipped})`);
-          batch = [];
-        }
-      }
-      if (batch.length > 0) {
-        await insertBatch(batch);
-        totalProcessed += batch.length;
-      }
-      console.log(`Finished import: ${totalProcessed} inserted, ${totalSkipped} skipped`);
+      console.log('Importing embeddings from', INPUT_FILE);
+      await importEmbeddings(INPUT_FILE, targetDim);
     }
 
     // Import documents only if DOCUMENTS_FILE is explicitly provided
     if (DOCUMENTS_FILE) {
       if (await fileExists(DOCUMENTS_FILE)) {
         console.log('Importing documents from', DOCUMENTS_FILE);
-        const streamD = createReadStream(DOCUMENTS_FILE);
-        const rld = readline.createInterface({ input: streamD, crlfDelay: Infinity });
-
-      const BATCH_DOCS = 2000;
-      let batchDocs = [];
-      let totalDocs = 0;
-      let skippedDocs = 0;
-
-      for await (const line of rld) {
-        if (!line.trim()) continue;
-        let obj;
-        try {
-          obj = JSON.parse(line);
-        } catch {
-          skippedDocs++;
-          continue;
-        }
-        if (!obj.uuid) { skippedDocs++; continue; }
-        batchDocs.push({ uuid: obj.uuid, title: obj.title || null, date: obj.date || null, category: obj.category || null, relative_path: obj.relative_path || null, filename: obj.filename || null, summary: obj.summary || null });
-        if (batchDocs.length >= BATCH_DOCS) {
-          await insertDocumentsBatch(batchDocs);
-          totalDocs += batchDocs.length;
-          console.log(`Inserted ${totalDocs} (skipped ${skippedDocs})`);
-          batchDocs = [];
-        }
-      }
-      if (batchDocs.length > 0) {
-        await insertDocumentsBatch(batchDocs);
-        totalDocs += batchDocs.length;
+        await importDocuments(DOCUMENTS_FILE);
+      } else {
+        console.warn(`DOCUMENTS_FILE set (${DOCUMENTS_FILE}) but not found — skipping documents import.`);
       }
-      console.log(`Finished documents import: ${totalDocs} inserted, ${skippedDocs} skipped`);
-    } else {
-      console.warn(`DOCUMENTS_FILE set (${DOCUMENTS_FILE}) but not found — skipping documents import.`);
     }
-  }
+
+    await backfillSearchVectors();
+    await backfillCourtDivisions();
+    await analyzeStatuteRelations();
+    await analyzeCitations();
+
+    if (CHUNK_DOCUMENTS) await buildChunks(targetDim);
+
+    if (createVectorIndex) {
+      await ensureVectorIndex('embeddings');
+      await ensureVectorIndex('chunks');
+    }
 
     console.log('setup-db: done');
   } catch (err) {
@@ -497,73 +576,479 @@ async function run() {
   }
 }
 
-async function insertBatch(records) {
+const UUID_FIELD = /"uuid"\s*:\s*"([^"]+)"/;
+
+function contentHash(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(String(part ?? '')).update('\0');
+  return hash.digest('hex');
+}
+
+// Line to resume `file` from: the checkpoint of an unfinished import of the
+// same file (same size and modification time), else 0 with fresh counts
+async function startImport(source, file) {
+  const stat = await fs.stat(file);
+  const { rows } = await client.query(`SELECT * FROM import_state WHERE source = $1`, [source]);
+  const state = rows[0];
+  if (
+    state && !state.finished_at && state.file === file &&
+    Number(state.file_size) === stat.size && new Date(state.file_mtime).getTime() === stat.mtime.getTime()
+  ) {
+    console.log(`${source}: resuming ${file} after line ${state.line}`);
+    const counts = { added: state.added, updated: state.updated, unchanged: state.unchanged, skipped: state.skipped };
+    return { line: Number(state.line), counts };
+  }
+  await client.query(
+    `INSERT INTO import_state (source, file, file_size, file_mtime) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (source) DO UPDATE SET file = EXCLUDED.file, file_size = EXCLUDED.file_size, file_mtime = EXCLUDED.file_mtime,
+       line = 0, added = 0, updated = 0, unchanged = 0, skipped = 0, started_at = now(), finished_at = NULL`,
+    [source, file, stat.size, stat.mtime]
+  );
+  return { line: 0, counts: { added: 0, updated: 0, unchanged: 0, skipped: 0 } };
+}
+
+// Stream a JSONL file into `table`. `toRecord(line)` returns { uuid, hash, ... }
+// or null for lines to skip; `upsert(records)` writes the added and changed
+// records. Each batch commits together with its checkpoint. Imported rows of
+// `table` missing from the file are reported, and deleted by `prune(uuids)` when
+// IMPORT_PRUNE=true.
+async function importJsonl(source, file, { table, batchSize, toRecord, upsert, prune }) {
+  const { line: resumeLine, counts } = await startImport(source, file);
+  const seen = new Set();
+  let batch = new Map();
+  let lineNo = 0;
+
+  async function flush() {
+    const records = [...batch.values()];
+    batch = new Map();
+    const { rows } = await client.query(`SELECT uuid, content_hash FROM ${table} WHERE uuid = ANY($1::uuid[])`, [
+      records.map((r) => r.uuid),
+    ]);
+    const stored = new Map(rows.map((r) => [r.uuid, r.content_hash]));
+    const changed = records.filter((r) => stored.get(r.uuid) !== r.hash);
+    for (const r of records) {
+      if (!stored.has(r.uuid)) counts.added++;
+      else if (stored.get(r.uuid) !== r.hash) counts.updated++;
+      else counts.unchanged++;
+    }
     try {
       await client.query('BEGIN');
-      for (const rec of records) {
-        const embeddingParam = '[' + rec.embedding.join(',') + ']';
-        await client.query(
-          `INSERT INTO embeddings (uuid, embedding) VALUES ($1, $2::vector) ON CONFLICT (uuid) DO UPDATE SET embedding = EXCLUDED.embedding`,
-          [rec.uuid, embeddingParam]
-        );
-        // Note: documents are handled via DOCUMENTS_FILE import
-        // and stored in the `documents` table.
-      }
+      if (changed.length > 0) await upsert(changed);
+      await client.query(
+        `UPDATE import_state SET line = $2, added = $3, updated = $4, unchanged = $5, skipped = $6 WHERE source = $1`,
+        [source, lineNo, counts.added, counts.updated, counts.unchanged, counts.skipped]
+      );
       await client.query('COMMIT');
     } catch (err) {
       await client.query('ROLLBACK');
-      throw new Error(`DB error inserting batch: ${err.message}`);
+      throw new Error(`DB error importing ${source} (before line ${lineNo}): ${err.message}`);
+    }
+    console.log(`${source}: ${lineNo} lines (${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged)`);
+  }
+
+  const rl = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    if (lineNo <= resumeLine) {
+      // Committed by the interrupted run; only needed to tell which rows were removed
+      const m = line.match(UUID_FIELD);
+      if (m) seen.add(m[1].toLowerCase());
+      continue;
+    }
+    const record = await toRecord(line);
+    if (!record) {
+      counts.skipped++;
+      continue;
     }
+    record.uuid = record.uuid.toLowerCase();
+    seen.add(record.uuid);
+    // The same uuid twice in one statement is an error; the later line wins
+    batch.delete(record.uuid);
+    batch.set(record.uuid, record);
+    if (batch.size >= batchSize) await flush();
   }
+  if (batch.size > 0 || lineNo > resumeLine) await flush();
+  await client.query(`UPDATE import_state SET finished_at = now() WHERE source = $1`, [source]);
 
-async function insertDocumentsBatch(records) {
-  const MIN_DATE = '0001-01-01';
-  function sanitizeDate(d) {
-    if (d === null || typeof d === 'undefined') return MIN_DATE;
-    // Accept valid ISO date or datetime strings; reject literal 'null' or empty strings
-    if (typeof d === 'string') {
-      const s = d.trim();
-      if (s === '' || s.toLowerCase() === 'null') return MIN_DATE;
-      const ts = Date.parse(s);
-      if (!Number.isFinite(ts)) return MIN_DATE;
-      // convert to YYYY-MM-DD to avoid timezone shifts when casting
+  // Rows without a hash were not imported from a file (scripts/ingest.mjs)
+  const { rows } = await client.query(`SELECT uuid FROM ${table} WHERE content_hash IS NOT NULL`);
+  const removed = rows.map((r) => r.uuid).filter((uuid) => !seen.has(uuid));
+  if (removed.length > 0 && IMPORT_PRUNE) {
+    await client.query('BEGIN');
+    try {
+      await prune(removed);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw new Error(`DB error removing ${source} rows: ${err.message}`);
+    }
+  }
+  const removal = removed.length > 0 && !IMPORT_PRUNE ? ' (kept; IMPORT_PRUNE=true deletes them)' : '';
+  console.log(
+    `Finished ${source} import: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged, ` +
+      `${removed.length} removed${removal}, ${counts.skipped} skipped`
+  );
+}
+
+// Embeddings JSONL: { uuid, embedding: [...] } per line, fitted to the
+// column's dimension. The hash covers the stored vector.
+async function importEmbeddings(file, dim) {
+  await importJsonl('embeddings', file, {
+    table: 'embeddings',
+    batchSize: EMBEDDINGS_BATCH,
+    toRecord(line) {
+      let obj;
       try {
-        const dt = new Date(ts);
-        if (isNaN(dt.getTime())) return MIN_DATE;
-        return dt.toISOString().slice(0, 10);
+        obj = JSON.parse(line);
       } catch {
-        return MIN_DATE;
+        return null;
+      }
+      if (!obj.uuid || !Array.isArray(obj.embedding) || obj.embedding.length === 0) return null;
+      const embedding = '[' + adjustEmbeddingToDim(obj.embedding.map(Number), dim).join(',') + ']';
+      return { uuid: obj.uuid, hash: contentHash(embedding), embedding };
+    },
+    async upsert(records) {
+      await client.query(
+        `INSERT INTO embeddings (uuid, embedding, content_hash)
+         SELECT * FROM unnest($1::uuid[], $2::vector[], $3::text[])
+         ON CONFLICT (uuid) DO UPDATE SET embedding = EXCLUDED.embedding, content_hash = EXCLUDED.content_hash`,
+        [records.map((r) => r.uuid), records.map((r) => r.embedding), records.map((r) => r.hash)]
+      );
+    },
+    async prune(uuids) {
+      await client.query(`DELETE FROM embeddings WHERE uuid = ANY($1::uuid[])`, [uuids]);
+    },
+  });
+}
+
+// Fill documents.search_tsv for rows imported before the column existed
+async function backfillSearchVectors() {
+  const BATCH = 500;
+  let total = 0;
+  try {
+    if (!CORPUS_DIR) console.warn('RAG_CORPUS_PATH not set — full-text index will cover titles and summaries only.');
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT uuid, title, summary, relative_path, filename FROM documents WHERE search_tsv IS NULL LIMIT $1`,
+        [BATCH]
+      );
+      if (rows.length === 0) break;
+      await client.query('BEGIN');
+      for (const r of rows) {
+        const body = truncateForIndex(await readCorpusText(CORPUS_DIR, r.relative_path, r.filename));
+        await client.query(
+          `UPDATE documents SET search_tsv = ${documentSearchVectorSql('$2', '$3', '$4', '$5')} WHERE uuid = $1`,
+          [r.uuid, TS_CONFIG, r.title, r.summary, body]
+        );
+      }
+      await client.query('COMMIT');
+      total += rows.length;
+      console.log(`Full-text index: backfilled ${total} documents`);
+    }
+    if (total > 0) console.log(`Full-text index backfill complete (${total} documents)`);
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* ignore */ }
+    console.warn('Full-text index backfill failed:', err?.message || err);
+  }
+}
+
+// Fill documents.court_division for rows imported before the column existed
+// or while the corpus was unavailable
+async function backfillCourtDivisions() {
+  if (!CORPUS_DIR) return;
+  const BATCH = 500;
+  let lastUuid = '00000000-0000-0000-0000-000000000000';
+  let total = 0;
+  try {
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT uuid, relative_path, filename FROM documents WHERE court_division IS NULL AND uuid > $1 ORDER BY uuid LIMIT $2`,
+        [lastUuid, BATCH]
+      );
+      if (rows.length === 0) break;
+      lastUuid = rows[rows.length - 1].uuid;
+      await client.query('BEGIN');
+      for (const r of rows) {
+        const text = await readCorpusText(CORPUS_DIR, r.relative_path, r.filename);
+        if (text == null) continue;
+        await client.query(`UPDATE documents SET court_division = $2 WHERE uuid = $1`, [r.uuid, detectCourtDivision(text)]);
+        total++;
       }
+      await client.query('COMMIT');
     }
-    // If it's a number (timestamp), try to format it
-    if (typeof d === 'number') {
-      const dt = new Date(d);
+    if (total > 0) console.log(`Court divisions: checked ${total} documents`);
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* ignore */ }
+    console.warn('Court division backfill failed:', err?.message || err);
+  }
+}
+
+// Record the amendment and repeal clauses of every document not analyzed
+// yet. Documents whose text is missing keep relations_scanned_at NULL and are
+// picked up by a later run with the corpus available.
+async function analyzeStatuteRelations() {
+  if (!CORPUS_DIR) return;
+  const BATCH = 500;
+  let lastUuid = '00000000-0000-0000-0000-000000000000';
+  let documents = 0;
+  let edges = 0;
+  try {
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT uuid, title, relative_path, filename FROM documents
+         WHERE relations_scanned_at IS NULL AND uuid > $1 ORDER BY uuid LIMIT $2`,
+        [lastUuid, BATCH]
+      );
+      if (rows.length === 0) break;
+      lastUuid = rows[rows.length - 1].uuid;
+      await client.query('BEGIN');
+      for (const r of rows) {
+        const text = await readCorpusText(CORPUS_DIR, r.relative_path, r.filename);
+        if (text == null) continue;
+        const key = statuteKey(r.title);
+        await client.query(`DELETE FROM statute_relations WHERE source_uuid = $1`, [r.uuid]);
+        for (const e of detectStatuteRelations(text, key)) {
+          await client.query(
+            `INSERT INTO statute_relations (source_uuid, from_key, relation, to_key, provision, from_label, to_label, evidence)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) ON CONFLICT DO NOTHING`,
+            [r.uuid, e.fromKey, e.relation, e.toKey, e.provision, e.fromLabel, e.toLabel, e.evidence]
+          );
+          edges++;
+        }
+        await client.query(`UPDATE documents SET statute_key = $2, relations_scanned_at = now() WHERE uuid = $1`, [r.uuid, key]);
+        documents++;
+      }
+      await client.query('COMMIT');
+    }
+    if (documents > 0) console.log(`Statute relations: ${edges} amendment/repeal clauses in ${documents} documents`);
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* ignore */ }
+    console.warn('Statute relation analysis failed:', err?.message || err);
+  }
+}
+
+// Record the identifiers cited by every document not analyzed yet, then
+// resolve all unresolved citations against `documents.citation_key`, so
+// citations of documents imported later are picked up by the next run.
+async function analyzeCitations() {
+  if (!CORPUS_DIR) return;
+  const BATCH = 500;
+  let lastUuid = '00000000-0000-0000-0000-000000000000';
+  let documents = 0;
+  let cited = 0;
+  try {
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT uuid, title, relative_path, filename FROM documents
+         WHERE citations_scanned_at IS NULL AND uuid > $1 ORDER BY uuid LIMIT $2`,
+        [lastUuid, BATCH]
+      );
+      if (rows.length === 0) break;
+      lastUuid = rows[rows.length - 1].uuid;
+      await client.query('BEGIN');
+      for (const r of rows) {
+        const text = await readCorpusText(CORPUS_DIR, r.relative_path, r.filename);
+        if (text == null) continue;
+        const key = citationKey(r.title, text);
+        await client.query(`DELETE FROM citations WHERE citing_uuid = $1`, [r.uuid]);
+        for (const c of findCitations(text)) {
+          if (c.key === key) continue;
+          await client.query(
+            `INSERT INTO citations (citing_uuid, cited_key, cited_label, mentions) VALUES ($1,$2,$3,$4)`,
+            [r.uuid, c.key, c.label, c.mentions]
+          );
+          cited++;
+        }
+        await client.query(`UPDATE documents SET citation_key = $2, citations_scanned_at = now() WHERE uuid = $1`, [r.uuid, key]);
+        documents++;
+      }
+      await client.query('COMMIT');
+    }
+    if (documents > 0) console.log(`Citations: ${cited} cited identifiers in ${documents} documents`);
+
+    // Several documents may carry one identifier (duplicates, consolidated
+    // cases): cite the most recent
+    const { rowCount } = await client.query(`
+      UPDATE citations c SET resolved_uuid = (
+        SELECT d.uuid FROM documents d WHERE d.citation_key = c.cited_key ORDER BY d.date DESC, d.uuid LIMIT 1
+      )
+      WHERE c.resolved_uuid IS NULL AND EXISTS (SELECT 1 FROM documents d WHERE d.citation_key = c.cited_key)
+    `);
+    if (rowCount > 0) console.log(`Citations: resolved ${rowCount} citations to corpus documents`);
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* ignore */ }
+    console.warn('Citation analysis failed:', err?.message || err);
+  }
+}
+
+// Create the vector index of `table` when it has none, with VECTOR_INDEX_METHOD
+// and options sized to its rows. ivfflat clusters the rows present at build
+// time, so an empty table is left for a later run. Existing indexes are kept;
+// scripts/vector-index.mjs rebuilds them.
+async function ensureVectorIndex(table) {
+  try {
+    if (!(await tableExists(client, table))) return;
+    if ((await vectorIndexes(client, table)).length > 0) return;
+    const { rows } = await client.query(`SELECT count(*)::int AS n FROM ${table}`);
+    if (rows[0].n === 0 && VECTOR_INDEX_METHOD === 'ivfflat') {
+      console.log(`${table}: no rows yet — the ivfflat index is created by a later run`);
+      return;
+    }
+    const { type } = (await vectorColumnType(client, table, 'embedding')) || { type: 'vector' };
+    console.log(`${table}: creating ${VECTOR_INDEX_METHOD} index over ${rows[0].n} rows`);
+    await client.query(createIndexSql(table, { method: VECTOR_INDEX_METHOD, type, rows: rows[0].n }));
+  } catch (err) {
+    console.warn(`Unable to create vector index on ${table}:`, err?.message || err);
+    console.warn('Search may be slower; scripts/vector-index.mjs can build it later.');
+  }
+}
+
+// Chunk and embed every document that has no rows in `chunks` yet. Documents
+// are processed one transaction each, so an interrupted run resumes where it
+// stopped. To rebuild after the corpus or formatter changed, TRUNCATE chunks.
+async function buildChunks(dim) {
+  if (!CORPUS_DIR) {
+    console.warn('CHUNK_DOCUMENTS set but RAG_CORPUS_PATH is not — skipping passage index.');
+    return;
+  }
+  const BATCH = 100;
+  const limit = pLimit(CHUNK_EMBED_CONCURRENCY);
+  let lastUuid = '00000000-0000-0000-0000-000000000000';
+  let documents = 0;
+  let passages = 0;
+  try {
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT d.uuid, d.relative_path, d.filename FROM documents d
+         WHERE d.uuid > $1 AND NOT EXISTS (SELECT 1 FROM chunks c WHERE c.uuid = d.uuid)
+         ORDER BY d.uuid LIMIT $2`,
+        [lastUuid, BATCH]
+      );
+      if (rows.length === 0) break;
+      lastUuid = rows[rows.length - 1].uuid;
+
+      for (const r of rows) {
+        const raw = await readCorpusText(CORPUS_DIR, r.relative_path, r.filename);
+        if (!raw) continue;
+        const chunks = chunkText(await formatDocument(raw));
+        if (chunks.length === 0) continue;
+        const embeddings = await Promise.all(chunks.map((c) => limit(() => getQueryEmbedding(c.text))));
+        if (embeddings.some((e) => !Array.isArray(e) || e.length === 0)) {
+          console.warn(`Passage index: no embedding returned for a chunk of ${r.uuid} — skipping document`);
+          continue;
+        }
+
+        await client.query('BEGIN');
+        for (let i = 0; i < chunks.length; i++) {
+          const c = chunks[i];
+          const embeddingParam = '[' + adjustEmbeddingToDim(embeddings[i], dim).join(',') + ']';
+          await client.query(
+            `INSERT INTO chunks (uuid, ordinal, start_offset, end_offset, text, embedding) VALUES ($1,$2,$3,$4,$5,$6::vector)`,
+            [r.uuid, c.ordinal, c.start, c.end, c.text, embeddingParam]
+          );
+        }
+        await client.query('COMMIT');
+        documents++;
+        passages += chunks.length;
+      }
+      console.log(`Passage index: ${passages} passages from ${documents} documents`);
+    }
+    console.log(`Passage index complete (${documents} documents chunked)`);
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch { /* ignore */ }
+    console.warn('Building passage index failed:', err?.message || err);
+    process.exitCode = 1;
+  }
+}
+
+function sanitizeDate(d) {
+  if (d === null || typeof d === 'undefined') return MIN_DATE;
+  // Accept valid ISO date or datetime strings; reject literal 'null' or empty strings
+  if (typeof d === 'string') {
+    const s = d.trim();
+    if (s === '' || s.toLowerCase() === 'null') return MIN_DATE;
+    const ts = Date.parse(s);
+    if (!Number.isFinite(ts)) return MIN_DATE;
+    // convert to YYYY-MM-DD to avoid timezone shifts when casting
+    try {
+      const dt = new Date(ts);
       if (isNaN(dt.getTime())) return MIN_DATE;
       return dt.toISOString().slice(0, 10);
+    } catch {
+      return MIN_DATE;
     }
-    // Fallback
-    return MIN_DATE;
   }
+  // If it's a number (timestamp), try to format it
+  if (typeof d === 'number') {
+    const dt = new Date(d);
+    if (isNaN(dt.getTime())) return MIN_DATE;
+    return dt.toISOString().slice(0, 10);
+  }
+  // Fallback
+  return MIN_DATE;
+}
 
-  try {
-    await client.query('BEGIN');
-    for (const r of records) {
-      let dateToInsert = sanitizeDate(r.date);
+// Documents JSONL: one `documents` row per line, with its full-text vector
+// and court division built from the corpus text. The hash covers the row's
+// fields, the text and the text search configuration, so editing a corpus file or
+// PG_TS_CONFIG re-imports the document (and rescans it for amendments and
+// citations).
+async function importDocuments(file) {
+  await importJsonl('documents', file, {
+    table: 'documents',
+    batchSize: DOCUMENTS_BATCH,
+    async toRecord(line) {
+      let obj;
+      try {
+        obj = JSON.parse(line);
+      } catch {
+        return null;
+      }
+      if (!obj.uuid) return null;
+      const r = { uuid: obj.uuid, title: obj.title || null, date: obj.date || null, category: obj.category || null, relative_path: obj.relative_path || null, filename: obj.filename || null, summary: obj.summary || null };
       // Ensure we never insert NULL into the NOT NULL column — use MIN_DATE as sentinel
-      if (!dateToInsert) dateToInsert = MIN_DATE;
-      if (dateToInsert === MIN_DATE && r.date && String(r.date).trim() !== '') {
+      const date = sanitizeDate(r.date) || MIN_DATE;
+      if (date === MIN_DATE && r.date && String(r.date).trim() !== '') {
         console.warn(`Note: replacing invalid date value for uuid=${r.uuid} (original=${r.date}) with ${MIN_DATE}`);
       }
+      const text = await readCorpusText(CORPUS_DIR, r.relative_path, r.filename);
+      return {
+        ...r,
+        date,
+        hash: contentHash(JSON.stringify(r), text, TS_CONFIG),
+        body: truncateForIndex(text),
+        division: text == null ? null : detectCourtDivision(text),
+        statuteKey: statuteKey(r.title),
+      };
+    },
+    async upsert(records) {
+      const column = (name) => records.map((r) => r[name]);
       await client.query(
-        `INSERT INTO documents (uuid, title, date, category, relative_path, filename, summary) VALUES ($1,$2,$3::date,$4,$5,$6,$7) ON CONFLICT (uuid) DO UPDATE SET title = EXCLUDED.title, date = EXCLUDED.date, category = EXCLUDED.category, relative_path = EXCLUDED.relative_path, filename = EXCLUDED.filename, summary = EXCLUDED.summary`,
-        [r.uuid, r.title, dateToInsert, r.category, r.relative_path, r.filename, r.summary]
+        `INSERT INTO documents (uuid, title, date, category, relative_path, filename, summary, search_tsv, court_division, statute_key, content_hash)
+         SELECT t.uuid, t.title, t.date, t.category, t.relative_path, t.filename, t.summary,
+                ${documentSearchVectorSql('$1', 't.title', 't.summary', 't.body')}, t.court_division, t.statute_key, t.content_hash
+         FROM unnest($2::uuid[], $3::text[], $4::date[], $5::text[], $6::text[], $7::text[], $8::text[], $9::text[], $10::text[], $11::text[], $12::text[])
+           AS t(uuid, title, date, category, relative_path, filename, summary, body, court_division, statute_key, content_hash)
+         ON CONFLICT (uuid) DO UPDATE SET title = EXCLUDED.title, date = EXCLUDED.date, category = EXCLUDED.category, relative_path = EXCLUDED.relative_path, filename = EXCLUDED.filename, summary = EXCLUDED.summary, search_tsv = EXCLUDED.search_tsv, court_division = EXCLUDED.court_division, statute_key = EXCLUDED.statute_key, content_hash = EXCLUDED.content_hash, relations_scanned_at = NULL, citations_scanned_at = NULL`,
+        [
+          TS_CONFIG,
+          column('uuid'), column('title'), column('date'), column('category'), column('relative_path'), column('filename'),
+          column('summary'), column('body'), column('division'), column('statuteKey'), column('hash'),
+        ]
       );
-    }
-    await client.query('COMMIT');
-  } catch (err) {
-    await client.query('ROLLBACK');
-    throw new Error(`DB error inserting documents batch: ${err.message}`);
-  }
+      // Passages of the previous text are rebuilt by the chunk builder
+      await client.query(`DELETE FROM chunks WHERE uuid = ANY($1::uuid[])`, [column('uuid')]);
+    },
+    // A removed document takes its passages and graph edges with it
+    async prune(uuids) {
+      await client.query(`DELETE FROM chunks WHERE uuid = ANY($1::uuid[])`, [uuids]);
+      await client.query(`DELETE FROM statute_relations WHERE source_uuid = ANY($1::uuid[])`, [uuids]);
+      await client.query(`DELETE FROM citations WHERE citing_uuid = ANY($1::uuid[])`, [uuids]);
+      await client.query(`UPDATE citations SET resolved_uuid = NULL WHERE resolved_uuid = ANY($1::uuid[])`, [uuids]);
+      await client.query(`DELETE FROM documents WHERE uuid = ANY($1::uuid[])`, [uuids]);
+    },
+  });
 }
 
 await run();
@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+/*
+  scripts/vector-index.mjs
+
+  Manage the vector columns and indexes of `embeddings` and, when it exists,
+  the passage index `chunks` (see src/utils/vectorIndex.mjs):
+
+    status   column type, row count and vector index of each table, with the
+             index options suggested for its size (the default command)
+    rebuild  build each table's index again with options sized to its rows:
+             ivfflat lists or hnsw m / ef_construction. The method is
+             VECTOR_INDEX_METHOD, else the table's current one. Searches keep
+             using the old index until the new one replaces it; writes wait
+             for the build.
+    migrate  convert the columns to VECTOR_STORAGE (`vector` or `halfvec`)
+             and/or MIGRATE_DIM dimensions without dropping rows. `halfvec`
+             can be indexed up to 4000 dimensions, so embeddings no longer
+             need downsampling to 2000. Vectors are converted, or downsampled
+             when the dimension shrinks; a larger dimension needs the
+             original vectors of every document from INPUT_FILE (the
+             setup-db embeddings JSONL), which are also preferred over
+             downsampling the stored ones. Passages cannot be widened
+             (re-embed them with scripts/reembed.mjs). New values go to the
+             staging column `embedding_next` like reembed, so the server
+             keeps searching until the columns are swapped in one
+             transaction, and an interrupted run resumes. A staging column
+             left by an unfinished reembed stops it.
+
+  The server reads the index of each table every few minutes and sets
+  ivfflat.probes / hnsw.ef_search per query (SEARCH_IVFFLAT_PROBES and
+  SEARCH_HNSW_EF_SEARCH override them). After a migration to another
+  dimension, restart it with DOWNSAMPLE_DIM set to the printed dimension.
+
+  Usage:
+    node scripts/vector-index.mjs
+    VECTOR_INDEX_METHOD=hnsw node scripts/vector-index.mjs rebuild
+    VECTOR_STORAGE=halfvec node scripts/vector-index.mjs migrate
+    VECTOR_STORAGE=halfvec MIGRATE_DIM=3072 INPUT_FILE=./output/embeddings/embeddings.jsonl node scripts/vector-index.mjs migrate
+*/
+
+import { createReadStream } from 'fs';
+import readline from 'readline';
+
+import { closeDb, connectDb, query, withTransaction } from '../src/db.mjs';
+import { toDim } from '../src/utils/downsample.mjs';
+import {
+  INDEX_METHODS,
+  MIGRATE_STAGING_COMMENT,
+  VECTOR_TYPES,
+  createIndexSql,
+  indexParameters,
+  isIndexable,
+  tableExists,
+  vectorColumnType,
+  vectorIndexName,
+  vectorIndexes,
+} from '../src/utils/vectorIndex.mjs';
+
+const COMMAND = process.argv[2] || 'status';
+const INDEX_METHOD = process.env.VECTOR_INDEX_METHOD ? process.env.VECTOR_INDEX_METHOD.toLowerCase() : null;
+const STORAGE = process.env.VECTOR_STORAGE ? process.env.VECTOR_STORAGE.toLowerCase() : null;
+const MIGRATE_DIM = parseInt(process.env.MIGRATE_DIM || '0', 10) || null;
+const INPUT_FILE = process.env.INPUT_FILE || null;
+const DOWNSAMPLE_DIM = Number(process.env.DOWNSAMPLE_DIM) || null;
+// maintenance_work_mem of index builds, e.g. '2GB'; hnsw builds far faster
+// when the graph fits
+const WORK_MEM = process.env.VECTOR_INDEX_WORK_MEM || null;
+const BATCH = parseInt(process.env.MIGRATE_BATCH || '1000', 10);
+
+// Primary key of each table, with the types to unnest it as
+const TABLES = {
+  embeddings: { key: ['uuid'], keyTypes: ['uuid'] },
+  chunks: { key: ['uuid', 'ordinal'], keyTypes: ['uuid', 'int'] },
+};
+
+async function rowCount(client, table) {
+  const { rows } = await client.query(`SELECT count(*)::int AS n FROM ${table}`);
+  return rows[0].n;
+}
+
+async function listTables() {
+  const names = [];
+  for (const name of Object.keys(TABLES)) {
+    if (await tableExists({ query }, name)) names.push(name);
+  }
+  if (!names.includes('embeddings')) throw new Error('embeddings table not found — run scripts/setup-db.mjs first');
+  return names;
+}
+
+const formatOptions = (options) =>
+  Object.entries(options)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ');
+
+async function status(names) {
+  for (const name of names) {
+    const column = await vectorColumnType({ query }, name, 'embedding');
+    const rows = await rowCount({ query }, name);
+    console.log(`${name}: ${column ? `${column.type}(${column.dim})` : 'unknown column type'}, ${rows} rows`);
+    const indexes = await vectorIndexes({ query }, name);
+    for (const index of indexes) {
+      console.log(`  ${index.name}: ${index.method} (${formatOptions(index.options) || 'default options'}), ${index.size}`);
+    }
+    if (!column) continue;
+    if (!isIndexable(column.type, column.dim)) {
+      console.log(`  no index possible: ${column.type} is indexed up to ${VECTOR_TYPES[column.type].maxIndexDim} dimensions`);
+    } else {
+      if (indexes.length === 0) console.log('  no vector index — searches scan every row');
+      for (const method of INDEX_METHODS) console.log(`  sized for ${rows} rows: ${method} (${formatOptions(indexParameters(method, rows))})`);
+    }
+    const staged = await stagingColumn(name);
+    if (staged) console.log(`  staging column embedding_next: ${staged.type}(${staged.dim}) from an unfinished ${staged.ours ? 'migrate' : 'reembed'}`);
+    if (name === 'embeddings' && DOWNSAMPLE_DIM && DOWNSAMPLE_DIM !== column.dim) {
+      console.log(`  DOWNSAMPLE_DIM=${DOWNSAMPLE_DIM} does not match the column: queries will fail`);
+    }
+  }
+}
+
+// Session settings of an index build
+async function prepareBuild(client) {
+  await client.query('SET LOCAL statement_timeout = 0');
+  if (WORK_MEM) await client.query(`SELECT set_config('maintenance_work_mem', $1, true)`, [WORK_MEM]);
+}
+
+// Build the index under a temporary name, then drop the old ones and take
+// their name, so searches have an index throughout
+async function rebuild(names) {
+  if (INDEX_METHOD && !INDEX_METHODS.includes(INDEX_METHOD)) {
+    throw new Error(`VECTOR_INDEX_METHOD must be one of ${INDEX_METHODS.join(', ')}`);
+  }
+  for (const name of names) {
+    const column = await vectorColumnType({ query }, name, 'embedding');
+    if (!column || !isIndexable(column.type, column.dim)) {
+      console.warn(`${name}: ${column ? `${column.type}(${column.dim})` : 'column'} cannot be indexed — skipped (see migrate)`);
+      continue;
+    }
+    const target = await withTransaction(async (client) => {
+      await prepareBuild(client);
+      const old = await vectorIndexes(client, name);
+      const method = INDEX_METHOD || old[0]?.method || 'ivfflat';
+      const rows = await rowCount(client, name);
+      const indexName = vectorIndexName(name, method);
+      console.log(`${name}: building ${method} (${formatOptions(indexParameters(method, rows))}) over ${rows} rows`);
+      await client.query(`DROP INDEX IF EXISTS ${indexName}_new`);
+      await client.query(createIndexSql(name, { method, type: column.type, rows, name: `${indexName}_new` }));
+      for (const index of old) await client.query(`DROP INDEX ${index.name}`);
+      await client.query(`ALTER INDEX ${indexName}_new RENAME TO ${indexName}`);
+      return indexName;
+    });
+    console.log(`${name}: index ${target} ready`);
+  }
+}
+
+// { type, dim, ours } of a leftover staging column, or null. Only ours are
+// resumed: one left by reembed.mjs holds another model's vectors for part of the rows.
+async function stagingColumn(table) {
+  const column = await vectorColumnType({ query }, table, 'embedding_next');
+  return column && { type: column.type, dim: column.dim, ours: column.comment === MIGRATE_STAGING_COMMENT };
+}
+
+// Staging column of the target type; a leftover one of a previous migrate to
+// another type is discarded
+async function ensureStagingColumn(table, { type, dim }) {
+  const existing = await stagingColumn(table);
+  if (existing?.type === type && existing.dim === dim) return;
+  if (existing) {
+    console.log(`${table}: discarding staged ${existing.type}(${existing.dim}) vectors`);
+    await query(`ALTER TABLE ${table} DROP COLUMN embedding_next`);
+  }
+  await query(`ALTER TABLE ${table} ADD COLUMN embedding_next ${type}(${dim})`);
+  await query(`COMMENT ON COLUMN ${table}.embedding_next IS '${MIGRATE_STAGING_COMMENT}'`);
+}
+
+// Stage the vectors of `embeddings` from the original vectors in INPUT_FILE;
+// ids not in the table are ignored
+async function stageFromFile(target) {
+  const rl = readline.createInterface({ input: createReadStream(INPUT_FILE), crlfDelay: Infinity });
+  // uuid -> vector literal; the same uuid twice in one statement is an error
+  const batch = new Map();
+  let staged = 0;
+  const flush = async () => {
+    if (batch.size === 0) return;
+    const { rowCount: n } = await query(
+      `UPDATE embeddings e SET embedding_next = s.v::${target.type}(${target.dim})
+       FROM unnest($1::uuid[], $2::text[]) AS s(uuid, v)
+       WHERE e.uuid = s.uuid`,
+      [[...batch.keys()], [...batch.values()]]
+    );
+    staged += n;
+    batch.clear();
+    console.log(`embeddings: staged ${staged} vectors from ${INPUT_FILE}`);
+  };
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!obj.uuid || !Array.isArray(obj.embedding) || obj.embedding.length < target.dim) continue;
+    batch.set(obj.uuid.toLowerCase(), '[' + toDim(obj.embedding.map(Number), target.dim).join(',') + ']');
+    if (batch.size >= BATCH) await flush();
+  }
+  await flush();
+}
+
+// Stage the rows not staged yet from their current vectors: cast, or
+// downsampled when the dimension shrinks
+async function stageFromColumn(table, current, target) {
+  const { key, keyTypes } = TABLES[table];
+  const keys = key.join(', ');
+  const downsample = target.dim < current.dim;
+  let last = null;
+  let staged = 0;
+  for (;;) {
+    const after = last ? `AND (${keys}) > (${key.map((_, i) => `$${i + 2}`).join(', ')})` : '';
+    const { rows } = await query(
+      `SELECT ${keys}${downsample ? ', embedding::text AS v' : ''} FROM ${table}
+       WHERE embedding_next IS NULL ${after} ORDER BY ${keys} LIMIT $1`,
+      [BATCH, ...(last || [])]
+    );
+    if (rows.length === 0) break;
+    last = key.map((k) => rows[rows.length - 1][k]);
+
+    const columns = key.map((k, i) => `$${i + 1}::${keyTypes[i]}[]`);
+    const params = key.map((k) => rows.map((r) => r[k]));
+    if (downsample) {
+      columns.push(`$${key.length + 1}::text[]`);
+      params.push(rows.map((r) => '[' + toDim(JSON.parse(r.v), target.dim).join(',') + ']'));
+    }
+    await query(
+      `UPDATE ${table} t SET embedding_next = ${downsample ? 's.v' : 't.embedding'}::${target.type}(${target.dim})
+       FROM unnest(${columns.join(', ')}) AS s(${keys}${downsample ? ', v' : ''})
+       WHERE ${key.map((k) => `t.${k} = s.${k}`).join(' AND ')}`,
+      params
+    );
+    staged += rows.length;
+    console.log(`${table}: converted ${staged} vectors`);
+  }
+}
+
+// Replace `embedding` with the staged column and rebuild the vector index,
+// for all tables in one transaction so they never mix dimensions
+async function swapColumns(names, target) {
+  await withTransaction(async (client) => {
+    await prepareBuild(client);
+    for (const name of names) {
+      const indexes = await vectorIndexes(client, name);
+      for (const index of indexes) await client.query(`DROP INDEX ${index.name}`);
+      await client.query(`ALTER TABLE ${name} DROP COLUMN embedding`);
+      await client.query(`ALTER TABLE ${name} RENAME COLUMN embedding_next TO embedding`);
+      await client.query(`ALTER TABLE ${name} ALTER COLUMN embedding SET NOT NULL`);
+      await client.query(`COMMENT ON COLUMN ${name}.embedding IS NULL`);
+      if (!isIndexable(target.type, target.dim)) continue;
+      const method = INDEX_METHOD || indexes[0]?.method || 'ivfflat';
+      const rows = await rowCount(client, name);
+      if (rows === 0 && method === 'ivfflat') {
+        console.log(`${name}: no rows — run rebuild once it is filled`);
+        continue;
+      }
+      console.log(`${name}: building ${method} index over ${rows} rows`);
+      await client.query(createIndexSql(name, { method, type: target.type, rows }));
+    }
+  });
+  console.log(`${names.join(', ')}: switched to ${target.type}(${target.dim})`);
+}
+
+async function migrate(names) {
+  const current = {};
+  for (const name of names) {
+    current[name] = await vectorColumnType({ query }, name, 'embedding');
+    if (!current[name]) throw new Error(`${name}.embedding is not a vector column`);
+  }
+  const target = { type: STORAGE || current.embeddings.type, dim: MIGRATE_DIM || current.embeddings.dim };
+  if (!VECTOR_TYPES[target.type]) throw new Error(`VECTOR_STORAGE must be one of ${Object.keys(VECTOR_TYPES).join(', ')}`);
+  if (INDEX_METHOD && !INDEX_METHODS.includes(INDEX_METHOD)) {
+    throw new Error(`VECTOR_INDEX_METHOD must be one of ${INDEX_METHODS.join(', ')}`);
+  }
+  if (names.every((name) => current[name].type === target.type && current[name].dim === target.dim)) {
+    console.log(`Nothing to migrate: already ${target.type}(${target.dim})`);
+    return;
+  }
+  // Everything that would stop the migration is checked before writing
+  if (target.dim > current.embeddings.dim && !INPUT_FILE) {
+    throw new Error(`embeddings are ${current.embeddings.dim}-dimensional; set INPUT_FILE to the original vectors to widen them`);
+  }
+  if (names.includes('chunks') && target.dim > current.chunks.dim && (await rowCount({ query }, 'chunks')) > 0) {
+    throw new Error('passages cannot be widened from their stored vectors: re-embed them with scripts/reembed.mjs, or TRUNCATE chunks and rebuild with CHUNK_DOCUMENTS=true');
+  }
+  for (const name of names) {
+    const staged = await stagingColumn(name);
+    if (staged && !staged.ours) {
+      throw new Error(
+        `${name}.embedding_next holds vectors of an unfinished scripts/reembed.mjs run: finish it, or discard them with ALTER TABLE ${name} DROP COLUMN embedding_next`
+      );
+    }
+  }
+  if (!isIndexable(target.type, target.dim)) {
+    console.warn(`${target.type}(${target.dim}) cannot be indexed (limit ${VECTOR_TYPES[target.type].maxIndexDim}): searches will scan every row`);
+  }
+  console.log(`Migrating ${names.map((name) => `${name} ${current[name].type}(${current[name].dim})`).join(', ')} -> ${target.type}(${target.dim})`);
+
+  for (const name of names) {
+    await ensureStagingColumn(name, target);
+    if (name === 'embeddings' && INPUT_FILE) await stageFromFile(target);
+    if (target.dim <= current[name].dim) await stageFromColumn(name, current[name], target);
+    const { rows } = await query(`SELECT count(*)::int AS n FROM ${name} WHERE embedding_next IS NULL`);
+    if (rows[0].n > 0) throw new Error(`${name}: ${rows[0].n} rows have no vector in ${INPUT_FILE}; the staged vectors are kept for a re-run`);
+  }
+  await swapColumns(names, target);
+
+  if (target.dim !== current.embeddings.dim) console.log(`Done. Restart the server with DOWNSAMPLE_DIM=${target.dim}.`);
+  else console.log('Done.');
+}
+
+async function run() {
+  const commands = { status, rebuild, migrate };
+  if (!commands[COMMAND]) throw new Error(`unknown command "${COMMAND}" (expected ${Object.keys(commands).join(', ')})`);
+  await connectDb();
+  await commands[COMMAND](await listTables());
+}
+
+try {
+  await run();
+} catch (err) {
+  console.error('vector-index failed:', err?.message || err);
+  process.exitCode = 1;
+} finally {
+  await closeDb();
+}
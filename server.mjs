@@ -3,9 +3,12 @@ import http from 'http';
 import { WebSocketServer } from 'ws';
 
 import { connectDb, closeDb } from './src/db.mjs';
+import { initEmbeddingBackend, initLlmProvider } from './src/llm.mjs';
 import { log } from './src/logs.mjs';
+import { loadModelRegistry } from './src/modelRegistry.mjs';
 import { applyCorsPolicy, handlePreflight } from './src/server/requestProcessor.mjs';
 import { routeRequest } from './src/server/requestRouter.mjs';
+import { LIMITS } from './src/server/schemas/messages.mjs';
 import { handleWebSocket } from './src/server/wsHandler.mjs';
 
 const PORT = process.env.RAG_PORT;
@@ -18,11 +21,16 @@ async function handleRequest(req, res) {
 }
 
 async function main() {
+  loadModelRegistry();
+  initLlmProvider();
+  initEmbeddingBackend();
+
   await connectDb();
   log('Database connected');
 
   const server = http.createServer(handleRequest);
-  const wss = new WebSocketServer({ server });
+  // Oversized messages close the socket (1009) before they are parsed
+  const wss = new WebSocketServer({ server, maxPayload: LIMITS.bodyBytes });
 
   wss.on('connection', (ws, req) => {
     handleWebSocket(ws, req);
@@ -1,8 +1,8 @@
 import { URL } from 'url';
 
-import { Client } from 'pg';
+import pg from 'pg';
 
-import { log } from './logs.mjs';
+import { log, warn } from './logs.mjs';
 
 function pgConfigFromEnv() {
   const dbUrl = process.env.DATABASE_URL;
@@ -42,18 +42,122 @@ function pgConfigFromEnv() {
   };
 }
 
-const pgClient = new Client(pgConfigFromEnv());
+// Connection pool shared by the server. Each query checks a connection out
+// for its own duration, and transactions get a dedicated connection through
+// withTransaction(), so concurrent requests can no longer interleave
+// statements inside each other's BEGIN/COMMIT. Connections that drop are
+// discarded and replaced on the next checkout.
+const POOL_MAX = parseInt(process.env.PG_POOL_MAX || '10', 10);
+// Server-side cap on any single statement (ms); 0 disables it
+const STATEMENT_TIMEOUT = parseInt(process.env.PG_STATEMENT_TIMEOUT_MS || '15000', 10);
+const CONNECT_RETRIES = parseInt(process.env.PG_CONNECT_RETRIES || '10', 10);
+const CONNECT_RETRY_DELAY = parseInt(process.env.PG_CONNECT_RETRY_DELAY_MS || '2000', 10);
 
-export async function connectDb() {
-  await pgClient.connect();
+const pool = new pg.Pool({
+  ...pgConfigFromEnv(),
+  max: POOL_MAX,
+  idleTimeoutMillis: 30000,
+  ...(STATEMENT_TIMEOUT > 0 ? { statement_timeout: STATEMENT_TIMEOUT } : {}),
+});
+
+// An idle connection dying (server restart, network blip) is reported here.
+// Without a listener it would be an unhandled 'error' event and crash the process.
+pool.on('error', (err) => {
+  warn('Postgres idle connection error (will reconnect on next use):', err?.message || err);
+});
+
+// Errors meaning the connection itself failed, as opposed to the statement:
+// safe to retry a standalone query on a fresh connection.
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'ETIMEDOUT',
+  '57P01', // admin_shutdown
+  '57P02', // crash_shutdown
+  '57P03', // cannot_connect_now
+  '08000', // connection_exception
+  '08003', // connection_does_not_exist
+  '08006', // connection_failure
+]);
+
+function isConnectionError(err) {
+  if (!err) return false;
+  if (CONNECTION_ERROR_CODES.has(err.code)) return true;
+  return /Connection terminated|connection timeout|Client has encountered a connection error/i.test(
+    String(err.message || '')
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Run a single statement on any pooled connection. Retried once on a fresh
+// connection if the first one turned out to be dead.
+export async function query(text, params) {
+  try {
+    return await pool.query(text, params);
+  } catch (err) {
+    if (!isConnectionError(err)) throw err;
+    warn('Postgres connection lost, retrying query once:', err?.message || err);
+    return pool.query(text, params);
+  }
+}
+
+// Run `fn(client)` inside BEGIN/COMMIT on a dedicated connection. Rolls back
+// and rethrows if `fn` throws. A connection that failed mid-transaction is
+// destroyed instead of being returned to the pool.
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  let broken = null;
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      broken = rollbackErr;
+    }
+    if (isConnectionError(err)) broken = err;
+    throw err;
+  } finally {
+    client.release(broken || undefined);
+  }
+}
+
+// Wait for the database at startup (it may still be booting under docker
+// compose), retrying with a fixed delay before giving up.
+export async function connectDb({ retries = CONNECT_RETRIES, delayMs = CONNECT_RETRY_DELAY } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await pool.query('SELECT 1');
+      return;
+    } catch (err) {
+      if (attempt > retries) throw err;
+      warn(`Postgres not reachable (attempt ${attempt}/${retries + 1}): ${err?.message || err}`);
+      await sleep(delayMs);
+    }
+  }
+}
+
+// Liveness probe for /api/health: round-trips a trivial query and reports pool usage
+export async function checkDbHealth() {
+  const started = Date.now();
+  const stats = { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount };
+  try {
+    await pool.query('SELECT 1');
+    return { ok: true, latencyMs: Date.now() - started, pool: stats };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err), pool: stats };
+  }
 }
 
 export async function closeDb() {
   try {
-    await pgClient.end();
+    await pool.end();
   } catch {
     /* ignore close errors */
   }
 }
-
-export { pgClient };
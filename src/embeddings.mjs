@@ -3,106 +3,253 @@ import path from 'path';
 
 import pLimit from 'p-limit';
 
-import { pgClient } from './db.mjs';
+import { query as dbQuery } from './db.mjs';
 import { getQueryEmbedding }  from './llm.mjs';
-import { log } from './logs.mjs';
+import { log, warn } from './logs.mjs';
+import { attachCitedBy } from './search/citations.mjs';
+import { rankByTime } from './search/temporal.mjs';
+import { vectorQuery } from './search/vectorQuery.mjs';
+import { throwIfAborted } from './utils/abort.mjs';
+import { MIN_DATE, filterSql } from './utils/documentFilters.mjs';
 import { downsampleEmbedding } from './utils/downsample.mjs';
+import { TS_CONFIG } from './utils/fullText.mjs';
+import { identifierVariants, LOOKUP_TYPES, parseIdentifiers } from './utils/legalIdentifiers.mjs';
 
 const CORPUS_DIR = process.env.RAG_CORPUS_PATH;
 
+// 'hybrid' fuses pgvector distance with Postgres full-text rank (documents.search_tsv,
+// built by scripts/setup-db.mjs); 'vector' is pure embedding distance.
+const SEARCH_MODE = (process.env.SEARCH_MODE || 'hybrid').toLowerCase();
+// Candidates taken from each ranking before fusion
+const HYBRID_CANDIDATES = parseInt(process.env.SEARCH_HYBRID_CANDIDATES || '50', 10);
+// Reciprocal rank fusion constant: higher values flatten the advantage of top ranks
+const RRF_K = parseInt(process.env.SEARCH_RRF_K || '60', 10);
+// Best-ranked documents counted by searchFacets()
+const FACET_POOL = parseInt(process.env.SEARCH_FACET_POOL || '200', 10);
+
+// Set when the database has no search_tsv column yet (setup-db not re-run),
+// so we stop attempting hybrid queries after the first failure.
+let hybridUnavailable = false;
+// Same for the passage index (`chunks`, filled by setup-db with CHUNK_DOCUMENTS=true)
+let chunksUnavailable = false;
+
+// 42P01 = undefined_table
+function isMissingChunksTable(err) {
+  if (err?.code !== '42P01') return false;
+  if (!chunksUnavailable) {
+    chunksUnavailable = true;
+    warn('Passage index (chunks table) missing; results carry whole documents only. Run scripts/setup-db.mjs with CHUNK_DOCUMENTS=true to build it.');
+  }
+  return true;
+}
+
+function toPassage(r) {
+  return {
+    ordinal: r.ordinal,
+    start: r.start_offset,
+    end: r.end_offset,
+    text: r.text,
+    dist: Number(r.dist),
+  };
+}
+
+// Best-matching passage of each document in `rows`, attached as `passage`.
+// Documents without chunks keep `passage` unset.
+async function attachPassages(rows, vectorStr) {
+  if (chunksUnavailable || rows.length === 0) return;
+  let passages;
+  try {
+    ({ rows: passages } = await dbQuery(
+      `SELECT DISTINCT ON (c.uuid) c.uuid, c.ordinal, c.start_offset, c.end_offset, c.text,
+              c.embedding <-> $1::vector AS dist
+       FROM chunks c
+       WHERE c.uuid = ANY($2::uuid[])
+       ORDER BY c.uuid, c.embedding <-> $1::vector`,
+      [vectorStr, rows.map((r) => r.uuid)]
+    ));
+  } catch (err) {
+    if (isMissingChunksTable(err)) return;
+    throw err;
+  }
+  const byUuid = new Map(passages.map((p) => [p.uuid, toPassage(p)]));
+  for (const r of rows) r.passage = byUuid.get(r.uuid) || null;
+}
+
+// Metadata filters of `opts` plus its as-of date (see utils/documentFilters.mjs)
+function withAsOf(opts) {
+  return opts.asOf ? { ...opts.filters, asOf: opts.asOf } : opts.filters;
+}
+
+// Rows ordered by relevance blended with recency and citation authority
+// (search/temporal.mjs); citation counts are looked up first
+async function rankRows(rows, relevanceOf, opts) {
+  await attachCitedBy(rows, { asOf: opts.asOf });
+  return rankByTime(rows, relevanceOf, { asOf: opts.asOf });
+}
+
+// Recent query vectors, so a search and its facet counts embed the query once
+const recentVectors = new Map();
+const RECENT_VECTORS_MAX = 64;
+
+// Query embedding as a pgvector literal, downsampled to the DB dimension.
+// Returns null when the provider returned no embedding.
+async function embedQueryVector(query, { allowDownsample = true, signal } = {}) {
+  const dbDim = Number(process.env.DOWNSAMPLE_DIM);
+  const cacheKey = `${allowDownsample}:${query}`;
+  if (recentVectors.has(cacheKey)) return recentVectors.get(cacheKey);
+
+  const embeddingArr = await getQueryEmbedding(query, { signal });
+  if (!embeddingArr || embeddingArr.length === 0) return null;
+
+  let embeddingToUse = embeddingArr;
+  if (dbDim && embeddingArr.length !== dbDim) {
+    if (!allowDownsample) {
+      throw new Error(`different vector dimensions ${embeddingArr.length} and ${dbDim}`);
+    }
+    // downsample queries to dbDim
+    console.log(`Downsampling query embedding ${embeddingArr.length} -> ${dbDim}`);
+    embeddingToUse = downsampleEmbedding(embeddingArr, dbDim);
+  }
+  const vectorStr = '[' + embeddingToUse.join(',') + ']';
+  if (recentVectors.size >= RECENT_VECTORS_MAX) recentVectors.delete(recentVectors.keys().next().value);
+  recentVectors.set(cacheKey, vectorStr);
+  return vectorStr;
+}
+
+// Reciprocal rank fusion of the vector and full-text rankings. A document
+// scores 1/(RRF_K + rank) per list it appears in, so exact statutory phrases
+// found only by the lexical side still surface next to semantic neighbours.
+// Distance is recomputed for every fused row so lexical-only hits get a real
+// `dist` for downstream scoring. `lex_rank` is ts_rank_cd normalized to [0, 1).
+function hybridSql(whereClause, { queryParam, configParam, poolParam, rrfParam }) {
+  const lexFilter = whereClause ? whereClause.replace(/^\s*WHERE/i, 'AND') : '';
+  return `
+    WITH vec AS (
+      SELECT uuid, row_number() OVER (ORDER BY dist) AS rnk
+      FROM (
+        SELECT e.uuid, e.embedding <-> $1::vector AS dist
+        FROM embeddings e
+        LEFT JOIN documents m USING (uuid)
+        ${whereClause}
+        ORDER BY e.embedding <-> $1::vector
+        LIMIT ${poolParam}
+      ) v
+    ),
+    lex AS (
+      SELECT uuid, lex_rank, row_number() OVER (ORDER BY lex_rank DESC) AS rnk
+      FROM (
+        SELECT m.uuid, ts_rank_cd(m.search_tsv, q, 32) AS lex_rank
+        FROM documents m, websearch_to_tsquery(${configParam}::regconfig, ${queryParam}) q
+        WHERE m.search_tsv @@ q ${lexFilter}
+        ORDER BY lex_rank DESC
+        LIMIT ${poolParam}
+      ) l
+    ),
+    fused AS (
+      SELECT uuid, lex.lex_rank,
+             COALESCE(1.0 / (${rrfParam} + vec.rnk), 0) + COALESCE(1.0 / (${rrfParam} + lex.rnk), 0) AS rrf
+      FROM vec FULL OUTER JOIN lex USING (uuid)
+    )
+    SELECT f.uuid, m.filename, m.relative_path, m.date, m.summary,
+           e.embedding <-> $1::vector AS dist, f.lex_rank, f.rrf
+    FROM fused f
+    JOIN embeddings e USING (uuid)
+    LEFT JOIN documents m USING (uuid)
+    ORDER BY f.rrf DESC
+    LIMIT $2
+  `;
+}
+
+// Documents ranked for the query vector $1, `LIMIT $2`. `whereClause`
+// filters on alias `m`; its placeholders follow $2 in `params`. Uses hybrid fusion when enabled and available, vector distance
+// otherwise. `wrap` turns the ranking SELECT into the statement that is run.
+async function queryRanked(whereClause, params, { query, k, mode = SEARCH_MODE, wrap = (sql) => sql }) {
+  const n = params.length;
+  if (mode === 'hybrid' && !hybridUnavailable) {
+    const sql = hybridSql(whereClause, {
+      queryParam: `$${n + 1}`,
+      configParam: `$${n + 2}`,
+      poolParam: `$${n + 3}`,
+      rrfParam: `$${n + 4}`,
+    });
+    const pool = Math.max(k, HYBRID_CANDIDATES);
+    try {
+      const { rows } = await vectorQuery('embeddings', pool, wrap(sql), [
+        ...params,
+        String(query),
+        TS_CONFIG,
+        pool,
+        RRF_K,
+      ]);
+      return rows;
+    } catch (err) {
+      // 42703 = undefined_column: search_tsv has not been created by setup-db yet
+      if (err?.code !== '42703' || !/search_tsv/.test(err.message || '')) throw err;
+      hybridUnavailable = true;
+      warn('searchNearest: documents.search_tsv missing, using vector-only search. Re-run scripts/setup-db.mjs to enable hybrid search.');
+    }
+  }
+
+  const vectorSql = `
+    SELECT e.uuid, m.filename, m.relative_path, m.date, m.summary,
+           e.embedding <-> $1::vector AS dist
+    FROM embeddings e
+    LEFT JOIN documents m USING (uuid)
+    ${whereClause}
+    ORDER BY e.embedding <-> $1::vector
+    LIMIT $2
+  `;
+  const { rows } = await vectorQuery('embeddings', k, wrap(vectorSql), params);
+  return rows;
+}
+
 // deterministic downsample function (block-averaging)
 // you can reuse the import script's algorithm to keep consistent dims
 /* downsampleEmbedding now imported from ./utils/downsample.mjs */
 
+// opts: { searchByTitle, filters, asOf, allowDownsample, mode, signal } —
+// `filters` restricts by document metadata (see utils/documentFilters.mjs);
+// `asOf` (YYYY-MM-DD) excludes documents dated after it and is the reference
+// date of the recency blend (search/temporal.mjs), which orders the results
+// and is attached to each as `temporal`; `mode` overrides SEARCH_MODE
+// ('hybrid' | 'vector'); `signal` cancels the embedding request and stops
+// before the SQL/file reads when aborted. Vector/hybrid results carry `passage` ({ ordinal, start, end, text, dist }), the document's
+// closest chunk, once the passage index has been built.
 export async function searchNearest(query, k = 5, opts = {}) {
 
   if (!query || query === '') return [];
+  const signal = opts?.signal;
+  throwIfAborted(signal);
 
   let params = null; // will be set later if/when we need vector search
   let whereClause = '';
   let searchByTitleRaw = null;
+  // Metadata filter appended to the exact-match lookups below; they take
+  // their own parameters first.
+  const filterAnd = (firstParam) => {
+    const f = filterSql(withAsOf(opts), firstParam);
+    return { sql: f.sql ? `AND ${f.sql}` : '', params: f.params };
+  };
   if (opts && opts.searchByTitle === true) {
     searchByTitleRaw = String(query).trim();
   }
 
-  // Helper: try to extract a (type, evidence) pair from queries like
-  // "G.R. No. 100264-81" or "RA 9262". Returns {type, evidence} or null.
+  // Helper: the (type, evidence) pair of an identifier query, e.g. "RA 9262"
+  // -> { type: 'Republic Act', evidence: '9262' }, matched against the
+  // category and filename. null when the query names no document.
   function extractTypeEvidence(q) {
-    if (!q || typeof q !== 'string') return null;
-    const s = q.trim();
-    // match: optional letters/dots/spaces then optional 'No.'/Number/# then id
-    const m = s.match(/^\s*([A-Za-z.\s]{1,30}?)\s*(?:No\.?|Number|#)?\s*([-0-9A-Za-z/]+)\s*$/i);
-    if (!m) return null;
-    const t = String(m[1] || '').trim();
-    const ev = String(m[2] || '').trim();
-    if (!t || !ev) return null;
-    return { type: t, evidence: ev };
+    const id = parseIdentifiers(q).find((i) => LOOKUP_TYPES.has(i.type));
+    if (!id) return null;
+    return { type: id.name, evidence: id.numbers[0] };
   }
 
-  // Helper: generate expanded variants for common abbreviated titles
+  // Helper: the query plus the spellings a title may use for the identifier
+  // it names ("RA 9262" -> "Republic Act No. 9262", "R.A. 9262", ...)
   function generateTitleVariants(q) {
     if (!q || typeof q !== 'string') return [q];
     const s = q.trim();
-    const variants = new Set([s]);
-
-    // common patterns like "RA 1061", "R.A. 1061", "RA1061"
-    const abbrMap = {
-      '\\bR\\.A\\.|\\bRA\\b': 'Republic Act',
-      '\\bG\\.R\\.|\\bGR\\b': 'G.R.',
-      '\\bC\\.A\\.|\\bCA\\b': 'Commonwealth Act',
-      '\\bP\\.D\\.|\\bPD\\b': 'Presidential Decree',
-      '\\bA\\.O\\.|\\bAO\\b': 'Administrative Order',
-      '\\bB\\.P\\.|\\bBP\\b': 'Batas Pambansa',
-      '\\bM\\.C\\.|\\bMC\\b': 'Memorandum Circular',
-      '\\bA\\.M\\.|\\bAM\\b': 'Administrative Matter',
-      '\\bE\\.O\\.|\\bEO\\b': 'Executive Order',
-      // add more mappings as needed
-    };
-
-    // Try to extract trailing identifier (numbers, dashes, slashes)
-    const idMatch = s.match(/([A-Za-z.\s]{1,10})\s*[:#-]?\s*([0-9][0-9A-Za-z/\-._]*)$/i);
-    let idPart = null;
-    if (idMatch) {
-      idPart = idMatch[2].trim();
-    }
-
-    // For each known abbreviation mapping, produce plausible expansions
-    for (const [pat, full] of Object.entries(abbrMap)) {
-      const re = new RegExp(pat, 'i');
-      if (re.test(s)) {
-        // if there's an id part, build variations with/without "No." and with canonical spacing
-        if (idPart) {
-          variants.add(`${full} No. ${idPart}`);
-          variants.add(`${full} ${idPart}`);
-          variants.add(`${full} No ${idPart}`);
-          variants.add(`${full} No.${idPart}`);
-        } else {
-          // no explicit id, at least add full form
-          variants.add(full);
-        }
-        // also include a cleaned/normalized punctuation variant
-        variants.add(s.replace(/\s+/g, ' ').replace(/\./g, '').trim());
-      }
-    }
-
-    // common transformation: add "No." when a bare abbreviation is followed by digits
-    const bareMatch = s.match(/^([A-Za-z.]{1,5})\s*([0-9][0-9A-Za-z/\-._]*)$/i);
-    if (bareMatch) {
-      const ab = bareMatch[1].replace(/\s+/g, '');
-      const id = bareMatch[2];
-      // if abbreviation maps to something, add the expansion
-      for (const [pat, full] of Object.entries(abbrMap)) {
-        if (new RegExp('^' + pat + '$', 'i').test(ab)) {
-          variants.add(`${full} No. ${id}`);
-          variants.add(`${full} ${id}`);
-        }
-      }
-      // also add a normalized no-dot bare form ("RA 1061")
-      variants.add(`${ab} ${id}`);
-    }
-
-    // Always include the original trimmed string first
-    return Array.from(variants);
+    const id = parseIdentifiers(s).find((i) => LOOKUP_TYPES.has(i.type));
+    return [...new Set([s, ...identifierVariants(id)])];
   }
 
   // Pick the best variant to use as an ILIKE title filter.
@@ -127,35 +274,27 @@ export async function searchNearest(query, k = 5, opts = {}) {
       // First, run an exact normalized-equality check. If any exact matches
       // exist, return them immediately. Otherwise fall back to the ILIKE
       // substring+vector flow below.
+      const lookupFilter = filterAnd(3);
       const exactSql = `
         SELECT e.uuid, m.filename, m.relative_path, m.date, m.summary
         FROM embeddings e
         LEFT JOIN documents m USING (uuid)
-        WHERE trim(m.title) = trim($1)
+        WHERE trim(m.title) = trim($1) ${lookupFilter.sql}
         LIMIT $2
       `;
 
       // Try multiple expanded variants to increase chance of exact hit
       const variants = generateTitleVariants(searchByTitleRaw);
       for (const v of variants) {
-        const { rows: exactRows } = await pgClient.query(exactSql, [v, k]);
+        const { rows: exactRows } = await dbQuery(exactSql, [v, k, ...lookupFilter.params]);
         if (exactRows && exactRows.length > 0) {
-          // Optionally sort exact matches by proximity to RAG_TODAY if provided
-          const ragToday = process.env.RAG_TODAY ? Date.parse(process.env.RAG_TODAY) : NaN;
-          if (Number.isFinite(ragToday)) {
-            exactRows.sort((a, b) => {
-              const da = Date.parse(String(a.date));
-              const db = Date.parse(String(b.date));
-              const diffA = Number.isFinite(da) ? Math.abs(da - ragToday) : Number.POSITIVE_INFINITY;
-              const diffB = Number.isFinite(db) ? Math.abs(db - ragToday) : Number.POSITIVE_INFINITY;
-              return diffA - diffB;
-            });
-          }
+          // Exact matches are equally relevant: the most recent comes first
+          const rankedExactRows = await rankRows(exactRows, () => 1, opts);
 
           // Return exact-match rows (read files like usual)
           const limitExact = pLimit(6);
           const exactResults = await Promise.all(
-            exactRows.map((r) =>
+            rankedExactRows.map((r) =>
               limitExact(async () => {
                 let text = null;
                 try {
@@ -172,6 +311,8 @@ export async function searchNearest(query, k = 5, opts = {}) {
                   relative_path: r.relative_path,
                   date: r.date || null,
                   summary: r.summary || null,
+                  citedBy: r.citedBy,
+                  temporal: r.temporal,
                   text,
                 };
               })
@@ -191,27 +332,20 @@ export async function searchNearest(query, k = 5, opts = {}) {
         FROM embeddings e
         LEFT JOIN documents m USING (uuid)
         WHERE lower(regexp_replace(m.title, '[.\\s]+', '', 'g')) = lower(regexp_replace($1, '[.\\s]+', '', 'g'))
+          ${lookupFilter.sql}
         LIMIT $2
       `;
 
       // Try idSql across variants too
       for (const v of variants) {
-        const { rows: idRows } = await pgClient.query(idSql, [v, k]);
+        const { rows: idRows } = await dbQuery(idSql, [v, k, ...lookupFilter.params]);
         if (idRows && idRows.length > 0) {
-          const ragToday = process.env.RAG_TODAY ? Date.parse(process.env.RAG_TODAY) : NaN;
-          if (Number.isFinite(ragToday)) {
-            idRows.sort((a, b) => {
-              const da = Date.parse(String(a.date));
-              const db = Date.parse(String(b.date));
-              const diffA = Number.isFinite(da) ? Math.abs(da - ragToday) : Number.POSITIVE_INFINITY;
-              const diffB = Number.isFinite(db) ? Math.abs(db - ragToday) : Number.POSITIVE_INFINITY;
-              return diffA - diffB;
-            });
-          }
+          // Exact matches are equally relevant: the most recent comes first
+          const rankedIdRows = await rankRows(idRows, () => 1, opts);
 
           const limitId = pLimit(6);
           const idResults = await Promise.all(
-            idRows.map((r) =>
+            rankedIdRows.map((r) =>
               limitId(async () => {
                 let text = null;
                 try {
@@ -228,6 +362,8 @@ export async function searchNearest(query, k = 5, opts = {}) {
                   relative_path: r.relative_path,
                   date: r.date || null,
                   summary: r.summary || null,
+                  citedBy: r.citedBy,
+                  temporal: r.temporal,
                   text,
                 };
               })
@@ -240,30 +376,24 @@ export async function searchNearest(query, k = 5, opts = {}) {
       // If still no match, try matching by parsed (type, evidence) pairs
       const pair = extractTypeEvidence(searchByTitleRaw);
       if (pair) {
+        const typeFilter = filterAnd(4);
         const typeSql = `
           SELECT e.uuid, m.filename, m.relative_path, m.date, m.summary
           FROM embeddings e
           LEFT JOIN documents m USING (uuid)
           WHERE (COALESCE(m.category::text, '') ILIKE $1 OR COALESCE(m.category::text, '') ILIKE '%' || $1 || '%')
             AND (COALESCE(m.filename::text, '') ILIKE $2)
+            ${typeFilter.sql}
           LIMIT $3
         `;
-        const { rows: typeRows } = await pgClient.query(typeSql, [pair.type, pair.evidence, k]);
+        const { rows: typeRows } = await dbQuery(typeSql, [pair.type, pair.evidence, k, ...typeFilter.params]);
         if (typeRows && typeRows.length > 0) {
-          const ragToday = process.env.RAG_TODAY ? Date.parse(process.env.RAG_TODAY) : NaN;
-          if (Number.isFinite(ragToday)) {
-            typeRows.sort((a, b) => {
-              const da = Date.parse(String(a.date));
-              const db = Date.parse(String(b.date));
-              const diffA = Number.isFinite(da) ? Math.abs(da - ragToday) : Number.POSITIVE_INFINITY;
-              const diffB = Number.isFinite(db) ? Math.abs(db - ragToday) : Number.POSITIVE_INFINITY;
-              return diffA - diffB;
-            });
-          }
+          // Exact matches are equally relevant: the most recent comes first
+          const rankedTypeRows = await rankRows(typeRows, () => 1, opts);
 
           const limitType = pLimit(6);
           const typeResults = await Promise.all(
-            typeRows.map((r) =>
+            rankedTypeRows.map((r) =>
               limitType(async () => {
                 let text = null;
                 try {
@@ -280,6 +410,8 @@ export async function searchNearest(query, k = 5, opts = {}) {
                   relative_path: r.relative_path,
                   date: r.date || null,
                   summary: r.summary || null,
+                  citedBy: r.citedBy,
+                  temporal: r.temporal,
                   text,
                 };
               })
@@ -291,7 +423,6 @@ export async function searchNearest(query, k = 5, opts = {}) {
 
       // no exact match -> fall back to ILIKE-based filter in main query (no normalization)
       // We'll use $3 as the title filter parameter in the vector query below.
-      whereClause = `WHERE ( m.title ILIKE '%' || $3 || '%' )`;
       // pick the best variant for the ILIKE filter (helps "RA 1061" -> "Republic Act No. 1061")
       const bestVariant = chooseBestTitleVariant(variants) || searchByTitleRaw;
       log(`searchNearest: using title filter variant "${String(bestVariant)}" for query "${searchByTitleRaw}"`);
@@ -304,64 +435,40 @@ export async function searchNearest(query, k = 5, opts = {}) {
   // At this point we've possibly returned early for exact/title/id/type matches.
   // If we reach here we need to run the vector-based SQL. Compute embeddings
   // only now to avoid unnecessary API calls.
-  // determine DB vector dim (cached)
-  const allowDownsampleQuery = opts.allowDownsample !== false;
-  const dbDim = Number(process.env.DOWNSAMPLE_DIM);
-
-  // get embedding only when doing vector search
-  const embeddingArr = await getQueryEmbedding(query);
-  if (!embeddingArr || embeddingArr.length === 0) return [];
-
-  let embeddingToUse = embeddingArr;
-  if (dbDim && embeddingArr.length !== dbDim) {
-    if (!allowDownsampleQuery) {
-      throw new Error(`different vector dimensions ${embeddingArr.length} and ${dbDim}`);
-    }
-    // downsample queries to dbDim
-    console.log(`Downsampling query embedding ${embeddingArr.length} -> ${dbDim}`);
-    embeddingToUse = downsampleEmbedding(embeddingArr, dbDim);
-  }
-
-  const vectorStr = '[' + embeddingToUse.join(',') + ']';
+  const vectorStr = await embedQueryVector(query, { allowDownsample: opts.allowDownsample !== false, signal });
+  if (!vectorStr) return [];
 
   // Assemble params for vector query. If a title filter was requested above
-  // we need to pass it as $3.
+  // we need to pass it as $3; metadata filters follow.
+  params = [vectorStr, k];
+  const conditions = [];
   if (typeof titleFilterParam !== 'undefined') {
-    params = [vectorStr, k, titleFilterParam];
-  } else {
-    params = [vectorStr, k];
+    params.push(titleFilterParam);
+    conditions.push(`( m.title ILIKE '%' || $3 || '%' )`);
+  }
+  const metadataFilter = filterSql(withAsOf(opts), params.length + 1);
+  if (metadataFilter.sql) {
+    conditions.push(metadataFilter.sql);
+    params.push(...metadataFilter.params);
   }
+  if (conditions.length > 0) whereClause = `WHERE ${conditions.join(' AND ')}`;
 
-  const sql = `
-    SELECT e.uuid, m.filename, m.relative_path, m.date, m.summary,
-           e.embedding <-> $1::vector AS dist
-    FROM embeddings e
-    LEFT JOIN documents m USING (uuid)
-    ${whereClause}
-    ORDER BY e.embedding <-> $1::vector
-    LIMIT $2
-  `;
+  const mode = String(opts.mode || SEARCH_MODE).toLowerCase();
+  throwIfAborted(signal);
+  const rows = await queryRanked(whereClause, params, { query, k, mode });
+  throwIfAborted(signal);
+  await attachPassages(rows, vectorStr);
 
-  const { rows } = await pgClient.query(sql, params);
-
-  // If RAG_TODAY set, sort by absolute date proximity to RAG_TODAY (closest first).
-  const ragTodayTS = process.env.RAG_TODAY ? Date.parse(process.env.RAG_TODAY) : NaN;
-  if (Number.isFinite(ragTodayTS)) {
-    rows.sort((a, b) => {
-      const da = Date.parse(String(a.date));
-      const db = Date.parse(String(b.date));
-      const diffA = Number.isFinite(da) ? Math.abs(da - ragTodayTS) : Number.POSITIVE_INFINITY;
-      const diffB = Number.isFinite(db) ? Math.abs(db - ragTodayTS) : Number.POSITIVE_INFINITY;
-      if (diffA !== diffB) return diffA - diffB;
-      // tie-breaker: prefer smaller vector distance
-      return (a.dist || 0) - (b.dist || 0);
-    });
-  }
+  // Blend relevance with recency: fusion score (relative to the best row) in
+  // hybrid mode, vector similarity otherwise
+  const maxRrf = Math.max(0, ...rows.map((r) => Number(r.rrf) || 0));
+  const relevanceOf = (r) => (maxRrf > 0 ? Number(r.rrf) / maxRrf : Math.exp(-(Number(r.dist) || 2)));
+  const rankedRows = await rankRows(rows, relevanceOf, opts);
 
   // Only read file content for the top results, in parallel with concurrency limit
   const limit = pLimit(6); // adjust concurrency
   const results = await Promise.all(
-    rows.map((r) =>
+    rankedRows.map((r) =>
       limit(async () => {
         let text = null;
         try {
@@ -378,6 +485,11 @@ export async function searchNearest(query, k = 5, opts = {}) {
           relative_path: r.relative_path,
           date: r.date || null,
           summary: r.summary || null,
+          dist: r.dist,
+          ...(r.lex_rank != null ? { lexRank: Number(r.lex_rank) } : {}),
+          ...(r.passage ? { passage: r.passage } : {}),
+          citedBy: r.citedBy,
+          temporal: r.temporal,
           text,
         };
       })
@@ -386,3 +498,47 @@ export async function searchNearest(query, k = 5, opts = {}) {
 
   return results;
 }
+
+// How the FACET_POOL best-ranked documents for `query` (same ranking and
+// filters as searchNearest) are distributed by category, decade and court
+// division: `{ category, decade, court }`, each `[{ value, count }]` sorted by
+// count. Returns null when the query cannot be embedded.
+// opts: { filters, asOf, mode, allowDownsample, signal }
+export async function searchFacets(query, opts = {}) {
+  if (!query || query === '') return null;
+  const signal = opts?.signal;
+  throwIfAborted(signal);
+
+  const vectorStr = await embedQueryVector(query, { allowDownsample: opts.allowDownsample !== false, signal });
+  if (!vectorStr) return null;
+  throwIfAborted(signal);
+
+  const filter = filterSql(withAsOf(opts), 3);
+  const whereClause = filter.sql ? `WHERE ${filter.sql}` : '';
+  const wrap = (ranked) => `
+    WITH pool AS (${ranked}),
+    docs AS (SELECT m.category, m.date, m.court_division FROM pool JOIN documents m USING (uuid))
+    SELECT 'category' AS facet, trim(category) AS value, count(*)::int AS count
+    FROM docs WHERE COALESCE(trim(category), '') <> '' GROUP BY 2
+    UNION ALL
+    SELECT 'decade', (floor(extract(year FROM date) / 10) * 10)::int || 's', count(*)::int
+    FROM docs WHERE date > '${MIN_DATE}'::date GROUP BY 2
+    UNION ALL
+    SELECT 'court', court_division, count(*)::int
+    FROM docs WHERE COALESCE(court_division, '') <> '' GROUP BY 2
+  `;
+  const rows = await queryRanked(whereClause, [vectorStr, FACET_POOL, ...filter.params], {
+    query,
+    k: FACET_POOL,
+    mode: String(opts.mode || SEARCH_MODE).toLowerCase(),
+    wrap,
+  });
+  throwIfAborted(signal);
+
+  const facets = { category: [], decade: [], court: [] };
+  for (const r of rows) facets[r.facet].push({ value: r.value, count: r.count });
+  for (const list of Object.values(facets)) {
+    list.sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  }
+  return facets;
+}
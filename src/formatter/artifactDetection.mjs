@@ -0,0 +1,78 @@
+// Tokens of the corpus that cannot be words, for scripts/mine-artifacts.mjs:
+// variants of the Lawphil watermark that PDF extraction garbles differently
+// in every batch ("1aшphi1", "£A⩊phi£", "ℒαwρhi৷"), and other tokens mixing
+// scripts, symbols or digits into letters.
+
+// Watermark texts, and how many edits a garbled variant may be from one
+const WATERMARKS = ['lawphil', 'lawphilnet'];
+const MAX_WATERMARK_EDITS = 2;
+const MIN_WATERMARK_LENGTH = 5;
+
+// Look-alikes seen in watermark variants, by the letter they stand for
+const LOOKALIKES = {
+  l: '1|!£ℓ৷',
+  a: 'αа@',
+  w: 'шщωѡ⩊',
+  p: 'ρр',
+  h: 'һн',
+  i: 'іι',
+  e: 'е',
+  n: 'ո',
+};
+const LETTER_OF = new Map(Object.entries(LOOKALIKES).flatMap(([letter, chars]) => [...chars].map((c) => [c, letter])));
+
+const SCRIPTS = [/\p{Script=Latin}/u, /\p{Script=Cyrillic}/u, /\p{Script=Greek}/u];
+// Math, currency and other symbols with letters on both sides: "£A⩊phi"
+const SYMBOL_IN_WORD = /\p{L}[\p{Sm}\p{Sc}\p{So}]+\p{L}/u;
+// A digit between lower-case letters, or lower-case letters between digits: "1awphi1"
+const DIGIT_IN_WORD = /\p{Ll}\d\p{Ll}|^\d\p{Ll}{2,}\d$/u;
+const EDGE_PUNCTUATION = /^[\p{P}\s]+|[\p{P}\s]+$/gu;
+
+// Tokens of `text` with surrounding punctuation stripped: [{ token, index }]
+export function tokenize(text) {
+  const tokens = [];
+  for (const m of String(text).matchAll(/\S+/g)) {
+    const lead = m[0].match(/^[\p{P}]*/u)[0].length;
+    const token = m[0].replace(EDGE_PUNCTUATION, '');
+    if (token) tokens.push({ token, index: m.index + lead });
+  }
+  return tokens;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Lower-case letters `token` shows a reader: accents and joiners dropped,
+// look-alikes replaced. "1aшphi1" -> "lawphil", "1-vvph-l" -> "lwphl"
+export function watermarkSkeleton(token) {
+  return [...token.normalize('NFKD').replace(/\p{M}/gu, '')]
+    .map((c) => LETTER_OF.get(c) || c.toLowerCase())
+    .join('')
+    .replace(/vv/g, 'w')
+    .replace(/[-.+_'\s]/g, '');
+}
+
+export function isWatermarkVariant(token) {
+  const skeleton = watermarkSkeleton(token);
+  if (skeleton.length < MIN_WATERMARK_LENGTH) return false;
+  return WATERMARKS.some((w) => Math.abs(w.length - skeleton.length) <= MAX_WATERMARK_EDITS && editDistance(skeleton, w) <= MAX_WATERMARK_EDITS);
+}
+
+// Why `token` looks like an encoding artifact: 'watermark', 'mixed-script',
+// 'symbol-in-word' or 'digit-in-word'; null for a plausible word
+export function artifactReason(token) {
+  if (isWatermarkVariant(token)) return 'watermark';
+  if (SCRIPTS.filter((script) => script.test(token)).length > 1) return 'mixed-script';
+  if (SYMBOL_IN_WORD.test(token)) return 'symbol-in-word';
+  if (DIGIT_IN_WORD.test(token)) return 'digit-in-word';
+  return null;
+}
@@ -1,3 +1,5 @@
+import { characterKey, learnedRules } from './learnedRules.mjs';
+
 export function analyzeCharacterContext(text) {
   const problematicChars = [];
 
@@ -65,7 +67,9 @@ export function repairTextEncoding(text) {
 
   for (let i = problematicChars.length - 1; i >= 0; i--) {
     const char = problematicChars[i];
-    const replacement = recoverCharacter(char.before, char.after);
+    // What the corpus has between the same characters, else a guess
+    const learned = char.code === 'U+FFFD' ? learnedRules().characters.get(characterKey(char.before, char.after)) : undefined;
+    const replacement = learned ?? recoverCharacter(char.before, char.after);
 
     repaired = repaired.substring(0, char.index) + replacement + repaired.substring(char.index + 1);
     recovered.push({
@@ -1,4 +1,8 @@
-// Common encoding corruption patterns found in PDFs
+import { learnedRules } from './learnedRules.mjs';
+
+// Common encoding corruption patterns found in PDFs. Variants mined from the
+// corpus (scripts/mine-artifacts.mjs) are added to config/encoding-artifacts.json
+// after review instead of here.
 
 export const ENCODING_ARTIFACTS = [
   {
@@ -62,5 +66,8 @@ export function removeEncodingArtifacts(text) {
   for (const artifact of ENCODING_ARTIFACTS) {
     cleaned = cleaned.replace(artifact.pattern, '');
   }
+  for (const token of learnedRules().tokens) {
+    cleaned = cleaned.split(token).join('');
+  }
   return cleaned;
 }
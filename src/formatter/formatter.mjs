@@ -2,6 +2,7 @@ import { log, warn } from '../logs.mjs';
 
 import { repairTextEncoding } from './characterRecovery.mjs';
 import { removeEncodingArtifacts } from './encodingArtifacts.mjs';
+import { repairMojibake } from './mojibake.mjs';
 
 function verifyContentIntegrity(original, formatted) {
   const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
@@ -20,7 +21,13 @@ function verifyContentIntegrity(original, formatted) {
 }
 
 export async function formatDocument(text) {
-  const { text: repaired, recovered } = repairTextEncoding(text);
+  const { text: redecoded, repaired: sequences } = repairMojibake(text);
+
+  if (sequences.length > 0) {
+    log(`Re-decoded ${sequences.reduce((n, s) => n + s.count, 0)} double-encoded characters`);
+  }
+
+  const { text: repaired, recovered } = repairTextEncoding(redecoded);
 
   if (recovered.length > 0) {
     log(`Recovered ${recovered.length} characters`);
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { warn } from '../logs.mjs';
+
+// Artifact rules learned from the corpus: proposals of
+// scripts/mine-artifacts.mjs that a reviewer copied into
+// config/encoding-artifacts.json (or the file named by RAG_ENCODING_RULES).
+//
+//   artifacts   [{ token }]: removed wherever they occur, like ENCODING_ARTIFACTS
+//   characters  [{ before, after, replacement }]: what U+FFFD stands for
+//               between those CONTEXT_CHARS characters
+//
+// Other fields of the proposals (counts, samples) are kept for the record.
+
+// Characters on each side of a U+FFFD that key a learned replacement
+export const CONTEXT_CHARS = 2;
+
+const DEFAULT_RULES_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..',
+  'config',
+  'encoding-artifacts.json'
+);
+
+let rules = null;
+
+export function characterKey(before, after) {
+  return `${before.slice(-CONTEXT_CHARS)}\ufffd${after.slice(0, CONTEXT_CHARS)}`;
+}
+
+// { tokens, characters } read on first use: tokens longest first, so a
+// variant is removed before a shorter one inside it; characters keyed by
+// characterKey(). A missing file means no learned rules.
+export function learnedRules() {
+  if (rules) return rules;
+  const file = process.env.RAG_ENCODING_RULES || DEFAULT_RULES_PATH;
+  rules = { tokens: [], characters: new Map() };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err?.code !== 'ENOENT') warn(`Ignoring encoding rules ${file}:`, err?.message || err);
+    return rules;
+  }
+  rules.tokens = (config.artifacts || [])
+    .map((a) => a?.token)
+    .filter((token) => typeof token === 'string' && token.length > 0)
+    .sort((a, b) => b.length - a.length);
+  for (const c of config.characters || []) {
+    if (typeof c?.before !== 'string' || typeof c.after !== 'string' || typeof c.replacement !== 'string') continue;
+    rules.characters.set(characterKey(c.before, c.after), c.replacement);
+  }
+  return rules;
+}
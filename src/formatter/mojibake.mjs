@@ -0,0 +1,74 @@
+// Double-encoded text: UTF-8 that was decoded as Windows-1252 (or Latin-1)
+// and saved again, so "Peña" reads "PeÃ±a" and a closing quote "â€\u009d".
+// Each such sequence is turned back into its bytes and decoded as UTF-8.
+
+import iconv from 'iconv-lite';
+import jschardet from 'jschardet';
+
+// Confidence jschardet needs that the sequences' bytes are UTF-8
+const MIN_CONFIDENCE = 0.8;
+// "â€" + the byte 0x9D of a right double quote, which Windows-1252 does not
+// define and most converters replaced with U+FFFD
+const LOST_QUOTE = '\u00e2\u20ac\ufffd';
+
+// Byte of each character of the upper half of Windows-1252. The five bytes
+// it leaves undefined keep their Latin-1 character (C1 controls).
+const BYTE_OF = new Map();
+const UPPER_HALF = iconv.decode(Buffer.from(Array.from({ length: 128 }, (_, i) => 0x80 + i)), 'windows-1252');
+for (let i = 0; i < 128; i++) {
+  BYTE_OF.set(String.fromCharCode(0x80 + i), 0x80 + i);
+  if (UPPER_HALF[i] !== '\ufffd') BYTE_OF.set(UPPER_HALF[i], 0x80 + i);
+}
+
+const charClass = (chars) => `[${chars.map((c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`).join('')}]`;
+// Characters standing for UTF-8 continuation bytes (0x80-0xBF)
+const CONTINUATION = charClass([...BYTE_OF].filter(([, byte]) => byte <= 0xbf).map(([c]) => c));
+// A lead byte and as many continuation bytes as it announces
+const SEQUENCE = new RegExp(
+  `[\\u00c2-\\u00df]${CONTINUATION}|[\\u00e0-\\u00ef]${CONTINUATION}{2}|[\\u00f0-\\u00f4]${CONTINUATION}{3}|\\u00e2\\u20ac\\ufffd`,
+  'g'
+);
+
+function toBytes(sequence) {
+  if (sequence === LOST_QUOTE) return [0xe2, 0x80, 0x9d];
+  return [...sequence].map((c) => BYTE_OF.get(c) ?? c.charCodeAt(0));
+}
+
+// The character `sequence` was before it was double-encoded, or null when
+// its bytes are not one UTF-8 character
+function decodeSequence(sequence) {
+  const decoded = iconv.decode(Buffer.from(toBytes(sequence)), 'utf8');
+  return decoded.includes('\ufffd') || [...decoded].length !== 1 ? null : decoded;
+}
+
+// Double-encoded sequences of `text`: [{ index, sequence, replacement }]
+export function findMojibake(text) {
+  const found = [];
+  for (const m of String(text).matchAll(SEQUENCE)) {
+    const replacement = decodeSequence(m[0]);
+    if (replacement) found.push({ index: m.index, sequence: m[0], replacement });
+  }
+  return found;
+}
+
+// Re-decode the double-encoded sequences of `text` when jschardet takes their
+// bytes together for UTF-8. Returns { text, repaired }, `repaired` being
+// [{ sequence, replacement, count }].
+export function repairMojibake(text) {
+  const found = findMojibake(text);
+  if (found.length === 0) return { text, repaired: [] };
+  const detected = jschardet.detect(Buffer.from(found.flatMap((f) => toBytes(f.sequence))));
+  if (detected?.encoding !== 'UTF-8' || detected.confidence < MIN_CONFIDENCE) return { text, repaired: [] };
+
+  const counts = new Map();
+  let repaired = '';
+  let last = 0;
+  for (const f of found) {
+    repaired += text.slice(last, f.index) + f.replacement;
+    last = f.index + f.sequence.length;
+    const entry = counts.get(f.sequence) || { sequence: f.sequence, replacement: f.replacement, count: 0 };
+    entry.count++;
+    counts.set(f.sequence, entry);
+  }
+  return { text: repaired + text.slice(last), repaired: [...counts.values()] };
+}
@@ -0,0 +1,118 @@
+// Title, date and category of an ingested document, read from the header of
+// its text: the G.R./A.M. number, date and parties of a decision ("G.R. No.
+// 200000, May 2, 2019" / "PEOPLE ... VS. JUAN CRUZ"), or the number and
+// approval date of a statute. Titles and categories follow the corpus
+// ("Republic Act No. 9262" / "Republic Act", "G.R. No. ..." / "G.R. Decision"),
+// so type filters and title lookups find ingested documents too.
+
+import { STATUTE_TYPES, parseIdentifiers } from '../utils/legalIdentifiers.mjs';
+
+// Non-empty lines searched for the document's own identifier, date and parties
+const HEADER_LINES = 25;
+const MAX_TITLE_LENGTH = 250;
+
+// Categories that differ from the identifier's name
+const CATEGORIES = { gr: 'G.R. Decision', am: 'A.M. Circular' };
+// Identifiers that number a decision or resolution rather than an issuance
+const CASE_TYPES = new Set(['gr', 'am']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PATTERN =
+  /\b(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.?\s+(\d{1,2}),?\s+(\d{4})\b/gi;
+// "Approved: March 8, 2004", "APPROVED, March 8, 2004"
+const APPROVED_PATTERN = /\bapproved\s*[:,]?\s*$/i;
+
+// Party designations dropped from a decision's caption
+const PARTY_ROLES =
+  /,?\s*(?:(?:plaintiffs?|defendants?|accused|petitioners?|respondents?|complainants?|oppositors?|intervenors?|appellants?|appellees?)(?:[\s-]+(?:appellants?|appellees?|petitioners?|respondents?))*)\s*[.,]?(?=\s+vs?\.|\s*$)/gi;
+const VERSUS = /\s+vs?\.\s+/i;
+
+// ISO date of each "Month D, YYYY" in `text`, in order
+function findDates(text) {
+  const dates = [];
+  for (const m of String(text).matchAll(DATE_PATTERN)) {
+    const month = MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1;
+    const day = Number(m[2]);
+    const year = Number(m[3]);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) continue;
+    dates.push(`${m[3]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  }
+  return dates;
+}
+
+// Approval date of a statute: the last "Approved" line of its text (the
+// signature block), which may put the date on the next line
+function approvalDate(lines) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const m = lines[i].match(/\bapproved\b(.*)$/i);
+    if (!m) continue;
+    const [date] = findDates(m[1]);
+    if (date) return date;
+    if (APPROVED_PATTERN.test(lines[i]) && lines[i + 1]) {
+      const [next] = findDates(lines[i + 1]);
+      if (next) return next;
+    }
+  }
+  return null;
+}
+
+// Identifiers on a header line. Statute headers are set in capitals, where the
+// parser only takes ordinary words ("ACT NO. 3815") in their usual case.
+function headerIdentifiers(line) {
+  const found = parseIdentifiers(line).filter((id) => !id.code);
+  if (found.length || line !== line.toUpperCase()) return found;
+  const titled = line.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+  return parseIdentifiers(titled).filter((id) => !id.code);
+}
+
+// "PEOPLE OF THE PHILIPPINES, PLAINTIFF-APPELLEE, VS. JUAN CRUZ, ACCUSED-APPELLANT."
+// -> "PEOPLE OF THE PHILIPPINES v. JUAN CRUZ"
+function caption(line) {
+  const [first, ...rest] = line.split(VERSUS);
+  if (!rest.length) return null;
+  const strip = (party) => party.replace(PARTY_ROLES, '').replace(/[\s.,;:]+$/, '').trim();
+  const parties = [first, rest.join(' v. ')].map(strip);
+  return parties.every(Boolean) ? parties.join(' v. ') : null;
+}
+
+function clip(title) {
+  const t = title.replace(/\s+/g, ' ').trim();
+  return t.length > MAX_TITLE_LENGTH ? `${t.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : t;
+}
+
+// { title, date, category } of a document; `date` is an ISO date or null.
+// `fallbackTitle` (an HTML <title>, the file name) is used when the
+// header names no identifier.
+export function extractMetadata(text, { fallbackTitle = null } = {}) {
+  const lines = String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const header = lines.slice(0, HEADER_LINES);
+
+  let own = null;
+  let ownLine = -1;
+  for (let i = 0; i < header.length && !own; i++) {
+    const ids = headerIdentifiers(header[i]);
+    // A decision's number comes before any statute it mentions
+    own = ids.find((id) => CASE_TYPES.has(id.type)) || ids.find((id) => STATUTE_TYPES.has(id.type)) || ids[0] || null;
+    if (own) ownLine = i;
+  }
+
+  if (own && CASE_TYPES.has(own.type)) {
+    const parties = header.slice(ownLine).map(caption).find(Boolean);
+    return {
+      title: clip(parties ? `${own.canonical} - ${parties}` : own.canonical),
+      date: findDates(header.slice(ownLine).join('\n'))[0] || null,
+      category: CATEGORIES[own.type],
+    };
+  }
+
+  const first = lines[0] || null;
+  return {
+    title: clip(own ? own.canonical : fallbackTitle || first || ''),
+    date: approvalDate(lines) || findDates(header.join('\n'))[0] || null,
+    category: own ? CATEGORIES[own.type] || own.name : null,
+  };
+}
@@ -0,0 +1,145 @@
+// Plain text of a source document for the ingestion pipeline
+// (scripts/ingest.mjs): PDFs through pdf-parse, with OCR of the rendered
+// pages when the PDF has no text layer (scanned issuances), HTML pages through
+// cheerio, and text files as they are. Byte content is decoded with the
+// detected encoding, since older pages are often Windows-1252.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import * as cheerio from 'cheerio';
+import iconv from 'iconv-lite';
+import jschardet from 'jschardet';
+import tesseract from 'node-tesseract-ocr';
+import pdf from 'pdf-parse-new';
+import { fromBuffer } from 'pdf2pic';
+
+import { warn } from '../logs.mjs';
+
+const OCR_ENABLED = process.env.INGEST_OCR !== 'false';
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const OCR_DENSITY = parseInt(process.env.OCR_DENSITY || '300', 10);
+// A PDF with fewer extracted characters per page than this is treated as scanned
+const MIN_CHARS_PER_PAGE = 200;
+// Bytes inspected for encoding detection
+const DETECT_BYTES = 64 * 1024;
+
+const FORMATS = {
+  '.pdf': 'pdf',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.txt': 'text',
+  '.text': 'text',
+};
+
+// Elements that start a new line in the rendered page
+const BLOCK_ELEMENTS =
+  'p, div, h1, h2, h3, h4, h5, h6, li, tr, blockquote, pre, center, section, article, table, dd, dt';
+// Elements that carry no document text
+const SKIPPED_ELEMENTS = 'script, style, noscript, template, iframe, nav, header, footer, form';
+
+// 'pdf', 'html' or 'text' from the file extension; null for other files
+export function sourceFormat(filePath) {
+  return FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Encoding named by a byte-order mark or an HTML charset declaration
+function declaredEncoding(buffer, format) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+  if (format !== 'html') return null;
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const m = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// Decode `buffer`, detecting its encoding when it is not declared. Returns
+// { text, encoding }; undetectable or unknown encodings are read as UTF-8.
+function decodeBuffer(buffer, format = 'text') {
+  let encoding = declaredEncoding(buffer, format);
+  if (!encoding) {
+    const detected = jschardet.detect(buffer.subarray(0, DETECT_BYTES));
+    encoding = detected?.encoding && detected.confidence >= 0.5 ? detected.encoding.toLowerCase() : 'utf-8';
+  }
+  // ASCII is a subset of UTF-8, which also survives a sample that missed the non-ASCII bytes
+  if (encoding === 'ascii' || !iconv.encodingExists(encoding)) encoding = 'utf-8';
+  return { text: iconv.decode(buffer, encoding), encoding };
+}
+
+// Collapse the whitespace of extracted text: trimmed lines, at most one blank line
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\t\f\v]/g, ' ')
+    .split('\n')
+    .map((line) => line.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Visible text of an HTML page with block elements on their own lines, and
+// the page's <title>
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  const title = normalizeWhitespace($('title').first().text()) || null;
+  $(SKIPPED_ELEMENTS).remove();
+  $('br').replaceWith('\n');
+  $(BLOCK_ELEMENTS).each((_, el) => {
+    $(el).prepend('\n').append('\n');
+  });
+  $('td, th').append(' ');
+  const root = $('body').length ? $('body') : $.root();
+  return { text: normalizeWhitespace(root.text()), title };
+}
+
+// Text of every page rendered to an image and read by tesseract. Needs
+// GraphicsMagick/Ghostscript (pdf2pic) and the tesseract binary.
+async function ocrPdf(buffer, pages) {
+  const convert = fromBuffer(buffer, { density: OCR_DENSITY, format: 'png', width: 1700, height: 2200 });
+  const texts = [];
+  for (let page = 1; page <= pages; page++) {
+    const image = await convert(page, true);
+    if (!image?.base64) throw new Error(`page ${page} could not be rendered`);
+    texts.push(await tesseract.recognize(Buffer.from(image.base64, 'base64'), { lang: OCR_LANG, oem: 1, psm: 3 }));
+  }
+  return texts.join('\n\n');
+}
+
+async function extractPdf(buffer, filePath) {
+  // pdf.js logs every page at its default verbosity
+  const data = await pdf(buffer, { verbosityLevel: 0 });
+  const text = normalizeWhitespace(data.text || '');
+  const pages = data.numpages || 1;
+  if (!OCR_ENABLED || text.replace(/\s/g, '').length >= MIN_CHARS_PER_PAGE * pages) {
+    return { text, ocr: false };
+  }
+  try {
+    const ocrText = normalizeWhitespace(await ocrPdf(buffer, pages));
+    if (ocrText.length > text.length) return { text: ocrText, ocr: true };
+  } catch (err) {
+    warn(`OCR failed for ${filePath}, keeping the PDF text layer:`, err?.message || err);
+  }
+  return { text, ocr: false };
+}
+
+// { text, format, encoding, ocr, title } for a source file; `title` is the
+// HTML <title> when there is one. Throws for unsupported file types.
+export async function extractText(filePath) {
+  const format = sourceFormat(filePath);
+  if (!format) throw new Error(`unsupported file type: ${path.extname(filePath) || filePath}`);
+  const buffer = await fs.readFile(filePath);
+
+  if (format === 'pdf') {
+    const { text, ocr } = await extractPdf(buffer, filePath);
+    return { text, format, encoding: null, ocr, title: null };
+  }
+  const { text, encoding } = decodeBuffer(buffer, format);
+  if (format === 'html') {
+    const page = htmlToText(text);
+    return { text: page.text, format, encoding, ocr: false, title: page.title };
+  }
+  return { text: normalizeWhitespace(text), format, encoding, ocr: false, title: null };
+}
@@ -0,0 +1,27 @@
+import { completeTask } from '../llm.mjs';
+
+// Characters of the document given to the model; the opening of a statute or
+// decision says what it is about
+const SUMMARY_INPUT_CHARS = parseInt(process.env.INGEST_SUMMARY_CHARS || '12000', 10);
+
+const SYSTEM_PROMPT = [
+  'You summarize Philippine laws and court decisions for a legal research index.',
+  'Write one or two plain sentences stating what the document is about: for a statute, its subject and short title if any;',
+  'for a decision, the parties, the issue and how it was resolved.',
+  'Return ONLY the summary - no labels, quotes, or preamble.',
+].join(' ');
+
+// One-paragraph summary of a document for `documents.summary`, or null when
+// the model returns nothing. Errors of the `summary` task propagate.
+export async function summarizeDocument(title, text) {
+  const completion = await completeTask('summary', {
+    messages: [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `Title: ${title}\n\nDocument:\n${String(text).slice(0, SUMMARY_INPUT_CHARS)}` },
+    ],
+  });
+  const summary = String(completion?.choices?.[0]?.message?.content ?? '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return summary || null;
+}
@@ -1,22 +1,180 @@
-import OpenAI from 'openai';
+import { log, warn } from './logs.mjs';
+import { getModelCandidates, getModelConfig } from './modelRegistry.mjs';
+import { createLocalEmbeddingBackend } from './providers/localEmbeddings.mjs';
+import { createOpenAICompatibleProvider } from './providers/openaiCompatible.mjs';
+import { createOpenRouterProvider } from './providers/openrouter.mjs';
+import { createStubProvider } from './providers/stub.mjs';
+import { throwIfAborted } from './utils/abort.mjs';
 
-const API_KEY = process.env.OPENROUTER_KEY;
-if (!API_KEY) {
-  console.error('Missing API key. Export OPENROUTER_KEY and retry.');
-  process.exit(1);
+// Provider adapters all expose the same shape:
+//   { name, chat(params, { signal }) -> OpenAI chat.completion,
+//     chatStream(params, { signal }) -> async iterable of OpenAI chat.completion.chunk,
+//     embed(params, { signal }) -> OpenAI embeddings list }
+// so callers keep reading `completion.choices[0].message.content` regardless of backend.
+const PROVIDER_FACTORIES = {
+  openrouter: createOpenRouterProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  stub: createStubProvider,
+};
+
+let provider = null;
+
+// Select and construct the provider named by LLM_PROVIDER (default: openrouter).
+// Throws on unknown names or missing configuration so the server fails at startup
+// rather than on the first user request.
+export function initLlmProvider(name = process.env.LLM_PROVIDER || 'openrouter') {
+  const key = String(name).trim().toLowerCase();
+  const factory = PROVIDER_FACTORIES[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`
+    );
+  }
+  provider = factory();
+  log(`LLM provider: ${provider.name}`);
+  return provider;
+}
+
+export function getLlmProvider() {
+  if (!provider) initLlmProvider();
+  return provider;
+}
+
+// Embedding backends share one shape: { name, model, embed(params, { signal })
+// -> OpenAI embeddings list }. 'provider' embeds through the LLM provider with
+// the registry's `embedding` model; 'local' runs an ONNX model in-process
+// (providers/localEmbeddings.mjs). Documents and queries must be embedded by
+// the same backend and model — after switching, rebuild the corpus vectors
+// with scripts/reembed.mjs. For the same reason there are no fallback models.
+const EMBEDDING_BACKEND_FACTORIES = {
+  provider: () => ({
+    name: getLlmProvider().name,
+    model: getModelConfig('embedding').model,
+    embed: (params, options) => getLlmProvider().embed(params, options),
+  }),
+  local: createLocalEmbeddingBackend,
+};
+
+let embeddingBackend = null;
+
+export function initEmbeddingBackend(name = process.env.EMBEDDING_BACKEND || 'provider') {
+  const key = String(name).trim().toLowerCase();
+  const factory = EMBEDDING_BACKEND_FACTORIES[key];
+  if (!factory) {
+    throw new Error(
+      `Unknown EMBEDDING_BACKEND "${name}". Expected one of: ${Object.keys(EMBEDDING_BACKEND_FACTORIES).join(', ')}`
+    );
+  }
+  embeddingBackend = factory();
+  log(`Embedding backend: ${key} (${embeddingBackend.model})`);
+  return embeddingBackend;
+}
+
+export function getEmbeddingBackend() {
+  if (!embeddingBackend) initEmbeddingBackend();
+  return embeddingBackend;
 }
 
-const openai = new OpenAI({
-  baseURL: 'https://openrouter.ai/api/v1',
-  apiKey: API_KEY,
-});
+export async function createChatCompletion(params, options = {}) {
+  return getLlmProvider().chat(params, options);
+}
+
+// Run a chat completion for a registry task (see config/models.json). The
+// task's model is tried first, then each fallback in order; the model that
+// actually answered is logged so every pipeline step can be traced.
+// `overrides` may set model/temperature/maxTokens for a single call; an
+// overriding model is tried before the configured one. An aborted
+// `signal` cancels the request in flight and skips the remaining fallbacks.
+export async function completeTask(task, { messages, signal, ...overrides } = {}) {
+  const cfg = getModelConfig(task);
+  const temperature = typeof overrides.temperature === 'number' ? overrides.temperature : cfg.temperature;
+  const maxTokens = typeof overrides.maxTokens === 'number' ? overrides.maxTokens : cfg.maxTokens;
+  const { name } = getLlmProvider();
+
+  let lastError = null;
+  for (const model of getModelCandidates(task, overrides.model)) {
+    const params = { model, messages };
+    if (temperature !== null) params.temperature = temperature;
+    if (maxTokens !== null) params.max_tokens = maxTokens;
+    throwIfAborted(signal);
+    try {
+      const completion = await createChatCompletion(params, { signal });
+      log(`LLM task=${task} model=${completion?.model || model} provider=${name}`);
+      return completion;
+    } catch (err) {
+      throwIfAborted(signal);
+      lastError = err;
+      warn(`LLM task=${task} model=${model} provider=${name} failed:`, err?.message || err);
+    }
+  }
+  throw lastError || new Error(`No model available for task "${task}"`);
+}
+
+// Streaming variant of completeTask(). Each text fragment is passed to
+// `onDelta` as it arrives; the resolved value has the same shape as a
+// non-streamed completion so callers parse it identically. Fallback models are
+// only tried while nothing has been emitted yet — once a delta has reached the
+// caller, switching models would produce a garbled answer, so the error is rethrown.
+export async function streamTask(task, { messages, onDelta, signal, ...overrides } = {}) {
+  const cfg = getModelConfig(task);
+  const temperature = typeof overrides.temperature === 'number' ? overrides.temperature : cfg.temperature;
+  const maxTokens = typeof overrides.maxTokens === 'number' ? overrides.maxTokens : cfg.maxTokens;
+  const llm = getLlmProvider();
 
-export { openai };
+  let lastError = null;
+  for (const model of getModelCandidates(task, overrides.model)) {
+    const params = { model, messages };
+    if (temperature !== null) params.temperature = temperature;
+    if (maxTokens !== null) params.max_tokens = maxTokens;
+
+    throwIfAborted(signal);
+    let content = '';
+    let servedBy = model;
+    try {
+      for await (const chunk of llm.chatStream(params, { signal })) {
+        if (chunk?.model) servedBy = chunk.model;
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (!delta) continue;
+        content += delta;
+        if (typeof onDelta === 'function') onDelta(delta);
+      }
+      log(`LLM task=${task} model=${servedBy} provider=${llm.name} (streamed ${content.length} chars)`);
+      return { model: servedBy, choices: [{ index: 0, message: { role: 'assistant', content } }] };
+    } catch (err) {
+      throwIfAborted(signal);
+      lastError = err;
+      warn(`LLM task=${task} model=${model} provider=${llm.name} stream failed:`, err?.message || err);
+      if (content.length > 0) throw err;
+    }
+  }
+  throw lastError || new Error(`No model available for task "${task}"`);
+}
+
+// Embed several texts in one request. Returns one vector (or null) per text,
+// in input order.
+export async function getEmbeddings(texts, { signal } = {}) {
+  const backend = getEmbeddingBackend();
+  if (texts.length === 0) return [];
+
+  const { model } = backend;
+  throwIfAborted(signal);
+  try {
+    const input = texts.length === 1 ? texts[0] : texts;
+    const res = await backend.embed({ model, input }, { signal });
+    log(`LLM task=embedding model=${res?.model || model} provider=${backend.name}${texts.length > 1 ? ` (${texts.length} inputs)` : ''}`);
+    const vectors = new Array(texts.length).fill(null);
+    (res?.data || []).forEach((d, i) => {
+      vectors[Number.isInteger(d?.index) ? d.index : i] = d?.embedding ?? null;
+    });
+    return vectors;
+  } catch (err) {
+    throwIfAborted(signal);
+    warn(`LLM task=embedding model=${model} provider=${backend.name} failed:`, err?.message || err);
+    throw err;
+  }
+}
 
-export async function getQueryEmbedding(text) {
-  const res = await openai.embeddings.create({
-    model: 'qwen/qwen3-embedding-8b',
-    input: text,
-  });
-  return res?.data?.[0]?.embedding ?? null;
+export async function getQueryEmbedding(text, { signal } = {}) {
+  const [embedding] = await getEmbeddings([text], { signal });
+  return embedding ?? null;
 }
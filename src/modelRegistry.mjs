@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { log } from './logs.mjs';
+
+// Task-keyed model configuration. Every LLM/embedding call names a task and the
+// registry decides which model (and fallbacks) serve it, so models can be
+// swapped by editing config/models.json (or the file named by RAG_MODELS_CONFIG)
+// without touching code.
+
+export const MODEL_TASKS = [
+  'reformulation',
+  'answer',
+  'snippet',
+  'interpretation',
+  'party-id',
+  'planning',
+  'perspective',
+  'verification',
+  'suggestions',
+  'rerank',
+  'summary',
+  'embedding',
+];
+
+const DEFAULT_CONFIG_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'config',
+  'models.json'
+);
+
+let registry = null;
+
+function validateTaskConfig(task, cfg) {
+  const problems = [];
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) {
+    return [`${task}: must be an object`];
+  }
+  if (typeof cfg.model !== 'string' || !cfg.model.trim()) {
+    problems.push(`${task}.model: must be a non-empty string`);
+  }
+  if (typeof cfg.fallbacks !== 'undefined') {
+    if (!Array.isArray(cfg.fallbacks) || cfg.fallbacks.some((m) => typeof m !== 'string' || !m.trim())) {
+      problems.push(`${task}.fallbacks: must be an array of non-empty strings`);
+    }
+  }
+  if (typeof cfg.temperature !== 'undefined' && cfg.temperature !== null) {
+    if (typeof cfg.temperature !== 'number' || cfg.temperature < 0 || cfg.temperature > 2) {
+      problems.push(`${task}.temperature: must be a number between 0 and 2`);
+    }
+  }
+  if (typeof cfg.maxTokens !== 'undefined' && cfg.maxTokens !== null) {
+    if (!Number.isInteger(cfg.maxTokens) || cfg.maxTokens <= 0) {
+      problems.push(`${task}.maxTokens: must be a positive integer or null`);
+    }
+  }
+  return problems;
+}
+
+export function validateModelConfig(config) {
+  const problems = [];
+  const tasks = config && typeof config === 'object' ? config.tasks : null;
+  if (!tasks || typeof tasks !== 'object' || Array.isArray(tasks)) {
+    return ['tasks: must be an object keyed by task name'];
+  }
+  for (const task of MODEL_TASKS) {
+    if (!(task in tasks)) {
+      problems.push(`${task}: missing task configuration`);
+      continue;
+    }
+    problems.push(...validateTaskConfig(task, tasks[task]));
+  }
+  // Stored vectors only match query vectors from the same model, so the
+  // embedding task cannot switch models when a call fails.
+  if (tasks.embedding?.fallbacks?.length > 0) {
+    problems.push('embedding.fallbacks: must be empty; re-embed the corpus to change models');
+  }
+  for (const task of Object.keys(tasks)) {
+    if (!MODEL_TASKS.includes(task)) problems.push(`${task}: unknown task`);
+  }
+  return problems;
+}
+
+// Load and validate the registry. Throws with every problem listed so a bad
+// config is caught at startup instead of on the first request that needs it.
+export function loadModelRegistry(configPath = process.env.RAG_MODELS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read model config ${configPath}: ${err?.message || err}`);
+  }
+
+  const problems = validateModelConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid model config ${configPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  registry = {};
+  for (const task of MODEL_TASKS) {
+    const cfg = config.tasks[task];
+    registry[task] = {
+      model: cfg.model.trim(),
+      fallbacks: (cfg.fallbacks || []).map((m) => m.trim()),
+      temperature: typeof cfg.temperature === 'number' ? cfg.temperature : null,
+      maxTokens: Number.isInteger(cfg.maxTokens) ? cfg.maxTokens : null,
+    };
+  }
+
+  log(`Model registry loaded from ${configPath}`);
+  for (const task of MODEL_TASKS) {
+    const { model, fallbacks } = registry[task];
+    log(`  ${task}: ${model}${fallbacks.length ? ` (fallbacks: ${fallbacks.join(', ')})` : ''}`);
+  }
+  return registry;
+}
+
+export function getModelConfig(task) {
+  if (!registry) loadModelRegistry();
+  const cfg = registry[task];
+  if (!cfg) throw new Error(`Unknown model task "${task}"`);
+  return cfg;
+}
+
+// Ordered list of models to try for a task: primary first, then fallbacks.
+// `primary` is tried ahead of the configured model for a single call.
+export function getModelCandidates(task, primary = null) {
+  const { model, fallbacks } = getModelConfig(task);
+  const first = primary || model;
+  return [first, ...[model, ...fallbacks].filter((m) => m !== first)];
+}
@@ -1,7 +1,8 @@
-import { openai } from '../llm.mjs';
+import { completeTask } from '../llm.mjs';
 import { warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
-export async function identifyParties(question) {
+export async function identifyParties(question, { signal } = {}) {
   const system = {
     role: 'system',
     content: `You are a legal party identifier. Extract the two main parties from the legal question.
@@ -24,12 +25,7 @@ IMPORTANT: Do NOT include any extra text, explanation, or commentary. Return onl
   };
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [system, user],
-      max_tokens: 100,
-      temperature: 0.1,
-    });
+    const completion = await completeTask('party-id', { messages: [system, user], signal });
 
     const response = completion?.choices?.[0]?.message?.content?.trim() || '';
 
@@ -45,6 +41,7 @@ IMPORTANT: Do NOT include any extra text, explanation, or commentary. Return onl
       partyBRole: partyBRoleMatch ? partyBRoleMatch[1].trim() : 'Respondent/Defendant',
     };
   } catch (error) {
+    throwIfAborted(signal);
     warn('Party identification failed:', error.message);
     return {
       partyA: 'Party A',
@@ -1,6 +1,7 @@
 import { UNKNOWN_PHRASE } from '../context.mjs';
-import { openai } from '../llm.mjs';
+import { streamTask } from '../llm.mjs';
 import { log, warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 export async function generatePerspective({
   perspective,
@@ -12,6 +13,8 @@ export async function generatePerspective({
   planNotes,
   partyA,
   partyB,
+  onDelta = null,
+  signal = null,
 }) {
   // Defensive normalization: ensure `context` is always a string before any string ops.
   try {
@@ -118,16 +121,13 @@ export async function generatePerspective({
   try {
     log(`Generating perspective (${perspective || 'generic'}) for question`);
 
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.5-flash',
-      messages: [system, user],
-      temperature: 0.0,
-    });
+    const completion = await streamTask('perspective', { messages: [system, user], onDelta, signal });
 
     const response = completion?.choices?.[0]?.message?.content ?? '(no answer)';
     log(`Perspective (${perspective || 'generic'}) generated (${response.length} chars)`);
     return response;
   } catch (error) {
+    throwIfAborted(signal);
     warn(`Perspective (${perspective || 'generic'}) generation failed:`, error?.message || error);
     return '(no answer)';
   }
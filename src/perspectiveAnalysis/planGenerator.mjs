@@ -1,10 +1,11 @@
-import { openai } from '../llm.mjs';
+import { completeTask } from '../llm.mjs';
 import { warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 import { PERSPECTIVE_INSTRUCTIONS } from './perspectiveInstructions.mjs';
 
 export async function createPerspectivePlan(params) {
-  const { perspective, perspectiveQuestion, today, constitution } = params;
+  const { perspective, perspectiveQuestion, today, constitution, signal } = params;
   const current = PERSPECTIVE_INSTRUCTIONS[perspective];
 
   const system = {
@@ -27,12 +28,7 @@ export async function createPerspectivePlan(params) {
   };
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [system, user],
-      max_tokens: 512,
-      temperature: 0.2,
-    });
+    const completion = await completeTask('planning', { messages: [system, user], signal });
 
     const raw = completion?.choices?.[0]?.message?.content ?? '';
     let json = parseJsonResponse(raw, perspective, perspectiveQuestion);
@@ -40,6 +36,7 @@ export async function createPerspectivePlan(params) {
     json.perspectiveQuestion = perspectiveQuestion;
     return json;
   } catch (error) {
+    throwIfAborted(signal);
     warn(`${perspective} plan failed:`, error.message);
     return {
       searches: [{ query: perspectiveQuestion, k: 5 }],
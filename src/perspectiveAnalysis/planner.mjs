@@ -1,18 +1,20 @@
 import { log } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 import { filterPerspectives } from './perspectiveFilter.mjs';
 import { createPerspectivePlan } from './planGenerator.mjs';
 import { aggregateSearches, aggregateNotes } from './searchAggregator.mjs';
 
 export async function plannerCreatePlan(params) {
-  const { question, perspectiveFilter } = params;
+  const { question, perspectiveFilter, asOf = null, signal } = params;
 
   if (!perspectiveFilter) {
     log('No perspective filter provided, returning null plan');
     return null;
   }
 
-  const today = process.env.RAG_TODAY;
+  // An as-of date stands in for "today" throughout the analysis
+  const today = asOf || process.env.RAG_TODAY;
   const constitution = process.env.RAG_CONSTITUTION;
 
   const perspectives = filterPerspectives(perspectiveFilter);
@@ -23,6 +25,7 @@ export async function plannerCreatePlan(params) {
 
   // Generate perspectives in loop
   for (const perspective of perspectives) {
+    throwIfAborted(signal);
     log(`Generating ${perspective} perspective...`);
 
     perspectiveQuestions[perspective] = question;
@@ -32,6 +35,7 @@ export async function plannerCreatePlan(params) {
       perspectiveQuestion: perspectiveQuestions[perspective],
       today,
       constitution,
+      signal,
     })) || {
       searches: [{ query: question, k: 5 }],
       notes: `Fallback ${perspective} plan`,
@@ -57,6 +61,7 @@ export async function plannerCreatePlan(params) {
     perspectiveQuestions,
     perspectivePlans,
     requestedPerspectives: perspectives,
+    asOf,
   };
 
   log('Plan created with', allSearches.length, 'searches');
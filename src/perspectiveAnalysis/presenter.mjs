@@ -3,6 +3,7 @@ import { log, warn } from '../logs.mjs';
 import { validate as validateUuid } from 'uuid';
 import { extractLawName } from '../search/lawNameExtractors.mjs';
 import { extractRelevantSnippet, formatSnippet, formatLawName } from '../search/snippetExtractors.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 import { identifyParties } from './partyIdentifier.mjs';
 import { generatePerspective } from './perspectiveGenerator.mjs';
@@ -83,7 +84,16 @@ export function renumberInlineCitations(text, orderedFileUrls) {
   return out;
 }
 
-export async function presenterPresent(question, plan, snippets) {
+// `onDelta` (optional) receives the answer markdown progressively: the query/parties
+// header, each section heading and the streamed perspective tokens, in the same
+// order as the final response. The returned string is still the authoritative
+// answer (with citations renumbered), so clients should replace the streamed
+// preview with it.
+export async function presenterPresent(question, plan, snippets, { onDelta = null, signal = null } = {}) {
+  const emit = (text) => {
+    if (typeof onDelta === 'function' && text) onDelta(text);
+  };
+
   // Count total characters before starting
   const questionChars = question.length;
   const planChars = JSON.stringify(plan).length;
@@ -97,7 +107,7 @@ export async function presenterPresent(question, plan, snippets) {
   log(`  Total input: ${totalChars} characters`);
   log('Starting presenter with', snippets.length, 'snippets');
 
-  const parties = await identifyParties(question);
+  const parties = await identifyParties(question, { signal });
 
   log(`Party A (${parties.partyARole}): ${parties.partyA}`);
   log(`Party B (${parties.partyBRole}): ${parties.partyB}`);
@@ -108,8 +118,9 @@ export async function presenterPresent(question, plan, snippets) {
   const fileUrls = [];
   const sources = [];
   for (const s of snippets || []) {
+    throwIfAborted(signal);
     try {
-      const rawSnippet = await extractRelevantSnippet(s.text || '', question);
+      const rawSnippet = await extractRelevantSnippet(s.text || '', question, { signal });
       const snippet = await formatSnippet(rawSnippet);
       const rawLawName = extractLawName(s && s.text ? s.text : '');
       const lawName = (await formatLawName(rawLawName)) || 'Document';
@@ -138,13 +149,14 @@ export async function presenterPresent(question, plan, snippets) {
       // Include date and summary metadata to allow the model to prioritize recent documents when synthesizing
       contextChunks.push(`##${fileUrl}\nDate: ${date}\nSummary: ${summary}\n\n${snippet}\n`);
     } catch (err) {
+      throwIfAborted(signal);
       warn('Presenter: snippet formatting failed for snippet', s && s.filename, err?.message || err);
     }
   }
 
   const contextText = contextChunks.length > 0 ? contextChunks.join('\n---\n') : (Array.isArray(buildContext(snippets)) ? buildContext(snippets).join('\n') : String(buildContext(snippets)));
 
-  const today = process.env.RAG_TODAY;
+  const today = plan.asOf || process.env.RAG_TODAY;
   const constitution = process.env.RAG_CONSTITUTION;
 
   log('Context prepared:', (contextText && contextText.length) || 0, 'characters');
@@ -160,8 +172,21 @@ export async function presenterPresent(question, plan, snippets) {
 
     const responses = {};
 
+    const headerText =
+      `**Query:** ${question}\n\n` +
+      `**Parties:**\n` +
+      `- **${parties.partyA}** (${parties.partyARole})\n` +
+      `- **${parties.partyB}** (${parties.partyBRole})\n\n`;
+    const sectionHeadings = {
+      prosecutor: `---\n\n## ${parties.partyA} Position\n\n`,
+      defense: `---\n\n## ${parties.partyB} Position\n\n`,
+      judge: `---\n\n## Judicial Analysis (${parties.partyA} vs ${parties.partyB})\n\n`,
+    };
+    emit(headerText);
+
     if (requestedPerspectives.includes('prosecutor')) {
       log('Generating prosecutor perspective...');
+      emit(sectionHeadings.prosecutor);
       responses.prosecutor = await generatePerspective({
         perspective: 'prosecutor',
         question,
@@ -172,7 +197,10 @@ export async function presenterPresent(question, plan, snippets) {
         planNotes: plan.perspectivePlans?.prosecutor?.notes,
         partyA: parties.partyA,
         partyB: parties.partyB,
+        onDelta: emit,
+        signal,
       });
+      emit('\n\n');
       log(`Prosecutor response: ${String(responses.prosecutor).length} characters`);
 
       // verify prosecutor alignment
@@ -182,14 +210,17 @@ export async function presenterPresent(question, plan, snippets) {
           perspectiveName: 'prosecutor',
           perspectiveText: responses.prosecutor,
           context: contextText,
+          signal,
         });
       } catch (err) {
+        throwIfAborted(signal);
         log('Prosecutor validation failed:', err);
       }
     }
 
     if (requestedPerspectives.includes('defense')) {
       log('Generating defense perspective...');
+      emit(sectionHeadings.defense);
       responses.defense = await generatePerspective({
         perspective: 'defense',
         question,
@@ -200,7 +231,10 @@ export async function presenterPresent(question, plan, snippets) {
         planNotes: plan.perspectivePlans?.defense?.notes,
         partyA: parties.partyA,
         partyB: parties.partyB,
+        onDelta: emit,
+        signal,
       });
+      emit('\n\n');
       log(`Defense response: ${String(responses.defense).length} characters`);
 
       // verify defense alignment
@@ -210,8 +244,10 @@ export async function presenterPresent(question, plan, snippets) {
           perspectiveName: 'defense',
           perspectiveText: responses.defense,
           context: contextText,
+          signal,
         });
       } catch (err) {
+        throwIfAborted(signal);
         log('Defense validation failed:', err);
       }
     }
@@ -231,6 +267,7 @@ export async function presenterPresent(question, plan, snippets) {
         judgeContext += `\n\n[${parties.partyB} (DEFENSE) ARGUMENTS]\n${responses.defense}`;
       }
 
+      emit(sectionHeadings.judge);
       responses.judge = await generatePerspective({
         perspective: 'judge',
         question,
@@ -241,7 +278,10 @@ export async function presenterPresent(question, plan, snippets) {
         planNotes: plan.perspectivePlans?.judge?.notes,
         partyA: parties.partyA,
         partyB: parties.partyB,
+        onDelta: emit,
+        signal,
       });
+      emit('\n\n');
       log(`Judge response: ${String(responses.judge).length} characters`);
 
       // verify judge alignment
@@ -251,8 +291,10 @@ export async function presenterPresent(question, plan, snippets) {
           perspectiveName: 'judge',
           perspectiveText: responses.judge,
           context: judgeContext,
+          signal,
         });
       } catch (err) {
+        throwIfAborted(signal);
         log('Judge validation failed:', err);
       }
     }
@@ -267,14 +309,10 @@ export async function presenterPresent(question, plan, snippets) {
 
     log('Building final response');
 
-    let response = `**Query:** ${question}\n\n`;
-    response += `**Parties:**\n`;
-    response += `- **${parties.partyA}** (${parties.partyARole})\n`;
-    response += `- **${parties.partyB}** (${parties.partyBRole})\n\n`;
+    let response = headerText;
 
     if (requestedPerspectives.includes('prosecutor')) {
-      response += `---\n\n`;
-      response += `## ${parties.partyA} Position\n\n`;
+      response += sectionHeadings.prosecutor;
       response += `${responses.prosecutor}\n\n`;
 
       if (responses.prosecutorValidation && !responses.prosecutorValidation.matches) {
@@ -289,8 +327,7 @@ export async function presenterPresent(question, plan, snippets) {
     }
 
     if (requestedPerspectives.includes('defense')) {
-      response += `---\n\n`;
-      response += `## ${parties.partyB} Position\n\n`;
+      response += sectionHeadings.defense;
       response += `${responses.defense}\n\n`;
 
       if (responses.defenseValidation && !responses.defenseValidation.matches) {
@@ -305,8 +342,7 @@ export async function presenterPresent(question, plan, snippets) {
     }
 
     if (requestedPerspectives.includes('judge')) {
-      response += `---\n\n`;
-      response += `## Judicial Analysis (${parties.partyA} vs ${parties.partyB})\n\n`;
+      response += sectionHeadings.judge;
       response += `${responses.judge}\n\n`;
 
       if (responses.judgeValidation && !responses.judgeValidation.matches) {
@@ -326,6 +362,7 @@ export async function presenterPresent(question, plan, snippets) {
     const renumbered = renumberInlineCitations(response, fileUrls);
     return renumbered;
   } catch (error) {
+    throwIfAborted(signal);
     // Extract a concise, user-friendly error message while avoiding stack traces.
     let rawMsg = 'Unknown error';
     try {
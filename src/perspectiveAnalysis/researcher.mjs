@@ -2,8 +2,13 @@ import { UNKNOWN_PHRASE } from '../context.mjs';
 import { searchNearest } from '../embeddings.mjs';
 import { log, warn } from '../logs.mjs';
 import { extractRelevantSnippet, formatSnippet } from '../search/snippetExtractors.mjs';
+import { rankByTime } from '../search/temporal.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
+import { LOOKUP_TYPES, parseIdentifiers } from '../utils/legalIdentifiers.mjs';
 
 const CONSTITUTION = process.env.RAG_CONSTITUTION;
+// Relevance credited to documents found only because a hit cited them
+const CITATION_RELEVANCE = 0.5;
 
 function filterBarExamNotes(hits) {
   if (!Array.isArray(hits)) return [];
@@ -47,39 +52,26 @@ function filterBarExamNotes(hits) {
   return filtered;
 }
 
+// Laws, cases and issuances cited in `text`, as canonical citations for
+// title lookups ("R.A. 9262" -> "Republic Act No. 9262"), once each
 function extractCitations(text) {
   if (!text) return [];
-
-  const citations = new Set();
-
-  const patterns = [
-    /(?:R\.A\.|RA|Republic Act)\s*(?:No\.?)?\s*(\d+)/gi,
-    /(?:P\.D\.|PD|Presidential Decree)\s*(?:No\.?)?\s*(\d+)/gi,
-    /(?:E\.O\.|EO|Executive Order)\s*(?:No\.?)?\s*(\d+)/gi,
-    /(?:B\.P\.|BP|Batas Pambansa)\s*(?:No\.?)?\s*(\d+)/gi,
-    /G\.R\.\s*No\.?\s*(\d+)/gi,
-    /(?:A\.O\.|AO|Administrative Order)\s*(?:No\.?)?\s*(\d+)/gi,
-    /(?:D\.O\.|DO|Department Order)\s*(?:No\.?)?\s*(\d+)/gi,
-  ];
-
-  patterns.forEach((pattern) => {
-    const matches = text.matchAll(pattern);
-    for (const match of matches) {
-      citations.add(match[0].trim());
-    }
-  });
-
-  return Array.from(citations);
+  const citations = new Map();
+  for (const id of parseIdentifiers(text)) {
+    if (LOOKUP_TYPES.has(id.type) && !citations.has(id.key)) citations.set(id.key, id.canonical);
+  }
+  return [...citations.values()];
 }
 
-async function searchCitations(citations, maxPerCitation = 2) {
+async function searchCitations(citations, maxPerCitation = 2, { asOf = null, signal } = {}) {
   const citationHits = [];
 
   for (const citation of citations.slice(0, 5)) {
+    throwIfAborted(signal);
     log(`Searching for citation: ${citation}`);
 
     try {
-      let hits = await searchNearest(citation, maxPerCitation, { searchByTitle: true });
+      let hits = await searchNearest(citation, maxPerCitation, { searchByTitle: true, asOf, signal });
       if (!Array.isArray(hits)) hits = [];
 
       hits = filterBarExamNotes(hits);
@@ -93,6 +85,7 @@ async function searchCitations(citations, maxPerCitation = 2) {
 
       log(`Found ${hits.length} documents for citation: ${citation}`);
     } catch (e) {
+      throwIfAborted(signal);
       warn(`Error searching citation ${citation}:`, e.message);
     }
   }
@@ -100,7 +93,12 @@ async function searchCitations(citations, maxPerCitation = 2) {
   return citationHits;
 }
 
-export async function researcherExecutePlan(plan) {
+// `filters` (utils/documentFilters.mjs) restrict the planned searches; the
+// follow-ups for statutes cited in the hits are not filtered, since a cited
+// law is relevant whatever its date or type. The plan's `asOf` date applies
+// to both: nothing dated after it is returned.
+export async function researcherExecutePlan(plan, { filters, signal } = {}) {
+  const asOf = plan.asOf || null;
   const requestedPerspectives = plan.requestedPerspectives || ['prosecutor', 'defense', 'judge'];
 
   log('Executing research plan with', plan.searches?.length || 0, 'searches');
@@ -134,6 +132,7 @@ export async function researcherExecutePlan(plan) {
   );
 
   for (let searchIdx = 0; searchIdx < filteredSearches.length; searchIdx++) {
+    throwIfAborted(signal);
     const s = filteredSearches[searchIdx];
     const q = s && s.query ? s.query : null;
 
@@ -148,7 +147,7 @@ export async function researcherExecutePlan(plan) {
     log(`Search ${searchIdx + 1}/${filteredSearches.length} (${perspective}):`, q, `(k=${k})`);
     log(`Search ${searchIdx + 1}: Searching embeddings`);
 
-    let hits = await searchNearest(q, k);
+    let hits = await searchNearest(q, k, { filters, asOf, signal });
 
     if (!Array.isArray(hits)) hits = [];
 
@@ -164,10 +163,12 @@ export async function researcherExecutePlan(plan) {
       const citationsInDoc = extractCitations(originalText);
       citationsInDoc.forEach((cite) => allCitations.add(cite));
 
-      // Try to generate a relevant snippet; fall back to a simple truncation
-      let snippet = originalText.slice(0, 800);
+      // Try to generate a relevant snippet (from the best-matching passage when
+      // indexed); fall back to a simple truncation
+      const snippetSource = h.passage?.text || originalText;
+      let snippet = snippetSource.slice(0, 800);
       try {
-        snippet = await extractRelevantSnippet(originalText, q || '');
+        snippet = await extractRelevantSnippet(snippetSource, q || '', { signal });
         if (snippet && typeof snippet === 'string') snippet = await formatSnippet(snippet);
 
         // If we can't extract a reliable snippet, omit this hit entirely
@@ -176,6 +177,7 @@ export async function researcherExecutePlan(plan) {
           continue;
         }
       } catch (e) {
+        throwIfAborted(signal);
         warn('Snippet extraction/formatting failed for', h.filename || h.uuid, e?.message || e);
         try {
           snippet = await formatSnippet(snippet);
@@ -219,7 +221,7 @@ export async function researcherExecutePlan(plan) {
     log(
       `Found ${allCitations.size} citations in retrieved documents, searching for related documents...`
     );
-    const citationHits = await searchCitations(Array.from(allCitations), 2);
+    const citationHits = await searchCitations(Array.from(allCitations), 2, { asOf, signal });
 
     let citationNewHits = 0;
     for (const h of citationHits) {
@@ -239,20 +241,15 @@ export async function researcherExecutePlan(plan) {
     log(`Citation follow-up: Added ${citationNewHits} new documents`);
   }
 
-  let finalResults = Array.from(seen.values());
-
-  // Sort final results by date (newest first). If date missing or invalid, treat as oldest.
-  finalResults.sort((a, b) => {
-    const da = Date.parse(String(a.date));
-    const db = Date.parse(String(b.date));
-    const na = Number.isFinite(da) ? da : Number.NEGATIVE_INFINITY;
-    const nb = Number.isFinite(db) ? db : Number.NEGATIVE_INFINITY;
-    if (nb !== na) return nb - na;
-    // Tie-breaker: prefer filename alphabetical (stable) to reduce randomness
-    return String(a.filename || '').localeCompare(String(b.filename || ''));
-  });
+  // Rank by relevance blended with recency (search/temporal.mjs), not by date
+  // alone, so a marginal recent hit does not outrank the controlling older one
+  const finalResults = rankByTime(
+    Array.from(seen.values()),
+    (h) => (h.foundViaCitation ? CITATION_RELEVANCE : h.temporal?.relevance ?? CITATION_RELEVANCE),
+    { asOf }
+  );
 
-  log('Research plan execution completed:', finalResults.length, 'total unique results (sorted by date)');
+  log('Research plan execution completed:', finalResults.length, 'total unique results (ranked by relevance and recency)');
 
   return finalResults;
 }
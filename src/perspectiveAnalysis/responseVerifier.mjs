@@ -1,5 +1,6 @@
-import { openai } from '../llm.mjs';
+import { completeTask } from '../llm.mjs';
 import { log, warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 /**
  * Role-specific checklist to guide verification
@@ -48,6 +49,7 @@ export async function verifyPerspective({
   context,
   partyA = 'Party A',
   partyB = 'Party B',
+  signal = null,
 }) {
   try {
     const checklist = getChecklistForPerspective(perspectiveName, partyA, partyB);
@@ -79,12 +81,7 @@ export async function verifyPerspective({
       ].join('\n'),
     };
 
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [system, user],
-      temperature: 0.0,
-      max_output_tokens: 512,
-    });
+    const completion = await completeTask('verification', { messages: [system, user], signal });
 
     const raw = completion?.choices?.[0]?.message?.content ?? '';
     let jsonText = raw.trim();
@@ -140,6 +137,7 @@ export async function verifyPerspective({
     );
     return result;
   } catch (err) {
+    throwIfAborted(signal);
     const rawMsg = (err && (err.message || String(err))) || 'Unknown verifier error';
     const sanitized = String(rawMsg).replace(/\s+/g, ' ').trim().slice(0, 600);
     warn('verifyPerspective failed:', sanitized);
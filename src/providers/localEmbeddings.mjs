@@ -0,0 +1,51 @@
+import { throwIfAborted } from '../utils/abort.mjs';
+
+// In-process embedding backend running an ONNX sentence-embedding model via
+// @xenova/transformers, so queries are embedded without a network round trip.
+// The model is downloaded into the transformers cache on first use (set
+// TRANSFORMERS_CACHE to keep it somewhere persistent). `embed()` returns the
+// same OpenAI embeddings list shape as the provider adapters.
+
+const DEFAULT_LOCAL_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+export function createLocalEmbeddingBackend({
+  model = process.env.EMBEDDING_LOCAL_MODEL || DEFAULT_LOCAL_MODEL,
+  quantized = process.env.EMBEDDING_LOCAL_QUANTIZED !== 'false',
+} = {}) {
+  let extractor = null;
+
+  // The library is heavy; import it only when the local backend is selected
+  function load() {
+    if (!extractor) {
+      extractor = import('@xenova/transformers')
+        .then(({ env, pipeline }) => {
+          if (process.env.TRANSFORMERS_CACHE) env.cacheDir = process.env.TRANSFORMERS_CACHE;
+          return pipeline('feature-extraction', model, { quantized });
+        })
+        .catch((err) => {
+          extractor = null;
+          throw err;
+        });
+    }
+    return extractor;
+  }
+
+  return {
+    name: 'local',
+    model,
+    load,
+    async embed(params = {}, { signal } = {}) {
+      throwIfAborted(signal);
+      const inputs = (Array.isArray(params.input) ? params.input : [params.input]).map((v) => String(v ?? ''));
+      const extract = await load();
+      throwIfAborted(signal);
+      // Mean-pooled, L2-normalized sentence embeddings, one row per input
+      const output = await extract(inputs, { pooling: 'mean', normalize: true });
+      return {
+        object: 'list',
+        model,
+        data: output.tolist().map((embedding, index) => ({ object: 'embedding', index, embedding })),
+      };
+    },
+  };
+}
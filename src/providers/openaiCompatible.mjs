@@ -0,0 +1,46 @@
+import OpenAI from 'openai';
+
+// Adapter for any server that speaks the OpenAI chat/embeddings API
+// (llama.cpp server, vLLM, Ollama's /v1 endpoint, LM Studio...).
+// Local servers usually host a single model, so LLM_MODEL and
+// LLM_EMBEDDING_MODEL can pin the model name sent with every request.
+export function createOpenAICompatibleProvider({
+  name = 'openai-compatible',
+  baseURL = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL,
+  embeddingModel = process.env.LLM_EMBEDDING_MODEL,
+  defaultHeaders,
+} = {}) {
+  if (!baseURL) {
+    throw new Error(`${name} provider requires a base URL. Export LLM_BASE_URL and retry.`);
+  }
+
+  const client = new OpenAI({
+    baseURL,
+    // Most local servers ignore the key but the SDK refuses to start without one
+    apiKey: apiKey || 'not-needed',
+    defaultHeaders,
+  });
+
+  return {
+    name,
+    // `options.signal` aborts the underlying HTTP request
+    chat(params, { signal } = {}) {
+      return client.chat.completions.create({ ...params, model: model || params.model }, { signal });
+    },
+    // Yields OpenAI `chat.completion.chunk` objects as they arrive
+    async *chatStream(params, { signal } = {}) {
+      const stream = await client.chat.completions.create(
+        { ...params, model: model || params.model, stream: true },
+        { signal }
+      );
+      for await (const chunk of stream) {
+        yield chunk;
+      }
+    },
+    embed(params, { signal } = {}) {
+      return client.embeddings.create({ ...params, model: embeddingModel || params.model }, { signal });
+    },
+  };
+}
@@ -0,0 +1,19 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.mjs';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+export function createOpenRouterProvider({ apiKey = process.env.OPENROUTER_KEY } = {}) {
+  if (!apiKey) {
+    throw new Error('Missing API key. Export OPENROUTER_KEY and retry.');
+  }
+
+  // Model names are passed through untouched: OpenRouter resolves
+  // "vendor/model" identifiers such as google/gemini-2.5-flash itself.
+  return createOpenAICompatibleProvider({
+    name: 'openrouter',
+    baseURL: OPENROUTER_BASE_URL,
+    apiKey,
+    model: null,
+    embeddingModel: null,
+  });
+}
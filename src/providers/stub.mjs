@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+
+import { throwIfAborted } from '../utils/abort.mjs';
+
+// Deterministic offline provider. It never touches the network, so the whole
+// stack can run air-gapped or under test without an API key. The same input
+// always produces the same completion text and the same embedding vector.
+
+const DEFAULT_EMBEDDING_DIM = 1536;
+
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .map((part) => (part && typeof part.text === 'string' ? part.text : ''))
+      .join('\n');
+  }
+  return '';
+}
+
+// Expand a sha256 digest stream into `dim` floats in [-1, 1], then L2-normalize
+function hashEmbedding(text, dim) {
+  const values = [];
+  let counter = 0;
+  while (values.length < dim) {
+    const digest = crypto.createHash('sha256').update(`${counter}:${text}`).digest();
+    for (let i = 0; i + 1 < digest.length && values.length < dim; i += 2) {
+      values.push(digest.readUInt16BE(i) / 32767.5 - 1);
+    }
+    counter++;
+  }
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return values.map((v) => v / norm);
+}
+
+function stubContent(params, response) {
+  const messages = Array.isArray(params.messages) ? params.messages : [];
+  const lastUser = [...messages].reverse().find((m) => m && m.role === 'user');
+  const prompt = messageText(lastUser).replace(/\s+/g, ' ').trim();
+  const content = response || `Stub response (${params.model || 'unknown model'}): ${prompt.slice(0, 200)}`;
+  return { prompt, content };
+}
+
+export function createStubProvider({
+  response = process.env.LLM_STUB_RESPONSE,
+  embeddingDim = Number(process.env.LLM_STUB_EMBEDDING_DIM || process.env.DOWNSAMPLE_DIM) ||
+    DEFAULT_EMBEDDING_DIM,
+} = {}) {
+  return {
+    name: 'stub',
+    async chat(params = {}, { signal } = {}) {
+      throwIfAborted(signal);
+      const { prompt, content } = stubContent(params, response);
+      return {
+        id: `stub-${crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 12)}`,
+        object: 'chat.completion',
+        model: params.model || 'stub',
+        choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+      };
+    },
+    // Emits the same text as chat(), one whitespace-delimited word per chunk
+    async *chatStream(params = {}, { signal } = {}) {
+      const { content } = stubContent(params, response);
+      const words = content.match(/\S+\s*/g) || [];
+      for (const word of words) {
+        throwIfAborted(signal);
+        yield {
+          object: 'chat.completion.chunk',
+          model: params.model || 'stub',
+          choices: [{ index: 0, delta: { content: word }, finish_reason: null }],
+        };
+      }
+    },
+    async embed(params = {}, { signal } = {}) {
+      throwIfAborted(signal);
+      const inputs = Array.isArray(params.input) ? params.input : [params.input];
+      return {
+        object: 'list',
+        model: params.model || 'stub',
+        data: inputs.map((input, index) => ({
+          object: 'embedding',
+          index,
+          embedding: hashEmbedding(String(input ?? ''), embeddingDim),
+        })),
+      };
+    },
+  };
+}
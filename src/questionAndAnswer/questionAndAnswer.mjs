@@ -1,13 +1,15 @@
 import { extractSource, UNKNOWN_PHRASE } from '../context.mjs';
 import { searchNearest } from '../embeddings.mjs';
-import { openai } from '../llm.mjs';
+import { completeTask, streamTask } from '../llm.mjs';
 import { log, warn } from '../logs.mjs';
+import { describeStatus, withStatuteStatus } from '../search/amendments.mjs';
 import { extractLawName } from '../search/lawNameExtractors.mjs';
 import {
   extractRelevantSnippet,
   formatSnippet,
   formatLawName,
 } from '../search/snippetExtractors.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 import { fetchSnippetForToken } from '../utils/fileFetch.mjs';
 
 // Defaults drawn from .envrc.template
@@ -20,6 +22,10 @@ export async function answerQuestion(
   {
     k = 5,
     clientState = null, // optional object (e.g. localStorage snapshot)
+    filters = null, // optional metadata filters for retrieval (utils/documentFilters.mjs)
+    asOf = null, // optional YYYY-MM-DD: answer with the law as it stood on that date
+    onDelta = null, // optional callback receiving partial answer markdown as it streams
+    signal = null, // optional AbortSignal; aborting rejects with the abort reason
   } = {}
 ) {
   if (!question || !String(question).trim()) {
@@ -40,15 +46,11 @@ export async function answerQuestion(
         stateStr ? '\nCLIENT STATE (optional context):\n' + stateStr : ''
       ].join('\n');
       const usr = { role: 'user', content: [{ type: 'text', text: usrText }] };
-      const completion = await openai.chat.completions.create({
-        model: 'openai/gpt-oss-20b',
-        messages: [sys, usr],
-        temperature: 0.1,
-        max_output_tokens: 64,
-      });
+      const completion = await completeTask('reformulation', { messages: [sys, usr], signal });
       const reformulated = (completion?.choices?.[0]?.message?.content || '').toString().trim();
       if (reformulated) return reformulated;
     } catch (err) {
+      throwIfAborted(signal);
       warn('QnA: reformulateQuestion failed:', err?.message || err);
     }
     return String(original).trim();
@@ -68,8 +70,9 @@ export async function answerQuestion(
   let matches = [];
   try {
     // Use reformulated query for nearest-neighbour search
-    matches = await searchNearest(searchQuery, k);
+    matches = await withStatuteStatus(await searchNearest(searchQuery, k, { filters, asOf, signal }), { asOf });
   } catch (err) {
+    throwIfAborted(signal);
     warn('QnA: searchNearest failed:', err?.message || err);
     return { answer: UNKNOWN_PHRASE, sources: [], matches: [] };
   }
@@ -78,9 +81,11 @@ export async function answerQuestion(
   const contextChunks = [];
   const sources = [];
   for (const m of matches || []) {
+    throwIfAborted(signal);
     try {
-      // extract a short snippet relevant to question
-      const rawSnippet = await extractRelevantSnippet(m.text || '', question);
+      // extract a short snippet relevant to question, from the best-matching
+      // passage when the passage index has one
+      const rawSnippet = await extractRelevantSnippet(m.passage?.text || m.text || '', question, { signal });
       const snippet = await formatSnippet(rawSnippet);
       const lawName = (await formatLawName(extractLawName(m.text || ''))) || 'Document';
 
@@ -93,11 +98,15 @@ export async function answerQuestion(
       const fileUrl = extractSource(m);
       const date = m.date ? String(m.date) : 'unknown';
       const summary = m.summary ? String(m.summary) : '';
-      sources.push({ fileUrl, lawName, uuid: m.uuid, filename: m.filename, date, summary });
+      const passage = m.passage ? { start: m.passage.start, end: m.passage.end } : null;
+      sources.push({ fileUrl, lawName, uuid: m.uuid, filename: m.filename, date, summary, passage });
 
-      // Include date & summary metadata to allow the LLM to prefer the most recent info
-      contextChunks.push(`${fileUrl}\nDate: ${date}\nSummary: ${summary}\n\n${snippet}\n`);
+      // Include date & summary metadata to allow the LLM to prefer the most recent info,
+      // and later amendments or repeals so it does not quote superseded text as current law
+      const status = describeStatus(m.amendments);
+      contextChunks.push(`${fileUrl}\nDate: ${date}\n${status ? `Status: ${status}\n` : ''}Summary: ${summary}\n\n${snippet}\n`);
     } catch (err) {
+      throwIfAborted(signal);
       // keep going if formatting or snippet extraction fails
       warn('QnA: snippet formatting failed for match:', m.filename || m.uuid, err?.message || err);
     }
@@ -129,10 +138,11 @@ export async function answerQuestion(
   // For any token not present in the matches, try to fetch a snippet and add to context
   for (const t of clientStateTokens) {
     if (fileUrlsFromMatches.includes(t)) continue; // already present
+    throwIfAborted(signal);
     try {
       const fetched = await fetchSnippetForToken(t, question);
       if (fetched && fetched.content) {
-        const rawSnippet = await extractRelevantSnippet(fetched.content, question);
+        const rawSnippet = await extractRelevantSnippet(fetched.content, question, { signal });
         const snippet = await formatSnippet(rawSnippet);
         const lawName = (await formatLawName(extractLawName(fetched.content))) || 'Document';
 
@@ -152,6 +162,7 @@ export async function answerQuestion(
         fileUrlsFromMatches.push(canonicalToken);
       }
     } catch (err) {
+      throwIfAborted(signal);
       warn('QnA: failed to fetch snippet for client token', t, err?.message || err);
     }
   }
@@ -292,9 +303,14 @@ export async function answerQuestion(
       // Prevent the model from echoing internal labels or square-bracketed section markers
       'Do NOT include the literal tags "[CONTEXT]" or "[Scenario]" or other square-bracketed section headings in your output. If you need to refer to the context or scenario, paraphrase in plain text (e.g., "from the provided context").',
       "If the question is ambiguous or the context is incomplete, you may propose reasonable interpretations or assumptions to provide a helpful answer. For any assumption you make, clearly label it under 'ASSUMPTIONS' and explain how it affects the answer.",
-      `Assume the reference date is ${DEFAULT_RAG_TODAY}, the applicable constitution is ${DEFAULT_RAG_CONSTITUTION}, and the nation is ${DEFAULT_RAG_NATION}, unless the user explicitly specifies otherwise. If the user refers to a different date, constitution, or nation, ask a clarifying question.`,
+      ...(asOf
+        ? [`The user is researching the law as it stood on ${asOf}: documents dated after it were excluded from CONTEXT. Do not rely on later amendments or decisions.`]
+        : []),
+      `Assume the reference date is ${asOf || DEFAULT_RAG_TODAY}, the applicable constitution is ${DEFAULT_RAG_CONSTITUTION}, and the nation is ${DEFAULT_RAG_NATION}, unless the user explicitly specifies otherwise. If the user refers to a different date, constitution, or nation, ask a clarifying question.`,
       `When multiple sources conflict, always prioritize information from the most recently dated documents relative to the reference date (newest first); when forming a conclusion, prefer the newest documents and explicitly call out where the answer or recommendation depends on a more recent source.`, 
 
+      'A CONTEXT entry with a Status line was amended or repealed by the laws it names. When you rely on such a source, say that it was amended or repealed and by which law; never present a repealed provision as current law.',
+
       `If there is absolutely no context or relevant information upon which to base any reasonable interpretation, respond exactly with: "${UNKNOWN_PHRASE}"`,
       'Cite supporting source(s) using numbered inline Markdown link citations in the exact format [1](FILE:75816fa8-7257-4ca6-a00e-1b844f53612c/pd_486_1974.txt). Do NOT insert spaces or line breaks inside the parentheses of the link; the link target must match the `FILE:<uuid>/<filename>` token format exactly. For each inline [n] you use, ensure the link target is an HTTP(S) URL or the internal `FILE:<uuid>/<filename>` token. Do NOT include a separate "SOURCES" mapping in the answer; the application will provide the source mapping outside of the LLM output.',
       'Provide a concise summary answer, followed by 1-3 recommended next steps if applicable.',
@@ -328,20 +344,16 @@ export async function answerQuestion(
     ],
   };
 
-  // 5) ask the LLM
+  // 5) ask the LLM (streamed so callers can forward partial markdown)
   let raw = null;
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.5-flash',
-      messages: [system, user],
-      max_output_tokens: 512,
-      temperature: 0.1,
-    });
+    const completion = await streamTask('answer', { messages: [system, user], onDelta, signal });
 
     raw = completion?.choices?.[0]?.message?.content ?? '(no answer)';
     log('QnA: LLM returned', String(raw).length, 'chars');
   } catch (err) {
-    warn('QnA: openai request failed:', err?.message || err);
+    throwIfAborted(signal);
+    warn('QnA: LLM request failed:', err?.message || err);
     return { answer: UNKNOWN_PHRASE, sources: [], matches };
   }
 
@@ -443,6 +455,8 @@ export async function answerQuestion(
     matches,
   };
   } catch (err) {
+    // Cancellation is not a failure to answer: let the caller see the abort
+    throwIfAborted(signal);
     // Top-level handler catch: log full stack and return a safe UNKNOWN_PHRASE
     warn('QnA: handler unexpected error:', err?.stack || err?.message || err);
     return { answer: UNKNOWN_PHRASE, sources: [], matches: [] };
@@ -0,0 +1,168 @@
+// "This law was amended by ..." warnings, from the statute relationship
+// graph the importer builds (statute_relations, see
+// src/utils/statuteRelations.mjs). Citing an amended or repealed provision as
+// current law is the costliest mistake a user can make, so every result that
+// is a statute carries the amendments and repeals known for it.
+
+import { extractSource } from '../context.mjs';
+import { query as dbQuery } from '../db.mjs';
+import { warn } from '../logs.mjs';
+import { isoDate } from '../utils/documentFilters.mjs';
+import { identifierLabel } from '../utils/legalIdentifiers.mjs';
+
+// Set when setup-db has not created the graph yet
+let relationsUnavailable = false;
+
+// Amendments and repeals of each document in `uuids`, as a Map from uuid to
+// [{ relation, provision, byKey, byLabel, byUuid, byDate, evidence }], newest
+// first with repeals before amendments. With `asOf`, laws dated after it are
+// left out: they had not amended anything yet.
+export async function getStatuteStatus(uuids, { asOf = null } = {}) {
+  const status = new Map();
+  const ids = [...new Set((uuids || []).filter(Boolean))];
+  if (ids.length === 0 || relationsUnavailable) return status;
+
+  let rows;
+  try {
+    ({ rows } = await dbQuery(
+      `SELECT DISTINCT ON (d.uuid, r.from_key, r.relation, r.provision)
+              d.uuid, r.relation, r.provision, r.from_key, r.from_label, r.evidence,
+              a.uuid AS by_uuid, a.date AS by_date
+       FROM documents d
+       JOIN statute_relations r ON r.to_key = d.statute_key
+       LEFT JOIN documents s ON s.uuid = r.source_uuid
+       LEFT JOIN LATERAL (
+         SELECT x.uuid, x.date FROM documents x WHERE x.statute_key = r.from_key ORDER BY x.date DESC LIMIT 1
+       ) a ON true
+       WHERE d.uuid = ANY($1::uuid[])
+         AND ($2::date IS NULL OR a.date IS NULL OR a.date <= $2::date)
+       ORDER BY d.uuid, r.from_key, r.relation, r.provision, (s.statute_key = r.from_key) DESC NULLS LAST`,
+      [ids, asOf || null]
+    ));
+  } catch (err) {
+    // 42P01 = undefined_table, 42703 = undefined_column (setup-db not re-run)
+    if (err?.code !== '42P01' && err?.code !== '42703') throw err;
+    relationsUnavailable = true;
+    warn('Statute relations missing; results carry no amendment warnings. Re-run scripts/setup-db.mjs with RAG_CORPUS_PATH set.');
+    return status;
+  }
+
+  for (const r of rows) {
+    const entry = {
+      relation: r.relation,
+      provision: r.provision || '',
+      byKey: r.from_key,
+      byLabel: r.from_label || r.from_key,
+      byUuid: r.by_uuid || null,
+      byDate: isoDate(r.by_date),
+      evidence: r.evidence || '',
+    };
+    if (!status.has(r.uuid)) status.set(r.uuid, []);
+    status.get(r.uuid).push(entry);
+  }
+  for (const entries of status.values()) {
+    entries.sort(
+      (a, b) =>
+        (a.relation === 'repeals' ? 0 : 1) - (b.relation === 'repeals' ? 0 : 1) ||
+        String(b.byDate || '').localeCompare(String(a.byDate || ''))
+    );
+  }
+  return status;
+}
+
+// Both directions of the graph for one document, for the document viewer:
+// { statuteKey, label, amendedBy: [...getStatuteStatus entries], amends:
+// [{ relation, provision, toKey, toLabel, toUuid, evidence }] }. null for an
+// unknown document; empty lists for documents that are not statutes.
+export async function getStatuteRelations(uuid) {
+  let doc;
+  try {
+    ({ rows: [doc] } = await dbQuery('SELECT statute_key FROM documents WHERE uuid = $1', [uuid]));
+  } catch (err) {
+    // documents.statute_key not created yet: no document is known as a statute
+    if (err?.code !== '42703') throw err;
+    relationsUnavailable = true;
+    ({ rows: [doc] } = await dbQuery('SELECT NULL AS statute_key FROM documents WHERE uuid = $1', [uuid]));
+  }
+  if (!doc) return null;
+  const result = {
+    statuteKey: doc.statute_key || null,
+    label: doc.statute_key ? identifierLabel(doc.statute_key) : null,
+    amendedBy: [],
+    amends: [],
+  };
+  if (!doc.statute_key || relationsUnavailable) return result;
+
+  result.amendedBy = (await getStatuteStatus([uuid])).get(uuid) || [];
+  try {
+    const { rows } = await dbQuery(
+      `SELECT DISTINCT ON (r.to_key, r.relation, r.provision)
+              r.relation, r.provision, r.to_key, r.to_label, r.evidence,
+              (SELECT x.uuid FROM documents x WHERE x.statute_key = r.to_key ORDER BY x.date DESC LIMIT 1) AS to_uuid
+       FROM statute_relations r
+       WHERE r.from_key = $1
+       ORDER BY r.to_key, r.relation, r.provision, (r.source_uuid = $2::uuid) DESC`,
+      [doc.statute_key, uuid]
+    );
+    result.amends = rows.map((r) => ({
+      relation: r.relation,
+      provision: r.provision || '',
+      toKey: r.to_key,
+      toLabel: r.to_label || r.to_key,
+      toUuid: r.to_uuid || null,
+      evidence: r.evidence || '',
+    }));
+  } catch (err) {
+    if (err?.code !== '42P01') throw err;
+  }
+  return result;
+}
+
+// Matches with `amendments` (amendments and repeals, see getStatuteStatus)
+// attached, empty for laws with none known. Never fails the request over the
+// warnings.
+export async function withStatuteStatus(matches, { asOf = null } = {}) {
+  if (!Array.isArray(matches) || matches.length === 0) return matches || [];
+  try {
+    const status = await getStatuteStatus(matches.map((m) => m.uuid), { asOf });
+    return matches.map((m) => ({ ...m, amendments: status.get(m.uuid) || [] }));
+  } catch (err) {
+    warn('Statute status lookup failed:', err?.message || err);
+    return matches;
+  }
+}
+
+// One sentence per amendment or repeal, e.g. "Article 9 was amended by
+// Republic Act No. 10951 (2017-08-29)."
+export function describeStatus(entries, { max = 5 } = {}) {
+  if (!Array.isArray(entries)) return '';
+  // "This law was amended by X" adds nothing next to "Article 9 was amended by X"
+  const specific = new Set(entries.filter((e) => e.provision).map((e) => `${e.relation}|${e.byKey}`));
+  entries = entries.filter((e) => e.provision || !specific.has(`${e.relation}|${e.byKey}`));
+  const sentences = entries.slice(0, max).map((e) => {
+    const subject = e.provision ? e.provision : 'This law';
+    const verb = e.relation === 'repeals' ? 'repealed' : 'amended';
+    const plural = /^(?:Sections|Articles|Secs|Arts)\b|,|\band\b/i.test(e.provision);
+    const date = e.byDate ? ` (${e.byDate})` : '';
+    return `${subject} ${plural ? 'were' : 'was'} ${verb} by ${e.byLabel}${date}.`;
+  });
+  if (entries.length > max) sentences.push(`${entries.length - max} more amendments or repeals are on record.`);
+  return sentences.join(' ');
+}
+
+// The warnings behind a result, for the reply: one entry per amendment or
+// repeal of each ranked document (by source reference, as listed in `sources`)
+export function describeAmendments(matches) {
+  return (matches || [])
+    .filter((m) => m && Array.isArray(m.amendments) && m.amendments.length > 0)
+    .flatMap((m) =>
+      m.amendments.map((e) => ({
+        source: extractSource(m),
+        relation: e.relation,
+        provision: e.provision,
+        by: e.byLabel,
+        byUuid: e.byUuid,
+        byDate: e.byDate,
+      }))
+    );
+}
@@ -0,0 +1,120 @@
+// "Cites" / "cited by" lookups over the citation graph the importer builds
+// (`citations`, see src/utils/citations.mjs), and the citation counts that
+// ranking uses as an authority signal (temporal.mjs).
+
+import { query as dbQuery } from '../db.mjs';
+import { warn } from '../logs.mjs';
+import { isoDate } from '../utils/documentFilters.mjs';
+import { identifierLabel } from '../utils/legalIdentifiers.mjs';
+
+// Set when setup-db has not created the graph yet
+let citationsUnavailable = false;
+
+function isMissingGraph(err) {
+  // 42P01 = undefined_table, 42703 = undefined_column (setup-db not re-run)
+  if (err?.code !== '42P01' && err?.code !== '42703') return false;
+  if (!citationsUnavailable) {
+    citationsUnavailable = true;
+    warn('Citation graph missing; ranking ignores citation counts. Re-run scripts/setup-db.mjs with RAG_CORPUS_PATH set.');
+  }
+  return true;
+}
+
+// Number of distinct documents citing each of `uuids`: Map uuid -> count.
+// With `asOf`, only documents dated up to it count.
+export async function getCitedByCounts(uuids, { asOf = null } = {}) {
+  const counts = new Map();
+  const ids = [...new Set((uuids || []).filter(Boolean))];
+  if (ids.length === 0 || citationsUnavailable) return counts;
+  try {
+    const { rows } = await dbQuery(
+      `SELECT c.resolved_uuid AS uuid, count(DISTINCT c.citing_uuid)::int AS n
+       FROM citations c
+       JOIN documents d ON d.uuid = c.citing_uuid
+       WHERE c.resolved_uuid = ANY($1::uuid[])
+         AND ($2::date IS NULL OR d.date <= $2::date)
+       GROUP BY c.resolved_uuid`,
+      [ids, asOf || null]
+    );
+    for (const r of rows) counts.set(r.uuid, r.n);
+  } catch (err) {
+    if (!isMissingGraph(err)) throw err;
+  }
+  return counts;
+}
+
+// Sets `citedBy` on each row (database rows or matches with a `uuid`) before
+// ranking. Never fails retrieval over the counts.
+export async function attachCitedBy(rows, { asOf = null } = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) return rows;
+  try {
+    const counts = await getCitedByCounts(rows.map((r) => r.uuid), { asOf });
+    for (const r of rows) r.citedBy = counts.get(r.uuid) || 0;
+  } catch (err) {
+    warn('Citation count lookup failed:', err?.message || err);
+  }
+  return rows;
+}
+
+function toDocument(r) {
+  return {
+    uuid: r.uuid || null,
+    title: r.title || null,
+    filename: r.filename || null,
+    date: isoDate(r.date),
+  };
+}
+
+// Both directions of the graph for one document, for the document viewer:
+// { key, label, cites: [{ key, label, mentions, document }], citedBy:
+// [{ mentions, document }], citedByCount }. `document` is null for
+// identifiers not in the corpus. `citedBy` lists the `limit` most recent
+// citing documents; null for an unknown document.
+export async function getCitationGraph(uuid, { limit = 100 } = {}) {
+  let doc;
+  try {
+    ({ rows: [doc] } = await dbQuery('SELECT citation_key FROM documents WHERE uuid = $1', [uuid]));
+  } catch (err) {
+    if (!isMissingGraph(err)) throw err;
+    ({ rows: [doc] } = await dbQuery('SELECT NULL AS citation_key FROM documents WHERE uuid = $1', [uuid]));
+  }
+  if (!doc) return null;
+  const graph = {
+    key: doc.citation_key || null,
+    label: doc.citation_key ? identifierLabel(doc.citation_key) : null,
+    cites: [],
+    citedBy: [],
+    citedByCount: 0,
+  };
+  if (citationsUnavailable) return graph;
+
+  try {
+    const { rows: cites } = await dbQuery(
+      `SELECT c.cited_key, c.cited_label, c.mentions, d.uuid, d.title, d.filename, d.date
+       FROM citations c LEFT JOIN documents d ON d.uuid = c.resolved_uuid
+       WHERE c.citing_uuid = $1
+       ORDER BY c.mentions DESC, c.cited_key`,
+      [uuid]
+    );
+    graph.cites = cites.map((r) => ({
+      key: r.cited_key,
+      label: r.cited_label || identifierLabel(r.cited_key),
+      mentions: r.mentions,
+      document: r.uuid ? toDocument(r) : null,
+    }));
+
+    const { rows: citedBy } = await dbQuery(
+      `SELECT c.mentions, d.uuid, d.title, d.filename, d.date, count(*) OVER ()::int AS total
+       FROM citations c JOIN documents d ON d.uuid = c.citing_uuid
+       WHERE c.resolved_uuid = $1
+       ORDER BY d.date DESC, d.uuid
+       LIMIT $2`,
+      [uuid, limit]
+    );
+    graph.citedBy = citedBy.map((r) => ({ mentions: r.mentions, document: toDocument(r) }));
+    graph.citedByCount = citedBy[0]?.total || 0;
+  } catch (err) {
+    if (!isMissingGraph(err)) throw err;
+  }
+  return graph;
+}
@@ -0,0 +1,107 @@
+// Everything the document viewer shows about one document besides its text:
+// the `documents` metadata, an outline of the formatted text and the nearest
+// documents in embedding space.
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { query as dbQuery } from '../db.mjs';
+import { formatDocument } from '../formatter/formatter.mjs';
+import { warn } from '../logs.mjs';
+import { isoDate } from '../utils/documentFilters.mjs';
+import { parseOutline } from '../utils/documentOutline.mjs';
+import { identifierLabel } from '../utils/legalIdentifiers.mjs';
+
+import { vectorQuery } from './vectorQuery.mjs';
+
+const CORPUS_DIR = process.env.RAG_CORPUS_PATH;
+// Related documents returned by default
+const RELATED_LIMIT = 5;
+
+const COLUMNS = 'uuid, title, date, category, relative_path, filename, summary';
+// Added by later setup-db runs
+const ANALYSIS_COLUMNS = 'court_division, citation_key';
+
+async function fetchDocumentRow(uuid) {
+  try {
+    const { rows } = await dbQuery(`SELECT ${COLUMNS}, ${ANALYSIS_COLUMNS} FROM documents WHERE uuid = $1`, [uuid]);
+    return rows[0] || null;
+  } catch (err) {
+    // 42703 = undefined_column (setup-db not re-run)
+    if (err?.code !== '42703') throw err;
+    const { rows } = await dbQuery(`SELECT ${COLUMNS} FROM documents WHERE uuid = $1`, [uuid]);
+    return rows[0] || null;
+  }
+}
+
+// The formatted text served by /api/file, so that outline lines match the
+// viewer's; null when the file cannot be read
+async function readFormattedText(row) {
+  if (!CORPUS_DIR || !row.filename) return null;
+  const filePath = path.resolve(CORPUS_DIR, row.relative_path || '', `${row.filename}.txt`);
+  if (!filePath.startsWith(path.resolve(CORPUS_DIR))) return null;
+  try {
+    return await formatDocument(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    warn(`Document text unavailable for ${row.uuid}:`, err?.message || err);
+    return null;
+  }
+}
+
+// The `limit` documents whose embeddings are nearest to this one's:
+// [{ uuid, title, filename, date, category, distance }], nearest first
+export async function getRelatedDocuments(uuid, { limit = RELATED_LIMIT } = {}) {
+  const { rows } = await vectorQuery(
+    'embeddings',
+    limit,
+    `SELECT e.uuid, d.title, d.filename, d.date, d.category,
+            e.embedding <-> (SELECT embedding FROM embeddings WHERE uuid = $1) AS distance
+     FROM embeddings e
+     JOIN documents d USING (uuid)
+     WHERE e.uuid <> $1
+     ORDER BY e.embedding <-> (SELECT embedding FROM embeddings WHERE uuid = $1)
+     LIMIT $2`,
+    [uuid, limit]
+  );
+  return rows
+    .filter((r) => r.distance !== null)
+    .map((r) => ({
+      uuid: r.uuid,
+      title: r.title || null,
+      filename: r.filename || null,
+      date: isoDate(r.date),
+      category: r.category || null,
+      distance: Number(r.distance),
+    }));
+}
+
+// Metadata, outline and related documents of one document, or null when it
+// is unknown. The outline is empty when the text cannot be read, and
+// `related` when the nearest-neighbour lookup fails.
+export async function getDocumentDetails(uuid) {
+  const row = await fetchDocumentRow(uuid);
+  if (!row) return null;
+
+  const [text, related] = await Promise.all([
+    readFormattedText(row),
+    getRelatedDocuments(uuid).catch((err) => {
+      warn('Related documents lookup failed:', err?.message || err);
+      return [];
+    }),
+  ]);
+
+  return {
+    uuid,
+    title: row.title || null,
+    date: isoDate(row.date),
+    category: row.category || null,
+    filename: row.filename || null,
+    relativePath: row.relative_path || null,
+    summary: row.summary || null,
+    courtDivision: row.court_division || null,
+    citationKey: row.citation_key || null,
+    citation: row.citation_key ? identifierLabel(row.citation_key) : null,
+    outline: text ? parseOutline(text) : [],
+    related,
+  };
+}
@@ -1,12 +1,14 @@
 // A.M. (Administrative Matter) extractors - simplified
 
+import { parseIdentifiers } from '../../utils/legalIdentifiers.mjs';
+
 export function extractAMLawName(text) {
   // Get first 20 lines to scan for A.M. pattern
   const lines = text.split('\n').slice(0, 20);
 
   // Find the line that contains A.M. No.
   for (const line of lines) {
-    if (/A\.M\.\s+No\./i.test(line)) {
+    if (parseIdentifiers(line).some((id) => id.type === 'am')) {
       return line.trim().substring(0, 250);
     }
   }
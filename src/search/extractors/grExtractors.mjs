@@ -1,12 +1,14 @@
 // G.R. (Case) number extractors - simplified
 
+import { parseIdentifiers } from '../../utils/legalIdentifiers.mjs';
+
 export function extractGRLawName(text) {
   // Get first 20 lines to scan for G.R. pattern
   const lines = text.split('\n').slice(0, 20);
 
   // Find the line that contains G.R. No.
   for (const line of lines) {
-    if (/G\.R\.\s+No\./i.test(line)) {
+    if (parseIdentifiers(line).some((id) => id.type === 'gr')) {
       return line.trim().substring(0, 250);
     }
   }
@@ -1,5 +1,7 @@
 // Resolution and regulatory document extractors - simplified
 
+import { parseIdentifiers, STATUTE_TYPES } from '../../utils/legalIdentifiers.mjs';
+
 export function extractResolutionLawName(text) {
   // Get first 20 lines to scan for RESOLUTION pattern
   const lines = text.split('\n').slice(0, 20);
@@ -38,17 +40,14 @@ export function extractStatueLawName(text) {
   const headerText = lines.join('\n');
 
   // Skip if G.R. or SUPREME COURT present (court documents, not statutes)
-  if (/G\.R\.|SUPREME COURT|A\.M\./i.test(headerText)) {
+  const isCase = parseIdentifiers(headerText).some((id) => id.type === 'gr' || id.type === 'am');
+  if (isCase || /SUPREME COURT/i.test(headerText)) {
     return null;
   }
 
   // Find lines with statute patterns
   for (const line of lines) {
-    if (
-      /Republic Act No\.|Executive Order No\.|Presidential Decree No\.|Batas Pambansa Blg\./i.test(
-        line
-      )
-    ) {
+    if (parseIdentifiers(line).some((id) => STATUTE_TYPES.has(id.type) && !id.code)) {
       return line.trim().substring(0, 250);
     }
   }
@@ -0,0 +1,127 @@
+// Reranking stage between retrieval and scoring. Retrieval (embedding distance
+// plus full-text rank) is cheap but coarse; a reranker reads the query and each
+// candidate passage together, so it can be given a wide candidate pool and
+// still return the few documents actually worth showing.
+
+import { completeTask } from '../llm.mjs';
+import { log, warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
+
+// 'none' | 'cross-encoder' (local model via @xenova/transformers) | 'llm'
+export const RERANK_MODE = (process.env.RERANK_MODE || 'none').toLowerCase();
+// Candidates retrieved for the reranker before trimming
+export const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES || '50', 10);
+const CROSS_ENCODER_MODEL = process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+const CROSS_ENCODER_BATCH = parseInt(process.env.RERANK_BATCH_SIZE || '16', 10);
+// Characters of each candidate shown to the reranker
+const CANDIDATE_CHARS = parseInt(process.env.RERANK_CANDIDATE_CHARS || '1500', 10);
+
+export function isRerankEnabled() {
+  return RERANK_MODE === 'cross-encoder' || RERANK_MODE === 'llm';
+}
+
+// What the reranker reads for a match: the best passage when the passage index
+// has one, otherwise the summary, otherwise the start of the document.
+function candidateText(match) {
+  const text = match.passage?.text || match.summary || match.text || '';
+  return String(text).replace(/\s+/g, ' ').trim().slice(0, CANDIDATE_CHARS);
+}
+
+// --- cross-encoder -------------------------------------------------------
+
+let _crossEncoder = null;
+
+// Loaded on first use: the library is heavy and the model is downloaded into
+// the transformers cache the first time.
+function loadCrossEncoder() {
+  if (!_crossEncoder) {
+    _crossEncoder = (async () => {
+      const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers');
+      const [tokenizer, model] = await Promise.all([
+        AutoTokenizer.from_pretrained(CROSS_ENCODER_MODEL),
+        AutoModelForSequenceClassification.from_pretrained(CROSS_ENCODER_MODEL),
+      ]);
+      log(`Reranker: loaded cross-encoder ${CROSS_ENCODER_MODEL}`);
+      return { tokenizer, model };
+    })().catch((err) => {
+      _crossEncoder = null;
+      throw err;
+    });
+  }
+  return _crossEncoder;
+}
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+async function crossEncoderScores(query, texts, { signal } = {}) {
+  const { tokenizer, model } = await loadCrossEncoder();
+  const scores = [];
+  for (let i = 0; i < texts.length; i += CROSS_ENCODER_BATCH) {
+    throwIfAborted(signal);
+    const batch = texts.slice(i, i + CROSS_ENCODER_BATCH);
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+    // One relevance logit per pair
+    for (const value of logits.data) scores.push(sigmoid(value));
+  }
+  return scores;
+}
+
+// --- LLM scorer ----------------------------------------------------------
+
+async function llmScores(query, texts, { signal } = {}) {
+  const system = {
+    role: 'system',
+    content: [
+      'You rate how relevant legal documents are to a research question.',
+      'Score each numbered passage from 0 (irrelevant) to 10 (directly answers the question).',
+      'Judge only the passage text; do not reward passages for merely sharing words with the question.',
+      'Return only JSON: {"scores": [{"index": <number>, "score": <0-10>}]} with one entry per passage.',
+    ].join(' '),
+  };
+  const passages = texts.map((t, i) => `[${i + 1}] ${t}`).join('\n\n');
+  const user = { role: 'user', content: `Question: ${query}\n\nPassages:\n${passages}` };
+
+  const completion = await completeTask('rerank', { messages: [system, user], signal });
+  const raw = String(completion?.choices?.[0]?.message?.content ?? '');
+  const json = raw.slice(raw.indexOf('{'), raw.lastIndexOf('}') + 1);
+  const parsed = JSON.parse(json);
+
+  // Unscored passages rank last
+  const scores = new Array(texts.length).fill(0);
+  for (const entry of Array.isArray(parsed?.scores) ? parsed.scores : []) {
+    const idx = Number(entry?.index) - 1;
+    const score = Number(entry?.score);
+    if (Number.isInteger(idx) && idx >= 0 && idx < texts.length && Number.isFinite(score)) {
+      scores[idx] = Math.min(10, Math.max(0, score)) / 10;
+    }
+  }
+  return scores;
+}
+
+// Reorder `matches` by reranker relevance and keep the best `topK`. Each kept
+// match gains `rerankScore` in [0, 1]. When reranking is disabled or fails the
+// retrieval order is kept, so search never breaks because of the reranker.
+export async function rerankMatches(query, matches, { topK = matches.length, signal } = {}) {
+  if (!isRerankEnabled() || matches.length <= 1) return matches.slice(0, topK);
+
+  const texts = matches.map(candidateText);
+  try {
+    const started = Date.now();
+    const scores =
+      RERANK_MODE === 'llm' ? await llmScores(query, texts, { signal }) : await crossEncoderScores(query, texts, { signal });
+    log(`Reranker: ${RERANK_MODE} scored ${matches.length} candidates in ${Date.now() - started}ms`);
+    return matches
+      .map((m, i) => ({ ...m, rerankScore: scores[i] ?? 0 }))
+      .sort((a, b) => b.rerankScore - a.rerankScore)
+      .slice(0, topK);
+  } catch (err) {
+    throwIfAborted(signal);
+    warn(`Reranker (${RERANK_MODE}) failed, keeping retrieval order:`, err?.message || err);
+    return matches.slice(0, topK);
+  }
+}
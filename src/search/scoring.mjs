@@ -1,5 +1,7 @@
 // Handles relevance scoring
 
+import { referenceDate, temporalScore } from './temporal.mjs';
+
 export function keywordMatch(text, query) {
   const queryWords = query
     .toLowerCase()
@@ -14,19 +16,30 @@ export function distanceToSimilarity(distance) {
   return Math.exp(-distance);
 }
 
-export function scoreMatches(matches, query, maxResults) {
+// Content relevance (semantic + keyword) blended with recency relative to
+// `asOf` and with citation authority (see temporal.mjs); the threshold
+// applies to content relevance alone.
+export function scoreMatches(matches, query, maxResults, { asOf = null } = {}) {
+  const refDate = referenceDate(asOf);
   return matches
     .map((m) => {
-      const keywordScore = keywordMatch(m.text || '', query);
-      const semanticScore = distanceToSimilarity(m.dist || 2);
+      // Hybrid search supplies Postgres full-text rank (stemmed, phrase-aware);
+      // keep the substring counter as a floor for vector-only results
+      const keywordScore = Math.max(keywordMatch(m.text || '', query), m.lexRank || 0);
+      // A reranker read query and passage together; trust it over raw distance
+      const semanticScore = m.rerankScore ?? distanceToSimilarity(m.dist || 2);
+      const contentScore = semanticScore * 0.7 + keywordScore * 0.3;
+      const temporal = temporalScore(contentScore, m.date, refDate, m.citedBy);
       return {
         ...m,
         semanticScore,
         keywordScore,
-        relevanceScore: semanticScore * 0.7 + keywordScore * 0.3,
+        contentScore,
+        temporal,
+        relevanceScore: temporal.score,
       };
     })
-    .filter((m) => m.relevanceScore > 0.2)
+    .filter((m) => m.contentScore > 0.2)
     .sort((a, b) => b.relevanceScore - a.relevanceScore)
     .slice(0, maxResults);
 }
@@ -1,17 +1,22 @@
 // Main search orchestrator
 
 import { extractSource, UNKNOWN_PHRASE } from '../context.mjs';
-import { searchNearest } from '../embeddings.mjs';
-import { openai } from '../llm.mjs';
-import { log } from '../logs.mjs';
+import { searchFacets, searchNearest } from '../embeddings.mjs';
+import { completeTask } from '../llm.mjs';
+import { log, warn } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
+import { LOOKUP_TYPES, parseIdentifiers } from '../utils/legalIdentifiers.mjs';
 
+import { describeStatus, withStatuteStatus } from './amendments.mjs';
 import { extractLawName } from './lawNameExtractors.mjs';
+import { isRerankEnabled, RERANK_CANDIDATES, rerankMatches } from './reranker.mjs';
 import { scoreMatches } from './scoring.mjs';
 import { extractRelevantSnippet, formatSnippet, formatLawName } from './snippetExtractors.mjs';
+import { referenceDate } from './temporal.mjs';
 
 const MAX_MATCHES = 5;
 
-async function interpretMatchesWithLLM(items = [], query = '') {
+async function interpretMatchesWithLLM(items = [], query = '', { asOf = null, signal } = {}) {
   try {
     log('Interpreting matches with LLM...');
 
@@ -20,17 +25,20 @@ async function interpretMatchesWithLLM(items = [], query = '') {
         (it, idx) => {
           const date = it.originalMatch && it.originalMatch.date ? String(it.originalMatch.date) : 'unknown';
           const summary = it.originalMatch && it.originalMatch.summary ? String(it.originalMatch.summary) : '';
-          return `DOCUMENT ${idx + 1}\nLaw: ${it.lawName}\nScore: ${typeof it.score !== 'undefined' ? it.score : 'n/a'}\nDate: ${date}\nSummary: ${summary}\nSnippet: ${it.snippet}\nURL: ${it.fileUrl}\n`;
+          const status = describeStatus(it.originalMatch?.amendments) || 'No amendments on record';
+          return `DOCUMENT ${idx + 1}\nLaw: ${it.lawName}\nScore: ${typeof it.score !== 'undefined' ? it.score : 'n/a'}\nDate: ${date}\nStatus: ${status}\nSummary: ${summary}\nSnippet: ${it.snippet}\nURL: ${it.fileUrl}\n`;
         }
       )
       .join('\n---\n');
 
-      const RAG_TODAY = process.env.RAG_TODAY || 'N/A';
+      const refDate = referenceDate(asOf);
       const system = {
         role: 'system',
         content: [
           'You are a friendly, conversational legal research assistant. Use only the documents and snippets provided below; do NOT hallucinate facts or cite sources not included in the input.',
-          `Reference date: ${RAG_TODAY}. When recommending or drawing conclusions, always prioritize information from the most recently dated documents relative to this reference date (newest first); if documents conflict, base conclusions on the newest document(s) and explicitly state where a conclusion depends on a more recent source.`,
+          ...(asOf ? [`The user is researching the law as it stood on ${asOf}; documents dated after it were excluded.`] : []),
+          `Reference date: ${refDate}. When recommending or drawing conclusions, always prioritize information from the most recently dated documents relative to this reference date (newest first); if documents conflict, base conclusions on the newest document(s) and explicitly state where a conclusion depends on a more recent source.`,
+          "Each document's Status lists the later laws that amended or repealed it. Whenever you rely on an amended or repealed document, say so and name the amending law; never present a repealed provision as current law.",
           'Be warm, concise, and helpful — imagine explaining your reasoning to a colleague in plain language. Favor short sentences and clear suggestions.',
           "Your task: Identify the top 1-5 documents most useful to answer the user's query and explain why, referencing exact snippets and metadata provided. For each recommended document, provide concise recommended next steps (1-3 actions) and any key uncertainties or additional documents needed to be more certain.",
           "Important: When forming conclusions or recommending top documents, prioritize the most recently dated documents (newest first). If dates are missing or equal, use relevance score as tiebreaker; explicitly state when an outcome depends on a newer source.",
@@ -45,17 +53,16 @@ async function interpretMatchesWithLLM(items = [], query = '') {
       content: [
         {
           type: 'text',
-          text: `Reference date: ${process.env.RAG_TODAY || 'N/A'}\n\nQuery: ${query}\n\nDocuments:\n${docsText}\n\nPlease return only valid JSON following the output format above. Use a friendly, conversational tone in all textual fields (brief, reason, recommendedActions, uncertainties). Do not include any extra commentary outside the JSON object.`,
+          text: `Reference date: ${refDate}\n\nQuery: ${query}\n\nDocuments:\n${docsText}\n\nPlease return only valid JSON following the output format above. Use a friendly, conversational tone in all textual fields (brief, reason, recommendedActions, uncertainties). Do not include any extra commentary outside the JSON object.`,
         },
       ],
     };
 
-    const completion = await openai.chat.completions.create({
-      model: items.length < 2 ? 'openai/gpt-oss-20b' : 'google/gemini-2.0-flash-001',
+    // A single match is cheap to interpret, so a smaller model answers faster.
+    const completion = await completeTask('interpretation', {
       messages: [system, user],
-      temperature: 0.0,
-      // reduce max tokens to encourage faster responses from a slower LLM
-      max_output_tokens: 600,
+      model: items.length < 2 ? 'openai/gpt-oss-20b' : undefined,
+      signal,
     });
 
     const raw = completion?.choices?.[0]?.message?.content ?? '(no answer)';
@@ -109,15 +116,16 @@ async function interpretMatchesWithLLM(items = [], query = '') {
 
     return { raw, parsed, brief };
   } catch (error) {
+    throwIfAborted(signal);
     log('LLM interpretation failed:', error?.message || error);
     return { raw: '(no interpretation)', parsed: null, brief: '(no interpretation)' };
   }
 }
 
 // Decide whether the user's query should be treated as a title/law lookup
-// (title-only search) or a descriptive query that requires vector search.
-// Uses the LLM with a deterministic prompt (temperature=0). Returns boolean
-// `true` when the query should be treated as a title/identifier lookup.
+// (title-only search) or a descriptive query that requires vector search:
+// queries naming a case, statute or issuance by its number (see
+// utils/legalIdentifiers.mjs) are lookups. Returns { ok, isTitle, reason }.
 async function decideSearchByTitle(query) {
   try {
     if (!query || typeof query !== 'string') return { ok: true, isTitle: false, reason: 'empty or non-string' };
@@ -125,29 +133,8 @@ async function decideSearchByTitle(query) {
 
     if (s.includes(',')) return { ok: true, isTitle: false, reason: 'contains comma -> descriptive' };
 
-    const idPatterns = [
-      { keyword: 'G.R.', regex: new RegExp('\\b(?:G\\.R\\.|GR|G R\\.|General Registry Number)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'R.A.', regex: new RegExp('\\b(?:R\\.A\\.|RA|Republic Act|Republic Act No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'C.A.', regex: new RegExp('\\b(?:C\\.A\\.|CA|Commonwealth Act|Commonwealth Act No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'P.D.', regex: new RegExp('\\b(?:P\\.D\\.|PD|Presidential Decree|Presidential Decree No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'A.O.', regex: new RegExp('\\b(?:A\\.O\\.|AO|Administrative Order|Administrative Order No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'B.P.', regex: new RegExp('\\b(?:B\\.P\\.|BP|Batas Pambansa|Batas Pambansa No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'M.C.', regex: new RegExp('\\b(?:M\\.C\\.|MC|Memorandum Circular|Memorandum Circular No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'A.M.', regex: new RegExp('\\b(?:A\\.M\\.|AM|Administrative Matter|Administrative Matter No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'E.O.', regex: new RegExp('\\b(?:E\\.O\\.|EO|Executive Order|Executive Order No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'L.O.', regex: new RegExp('\\b(?:L\\.O\\.|LO|Legislative Order|Legislative Order No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'M.O.', regex: new RegExp('\\b(?:M\\.O\\.|MO|Memorandum Order|Memorandum Order No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'I.D.', regex: new RegExp('\\b(?:I\\.D\\.|ID|Internal Directive|Internal Directive No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'J.A.', regex: new RegExp('\\b(?:J\\.A\\.|JA|Judicial Affidavit|Judicial Affidavit No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'S.R.O.', regex: new RegExp('\\b(?:S\\.R\\.O\\.|SRO|Supreme Court Resolution Order|Supreme Court Resolution Order No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'R.S.', regex: new RegExp('\\b(?:R\\.S\\.|RS|Republic Statute|Republic Statute No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-      { keyword: 'C.A.R.', regex: new RegExp('\\b(?:C\\.A\\.R\\.|CAR|Court Administrative Rules|Court Administrative Rules No\\.?)(?=\\s|$|[\\.,:;])(?:\\s*(?:No\\.?|#)?\\s*([\\dA-Za-z\\-\\/]+))?', 'i') },
-    ];
-
-    for (const p of idPatterns) {
-      p.regex.lastIndex = 0;
-      if (p.regex.test(s)) return { ok: true, isTitle: true, reason: `matched ${p.keyword}` };
-    }
+    const id = parseIdentifiers(s).find((i) => LOOKUP_TYPES.has(i.type));
+    if (id) return { ok: true, isTitle: true, reason: `matched ${id.canonical}` };
 
     // Default: not a strict identifier -> use vector search
     return { ok: true, isTitle: false, reason: 'no identifier match' };
@@ -156,7 +143,27 @@ async function decideSearchByTitle(query) {
   }
 }
 
-export async function fetchRelevantMatches(query) {
+// Facet counts for the first page; a failure costs the chips, not the results
+async function fetchFacets(query, { filters, asOf, signal }) {
+  try {
+    return await searchFacets(query, { filters, asOf, signal });
+  } catch (err) {
+    throwIfAborted(signal);
+    warn('Facet counts failed:', err?.message || err);
+    return null;
+  }
+}
+
+// One page of MAX_MATCHES results starting at `offset` in the retrieval (or
+// rerank) order. Every page ranks the documents from the first one up to its
+// end and keeps its slice, so the recency blend compares the same pool on
+// every page; scoring and the LLM interpretation only reorder and trim within
+// the page, so pages never overlap. Returns `nextOffset` (null on the
+// last page) and, on the first page, `facets` (see searchFacets). Title and
+// identifier lookups return a single page. `asOf` (YYYY-MM-DD) researches the
+// law as it stood on that date: later documents are excluded and recency is
+// measured from it.
+export async function fetchRelevantMatches(query, { filters, asOf = null, offset = 0, signal } = {}) {
   try {
 
     log('Querying the database for relevant matches...');
@@ -182,15 +189,37 @@ export async function fetchRelevantMatches(query) {
       shouldUseTitleFlag = extractedTitle && String(extractedTitle).trim().length > 0;
     }
 
-    const matches = await searchNearest(query, MAX_MATCHES, { searchByTitle: !!shouldUseTitleFlag });
+    if (shouldUseTitleFlag && offset > 0) {
+      return { matches: [], answer: 'No more documents found.', nextOffset: null };
+    }
+
+    // Retrieve every document up to the end of this page. With a reranker,
+    // retrieve a wider pool and let it order them. Title lookups already
+    // return exact matches first.
+    const rerank = isRerankEnabled() && !shouldUseTitleFlag;
+    const pageEnd = offset + MAX_MATCHES;
+    const candidates = await searchNearest(query, rerank ? Math.max(RERANK_CANDIDATES, pageEnd) : pageEnd, {
+      searchByTitle: !!shouldUseTitleFlag,
+      filters,
+      asOf,
+      signal,
+    });
+
+    log(`Found ${candidates.length} total matches.`);
 
-    log(`Found ${matches.length} total matches.`);
+    const facets = offset === 0 && !shouldUseTitleFlag ? await fetchFacets(query, { filters, asOf, signal }) : undefined;
 
-    if (matches.length === 0) {
-      return { matches: [], answer: 'No relevant documents found.' };
+    const page = rerank
+      ? (await rerankMatches(query, candidates, { topK: pageEnd, signal })).slice(offset)
+      : candidates.slice(offset, pageEnd);
+    if (page.length === 0) {
+      const answer = offset > 0 ? 'No more documents found.' : 'No relevant documents found.';
+      return { matches: [], answer, nextOffset: null, facets };
     }
 
-    const scored = scoreMatches(matches, query, MAX_MATCHES);
+    // A full page suggests there are more; the next request confirms
+    const nextOffset = !shouldUseTitleFlag && page.length >= MAX_MATCHES ? pageEnd : null;
+    const scored = await withStatuteStatus(scoreMatches(page, query, MAX_MATCHES, { asOf }), { asOf });
 
     log(`Ranked ${scored.length} matches by relevance score`);
 
@@ -198,6 +227,8 @@ export async function fetchRelevantMatches(query) {
       return {
         matches: [],
         answer: 'No relevant documents found after filtering.',
+        nextOffset,
+        facets,
       };
     }
 
@@ -207,6 +238,7 @@ export async function fetchRelevantMatches(query) {
     const summaries = [];
     for (let i = 0; i < scored.length; i += 1) {
       const match = scored[i];
+      throwIfAborted(signal);
 
       // Prefer the stored document summary (if present) rather than running
       // snippet extraction. Fall back to LLM/heuristic extraction only when
@@ -215,7 +247,7 @@ export async function fetchRelevantMatches(query) {
       if (match.summary && String(match.summary).trim().length > 0) {
         snippet = await formatSnippet(match.summary);
       } else {
-        const rawSnippet = await extractRelevantSnippet(match.text || '', query);
+        const rawSnippet = await extractRelevantSnippet(match.passage?.text || match.text || '', query, { signal });
         snippet = await formatSnippet(rawSnippet);
       }
 
@@ -230,7 +262,10 @@ export async function fetchRelevantMatches(query) {
       const lawName = await formatLawName(rawLawName);
       const fileUrl = extractSource(match);
 
-      summaries.push(`### ${lawName}\n\n"${snippet}"\n\n[View Document](${fileUrl})`);
+      // Amendment and repeal warnings go right under the title, before anything quoted from the law
+      const status = describeStatus(match.amendments);
+      const warning = status ? `> **Warning:** ${status}\n\n` : '';
+      summaries.push(`### ${lawName}\n\n${warning}"${snippet}"\n\n[View Document](${fileUrl})`);
       items.push({
         id: match.id || null,
         score: typeof match._score !== 'undefined' ? match._score : match.score || null,
@@ -244,11 +279,11 @@ export async function fetchRelevantMatches(query) {
 
     if (items.length === 0) {
       log('fetchRelevantMatches: no matches with reliable snippets found');
-      return { matches: [], answer: 'No relevant documents found.' };
+      return { matches: [], answer: 'No relevant documents found.', nextOffset, facets };
     }
 
     // Ask the LLM to interpret and recommend most useful documents
-    const interpretation = await interpretMatchesWithLLM(items, query);
+    const interpretation = await interpretMatchesWithLLM(items, query, { asOf, signal });
     log('Interpretation complete');
 
     // Map LLM interpretation to a set of recommended item indexes (0-based)
@@ -330,8 +365,11 @@ export async function fetchRelevantMatches(query) {
       answer: finalAnswer,
       interpretation,
       originalMatches: scored,
+      nextOffset,
+      facets,
     };
   } catch (error) {
+    throwIfAborted(signal);
     log(`Error fetching relevant matches: ${error.message}`);
     throw new Error('Failed to fetch relevant matches.');
   }
@@ -2,12 +2,13 @@
 
 import { UNKNOWN_PHRASE } from '../context.mjs';
 import { formatDocument } from '../formatter/formatter.mjs';
-import { openai } from '../llm.mjs';
+import { completeTask } from '../llm.mjs';
 import { log } from '../logs.mjs';
+import { throwIfAborted } from '../utils/abort.mjs';
 
 const USE_LLM_SNIPPET = process.env.USE_LLM_SNIPPET === '1' || process.env.USE_LLM_SNIPPET === 'true';
 
-export async function extractRelevantSnippet(text, query, useLLM = USE_LLM_SNIPPET) {
+export async function extractRelevantSnippet(text, query, { useLLM = USE_LLM_SNIPPET, signal } = {}) {
   const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
   const queryWords = query
     .toLowerCase()
@@ -24,7 +25,7 @@ export async function extractRelevantSnippet(text, query, useLLM = USE_LLM_SNIPP
   // If LLM mode is enabled, try LLM extraction first; do NOT fall back to heuristics on failure.
   if (useLLM) {
     try {
-      const llm = await extractRelevantSnippetWithLLM(text, query, 300);
+      const llm = await extractRelevantSnippetWithLLM(text, query, 300, { signal });
       if (llm && llm.trim() && llm !== UNKNOWN_PHRASE) {
         const out = llm.length > 300 ? llm.substring(0, 300) + '...' : llm;
         log('extractRelevantSnippet: returning snippet', {
@@ -40,6 +41,7 @@ export async function extractRelevantSnippet(text, query, useLLM = USE_LLM_SNIPP
         return UNKNOWN_PHRASE;
       }
     } catch (e) {
+      throwIfAborted(signal);
       log('extractRelevantSnippet: LLM snippet attempt failed; not falling back to heuristics', e?.message || e);
       return UNKNOWN_PHRASE;
     }
@@ -77,7 +79,7 @@ export async function extractRelevantSnippet(text, query, useLLM = USE_LLM_SNIPP
 // LLM-backed snippet extraction: returns a short (<=300 chars) snippet
 // that best answers the `query` using only the provided `text`.
 // Uses chunking to scan the entire document.
-export async function extractRelevantSnippetWithLLM(text, query, maxChars = 300) {
+export async function extractRelevantSnippetWithLLM(text, query, maxChars = 300, { signal } = {}) {
   try {
     if (!text || !text.trim()) return '';
     
@@ -125,12 +127,7 @@ export async function extractRelevantSnippetWithLLM(text, query, maxChars = 300)
       };
 
       try {
-        const completion = await openai.chat.completions.create({
-          model: 'google/gemini-2.0-flash-001',
-          messages: [system, user],
-          temperature: 0.2,
-          max_output_tokens: 200,
-        });
+        const completion = await completeTask('snippet', { messages: [system, user], signal });
 
         const raw = completion?.choices?.[0]?.message?.content ?? '';
         const snippet = String(raw || '').trim();
@@ -146,6 +143,7 @@ export async function extractRelevantSnippetWithLLM(text, query, maxChars = 300)
           break; // Stop at first good snippet
         }
       } catch (err) {
+        throwIfAborted(signal);
         log(`extractRelevantSnippetWithLLM: chunk ${idx} failed:`, err?.message || err);
         // Continue to next chunk on error
       }
@@ -190,6 +188,7 @@ export async function extractRelevantSnippetWithLLM(text, query, maxChars = 300)
 
     return truncated;
   } catch (err) {
+    throwIfAborted(signal);
     log('LLM snippet extraction failed:', err?.message || err);
     return UNKNOWN_PHRASE;
   }
@@ -0,0 +1,100 @@
+// Temporal relevance: blends how well a document matches with how recent it
+// is relative to a reference date, so newer law is preferred among comparably
+// relevant documents without letting a marginal recent hit outrank the
+// controlling older one. How often other documents cite it (`citedBy`, see
+// citations.mjs) adds a small authority credit on the same terms.
+
+import { extractSource } from '../context.mjs';
+
+function numEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Share of the final score that comes from recency (0 disables it)
+export const RECENCY_WEIGHT = Math.min(1, numEnv('SEARCH_RECENCY_WEIGHT', 0.1));
+// Age at which a document's recency credit has halved
+export const RECENCY_HALF_LIFE_YEARS = numEnv('SEARCH_RECENCY_HALF_LIFE_YEARS', 20) || 20;
+// Share of the final score that comes from citation counts (0 disables it)
+export const AUTHORITY_WEIGHT = Math.min(1 - RECENCY_WEIGHT, numEnv('SEARCH_AUTHORITY_WEIGHT', 0.05));
+// Citing documents at which the authority credit is full
+export const AUTHORITY_SATURATION = numEnv('SEARCH_AUTHORITY_SATURATION', 50) || 50;
+
+const YEAR_MS = 365.25 * 24 * 3600 * 1000;
+// Dates before this are the undated sentinel (MIN_DATE in
+// utils/documentFilters.mjs), not real dates
+const FIRST_REAL_DATE = Date.UTC(1800, 0, 1);
+
+function toTime(date) {
+  if (!date) return NaN;
+  return date instanceof Date ? date.getTime() : Date.parse(String(date));
+}
+
+// Date the ranking (and the prompts) treat as "today": the request's as-of
+// date, else RAG_TODAY, else the current date. YYYY-MM-DD.
+export function referenceDate(asOf = null) {
+  const t = toTime(asOf || process.env.RAG_TODAY);
+  return (Number.isFinite(t) ? new Date(t) : new Date()).toISOString().slice(0, 10);
+}
+
+// 1 for a document dated on the reference date, halving every
+// RECENCY_HALF_LIFE_YEARS before it; 0 for undated documents
+export function recencyScore(date, refDate) {
+  const t = toTime(date);
+  if (!Number.isFinite(t) || t < FIRST_REAL_DATE) return 0;
+  const ageYears = Math.max(0, (toTime(refDate) - t) / YEAR_MS);
+  return Math.pow(0.5, ageYears / RECENCY_HALF_LIFE_YEARS);
+}
+
+// 0 for an uncited document, rising on a log scale to 1 at
+// AUTHORITY_SATURATION citing documents
+export function authorityScore(citedBy) {
+  const n = Number(citedBy) || 0;
+  return n > 0 ? Math.min(1, Math.log1p(n) / Math.log1p(AUTHORITY_SATURATION)) : 0;
+}
+
+// `relevance` in [0, 1] blended with the recency of `date` and the authority
+// of a document cited by `citedBy` others
+export function temporalScore(relevance, date, refDate, citedBy = 0) {
+  const recency = recencyScore(date, refDate);
+  const authority = authorityScore(citedBy);
+  return {
+    relevance,
+    recency,
+    authority,
+    score: (1 - RECENCY_WEIGHT - AUTHORITY_WEIGHT) * relevance + RECENCY_WEIGHT * recency + AUTHORITY_WEIGHT * authority,
+  };
+}
+
+// Matches sorted by blended score, each with `temporal: { relevance,
+// recency, authority, score }`. `relevanceOf(match)` must return [0, 1].
+export function rankByTime(matches, relevanceOf, { asOf = null } = {}) {
+  const refDate = referenceDate(asOf);
+  return matches
+    .map((m) => ({ ...m, temporal: temporalScore(relevanceOf(m), m.date, refDate, m.citedBy) }))
+    .sort((a, b) => b.temporal.score - a.temporal.score);
+}
+
+// The weighting behind a result, for the reply: the reference date, the
+// recency and authority settings and each ranked document's scores (by source reference,
+// as listed in `sources`)
+export function describeRanking(matches, { asOf = null } = {}) {
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return {
+    referenceDate: referenceDate(asOf),
+    asOf: asOf || null,
+    recencyWeight: RECENCY_WEIGHT,
+    recencyHalfLifeYears: RECENCY_HALF_LIFE_YEARS,
+    authorityWeight: AUTHORITY_WEIGHT,
+    documents: (matches || [])
+      .filter((m) => m && m.temporal)
+      .map((m) => ({
+        source: extractSource(m),
+        relevance: round(m.temporal.relevance),
+        recency: round(m.temporal.recency),
+        authority: round(m.temporal.authority || 0),
+        citedBy: Number(m.citedBy) || 0,
+        score: round(m.temporal.score),
+      })),
+  };
+}
@@ -0,0 +1,47 @@
+// Nearest-neighbour statements run with index search settings sized to the
+// rows they take (utils/vectorIndex.mjs#searchSettings). The defaults,
+// ivfflat.probes = 1 and hnsw.ef_search = 40, miss neighbours on larger
+// tables and cut a hybrid candidate pool short.
+
+import { query as dbQuery, withTransaction } from '../db.mjs';
+import { warn } from '../logs.mjs';
+import { parseIndexDef, searchSettings } from '../utils/vectorIndex.mjs';
+
+// Overrides of the computed settings
+const PROBES = parseInt(process.env.SEARCH_IVFFLAT_PROBES || '0', 10) || null;
+const EF_SEARCH = parseInt(process.env.SEARCH_HNSW_EF_SEARCH || '0', 10) || null;
+// How long a table's index definition is reused; scripts/vector-index.mjs
+// may rebuild it while the server runs
+const INDEX_CACHE_MS = 5 * 60 * 1000;
+
+const indexCache = new Map();
+
+// { method, options } of the vector index on `table`, or null without one
+async function vectorIndex(table) {
+  const cached = indexCache.get(table);
+  if (cached && cached.expires > Date.now()) return cached.index;
+  let index = null;
+  try {
+    const { rows } = await dbQuery(
+      'SELECT indexdef FROM pg_indexes WHERE schemaname = current_schema() AND tablename = $1',
+      [table]
+    );
+    index = rows.map((r) => parseIndexDef(r.indexdef)).find(Boolean) || null;
+  } catch (err) {
+    warn(`Vector index of ${table} unknown, searching with default settings:`, err?.message || err);
+  }
+  indexCache.set(table, { index, expires: Date.now() + INDEX_CACHE_MS });
+  return index;
+}
+
+// Run `sql`, which orders `table` by vector distance and needs its `limit`
+// nearest rows, with the search settings of the table's index. Without an
+// index (exact scan) it runs as a plain query.
+export async function vectorQuery(table, limit, sql, params) {
+  const settings = Object.entries(searchSettings(await vectorIndex(table), limit, { probes: PROBES, efSearch: EF_SEARCH }));
+  if (settings.length === 0) return dbQuery(sql, params);
+  return withTransaction(async (client) => {
+    for (const [name, value] of settings) await client.query(`SET LOCAL ${name} = ${Number(value)}`);
+    return client.query(sql, params);
+  });
+}
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Who a request is billed to for rate limiting. By default clients are keyed
+// by IP address. With RATE_LIMIT_IDENTITY=session the browser's session token
+// (sent as the `session` query parameter on the WebSocket URL or the
+// `X-Session-Token` header on HTTP requests) is used instead, falling back to
+// the IP when no valid token is present. Session tokens are chosen by the
+// client, so only enable this where a per-IP quota would be too coarse
+// (e.g. many users behind one NAT).
+
+const IDENTITY = String(process.env.RATE_LIMIT_IDENTITY || 'ip').trim().toLowerCase();
+// Only honour X-Forwarded-For when a reverse proxy we control sets it
+const TRUST_PROXY = process.env.TRUST_PROXY === '1' || process.env.TRUST_PROXY === 'true';
+const SESSION_TOKEN_RE = /^[A-Za-z0-9_-]{16,128}$/;
+
+function clientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = String(req?.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  const addr = req?.socket?.remoteAddress || 'unknown';
+  // IPv4 clients on a dual-stack socket show up as ::ffff:1.2.3.4
+  return addr.replace(/^::ffff:/, '');
+}
+
+function sessionToken(req) {
+  let token = req?.headers?.['x-session-token'] || null;
+  if (!token) {
+    try {
+      token = new URL(req?.url || '/', 'http://localhost').searchParams.get('session');
+    } catch {
+      token = null;
+    }
+  }
+  token = token ? String(token).trim() : '';
+  return SESSION_TOKEN_RE.test(token) ? token : null;
+}
+
+export function getClientKey(req) {
+  if (IDENTITY === 'session') {
+    const token = sessionToken(req);
+    // Store a digest, never the raw token
+    if (token) return `session:${crypto.createHash('sha256').update(token).digest('hex').slice(0, 32)}`;
+  }
+  return `ip:${clientIp(req)}`;
+}
@@ -0,0 +1,9 @@
+import { getAsyncApiDocument, getOpenApiDocument } from '../schemas/apiDocs.mjs';
+
+// Machine-readable contracts for integrators: OpenAPI for the HTTP routes,
+// AsyncAPI for the WebSocket protocol.
+export function serveApiDocs(_req, res, kind) {
+  const doc = kind === 'asyncapi' ? getAsyncApiDocument() : getOpenApiDocument();
+  res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(doc, null, 2), 'utf-8');
+}
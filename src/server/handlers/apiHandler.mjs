@@ -0,0 +1,165 @@
+import { log, error } from '../../logs.mjs';
+import { AbortError } from '../../utils/abort.mjs';
+import { getClientKey } from '../clientIdentity.mjs';
+import { isLocalOrigin, parseJsonBody } from '../requestProcessor.mjs';
+import { LIMITS } from '../schemas/messages.mjs';
+import { checkResponse, validateHttpBody } from '../schemas/validator.mjs';
+import { handlePerspectiveAnalysis } from '../wsHandlers/analysisHandler.mjs';
+import { handleQA } from '../wsHandlers/qaHandler.mjs';
+import { handleSearch } from '../wsHandlers/searchHandler.mjs';
+
+// HTTP entry points for the same pipelines the WebSocket serves, for scripts
+// and internal tools that do not want to hold a socket open. The WebSocket
+// handlers are reused unchanged: they only talk to a reply channel, so this
+// module provides one that writes an HTTP response instead of frames.
+
+const API_HANDLERS = {
+  search: (reply, body, ctx) =>
+    handleSearch(reply, { query: body.query, filters: body.filters, asOf: body.asOf, offset: body.offset, ...ctx }),
+  qa: (reply, body, ctx) =>
+    handleQA(reply, {
+      query: body.query,
+      clientState: body.clientState,
+      filters: body.filters,
+      asOf: body.asOf,
+      ...ctx,
+    }),
+  'perspective-analysis': (reply, body, ctx) =>
+    handlePerspectiveAnalysis(reply, {
+      query: body.query,
+      perspective: body.perspective,
+      filters: body.filters,
+      asOf: body.asOf,
+      ...ctx,
+    }),
+};
+
+const STATUS_BY_CODE = {
+  INVALID_REQUEST: 400,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMIT: 429,
+  TIMEOUT: 504,
+};
+
+function sendJsonResponse(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(payload), 'utf-8');
+}
+
+function wantsEventStream(req, body) {
+  if (body?.stream === true) return true;
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+// Reply channel with the interface of createReplyChannel() (send / status /
+// delta / error). In JSON mode only the terminal frame is written, as the
+// response body; status and delta frames are dropped. In SSE mode every frame
+// becomes an event named after its type (the result frame is `result`).
+// Each handler sends exactly one terminal frame, which ends the response.
+function createHttpReplyChannel(res, { stream }) {
+  let finished = false;
+
+  function writeEvent(event, payload) {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    } catch {
+      // Client went away; the abort signal stops the work
+    }
+  }
+
+  // `frame` is what the WebSocket would send; `body` replaces it in JSON mode
+  function finish(status, frame, { headers = {}, body = frame } = {}) {
+    if (finished) return;
+    finished = true;
+    checkResponse(frame);
+    if (res.destroyed) return;
+    if (stream) {
+      writeEvent(frame.type || 'result', frame);
+      res.end();
+    } else {
+      sendJsonResponse(res, status, body, headers);
+    }
+  }
+
+  if (stream) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      // Stop nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+  }
+
+  return {
+    requestId: null,
+    get finished() {
+      return finished;
+    },
+    send: (payload) => {
+      // Only reached after the client disconnected, so there is nobody to answer
+      if (payload?.type === 'cancelled') return finish(499, payload);
+      return finish(200, payload);
+    },
+    status: (message) => {
+      if (stream && !finished) writeEvent('status', { type: 'status', message });
+    },
+    delta: (delta) => {
+      if (stream && !finished) writeEvent('delta', { type: 'delta', delta });
+    },
+    error: (message, code = null, details = {}) => {
+      const status = STATUS_BY_CODE[code] || 500;
+      const headers =
+        code === 'RATE_LIMIT' && details.retryAfterSeconds != null
+          ? { 'Retry-After': String(details.retryAfterSeconds) }
+          : {};
+      const fields = { ...(code ? { code } : {}), ...details };
+      finish(status, { type: 'error', message, ...fields }, { headers, body: { error: message, ...fields } });
+    },
+  };
+}
+
+// POST /api/search | /api/qa | /api/analysis with a JSON body
+// `{ "query": "...", "clientState"?, "perspective"?, "filters"?, "asOf"?, "offset"?, "stream"? }`.
+export async function serveApiRequest(req, res, mode) {
+  if (!isLocalOrigin(req)) {
+    sendJsonResponse(res, 403, { error: 'Cross-origin requests are not allowed' });
+    return;
+  }
+
+  let body;
+  try {
+    body = await parseJsonBody(req, { limit: LIMITS.bodyBytes });
+  } catch (err) {
+    const code = err.code === 'PAYLOAD_TOO_LARGE' ? err.code : 'INVALID_REQUEST';
+    sendJsonResponse(res, STATUS_BY_CODE[code], { error: err.message, code });
+    return;
+  }
+  const validation = validateHttpBody(mode, body);
+  if (!validation.ok) {
+    sendJsonResponse(res, 400, { error: validation.message, code: 'INVALID_REQUEST', errors: validation.errors });
+    return;
+  }
+
+  const clientKey = getClientKey(req);
+  const stream = wantsEventStream(req, body);
+  const reply = createHttpReplyChannel(res, { stream });
+
+  // A client that disconnects before the answer is ready cancels the request
+  // (and is refunded), just like closing the WebSocket.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!reply.finished) controller.abort(new AbortError('HTTP client disconnected'));
+  });
+
+  log(`HTTP ${mode} request from ${clientKey}${stream ? ' (stream)' : ''}`);
+
+  try {
+    await API_HANDLERS[mode](reply, body, { signal: controller.signal, clientKey });
+  } catch (err) {
+    error(`HTTP ${mode} error:`, err);
+    reply.error('Internal server error');
+  }
+  // Handlers always reply, but never leave the response hanging if one did not
+  if (!reply.finished) reply.error('Internal server error');
+}
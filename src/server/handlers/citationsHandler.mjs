@@ -0,0 +1,15 @@
+import { getCitationGraph } from '../../search/citations.mjs';
+import { serveUuidLookup } from '../requestProcessor.mjs';
+
+// What a document cites and which documents cite it, for the file viewer's
+// citations panel
+export function serveCitations(req, res) {
+  return serveUuidLookup(req, res, {
+    prefix: '/api/citations/',
+    name: 'Citations',
+    async lookup(uuid) {
+      const graph = await getCitationGraph(uuid);
+      return graph && { uuid, ...graph };
+    },
+  });
+}
@@ -0,0 +1,8 @@
+import { getDocumentDetails } from '../../search/documentDetails.mjs';
+import { serveUuidLookup } from '../requestProcessor.mjs';
+
+// Metadata, outline and related documents of one document, for the file
+// viewer's header
+export function serveDocument(req, res) {
+  return serveUuidLookup(req, res, { prefix: '/api/documents/', name: 'Document', lookup: getDocumentDetails });
+}
@@ -3,14 +3,14 @@ import path from 'path';
 
 import { validate } from 'uuid';
 
-import { pgClient } from '../../db.mjs';
+import { query } from '../../db.mjs';
 import { formatDocument } from '../../formatter/formatter.mjs';
 import { log, error } from '../../logs.mjs';
 
 const CORPUS_DIR = process.env.RAG_CORPUS_PATH;
 
 async function retrieveDocumentFiles(uuid) {
-  return pgClient.query(
+  return query(
     'SELECT filename, relative_path FROM documents WHERE uuid = $1 LIMIT 1',
     [uuid]
   );
@@ -0,0 +1,9 @@
+import { checkDbHealth } from '../../db.mjs';
+
+// Readiness probe for load balancers and docker healthchecks: 200 while the
+// database answers, 503 otherwise. Pool counters help spot exhaustion.
+export async function serveHealth(req, res) {
+  const db = await checkDbHealth();
+  res.writeHead(db.ok ? 200 : 503, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify({ status: db.ok ? 'ok' : 'degraded', db }));
+}
@@ -0,0 +1,18 @@
+import { warn } from '../../logs.mjs';
+import { getClientKey } from '../clientIdentity.mjs';
+import { getQuota } from '../rateLimiter.mjs';
+
+// Remaining rate-limit quota for the calling client, so the UI can show it
+// before a request is refused. Identity is resolved the same way as for
+// WebSocket connections (IP, or X-Session-Token / ?session= when enabled).
+export async function serveQuota(req, res) {
+  try {
+    const quota = await getQuota(getClientKey(req));
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(quota));
+  } catch (error) {
+    warn('Quota request failed:', error.message);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to read quota' }));
+  }
+}
@@ -0,0 +1,15 @@
+import { getStatuteRelations } from '../../search/amendments.mjs';
+import { serveUuidLookup } from '../requestProcessor.mjs';
+
+// Laws that amended or repealed a document, and the laws it amends or
+// repeals, for the document viewer's warning banner
+export function serveRelations(req, res) {
+  return serveUuidLookup(req, res, {
+    prefix: '/api/relations/',
+    name: 'Relations',
+    async lookup(uuid) {
+      const relations = await getStatuteRelations(uuid);
+      return relations && { uuid, ...relations };
+    },
+  });
+}
@@ -1,11 +1,56 @@
-
-import { pgClient } from '../db.mjs';
+import { query, withTransaction } from '../db.mjs';
 import { log } from '../logs.mjs';
 
-const DEFAULT_LIMIT = parseInt(process.env.HARD_LIMIT || '100', 10);
+// Quotas are counted in cost units rather than requests: each mode has a
+// weight reflecting how many LLM calls it makes. Three limits apply:
+//   - HARD_LIMIT: units per UTC day across all clients (caps total spend)
+//   - RATE_LIMIT_CLIENT_DAILY: units per UTC day for one client (see clientIdentity.mjs)
+//   - a per-client token bucket (RATE_LIMIT_BURST units, refilled at
+//     RATE_LIMIT_REFILL_PER_MINUTE) that spreads a client's usage over the day
+// and optionally RATE_LIMIT_DAILY_<MODE> units per client per mode.
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function numEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const DEFAULT_LIMIT = intEnv('HARD_LIMIT', 100);
+const CLIENT_DAILY_LIMIT = intEnv('RATE_LIMIT_CLIENT_DAILY', 40);
+const BURST_REFILL_PER_MINUTE = numEnv('RATE_LIMIT_REFILL_PER_MINUTE', 1);
+
+export const MODES = {
+  search: {
+    label: 'Search',
+    cost: intEnv('RATE_COST_SEARCH', 1),
+    dailyLimit: intEnv('RATE_LIMIT_DAILY_SEARCH', null),
+  },
+  qa: {
+    label: 'QA',
+    cost: intEnv('RATE_COST_QA', 2),
+    dailyLimit: intEnv('RATE_LIMIT_DAILY_QA', null),
+  },
+  'perspective-analysis': {
+    label: 'Perspective Analysis',
+    cost: intEnv('RATE_COST_PERSPECTIVE_ANALYSIS', 5),
+    dailyLimit: intEnv('RATE_LIMIT_DAILY_PERSPECTIVE_ANALYSIS', null),
+  },
+};
+
+// The bucket must hold at least one request of the most expensive mode
+const BURST_CAPACITY = Math.max(
+  numEnv('RATE_LIMIT_BURST', 10),
+  ...Object.values(MODES).map((m) => m.cost)
+);
 
 // In-memory fallback (only used if DB fails)
-const _fallbackCounts = new Map();
+const _fallbackCounts = new Map(); // day -> global units
+const _fallbackUsage = new Map(); // `${day}|${clientKey}|${mode}` -> units
+const _fallbackBuckets = new Map(); // clientKey -> { tokens, updatedAt }
 
 function _dayKeyForDate(d = new Date()) {
   const y = d.getUTCFullYear();
@@ -14,31 +59,280 @@ function _dayKeyForDate(d = new Date()) {
   return `${y}-${m}-${day}`;
 }
 
+function _nextUtcMidnight(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+let _schemaReady = null;
+
 async function _ensureSchema() {
+  if (!_schemaReady) {
+    _schemaReady = query(
+        `CREATE TABLE IF NOT EXISTS daily_api_counters (
+          day TEXT PRIMARY KEY,
+          count INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS rate_limit_usage (
+          day TEXT NOT NULL,
+          client_key TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          units INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (day, client_key, mode)
+        );
+        CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+          client_key TEXT PRIMARY KEY,
+          tokens DOUBLE PRECISION NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );`
+    ).catch((err) => {
+      _schemaReady = null;
+      log('rateLimiter: failed to ensure schema, falling back to in-memory:', err?.message || err);
+      throw err;
+    });
+  }
+  return _schemaReady;
+}
+
+// --- storage -------------------------------------------------------------
+// A store loads the state relevant to one client for one day and applies
+// deltas to it. `_withStore` runs `fn` against Postgres inside a transaction
+// and replays it against memory if the DB is unavailable.
+
+// Store bound to one pooled connection with an open transaction. load()
+// locks today's global counter row first; every consume, refund and quota
+// read takes that lock, so concurrent requests (also across server
+// processes) are evaluated one after another.
+function _dbStore(client) {
+  return {
+    async load(day, clientKey) {
+      await client.query(
+        'INSERT INTO daily_api_counters(day, count) VALUES($1, 0) ON CONFLICT (day) DO NOTHING',
+        [day]
+      );
+      const g = await client.query('SELECT count FROM daily_api_counters WHERE day = $1 FOR UPDATE', [day]);
+      const u = await client.query(
+        'SELECT mode, units FROM rate_limit_usage WHERE day = $1 AND client_key = $2 FOR UPDATE',
+        [day, clientKey]
+      );
+      const b = await client.query(
+        'SELECT tokens, updated_at FROM rate_limit_buckets WHERE client_key = $1 FOR UPDATE',
+        [clientKey]
+      );
+      const usage = {};
+      for (const row of u.rows || []) usage[row.mode] = parseInt(row.units || 0, 10);
+      const bucketRow = b.rows?.[0];
+      return {
+        globalUsed: parseInt(g.rows?.[0]?.count || 0, 10),
+        usage,
+        bucket: bucketRow
+          ? { tokens: Number(bucketRow.tokens), updatedAt: new Date(bucketRow.updated_at).getTime() }
+          : null,
+      };
+    },
+    async apply(day, clientKey, mode, units, bucket) {
+      await client.query(
+        `INSERT INTO daily_api_counters(day, count) VALUES($1, GREATEST($2, 0))
+         ON CONFLICT (day) DO UPDATE SET count = GREATEST(daily_api_counters.count + $2, 0)`,
+        [day, units]
+      );
+      await client.query(
+        `INSERT INTO rate_limit_usage(day, client_key, mode, units) VALUES($1, $2, $3, GREATEST($4, 0))
+         ON CONFLICT (day, client_key, mode) DO UPDATE SET units = GREATEST(rate_limit_usage.units + $4, 0)`,
+        [day, clientKey, mode, units]
+      );
+      await client.query(
+        `INSERT INTO rate_limit_buckets(client_key, tokens, updated_at) VALUES($1, $2, to_timestamp($3 / 1000.0))
+         ON CONFLICT (client_key) DO UPDATE SET tokens = $2, updated_at = to_timestamp($3 / 1000.0)`,
+        [clientKey, bucket.tokens, bucket.updatedAt]
+      );
+    },
+  };
+}
+
+const memoryStore = {
+  async load(day, clientKey) {
+    const usage = {};
+    for (const mode of Object.keys(MODES)) {
+      const units = _fallbackUsage.get(`${day}|${clientKey}|${mode}`);
+      if (units) usage[mode] = units;
+    }
+    const bucket = _fallbackBuckets.get(clientKey);
+    return { globalUsed: _fallbackCounts.get(day) || 0, usage, bucket: bucket ? { ...bucket } : null };
+  },
+  async apply(day, clientKey, mode, units, bucket) {
+    _fallbackCounts.set(day, Math.max(0, (_fallbackCounts.get(day) || 0) + units));
+    const key = `${day}|${clientKey}|${mode}`;
+    _fallbackUsage.set(key, Math.max(0, (_fallbackUsage.get(key) || 0) + units));
+    _fallbackBuckets.set(clientKey, { ...bucket });
+    _cleanupOldKeys();
+  },
+};
+
+async function _withStore(fn) {
   try {
-    await pgClient.query(
-      `CREATE TABLE IF NOT EXISTS daily_api_counters (
-        day TEXT PRIMARY KEY,
-        count INTEGER NOT NULL
-      );`
-    );
-  } catch (err) {
-    // If DB is not available, we'll fall back to memory. Don't rethrow.
-    log('rateLimiter: failed to ensure schema, falling back to in-memory:', err?.message || err);
-    throw err;
+    await _ensureSchema();
+    return await withTransaction((client) => fn(_dbStore(client)));
+  } catch {
+    return fn(memoryStore);
+  }
+}
+
+// --- evaluation ----------------------------------------------------------
+
+function _refill(bucket, now) {
+  if (!bucket) return { tokens: BURST_CAPACITY, updatedAt: now };
+  const minutes = Math.max(0, now - bucket.updatedAt) / 60000;
+  return {
+    tokens: Math.min(BURST_CAPACITY, bucket.tokens + minutes * BURST_REFILL_PER_MINUTE),
+    updatedAt: now,
+  };
+}
+
+function _clientUsed(usage) {
+  return Object.values(usage).reduce((sum, n) => sum + n, 0);
+}
+
+// Public shape returned by getQuota() and included in RATE_LIMIT errors.
+// `modes[mode].remaining` is how many more requests of that mode fit in
+// today's limits (the burst bucket may still ask the client to wait).
+function _buildQuota(state, bucket, now) {
+  const clientUsed = _clientUsed(state.usage);
+  const clientRemaining = Math.max(0, CLIENT_DAILY_LIMIT - clientUsed);
+  const globalRemaining = Math.max(0, DEFAULT_LIMIT - state.globalUsed);
+
+  const modes = {};
+  for (const [mode, cfg] of Object.entries(MODES)) {
+    const used = state.usage[mode] || 0;
+    const modeRemaining = cfg.dailyLimit === null ? Infinity : Math.max(0, cfg.dailyLimit - used);
+    const units = Math.min(clientRemaining, globalRemaining, modeRemaining);
+    modes[mode] = {
+      cost: cfg.cost,
+      used,
+      dailyLimit: cfg.dailyLimit,
+      remaining: cfg.cost > 0 ? Math.floor(units / cfg.cost) : null,
+    };
   }
+
+  return {
+    client: { limit: CLIENT_DAILY_LIMIT, used: clientUsed, remaining: clientRemaining },
+    global: { limit: DEFAULT_LIMIT, remaining: globalRemaining },
+    burst: {
+      capacity: BURST_CAPACITY,
+      available: Math.floor(bucket.tokens * 100) / 100,
+      refillPerMinute: BURST_REFILL_PER_MINUTE,
+    },
+    modes,
+    resetsAt: _nextUtcMidnight(new Date(now)).toISOString(),
+  };
 }
 
+// Which limit (if any) stops `mode` from running now. Daily limits are
+// checked before the burst bucket so the client learns about the hard wall
+// rather than being told to wait for a refill that will not help.
+function _blockingScope(state, bucket, mode) {
+  const { cost, dailyLimit } = MODES[mode];
+  if (state.globalUsed + cost > DEFAULT_LIMIT) return 'global';
+  if (_clientUsed(state.usage) + cost > CLIENT_DAILY_LIMIT) return 'client';
+  if (dailyLimit !== null && (state.usage[mode] || 0) + cost > dailyLimit) return 'mode';
+  if (bucket.tokens < cost) return 'burst';
+  return null;
+}
+
+function _retryAfterSeconds(scope, bucket, mode, now) {
+  if (scope === 'burst') {
+    const missing = MODES[mode].cost - bucket.tokens;
+    return BURST_REFILL_PER_MINUTE > 0 ? Math.ceil((missing / BURST_REFILL_PER_MINUTE) * 60) : null;
+  }
+  return Math.ceil((_nextUtcMidnight(new Date(now)).getTime() - now) / 1000);
+}
+
+// --- public API ----------------------------------------------------------
+
 export function getLimit() {
   return DEFAULT_LIMIT;
 }
 
+export function getClientLimit() {
+  return CLIENT_DAILY_LIMIT;
+}
+
+// Try to charge `mode`'s cost to `clientKey`. Returns
+//   { ok: true, ticket, quota }    - keep `ticket` to refund() a cancelled request
+//   { ok: false, scope, retryAfterSeconds, quota }
+// where scope is 'global' | 'client' | 'mode' | 'burst'.
+export async function tryConsume({ clientKey = 'unknown', mode } = {}) {
+  if (!MODES[mode]) throw new Error(`Unknown rate-limit mode "${mode}"`);
+  const day = _dayKeyForDate();
+  const now = Date.now();
+  const { cost } = MODES[mode];
+
+  return _withStore(async (store) => {
+    const state = await store.load(day, clientKey);
+    const bucket = _refill(state.bucket, now);
+    const scope = _blockingScope(state, bucket, mode);
+
+    if (scope) {
+      return {
+        ok: false,
+        scope,
+        retryAfterSeconds: _retryAfterSeconds(scope, bucket, mode, now),
+        quota: _buildQuota(state, bucket, now),
+      };
+    }
+
+    bucket.tokens -= cost;
+    await store.apply(day, clientKey, mode, cost, bucket);
+    state.globalUsed += cost;
+    state.usage[mode] = (state.usage[mode] || 0) + cost;
+    return { ok: true, ticket: { day, clientKey, mode, cost }, quota: _buildQuota(state, bucket, now) };
+  });
+}
+
+// Give back the units charged by tryConsume() for a request that was
+// cancelled before it produced a result.
+export async function refund(ticket) {
+  if (!ticket || !ticket.cost) return;
+  const { day, clientKey, mode, cost } = ticket;
+  const now = Date.now();
+  await _withStore(async (store) => {
+    const state = await store.load(day, clientKey);
+    const bucket = _refill(state.bucket, now);
+    bucket.tokens = Math.min(BURST_CAPACITY, bucket.tokens + cost);
+    await store.apply(day, clientKey, mode, -cost, bucket);
+  });
+}
+
+// Current quota for a client without charging anything (GET /api/quota)
+export async function getQuota(clientKey = 'unknown') {
+  const day = _dayKeyForDate();
+  const now = Date.now();
+  return _withStore(async (store) => {
+    const state = await store.load(day, clientKey);
+    return _buildQuota(state, _refill(state.bucket, now), now);
+  });
+}
+
+// User-facing text for a failed tryConsume(). Daily messages keep the
+// "request limit reached" wording older clients match on.
+export function describeLimit(result, label) {
+  const { scope, retryAfterSeconds, quota } = result;
+  if (scope === 'burst') {
+    return `Too many requests. Please wait ${retryAfterSeconds ?? 60} seconds before sending another ${label} request.`;
+  }
+  if (scope === 'mode') {
+    return `Daily ${label} request limit reached. Other modes are still available; ${label} resets tomorrow (UTC).`;
+  }
+  if (scope === 'client') {
+    return `Daily ${label} request limit reached (${quota.client.limit} units/day per user). Please try again tomorrow.`;
+  }
+  return `Daily ${label} request limit reached (${quota.global.limit} units/day for all users). Please try again tomorrow.`;
+}
+
 export async function getCountForToday() {
   const key = _dayKeyForDate();
   try {
-    // ensure table exists
     await _ensureSchema();
-    const res = await pgClient.query('SELECT count FROM daily_api_counters WHERE day = $1', [key]);
+    const res = await query('SELECT count FROM daily_api_counters WHERE day = $1', [key]);
     if (res && res.rows && res.rows[0]) return parseInt(res.rows[0].count || 0, 10);
     return 0;
   } catch {
@@ -47,54 +341,21 @@ export async function getCountForToday() {
   }
 }
 
-// Try to consume a single slot. Returns true if the consumption succeeded
-// (there was capacity and the counter was incremented), false if the
-// limit is already reached and no consumption occurred.
-export async function tryConsume() {
-  const key = _dayKeyForDate();
-
-  // Prefer DB-backed approach, but gracefully fallback to in-memory on errors
-  try {
-    await _ensureSchema();
-    // Run a transaction: select FOR UPDATE, then either insert or update
-    await pgClient.query('BEGIN');
-    const sel = await pgClient.query('SELECT count FROM daily_api_counters WHERE day = $1 FOR UPDATE', [key]);
-    let cur = 0;
-    if (sel && sel.rows && sel.rows[0]) cur = parseInt(sel.rows[0].count || 0, 10);
-    if (cur >= DEFAULT_LIMIT) {
-      await pgClient.query('ROLLBACK');
-      return false;
-    }
-    if (cur === 0) {
-      await pgClient.query('INSERT INTO daily_api_counters(day, count) VALUES($1, $2)', [key, 1]);
-    } else {
-      await pgClient.query('UPDATE daily_api_counters SET count = count + 1 WHERE day = $1', [key]);
-    }
-    await pgClient.query('COMMIT');
-    return true;
-  } catch {
-    try {
-      await pgClient.query('ROLLBACK');
-    } catch {
-        // ignore
-    }
-    // fallback to memory
-    const cur = _fallbackCounts.get(key) || 0;
-    if (cur >= DEFAULT_LIMIT) return false;
-    _fallbackCounts.set(key, cur + 1);
-    // cleanup older keys
-    _cleanupOldKeys();
-    return true;
-  }
-}
-
 export async function resetCounts() {
   const key = _dayKeyForDate();
   try {
     await _ensureSchema();
-    await pgClient.query('DELETE FROM daily_api_counters WHERE day = $1', [key]);
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM daily_api_counters WHERE day = $1', [key]);
+      await client.query('DELETE FROM rate_limit_usage WHERE day = $1', [key]);
+      await client.query('DELETE FROM rate_limit_buckets');
+    });
   } catch {
     _fallbackCounts.delete(key);
+    for (const k of Array.from(_fallbackUsage.keys())) {
+      if (k.startsWith(`${key}|`)) _fallbackUsage.delete(k);
+    }
+    _fallbackBuckets.clear();
   }
 }
 
@@ -111,6 +372,14 @@ function _cleanupOldKeys() {
   for (const k of Array.from(_fallbackCounts.keys())) {
     if (!keep.has(k)) _fallbackCounts.delete(k);
   }
+  for (const k of Array.from(_fallbackUsage.keys())) {
+    if (!keep.has(k.split('|')[0])) _fallbackUsage.delete(k);
+  }
+  // A bucket idle long enough to refill completely carries no information
+  const fullAfterMs = BURST_REFILL_PER_MINUTE > 0 ? (BURST_CAPACITY / BURST_REFILL_PER_MINUTE) * 60000 : Infinity;
+  for (const [k, bucket] of Array.from(_fallbackBuckets.entries())) {
+    if (Date.now() - bucket.updatedAt > fullAfterMs) _fallbackBuckets.delete(k);
+  }
 }
 
 export async function getRemaining() {
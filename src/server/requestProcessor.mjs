@@ -1,3 +1,7 @@
+import { validate } from 'uuid';
+
+import { error } from '../logs.mjs';
+
 export function applyCorsPolicy(/* req, res */) {
   // Intentionally do not set any CORS headers.
   // This server disallows cross-origin requests. Keep this function as a
@@ -6,19 +10,23 @@ export function applyCorsPolicy(/* req, res */) {
   return;
 }
 
+// Requests without an Origin (curl, scripts) or from this host/localhost are
+// accepted; browsers on other sites are not.
+export function isLocalOrigin(req) {
+  const origin = req.headers.origin || '';
+  const host = (req.headers.host || '').split(':')[0];
+  return (
+    origin === '' ||
+    origin.includes('localhost') ||
+    origin.includes('127.0.0.1') ||
+    Boolean(host && origin.includes(host))
+  );
+}
+
 export function handlePreflight(req, res) {
   if (req.method === 'OPTIONS') {
     // Check origin: allow if absent or same-host/local; otherwise deny.
-    const origin = req.headers.origin || '';
-    const host = (req.headers.host || '').split(':')[0];
-
-    const isLocalOrigin =
-      origin === '' ||
-      origin.includes('localhost') ||
-      origin.includes('127.0.0.1') ||
-      (host && origin.includes(host));
-
-    if (!isLocalOrigin) {
+    if (!isLocalOrigin(req)) {
       res.writeHead(403, { 'Content-Type': 'application/json; charset=utf-8' });
       res.end(JSON.stringify({ error: 'CORS requests are not allowed' }), 'utf-8');
       return true;
@@ -33,18 +41,81 @@ export function handlePreflight(req, res) {
   return false;
 }
 
-export function parseJsonBody(req) {
+class PayloadTooLargeError extends Error {
+  constructor(limit) {
+    super(`Request body exceeds ${limit} bytes`);
+    this.name = 'PayloadTooLargeError';
+    this.code = 'PAYLOAD_TOO_LARGE';
+  }
+}
+
+// Read and parse a JSON request body, giving up once it exceeds `limit`
+// bytes. Rejections carry `code` INVALID_REQUEST or PAYLOAD_TOO_LARGE.
+export function parseJsonBody(req, { limit = Infinity } = {}) {
   return new Promise((resolve, reject) => {
-    let body = '';
+    const declared = parseInt(req.headers['content-length'] || '', 10);
+    if (declared > limit) {
+      reject(new PayloadTooLargeError(limit));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let done = false;
     req.on('data', (chunk) => {
-      body += chunk.toString('utf-8');
+      if (done) return;
+      size += chunk.length;
+      if (size > limit) {
+        done = true;
+        reject(new PayloadTooLargeError(limit));
+        return;
+      }
+      chunks.push(chunk);
     });
     req.on('end', () => {
+      if (done) return;
+      done = true;
       try {
-        resolve(JSON.parse(body));
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8')));
       } catch {
-        reject(new Error('Invalid JSON body'));
+        const err = new Error('Invalid JSON body');
+        err.code = 'INVALID_REQUEST';
+        reject(err);
       }
     });
+    req.on('error', (err) => {
+      if (done) return;
+      done = true;
+      reject(err);
+    });
   });
 }
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body), 'utf-8');
+}
+
+// GET <prefix><uuid> endpoints answered with what `lookup(uuid)` resolves to:
+// 400 for a malformed uuid, 404 when the lookup returns nothing. `name`
+// labels the log line of a failed lookup.
+export async function serveUuidLookup(req, res, { prefix, name, lookup }) {
+  const uuid = req.url.slice(prefix.length).split('?')[0];
+  if (!validate(uuid)) {
+    sendJson(res, 400, { error: 'Invalid UUID format' });
+    return;
+  }
+
+  try {
+    const body = await lookup(uuid);
+    if (!body) {
+      sendJson(res, 404, { error: 'Document not found' });
+      return;
+    }
+    sendJson(res, 200, body);
+  } catch (err) {
+    error(`${name} handler error:`, err?.message || String(err));
+    sendJson(res, 500, { error: 'Internal server error' });
+  }
+}
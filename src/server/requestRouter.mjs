@@ -1,18 +1,70 @@
+import { serveApiDocs } from './handlers/apiDocsHandler.mjs';
+import { serveApiRequest } from './handlers/apiHandler.mjs';
+import { serveCitations } from './handlers/citationsHandler.mjs';
+import { serveDocument } from './handlers/documentsHandler.mjs';
 import { serveFile } from './handlers/fileHandler.mjs';
+import { serveHealth } from './handlers/healthHandler.mjs';
+import { serveQuota } from './handlers/quotaHandler.mjs';
+import { serveRelations } from './handlers/relationsHandler.mjs';
 import { serveStaticAsset } from './handlers/staticHandler.mjs';
 import { serveSuggestions } from './handlers/suggestionsHandler.mjs';
 
+// POST endpoints mirroring the WebSocket message types
+const API_ROUTES = {
+  '/api/search': 'search',
+  '/api/qa': 'qa',
+  '/api/analysis': 'perspective-analysis',
+};
+
 export async function routeRequest(req, res) {
   const { method, url } = req;
+  const pathname = url.split('?')[0];
+
+  if (API_ROUTES[pathname]) {
+    if (method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json; charset=utf-8', Allow: 'POST' });
+      res.end(JSON.stringify({ error: 'Method not allowed' }), 'utf-8');
+      return;
+    }
+    return serveApiRequest(req, res, API_ROUTES[pathname]);
+  }
 
   if (method === 'GET' && url.startsWith('/api/file/')) {
     return serveFile(req, res);
   }
 
+  if (method === 'GET' && url.startsWith('/api/documents/')) {
+    return serveDocument(req, res);
+  }
+
+  if (method === 'GET' && url.startsWith('/api/relations/')) {
+    return serveRelations(req, res);
+  }
+
+  if (method === 'GET' && url.startsWith('/api/citations/')) {
+    return serveCitations(req, res);
+  }
+
   if (method === 'GET' && url === '/api/suggestions') {
     return serveSuggestions(req, res);
   }
 
+  if (method === 'GET' && (url === '/api/quota' || url.startsWith('/api/quota?'))) {
+    return serveQuota(req, res);
+  }
+
+  if (method === 'GET' && pathname === '/api/openapi.json') {
+    return serveApiDocs(req, res, 'openapi');
+  }
+
+  if (method === 'GET' && pathname === '/api/asyncapi.json') {
+    return serveApiDocs(req, res, 'asyncapi');
+  }
+
+  if (method === 'GET' && url === '/api/health') {
+    return serveHealth(req, res);
+  }
+
   if (method === 'GET' && !url.startsWith('/api/')) {
     return serveStaticAsset(req, res);
   }
@@ -0,0 +1,227 @@
+import fs from 'fs';
+
+import { LIMITS, httpRequestSchemas, responseSchemas, wsMessageSchemas } from './messages.mjs';
+
+// OpenAPI (HTTP routes) and AsyncAPI (WebSocket messages) documents built
+// from the schemas in messages.mjs, served at /api/openapi.json and
+// /api/asyncapi.json. Built once on first request.
+
+function packageVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../../../package.json', import.meta.url), 'utf-8')).version;
+  } catch {
+    return '0.0.0';
+  }
+}
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+function errorResponse(description) {
+  return { description, content: jsonContent({ $ref: '#/components/schemas/Error' }) };
+}
+
+// POST routes backed by the same pipelines as the WebSocket message types
+const PIPELINE_ROUTES = [
+  { path: '/api/search', mode: 'search', name: 'Search', summary: 'Semantic search over the corpus' },
+  { path: '/api/qa', mode: 'qa', name: 'Qa', summary: 'Answer a legal question with citations' },
+  {
+    path: '/api/analysis',
+    mode: 'perspective-analysis',
+    name: 'Analysis',
+    summary: 'Analyse a question from the prosecutor, defense and judge perspectives',
+  },
+];
+
+function pipelineOperation({ name, summary }) {
+  return {
+    post: {
+      operationId: `post${name}`,
+      summary,
+      description:
+        'Returns the final result as JSON. With `"stream": true` in the body or `Accept: text/event-stream`, ' +
+        'replies with Server-Sent Events instead: `status` and `delta` events while working, then one `result` ' +
+        'or `error` event. Disconnecting cancels the request and refunds its rate-limit cost.',
+      requestBody: { required: true, content: jsonContent({ $ref: `#/components/schemas/${name}Request` }) },
+      responses: {
+        200: {
+          description: 'Result (JSON) or event stream (SSE)',
+          content: {
+            ...jsonContent({ $ref: '#/components/schemas/Result' }),
+            'text/event-stream': { schema: { type: 'string' } },
+          },
+        },
+        400: errorResponse('Malformed JSON or schema violation (`INVALID_REQUEST`, with `errors`)'),
+        403: errorResponse('Cross-origin request'),
+        413: errorResponse(`Body larger than ${LIMITS.bodyBytes} bytes (\`PAYLOAD_TOO_LARGE\`)`),
+        429: {
+          ...errorResponse('Rate limit reached (`RATE_LIMIT`, with `scope`, `retryAfterSeconds` and `quota`)'),
+          headers: { 'Retry-After': { schema: { type: 'integer' } } },
+        },
+        500: errorResponse('Internal error'),
+        504: errorResponse('The pipeline timed out (`TIMEOUT`)'),
+      },
+    },
+  };
+}
+
+function buildOpenApiDocument() {
+  const schemas = {
+    Result: responseSchemas.result,
+    Error: responseSchemas.httpError,
+    Quota: responseSchemas.quota,
+    StatuteRelations: responseSchemas.statuteRelations,
+    CitationGraph: responseSchemas.citationGraph,
+    DocumentDetails: responseSchemas.documentDetails,
+  };
+  for (const route of PIPELINE_ROUTES) schemas[`${route.name}Request`] = httpRequestSchemas[route.mode];
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Kahulugan API',
+      version: packageVersion(),
+      description: 'HTTP API of the Kahulugan legal research assistant. The WebSocket protocol is described by /api/asyncapi.json.',
+    },
+    paths: {
+      ...Object.fromEntries(PIPELINE_ROUTES.map((route) => [route.path, pipelineOperation(route)])),
+      '/api/quota': {
+        get: {
+          operationId: 'getQuota',
+          summary: 'Remaining rate-limit quota of the caller',
+          parameters: [{ name: 'X-Session-Token', in: 'header', required: false, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Quota', content: jsonContent({ $ref: '#/components/schemas/Quota' }) },
+            500: errorResponse('Quota unavailable'),
+          },
+        },
+      },
+      '/api/suggestions': {
+        get: {
+          operationId: 'getSuggestions',
+          summary: 'Example questions for the start screen',
+          responses: {
+            200: {
+              description: 'Suggestions',
+              content: jsonContent({
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { question: { type: 'string' }, keywords: { type: 'string' }, scenario: { type: 'string' } },
+                },
+              }),
+            },
+          },
+        },
+      },
+      '/api/file/{uuid}': {
+        get: {
+          operationId: 'getFile',
+          summary: 'Formatted text of a corpus document',
+          parameters: [{ name: 'uuid', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+          responses: {
+            200: { description: 'Document text', content: { 'text/plain': { schema: { type: 'string' } } } },
+            400: errorResponse('Invalid UUID'),
+            404: errorResponse('Unknown document'),
+          },
+        },
+      },
+      '/api/relations/{uuid}': {
+        get: {
+          operationId: 'getRelations',
+          summary: 'Laws that amended or repealed a document, and the laws it amends or repeals',
+          parameters: [{ name: 'uuid', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+          responses: {
+            200: { description: 'Statute relations', content: jsonContent({ $ref: '#/components/schemas/StatuteRelations' }) },
+            400: errorResponse('Invalid UUID'),
+            404: errorResponse('Unknown document'),
+          },
+        },
+      },
+      '/api/citations/{uuid}': {
+        get: {
+          operationId: 'getCitations',
+          summary: 'Identifiers a document cites and the documents that cite it',
+          parameters: [{ name: 'uuid', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+          responses: {
+            200: { description: 'Citation graph', content: jsonContent({ $ref: '#/components/schemas/CitationGraph' }) },
+            400: errorResponse('Invalid UUID'),
+            404: errorResponse('Unknown document'),
+          },
+        },
+      },
+      '/api/documents/{uuid}': {
+        get: {
+          operationId: 'getDocument',
+          summary: 'Metadata, outline and related documents of a document',
+          parameters: [{ name: 'uuid', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+          responses: {
+            200: { description: 'Document details', content: jsonContent({ $ref: '#/components/schemas/DocumentDetails' }) },
+            400: errorResponse('Invalid UUID'),
+            404: errorResponse('Unknown document'),
+          },
+        },
+      },
+      '/api/health': {
+        get: {
+          operationId: 'getHealth',
+          summary: 'Database reachability and pool usage',
+          responses: {
+            200: { description: 'Healthy' },
+            503: { description: 'Database unreachable' },
+          },
+        },
+      },
+    },
+    components: { schemas },
+  };
+}
+
+function buildAsyncApiDocument() {
+  const messages = {};
+  for (const [type, schema] of Object.entries(wsMessageSchemas)) {
+    messages[`${type}Request`] = { name: type, payload: schema };
+  }
+  for (const type of ['result', 'status', 'delta', 'error', 'cancelled']) {
+    messages[`${type}Frame`] = { name: type, payload: responseSchemas[type] };
+  }
+  const refs = (names) => names.map((name) => ({ $ref: `#/components/messages/${name}` }));
+
+  return {
+    asyncapi: '2.6.0',
+    info: {
+      title: 'Kahulugan WebSocket API',
+      version: packageVersion(),
+      description:
+        'Connect to the server root with a WebSocket. Each request carries a client-chosen `requestId` that is ' +
+        'echoed on every frame of its reply; several requests may run concurrently on one socket. ' +
+        `Messages larger than ${LIMITS.bodyBytes} bytes close the connection (code 1009).`,
+    },
+    defaultContentType: 'application/json',
+    channels: {
+      '/': {
+        publish: {
+          summary: 'Client requests',
+          message: { oneOf: refs(Object.keys(wsMessageSchemas).map((type) => `${type}Request`)) },
+        },
+        subscribe: {
+          summary: 'Server frames',
+          message: { oneOf: refs(['resultFrame', 'statusFrame', 'deltaFrame', 'errorFrame', 'cancelledFrame']) },
+        },
+      },
+    },
+    components: { messages },
+  };
+}
+
+let _openApi = null;
+let _asyncApi = null;
+
+export function getOpenApiDocument() {
+  if (!_openApi) _openApi = buildOpenApiDocument();
+  return _openApi;
+}
+
+export function getAsyncApiDocument() {
+  if (!_asyncApi) _asyncApi = buildAsyncApiDocument();
+  return _asyncApi;
+}
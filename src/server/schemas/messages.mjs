@@ -0,0 +1,445 @@
+// JSON Schemas for everything clients send and receive, over the WebSocket
+// and the HTTP API. They drive request validation (validator.mjs) and the
+// published OpenAPI / AsyncAPI documents (apiDocs.mjs), so a field added here
+// is both enforced and documented.
+
+import { COURT_DIVISIONS, DOCUMENT_TYPES, DOCUMENT_TYPE_IDS } from '../../utils/documentFilters.mjs';
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export const LIMITS = {
+  queryLength: intEnv('RAG_MAX_QUERY_LENGTH', 2000),
+  clientStateBytes: intEnv('RAG_MAX_CLIENT_STATE_BYTES', 128 * 1024),
+  // Whole HTTP body or WebSocket message
+  bodyBytes: intEnv('RAG_MAX_BODY_BYTES', 256 * 1024),
+  // Deepest search page start
+  searchOffset: intEnv('RAG_MAX_SEARCH_OFFSET', 100),
+};
+
+// Must agree with AVAILABLE_PERSPECTIVES in perspectiveAnalysis/perspectiveFilter.mjs
+const PERSPECTIVES = ['prosecutor', 'defense', 'judge'];
+
+// --- fields --------------------------------------------------------------
+
+const query = {
+  type: 'string',
+  minLength: 1,
+  maxLength: LIMITS.queryLength,
+  pattern: '\\S',
+  description: 'The question or search text.',
+};
+
+const requestId = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 128,
+  description: 'Chosen by the client and echoed on every frame of the reply.',
+};
+
+// `x-maxBytes` is our keyword (registered in validator.mjs): the limit applies
+// to the JSON-serialized value, which JSON Schema cannot express.
+const clientState = {
+  type: 'object',
+  maxProperties: 32,
+  'x-maxBytes': LIMITS.clientStateBytes,
+  description:
+    'Conversation context for follow-up questions, e.g. `{ "messages": [{ "sender": "user", "text": "..." }] }`.',
+};
+
+const perspective = {
+  description: `Restrict the analysis to some of: ${PERSPECTIVES.join(', ')} (comma-separated string or array).`,
+  type: ['string', 'array', 'null'],
+  maxLength: 100,
+  items: { enum: PERSPECTIVES },
+  maxItems: PERSPECTIVES.length,
+  uniqueItems: true,
+};
+
+const isoDate = {
+  type: 'string',
+  pattern: '^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])$',
+  description: 'YYYY-MM-DD',
+};
+
+const filters = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'Restrict retrieval by document metadata. Applied before ranking; omitted fields do not filter.',
+  properties: {
+    dateFrom: { ...isoDate, description: 'Only documents dated on or after this day (YYYY-MM-DD).' },
+    dateTo: { ...isoDate, description: 'Only documents dated on or before this day (YYYY-MM-DD).' },
+    documentTypes: {
+      type: 'array',
+      items: { enum: DOCUMENT_TYPE_IDS },
+      uniqueItems: true,
+      maxItems: DOCUMENT_TYPE_IDS.length,
+      description: `Any of: ${DOCUMENT_TYPE_IDS.map((id) => `${id} (${DOCUMENT_TYPES[id].label})`).join(', ')}.`,
+    },
+    division: {
+      enum: COURT_DIVISIONS,
+      description: 'Court decisions rendered en banc, or by a division.',
+    },
+  },
+};
+
+const asOf = {
+  ...isoDate,
+  description:
+    'Research the law as it stood on this day (YYYY-MM-DD): later documents are excluded and recency is measured from it.',
+};
+
+const offset = {
+  type: 'integer',
+  minimum: 0,
+  maximum: LIMITS.searchOffset,
+  description: 'Skip this many results; pass the `nextOffset` of the previous page.',
+};
+
+const stream = {
+  type: 'boolean',
+  description: 'Reply with Server-Sent Events instead of a single JSON body.',
+};
+
+// --- requests ------------------------------------------------------------
+// Request bodies per mode, shared by both transports. The WebSocket message
+// adds `type` and `requestId`; the HTTP body adds `stream`.
+
+const REQUEST_FIELDS = {
+  search: { query, filters, asOf, offset },
+  qa: { query, clientState, filters, asOf },
+  'perspective-analysis': { query, perspective, filters, asOf },
+};
+
+export const REQUEST_MODES = Object.keys(REQUEST_FIELDS);
+
+export const httpRequestSchemas = Object.fromEntries(
+  REQUEST_MODES.map((mode) => [
+    mode,
+    {
+      type: 'object',
+      required: ['query'],
+      additionalProperties: false,
+      properties: { ...REQUEST_FIELDS[mode], stream },
+    },
+  ])
+);
+
+export const wsMessageSchemas = {
+  ...Object.fromEntries(
+    REQUEST_MODES.map((mode) => [
+      mode,
+      {
+        type: 'object',
+        required: ['type', 'query'],
+        additionalProperties: false,
+        properties: { type: { const: mode }, requestId, ...REQUEST_FIELDS[mode] },
+      },
+    ])
+  ),
+  cancel: {
+    type: 'object',
+    required: ['type', 'requestId'],
+    additionalProperties: false,
+    properties: { type: { const: 'cancel' }, requestId },
+  },
+};
+
+// --- responses -----------------------------------------------------------
+
+const quota = {
+  type: 'object',
+  description: 'Remaining rate-limit quota of the caller (see GET /api/quota).',
+  required: ['client', 'global', 'burst', 'modes', 'resetsAt'],
+  properties: {
+    client: {
+      type: 'object',
+      properties: { limit: { type: 'integer' }, used: { type: 'integer' }, remaining: { type: 'integer' } },
+    },
+    global: { type: 'object', properties: { limit: { type: 'integer' }, remaining: { type: 'integer' } } },
+    burst: {
+      type: 'object',
+      properties: {
+        capacity: { type: 'number' },
+        available: { type: 'number' },
+        refillPerMinute: { type: 'number' },
+      },
+    },
+    modes: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          cost: { type: 'integer' },
+          used: { type: 'integer' },
+          dailyLimit: { type: ['integer', 'null'] },
+          remaining: { type: ['integer', 'null'] },
+        },
+      },
+    },
+    resetsAt: { type: 'string', format: 'date-time' },
+  },
+};
+
+const facetCounts = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['value', 'count'],
+    properties: { value: { type: 'string' }, count: { type: 'integer' } },
+  },
+};
+
+const ranking = {
+  type: 'object',
+  description: 'How the sources were ranked: relevance blended with recency.',
+  properties: {
+    referenceDate: { type: 'string', description: 'Date recency is measured from (YYYY-MM-DD).' },
+    asOf: { type: ['string', 'null'], description: 'The requested as-of date, if any.' },
+    recencyWeight: { type: 'number', description: 'Share of the score that comes from recency.' },
+    recencyHalfLifeYears: { type: 'number', description: 'Age at which recency credit halves.' },
+    authorityWeight: { type: 'number', description: 'Share of the score that comes from citation counts.' },
+    documents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', description: 'Entry of `sources`.' },
+          relevance: { type: 'number' },
+          recency: { type: 'number' },
+          authority: { type: 'number' },
+          citedBy: { type: 'integer', description: 'Corpus documents citing this one.' },
+          score: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+const amendments = {
+  type: 'array',
+  description:
+    'Later laws that amended or repealed a source, from the statute relationship graph. Sources without an entry have none on record.',
+  items: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', description: 'Entry of `sources`.' },
+      relation: { enum: ['amends', 'repeals'] },
+      provision: { type: 'string', description: 'Amended or repealed part, e.g. "Section 5"; empty for the whole law.' },
+      by: { type: 'string', description: 'The amending or repealing law, e.g. "Republic Act No. 10951".' },
+      byUuid: { type: ['string', 'null'], description: 'Corpus document of that law, if any.' },
+      byDate: { type: ['string', 'null'], description: 'Date of that law (YYYY-MM-DD), if known.' },
+    },
+  },
+};
+
+// GET /api/relations/{uuid}
+const statuteRelation = {
+  type: 'object',
+  properties: {
+    relation: { enum: ['amends', 'repeals'] },
+    provision: { type: 'string' },
+    evidence: { type: 'string', description: 'The clause the relation was read from.' },
+  },
+};
+
+const statuteRelations = {
+  type: 'object',
+  properties: {
+    uuid: { type: 'string', format: 'uuid' },
+    statuteKey: { type: ['string', 'null'], description: 'E.g. "ra:9262"; null when the document is not a statute.' },
+    label: { type: ['string', 'null'], description: 'E.g. "Republic Act No. 9262".' },
+    amendedBy: {
+      type: 'array',
+      items: {
+        ...statuteRelation,
+        properties: {
+          ...statuteRelation.properties,
+          byKey: { type: 'string' },
+          byLabel: { type: 'string' },
+          byUuid: { type: ['string', 'null'] },
+          byDate: { type: ['string', 'null'] },
+        },
+      },
+    },
+    amends: {
+      type: 'array',
+      items: {
+        ...statuteRelation,
+        properties: {
+          ...statuteRelation.properties,
+          toKey: { type: 'string' },
+          toLabel: { type: 'string' },
+          toUuid: { type: ['string', 'null'] },
+        },
+      },
+    },
+  },
+};
+
+// GET /api/citations/{uuid}
+const citedDocument = {
+  type: ['object', 'null'],
+  description: 'The corpus document; null when the cited identifier is not in the corpus.',
+  properties: {
+    uuid: { type: 'string', format: 'uuid' },
+    title: { type: ['string', 'null'] },
+    filename: { type: ['string', 'null'] },
+    date: { type: ['string', 'null'] },
+  },
+};
+
+const citationGraph = {
+  type: 'object',
+  properties: {
+    uuid: { type: 'string', format: 'uuid' },
+    key: { type: ['string', 'null'], description: 'Identifier the document is cited by, e.g. "gr:123456" or "ra:9262".' },
+    label: { type: ['string', 'null'], description: 'E.g. "G.R. No. 123456".' },
+    cites: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { key: { type: 'string' }, label: { type: 'string' }, mentions: { type: 'integer' }, document: citedDocument },
+      },
+    },
+    citedBy: {
+      type: 'array',
+      description: 'Most recent citing documents first, at most 100.',
+      items: { type: 'object', properties: { mentions: { type: 'integer' }, document: citedDocument } },
+    },
+    citedByCount: { type: 'integer', description: 'All citing documents.' },
+  },
+};
+
+// GET /api/documents/{uuid}
+const documentDetails = {
+  type: 'object',
+  properties: {
+    uuid: { type: 'string', format: 'uuid' },
+    title: { type: ['string', 'null'] },
+    date: { type: ['string', 'null'], description: 'YYYY-MM-DD; null when undated.' },
+    category: { type: ['string', 'null'] },
+    filename: { type: ['string', 'null'] },
+    relativePath: { type: ['string', 'null'] },
+    summary: { type: ['string', 'null'] },
+    courtDivision: { type: ['string', 'null'], description: 'E.g. "EN BANC", "THIRD DIVISION"; decisions only.' },
+    citationKey: { type: ['string', 'null'], description: 'Identifier the document is cited by, e.g. "ra:9262".' },
+    citation: { type: ['string', 'null'], description: 'E.g. "Republic Act No. 9262".' },
+    outline: {
+      type: 'array',
+      description: 'Divisions of a statute and parts of a decision, in order; empty when the text is unavailable.',
+      items: {
+        type: 'object',
+        properties: {
+          kind: { enum: ['book', 'title', 'chapter', 'rule', 'article', 'section', 'facts', 'issues', 'ruling', 'dispositive'] },
+          label: { type: 'string' },
+          line: { type: 'integer', description: '0-based line of the text served by /api/file/{uuid}.' },
+        },
+      },
+    },
+    related: {
+      type: 'array',
+      description: 'Nearest documents by embedding distance, nearest first.',
+      items: {
+        type: 'object',
+        properties: {
+          uuid: { type: 'string', format: 'uuid' },
+          title: { type: ['string', 'null'] },
+          filename: { type: ['string', 'null'] },
+          date: { type: ['string', 'null'] },
+          category: { type: ['string', 'null'] },
+          distance: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+const validationIssue = {
+  type: 'object',
+  required: ['path', 'message'],
+  properties: {
+    path: { type: 'string', description: 'JSON Pointer to the offending field ("" for the whole message).' },
+    message: { type: 'string' },
+  },
+};
+
+const errorCode = {
+  type: 'string',
+  enum: ['INVALID_REQUEST', 'PAYLOAD_TOO_LARGE', 'RATE_LIMIT', 'TIMEOUT'],
+};
+
+// Error details shared by the WebSocket `error` frame and the HTTP error body
+const errorDetails = {
+  code: errorCode,
+  errors: { type: 'array', items: validationIssue, description: 'Present for INVALID_REQUEST.' },
+  scope: { enum: ['global', 'client', 'mode', 'burst'], description: 'Present for RATE_LIMIT.' },
+  retryAfterSeconds: { type: ['integer', 'null'], description: 'Present for RATE_LIMIT.' },
+  quota,
+};
+
+export const responseSchemas = {
+  result: {
+    type: 'object',
+    required: ['question', 'answer', 'sources'],
+    properties: {
+      question: { type: 'string' },
+      answer: { type: ['string', 'null'], description: 'Markdown answer.' },
+      sources: {
+        type: 'array',
+        items: { type: 'string', description: '`FILE:<uuid>/<filename>.txt` reference.' },
+      },
+      ranking,
+      amendments,
+      nextOffset: {
+        type: ['integer', 'null'],
+        description: 'Search only: `offset` of the next page, null on the last page.',
+      },
+      facets: {
+        type: 'object',
+        description: 'Search only, first page: how the best-ranked matching documents are distributed.',
+        properties: {
+          category: { ...facetCounts, description: 'By document category.' },
+          decade: { ...facetCounts, description: 'By decade of the document date, e.g. "1990s".' },
+          court: { ...facetCounts, description: 'By court division of decisions, e.g. "EN BANC".' },
+        },
+      },
+      requestId,
+    },
+  },
+  status: {
+    type: 'object',
+    required: ['type', 'message'],
+    properties: { type: { const: 'status' }, message: { type: 'string' }, requestId },
+  },
+  delta: {
+    type: 'object',
+    required: ['type', 'delta'],
+    properties: {
+      type: { const: 'delta' },
+      delta: { type: 'string', description: 'Next piece of the answer markdown.' },
+      requestId,
+    },
+  },
+  cancelled: {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { const: 'cancelled' }, requestId },
+  },
+  error: {
+    type: 'object',
+    required: ['type', 'message'],
+    properties: { type: { const: 'error' }, message: { type: 'string' }, ...errorDetails, requestId },
+  },
+  httpError: {
+    type: 'object',
+    required: ['error'],
+    properties: { error: { type: 'string' }, ...errorDetails },
+  },
+  quota,
+  statuteRelations,
+  citationGraph,
+  documentDetails,
+};
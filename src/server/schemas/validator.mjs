@@ -0,0 +1,85 @@
+import Ajv from 'ajv';
+
+import { warn } from '../../logs.mjs';
+
+import { httpRequestSchemas, responseSchemas, wsMessageSchemas } from './messages.mjs';
+
+const ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true, validateFormats: false });
+
+ajv.addKeyword({
+  keyword: 'x-maxBytes',
+  type: 'object',
+  schemaType: 'number',
+  error: { message: ({ schemaCode }) => `must be at most ${schemaCode} bytes when serialized` },
+  validate: (limit, data) => Buffer.byteLength(JSON.stringify(data), 'utf-8') <= limit,
+});
+
+function compileAll(schemas) {
+  return Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)]));
+}
+
+const wsValidators = compileAll(wsMessageSchemas);
+const httpValidators = compileAll(httpRequestSchemas);
+const responseValidators = compileAll(responseSchemas);
+
+// Ajv errors as `{ path, message }`, one per problem
+function formatErrors(errors = []) {
+  const seen = new Set();
+  const issues = [];
+  for (const err of errors) {
+    let message = err.message;
+    if (err.keyword === 'additionalProperties') message = `unknown field "${err.params.additionalProperty}"`;
+    if (err.keyword === 'pattern' && err.instancePath.endsWith('/query')) message = 'must not be blank';
+    const key = `${err.instancePath}|${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    issues.push({ path: err.instancePath, message });
+  }
+  return issues;
+}
+
+function invalid(errors) {
+  const issues = formatErrors(errors);
+  const first = issues[0];
+  const where = first?.path ? `${first.path.slice(1).replace(/\//g, '.')} ` : '';
+  return { ok: false, message: `Invalid request: ${where}${first?.message || 'malformed message'}`, errors: issues };
+}
+
+function checkShape(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, message: 'Invalid request: expected a JSON object', errors: [{ path: '', message: 'must be object' }] };
+  }
+  return null;
+}
+
+// Validate a parsed WebSocket message. Returns `{ ok: true }` or
+// `{ ok: false, message, errors }` ready to pass to reply.error().
+export function validateWsMessage(message) {
+  const shapeError = checkShape(message);
+  if (shapeError) return shapeError;
+  if (!Object.hasOwn(wsValidators, message.type)) {
+    return { ok: false, message: 'unsupported message type', errors: [{ path: '/type', message: 'unsupported message type' }] };
+  }
+  const validate = wsValidators[message.type];
+  return validate(message) ? { ok: true } : invalid(validate.errors);
+}
+
+// Validate the JSON body of POST /api/search | /api/qa | /api/analysis
+export function validateHttpBody(mode, body) {
+  const shapeError = checkShape(body);
+  if (shapeError) return shapeError;
+  const validate = httpValidators[mode];
+  return validate(body) ? { ok: true } : invalid(validate.errors);
+}
+
+// Development aid: warn when the server is about to send a frame that does not
+// match the published contract. Never blocks the reply.
+const CHECK_RESPONSES = process.env.NODE_ENV !== 'production';
+
+export function checkResponse(payload) {
+  if (!CHECK_RESPONSES || !payload) return;
+  const validate = responseValidators[payload.type || 'result'];
+  if (validate && !validate(payload)) {
+    warn(`Response does not match the "${payload.type || 'result'}" schema:`, formatErrors(validate.errors));
+  }
+}
@@ -1,24 +1,31 @@
 import { log, error } from '../logs.mjs';
+import { AbortError } from '../utils/abort.mjs';
 
+import { getClientKey } from './clientIdentity.mjs';
+import { isLocalOrigin } from './requestProcessor.mjs';
+import { validateWsMessage } from './schemas/validator.mjs';
 import { handlePerspectiveAnalysis } from './wsHandlers/analysisHandler.mjs';
 import { handleQA } from './wsHandlers/qaHandler.mjs';
 import { handleSearch } from './wsHandlers/searchHandler.mjs';
-import { sendError } from './wsHandlers/utils.mjs';
+import { createReplyChannel } from './wsHandlers/utils.mjs';
 
+const MAX_REQUEST_ID_LENGTH = 128;
+
+// requestId is chosen by the client and echoed on every frame of the reply so
+// concurrent requests on one socket can be told apart. Anything that is not a
+// short string is ignored rather than echoed back.
+function normalizeRequestId(value) {
+  if (typeof value !== 'string') return null;
+  const id = value.trim();
+  if (!id || id.length > MAX_REQUEST_ID_LENGTH) return null;
+  return id;
+}
 
 export function handleWebSocket(ws, req) {
   const remote = req?.socket?.remoteAddress || 'unknown';
   // Deny cross-origin WebSocket connections: allow only same-host or local origins
-  const origin = req.headers.origin || '';
-  const host = (req.headers.host || '').split(':')[0];
-  const isLocalOrigin =
-    !origin ||
-    origin.includes('localhost') ||
-    origin.includes('127.0.0.1') ||
-    (host && origin.includes(host));
-
-  if (!isLocalOrigin) {
-    log(`Rejecting WebSocket connection from cross-origin ${origin} (remote ${remote})`);
+  if (!isLocalOrigin(req)) {
+    log(`Rejecting WebSocket connection from cross-origin ${req.headers.origin} (remote ${remote})`);
     try {
       // 1008 = Policy Violation
       ws.close(1008, 'Cross-origin connections not allowed');
@@ -28,30 +35,80 @@ export function handleWebSocket(ws, req) {
     return;
   }
 
-  log(`WebSocket connection from ${remote}`);
+  // Rate-limit identity is fixed for the lifetime of the connection
+  const clientKey = getClientKey(req);
+  log(`WebSocket connection from ${remote} (${clientKey})`);
+
+  // AbortControllers for this socket's in-flight requests. Keyed by requestId so
+  // a `cancel` message can find its target; requests sent without an id get a
+  // private key and can only be stopped by closing the socket.
+  const inflight = new Map();
+
+  function cancelRequest(requestId) {
+    const controller = inflight.get(requestId);
+    if (!controller) return false;
+    controller.abort(new AbortError('Request cancelled by client'));
+    return true;
+  }
 
+  // Each message is handled independently (the listener does not serialize
+  // them), so a search can complete while a long analysis is still running.
   ws.on('message', async (data) => {
+    let reply = createReplyChannel(ws);
     try {
-      const message = JSON.parse(data);
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        reply.error('Invalid JSON message', 'INVALID_REQUEST');
+        return;
+      }
+      const requestId = normalizeRequestId(message?.requestId);
+      reply = createReplyChannel(ws, requestId);
+
+      // Reject malformed messages before any field is used (schemas/messages.mjs)
+      const validation = validateWsMessage(message);
+      if (!validation.ok) {
+        log('Rejected WebSocket message:', validation.errors);
+        reply.error(validation.message, 'INVALID_REQUEST', { errors: validation.errors });
+        return;
+      }
+
       // Accept clientState and clientPayload and keep for logging or passing to QA
-      const { type, query, clientState, perspective } = message;
-
-      log('Received WebSocket message:', { type, query, clientState });
-
-      if (type === 'search') {
-        await handleSearch(ws, { query });
-      } else if (type === 'qa') {
-        await handleQA(ws, { query, clientState });
-      } else if (type === 'perspective-analysis') {
-        await handlePerspectiveAnalysis(ws, { query, perspective });
-      } else {
-        sendError(ws, 'unsupported message type');
+      const { type, query, clientState, perspective, filters, asOf, offset } = message;
+
+      log('Received WebSocket message:', { type, requestId, query, clientState });
+
+      if (type === 'cancel') {
+        if (!cancelRequest(requestId)) log(`Cancel for unknown request ${requestId}`);
+        return;
+      }
+
+      const controller = new AbortController();
+      const { signal } = controller;
+      const handler = {
+        search: () => handleSearch(reply, { query, filters, asOf, offset, signal, clientKey }),
+        qa: () => handleQA(reply, { query, clientState, filters, asOf, signal, clientKey }),
+        'perspective-analysis': () =>
+          handlePerspectiveAnalysis(reply, { query, perspective, filters, asOf, signal, clientKey }),
+      }[type];
+      if (requestId && inflight.has(requestId)) {
+        reply.error('requestId already in use', 'INVALID_REQUEST');
+        return;
+      }
+
+      const key = requestId || Symbol('request');
+      inflight.set(key, controller);
+      try {
+        await handler();
+      } finally {
+        inflight.delete(key);
       }
     } catch (err) {
       error('WebSocket error:', err);
       try {
         // Do not send internal error details to the client; send a generic message
-        sendError(ws, 'Internal server error');
+        reply.error('Internal server error');
       } catch (sendErr) {
         error('Failed to send WebSocket error:', sendErr);
       }
@@ -60,6 +117,12 @@ export function handleWebSocket(ws, req) {
 
   ws.on('close', () => {
     log('WebSocket connection closed');
+    // Nobody is left to receive the answers: stop the work and refund the slots
+    if (inflight.size > 0) log(`Aborting ${inflight.size} in-flight request(s)`);
+    for (const controller of inflight.values()) {
+      controller.abort(new AbortError('WebSocket connection closed'));
+    }
+    inflight.clear();
   });
 
   ws.on('error', (err) => {
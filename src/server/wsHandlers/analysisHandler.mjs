@@ -3,71 +3,71 @@ import { log } from '../../logs.mjs';
 import { plannerCreatePlan } from '../../perspectiveAnalysis/planner.mjs';
 import { presenterPresent } from '../../perspectiveAnalysis/presenter.mjs';
 import { researcherExecutePlan } from '../../perspectiveAnalysis/researcher.mjs';
-import { tryConsume, getRemaining, getLimit } from '../rateLimiter.mjs';
+import { describeRanking } from '../../search/temporal.mjs';
 
-import { withTimeout, sendJSON, sendStatus, sendError } from './utils.mjs';
+import { withTimeout, replyIfCancelled, consumeQuota } from './utils.mjs';
 
 
 const ANALYSIS_TOTAL_TIMEOUT = 300000; // 5 minutes
 
-export async function handlePerspectiveAnalysis(ws, { query, perspective }) {
+export async function handlePerspectiveAnalysis(reply, { query, perspective, filters, asOf = null, signal, clientKey }) {
   if (!query || !String(query).trim()) {
-    sendError(ws, 'question required');
+    reply.error('question required', 'INVALID_REQUEST');
     return;
   }
 
-  // Apply hard daily rate limit: if limit reached, reject immediately.
-  const remaining = await getRemaining();
-  const limit = getLimit();
-  if (remaining <= 0) {
-    // structured rate-limit response
-    sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily Perspective Analysis request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('Analysis handler denied request - daily limit reached');
-    return;
-  }
-
-  // Consume a slot — if consumption fails due to a race, report limit reached.
-  if (!await tryConsume()) {
-    // structured rate-limit response
-    sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily Perspective Analysis request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('Analysis handler denied request - consumption failed (limit reached)');
-    return;
-  }
+  // Charge this client's quota (weighted by mode); denied requests get a RATE_LIMIT error
+  const ticket = await consumeQuota(reply, { clientKey, mode: 'perspective-analysis' });
+  if (!ticket) return;
 
   try {
-    sendStatus(ws, 'Planning');
+    reply.status('Planning');
 
-    const analysisPromise = (async () => {
+    const runAnalysis = async (taskSignal) => {
       const plan = await plannerCreatePlan({
         question: query,
         perspectiveFilter: perspective,
+        asOf,
+        signal: taskSignal,
       });
 
       if (!plan) throw new Error('Plan creation failed');
 
-      sendStatus(ws, 'Researching');
-      const snippets = await researcherExecutePlan(plan);
+      reply.status('Researching');
+      const snippets = await researcherExecutePlan(plan, { filters, signal: taskSignal });
 
-      sendStatus(ws, 'Verifying');
-      const answer = await presenterPresent(query, plan, snippets);
+      reply.status('Verifying');
+      const answer = await presenterPresent(query, plan, snippets, {
+        onDelta: (delta) => reply.delta(delta),
+        signal: taskSignal,
+      });
 
       return { plan, snippets, answer };
-    })();
+    };
 
-    const { snippets, answer } = await withTimeout(analysisPromise, ANALYSIS_TOTAL_TIMEOUT, 'Total analysis timeout');
+    const { snippets, answer } = await withTimeout(
+      runAnalysis,
+      ANALYSIS_TOTAL_TIMEOUT,
+      'Total analysis timeout',
+      { signal }
+    );
 
-    sendStatus(ws, 'Extracting sources');
+    reply.status('Extracting sources');
     const { sources } = extractSources(snippets || []);
 
-    sendJSON(ws, {
+    const unknown = isUnknownResponse(answer);
+
+    reply.send({
       question: query,
       answer,
-      sources: isUnknownResponse(answer) ? [] : sources,
+      sources: unknown ? [] : sources,
+      ranking: describeRanking(unknown ? [] : snippets, { asOf }),
     });
 
     log('Perspective analysis completed for query');
   } catch (err) {
+    if (await replyIfCancelled(reply, err, 'Perspective analysis', ticket)) return;
     log('Analysis handler error:', err);
-    sendError(ws, 'Internal server error');
+    reply.error('Internal server error');
   }
 }
\ No newline at end of file
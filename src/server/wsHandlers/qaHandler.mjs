@@ -1,58 +1,56 @@
 import { extractSources, isUnknownResponse } from '../../context.mjs';
 import { log } from '../../logs.mjs';
 import { answerQuestion } from '../../questionAndAnswer/questionAndAnswer.mjs';
-import { tryConsume, getRemaining, getLimit } from '../rateLimiter.mjs';
+import { describeAmendments } from '../../search/amendments.mjs';
+import { describeRanking } from '../../search/temporal.mjs';
 
-import { withTimeout, sendJSON, sendStatus, sendError } from './utils.mjs';
+import { withTimeout, replyIfCancelled, consumeQuota } from './utils.mjs';
 
 
 const QA_TIMEOUT = 120000;
 
-export async function handleQA(ws, { query, clientState }) {
+export async function handleQA(reply, { query, clientState, filters, asOf = null, signal, clientKey }) {
   if (!query || !String(query).trim()) {
-    sendError(ws, 'query required');
+    reply.error('query required', 'INVALID_REQUEST');
     return;
   }
 
-  // Apply hard daily rate limit: if limit reached, reject immediately.
-  const remaining = await getRemaining();
-  const limit = getLimit();
-    if (remaining <= 0) {
-    // Send a structured rate-limit error so clients can detect this condition reliably
-    sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily QA request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('QA handler denied request - daily limit reached');
-    return;
-  }
-
-  // Consume a slot — if consumption fails due to a race, report limit reached.
-  const consumed = await tryConsume();
-  if (!consumed) {
-    // structured rate-limit response
-    sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily QA request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('QA handler denied request - consumption failed (limit reached)');
-    return;
-  }
+  // Charge this client's quota (weighted by mode); denied requests get a RATE_LIMIT error
+  const ticket = await consumeQuota(reply, { clientKey, mode: 'qa' });
+  if (!ticket) return;
 
-  sendStatus(ws, 'Thinking');
+  reply.status('Thinking');
 
   try {
     const qaResult = await withTimeout(
-      answerQuestion(query, { clientState }),
+      (taskSignal) =>
+        answerQuestion(query, {
+          clientState,
+          filters,
+          asOf,
+          onDelta: (delta) => reply.delta(delta),
+          signal: taskSignal,
+        }),
       QA_TIMEOUT,
-      'QA timeout'
+      'QA timeout',
+      { signal }
     );
 
     const { answer, matches } = qaResult || {};
     const { sources } = extractSources(matches || []);
+    const unknown = isUnknownResponse(answer);
 
-    sendJSON(ws, {
+    reply.send({
       question: query,
       answer,
-      sources: isUnknownResponse(answer) ? [] : sources,
+      sources: unknown ? [] : sources,
+      ranking: describeRanking(unknown ? [] : matches, { asOf }),
+      amendments: describeAmendments(unknown ? [] : matches),
     });
 
     log('QA completed for query');
   } catch (err) {
+    if (await replyIfCancelled(reply, err, 'QA', ticket)) return;
     // Handle timeouts specially so clients get a useful message and logs are
     // easier to find in production.
     try {
@@ -61,7 +59,7 @@ export async function handleQA(ws, { query, clientState }) {
         // Log helpful context but avoid dumping full user content
         log('QA handler timed out for query (truncated):', (query || '').slice(0, 200));
         if (err?.stack) log('QA handler timeout stack:', err.stack);
-        sendError(ws, 'QA timeout — backend took too long. Try again or ask a narrower question.');
+        reply.error('QA timeout — backend took too long. Try again or ask a narrower question.', 'TIMEOUT');
         return;
       }
 
@@ -73,6 +71,6 @@ export async function handleQA(ws, { query, clientState }) {
       // Fallback to a simple log if formatting fails
       log('QA handler error (unserializable):', String(err));
     }
-    sendError(ws, 'Internal server error');
+    reply.error('Internal server error');
   }
 }
\ No newline at end of file
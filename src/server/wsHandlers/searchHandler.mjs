@@ -1,49 +1,50 @@
 import { extractSources } from '../../context.mjs';
 import { log } from '../../logs.mjs';
+import { describeAmendments } from '../../search/amendments.mjs';
 import { fetchRelevantMatches } from '../../search/search.mjs';
-import { tryConsume, getRemaining, getLimit } from '../rateLimiter.mjs';
+import { describeRanking } from '../../search/temporal.mjs';
 
-import { withTimeout, sendJSON, sendStatus, sendError } from './utils.mjs';
+import { withTimeout, replyIfCancelled, consumeQuota } from './utils.mjs';
 
 
 const SEARCH_TIMEOUT = 50000;
 
-export async function handleSearch(ws, { query }) {
+export async function handleSearch(reply, { query, filters, asOf = null, offset = 0, signal, clientKey }) {
   if (!query || !String(query).trim()) {
-    sendError(ws, 'query required');
+    reply.error('query required', 'INVALID_REQUEST');
     return;
   }
 
-  // Apply hard daily rate limit: if limit reached, reject immediately.
-  const remaining = await getRemaining();
-  const limit = getLimit();
-    if (remaining <= 0) {
-      // structured rate-limit response so client can detect with a code
-      sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily Search request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('Search handler denied request - daily limit reached');
-    return;
-  }
-
-  // Consume a slot — if consumption fails due to a race, report limit reached.
-  if (!await tryConsume()) {
-      // structured rate-limit response
-      sendJSON(ws, { type: 'error', code: 'RATE_LIMIT', message: `Daily Search request limit reached (${limit} requests/day). Please try again tomorrow.` });
-    log('Search handler denied request - consumption failed (limit reached)');
-    return;
-  }
+  // Charge this client's quota (weighted by mode); denied requests get a RATE_LIMIT error
+  const ticket = await consumeQuota(reply, { clientKey, mode: 'search' });
+  if (!ticket) return;
 
-  sendStatus(ws, 'Searching');
+  reply.status('Searching');
 
   try {
-    const result = await withTimeout(fetchRelevantMatches(query), SEARCH_TIMEOUT, 'Search timeout');
-    const { matches, answer } = result || {};
+    const result = await withTimeout(
+      (taskSignal) => fetchRelevantMatches(query, { filters, asOf, offset, signal: taskSignal }),
+      SEARCH_TIMEOUT,
+      'Search timeout',
+      { signal }
+    );
+    const { matches, answer, nextOffset = null, facets } = result || {};
     const { sources } = extractSources(matches || []);
 
-    sendJSON(ws, { question: query, answer, sources });
+    reply.send({
+      question: query,
+      answer,
+      sources,
+      ranking: describeRanking(matches, { asOf }),
+      amendments: describeAmendments(matches),
+      nextOffset,
+      ...(facets ? { facets } : {}),
+    });
     log('Search completed for query');
   } catch (err) {
+    if (await replyIfCancelled(reply, err, 'Search', ticket)) return;
     // Log detailed error server-side, send generic error to client
     log('Search handler error:', err);
-    sendError(ws, 'Internal server error');
+    reply.error('Internal server error');
   }
 }
\ No newline at end of file
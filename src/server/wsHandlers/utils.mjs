@@ -1,3 +1,8 @@
+import { log } from '../../logs.mjs';
+import { abortReason, isAbortError } from '../../utils/abort.mjs';
+import { describeLimit, MODES, refund, tryConsume } from '../rateLimiter.mjs';
+import { checkResponse } from '../schemas/validator.mjs';
+
 export class TimeoutError extends Error {
   constructor(message = 'Timeout') {
     super(message);
@@ -6,13 +11,29 @@ export class TimeoutError extends Error {
   }
 }
 
-export function withTimeout(promise, ms, message = 'Timeout') {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new TimeoutError(message)), ms)
-    ),
-  ]);
+// Run `task(signal)` with a deadline. The signal handed to the task is aborted
+// when the deadline passes (reason: TimeoutError) or when `options.signal`
+// aborts (e.g. the client cancelled), so the underlying LLM/DB work stops
+// instead of running on after nobody is waiting for it. `task` may also be a
+// plain promise, in which case only the wait is bounded.
+export function withTimeout(task, ms, message = 'Timeout', { signal: parentSignal = null } = {}) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(abortReason(parentSignal));
+  if (parentSignal?.aborted) onParentAbort();
+  else parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+
+  const timer = setTimeout(() => controller.abort(new TimeoutError(message)), ms);
+  const aborted = new Promise((_, reject) => {
+    const rejectWithReason = () => reject(abortReason(controller.signal));
+    if (controller.signal.aborted) rejectWithReason();
+    else controller.signal.addEventListener('abort', rejectWithReason, { once: true });
+  });
+  const promise = typeof task === 'function' ? task(controller.signal) : task;
+
+  return Promise.race([promise, aborted]).finally(() => {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', onParentAbort);
+  });
 }
 
 export function sendJSON(ws, payload) {
@@ -29,4 +50,55 @@ export function sendStatus(ws, message) {
 
 export function sendError(ws, message) {
   sendJSON(ws, { type: 'error', message });
-}
\ No newline at end of file
+}
+
+// Per-request reply channel. Several requests may be in flight on one socket,
+// so every frame a handler sends is tagged with the client-supplied requestId
+// (omitted when the client did not send one).
+export function createReplyChannel(ws, requestId = null) {
+  const tag = requestId ? { requestId } : {};
+  return {
+    requestId,
+    send: (payload) => {
+      checkResponse(payload);
+      sendJSON(ws, { ...payload, ...tag });
+    },
+    status: (message) => sendJSON(ws, { type: 'status', message, ...tag }),
+    // Partial answer markdown; the final result frame supersedes the concatenated deltas
+    delta: (delta) => sendJSON(ws, { type: 'delta', delta, ...tag }),
+    error: (message, code = null, details = {}) => {
+      const frame = { type: 'error', message, ...(code ? { code } : {}), ...details, ...tag };
+      checkResponse(frame);
+      sendJSON(ws, frame);
+    },
+  };
+}
+
+// Handlers call this from their catch block. Work stopped by a client cancel or
+// a closed socket (not by a timeout) gets its rate-limit slot back, since no
+// answer was delivered, and the client receives a `cancelled` acknowledgement.
+// Returns false for any other error so the caller reports it as usual.
+export async function replyIfCancelled(reply, err, label, ticket) {
+  if (!isAbortError(err)) return false;
+  log(`${label} cancelled${reply.requestId ? ` (request ${reply.requestId})` : ''}`);
+  await refund(ticket);
+  reply.send({ type: 'cancelled' });
+  return true;
+}
+
+// Charge the request to the client's quota. On success returns the ticket to
+// pass to replyIfCancelled(); otherwise sends a structured RATE_LIMIT error
+// (with the remaining quota so the client can display it) and returns null.
+export async function consumeQuota(reply, { clientKey, mode }) {
+  const result = await tryConsume({ clientKey, mode });
+  if (result.ok) return result.ticket;
+
+  const label = MODES[mode].label;
+  reply.error(describeLimit(result, label), 'RATE_LIMIT', {
+    scope: result.scope,
+    retryAfterSeconds: result.retryAfterSeconds,
+    quota: result.quota,
+  });
+  log(`${label} request denied for ${clientKey} - ${result.scope} limit reached`);
+  return null;
+}
@@ -1,8 +1,8 @@
 import crypto from 'crypto';
 
 
-import { pgClient } from '../db.mjs';
-import { openai } from '../llm.mjs';
+import { query, withTransaction } from '../db.mjs';
+import { completeTask } from '../llm.mjs';
 import { log, warn } from '../logs.mjs';
 
 const CACHE_DURATION_DAYS = 7;
@@ -15,7 +15,7 @@ const CACHE_DURATION_DAYS = 7;
 
 async function getCachedSuggestions() {
   try {
-    const result = await pgClient.query(`SELECT date FROM suggestions_meta WHERE id = 1`);
+    const result = await query(`SELECT date FROM suggestions_meta WHERE id = 1`);
 
     if (result.rows.length === 0) {
       return null;
@@ -40,38 +40,41 @@ async function getCachedSuggestions() {
 
 async function storeSuggestions(suggestions) {
   try {
-    // Delete all existing suggestions
-    await pgClient.query(`DELETE FROM suggestions`);
-
-    // Store each suggestion as three separate entries (question, keywords, scenario)
-    for (const suggestion of suggestions) {
-      // Store question
-      await pgClient.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
-        crypto.randomUUID(),
-        suggestion.question,
-        'question',
-      ]);
-
-      // Store keywords
-      await pgClient.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
-        crypto.randomUUID(),
-        suggestion.keywords,
-        'keywords',
-      ]);
-
-      // Store scenario
-      await pgClient.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
-        crypto.randomUUID(),
-        suggestion.scenario,
-        'scenario',
-      ]);
-    }
+    // Replace the whole set in one transaction so readers never see an empty table
+    await withTransaction(async (client) => {
+      // Delete all existing suggestions
+      await client.query(`DELETE FROM suggestions`);
+
+      // Store each suggestion as three separate entries (question, keywords, scenario)
+      for (const suggestion of suggestions) {
+        // Store question
+        await client.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
+          crypto.randomUUID(),
+          suggestion.question,
+          'question',
+        ]);
+
+        // Store keywords
+        await client.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
+          crypto.randomUUID(),
+          suggestion.keywords,
+          'keywords',
+        ]);
+
+        // Store scenario
+        await client.query(`INSERT INTO suggestions (id, name, category) VALUES ($1, $2, $3)`, [
+          crypto.randomUUID(),
+          suggestion.scenario,
+          'scenario',
+        ]);
+      }
 
-    // Update or insert the suggestions_meta last-updated timestamp
-    await pgClient.query(
-      `INSERT INTO suggestions_meta (id, date) VALUES (1, CURRENT_TIMESTAMP)
-       ON CONFLICT (id) DO UPDATE SET date = CURRENT_TIMESTAMP`
-    );
+      // Update or insert the suggestions_meta last-updated timestamp
+      await client.query(
+        `INSERT INTO suggestions_meta (id, date) VALUES (1, CURRENT_TIMESTAMP)
+         ON CONFLICT (id) DO UPDATE SET date = CURRENT_TIMESTAMP`
+      );
+    });
 
     log(`Stored ${suggestions.length} suggestions (${suggestions.length * 3} total entries)`);
     return true;
@@ -86,7 +89,7 @@ export async function generateSuggestions() {
   const cached = await getCachedSuggestions();
   if (cached) {
     try {
-      const result = await pgClient.query(
+      const result = await query(
         `SELECT name, category FROM suggestions ORDER BY category`
       );
       if (result.rows.length > 0) {
@@ -183,13 +186,7 @@ export async function generateSuggestions() {
   try {
     log('Generating legal questions (Philippine-focused examples)...');
 
-    const completion = await openai.chat.completions.create({
-      model: 'google/gemini-2.0-flash-001',
-      messages: [system, user],
-      max_tokens: 2048,
-      // Low temperature for deterministic, precise outputs and to reduce formatting variations
-      temperature: 0.0,
-    });
+    const completion = await completeTask('suggestions', { messages: [system, user] });
 
     const raw = completion?.choices?.[0]?.message?.content ?? '';
     log('LLM response received:', raw.substring(0, 100));
@@ -0,0 +1,28 @@
+// Helpers for threading an AbortSignal through the pipeline.
+//
+// Most pipeline steps swallow errors and fall back to a degraded result (a
+// default plan, a truncated snippet, UNKNOWN_PHRASE...). When the request has
+// been cancelled that fallback is wrong: the error must propagate so the
+// remaining steps are skipped. Catch blocks call `throwIfAborted(signal)` first.
+
+export class AbortError extends Error {
+  constructor(message = 'Request cancelled') {
+    super(message);
+    this.name = 'AbortError';
+    this.code = 'ABORTED';
+  }
+}
+
+export function abortReason(signal) {
+  const reason = signal?.reason;
+  return reason instanceof Error ? reason : new AbortError();
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortReason(signal);
+}
+
+// True for our AbortError, DOM-style aborts and the OpenAI SDK's APIUserAbortError
+export function isAbortError(err) {
+  return !!err && (err.name === 'AbortError' || err.name === 'APIUserAbortError' || err.code === 'ABORTED');
+}
@@ -0,0 +1,53 @@
+// Passage chunking shared by the importer (scripts/setup-db.mjs, which fills
+// the `chunks` table) and anything that needs to map a passage back onto its
+// document. Offsets are character offsets into the text that was chunked —
+// the formatted document as served by /api/file/:uuid.
+
+export const CHUNK_SIZE = parseInt(process.env.CHUNK_SIZE || '1500', 10);
+export const CHUNK_OVERLAP = parseInt(process.env.CHUNK_OVERLAP || '200', 10);
+
+// Preferred break points, strongest first: paragraph, line, sentence, word
+const BREAKS = [/\n\s*\n/g, /\n/g, /[.;:!?]\s/g, /\s/g];
+
+// Offset just after the last break in text[from, to), searching only the
+// second half of the window so chunks do not shrink to fragments.
+function findBreak(text, from, to) {
+  const window = text.slice(from, to);
+  const minimum = Math.floor(window.length / 2);
+  for (const pattern of BREAKS) {
+    pattern.lastIndex = 0;
+    let last = -1;
+    let m;
+    while ((m = pattern.exec(window)) !== null) {
+      const end = m.index + m[0].length;
+      if (end >= minimum) last = end;
+    }
+    if (last > 0) return from + last;
+  }
+  return to;
+}
+
+// Split `text` into overlapping passages of about `size` characters, breaking
+// at paragraph, line, sentence or word boundaries where possible. Returns
+// `[{ ordinal, start, end, text }]` with `text === source.slice(start, end)`;
+// whitespace-only passages are dropped.
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  if (!text) return [];
+  const step = Math.max(1, size);
+  const back = Math.min(Math.max(0, overlap), Math.floor(step / 2));
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const limit = Math.min(text.length, start + step);
+    const end = limit === text.length ? limit : findBreak(text, start, limit);
+    const passage = text.slice(start, end);
+    if (passage.trim()) chunks.push({ ordinal: chunks.length, start, end, text: passage });
+    if (end >= text.length) break;
+
+    // Step back for the overlap, then forward to a word start
+    let next = Math.max(start + 1, end - back);
+    while (next < end && !/\s/.test(text[next - 1])) next++;
+    start = next;
+  }
+  return chunks;
+}
@@ -0,0 +1,41 @@
+// Citations between corpus documents. The importer runs `findCitations` over
+// each document (scripts/setup-db.mjs) and stores one `citations` row per
+// cited identifier, resolved to the document that carries it; the "cites" /
+// "cited by" lookups and the authority signal in ranking read them back
+// (src/search/citations.mjs).
+//
+// Identifiers are the keys of legalIdentifiers.mjs: statutes ('ra:9262',
+// 'act:3815'), G.R. numbers ('gr:123456', 'gr:L-12345', one per number of a
+// range) and A.M. numbers ('am:01-2-04-SC'). Administrative and department
+// orders are not tracked: their numbers repeat across issuing agencies, so
+// they cannot be resolved to one document. Rules of Court provisions and
+// reporter pages name no document of the corpus either.
+
+import { identifierLabel, parseIdentifiers, STATUTE_TYPES } from './legalIdentifiers.mjs';
+import { statuteKey } from './statuteRelations.mjs';
+
+// Lines of a decision searched for its own G.R./A.M. number
+const HEADER_LINES = 20;
+
+const isCitable = (id) => STATUTE_TYPES.has(id.type) || id.type === 'gr' || id.type === 'am';
+
+// Every cited identifier in `text` with how often it is mentioned:
+// [{ key, label, mentions }], in order of first mention
+export function findCitations(text) {
+  const counts = new Map();
+  for (const id of parseIdentifiers(text).filter(isCitable)) {
+    for (const key of id.keys) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, mentions]) => ({ key, label: identifierLabel(key), mentions }));
+}
+
+// Identifier other documents cite this one by: the statute its title names,
+// else the G.R. or A.M. number in its title or in the first lines of its
+// text. null when none is found.
+export function citationKey(title, text = '') {
+  const fromTitle = statuteKey(title);
+  if (fromTitle) return fromTitle;
+  const header = [title || '', ...String(text || '').split('\n', HEADER_LINES)].join('\n');
+  const id = parseIdentifiers(header).find((i) => i.type === 'gr' || i.type === 'am');
+  return id ? id.key : null;
+}
@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// The text corpus (RAG_CORPUS_PATH) holds one `<filename>.txt` per document
+// under its `relative_path`, as the documents table records them.
+
+// Size of every .txt file under `dir`, keyed by its posix path relative to it,
+// in path order
+export async function listCorpusFiles(dir) {
+  const files = new Map();
+  async function walk(current, prefix) {
+    for (const entry of await fs.readdir(current, { withFileTypes: true })) {
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(path.join(current, entry.name), rel);
+      } else if (entry.isFile() && entry.name.endsWith('.txt')) {
+        files.set(rel, (await fs.stat(path.join(current, entry.name))).size);
+      }
+    }
+  }
+  await walk(dir, '');
+  return new Map([...files].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+// Text of a document's corpus file; null without a corpus or when the file
+// cannot be read
+export async function readCorpusText(corpusDir, relativePath, filename) {
+  if (!corpusDir || !filename) return null;
+  try {
+    return await fs.readFile(path.join(corpusDir, relativePath || '', `${filename}.txt`), 'utf8');
+  } catch {
+    return null;
+  }
+}
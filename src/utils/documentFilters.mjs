@@ -0,0 +1,96 @@
+// Structured metadata filters for retrieval, shared by the request schemas
+// (server/schemas/messages.mjs), the SQL in embeddings.mjs and the importer,
+// which records each decision's court division (scripts/setup-db.mjs).
+
+// Document types, matched against `documents.category` and `documents.title`
+// prefixes because the corpus labels them inconsistently ("Republic Act",
+// "R.A. No. ...").
+export const DOCUMENT_TYPES = {
+  'republic-act': { label: 'Republic Acts', patterns: ['Republic Act%', 'R.A.%', 'RA %'] },
+  'gr-decision': { label: 'G.R. decisions', patterns: ['G.R.%', 'GR %'] },
+  'am-circular': { label: 'A.M. circulars', patterns: ['A.M.%', 'AM %', 'Administrative Matter%'] },
+  'presidential-decree': { label: 'Presidential Decrees', patterns: ['Presidential Decree%', 'P.D.%', 'PD %'] },
+  'executive-order': { label: 'Executive Orders', patterns: ['Executive Order%', 'E.O.%', 'EO %'] },
+  'batas-pambansa': { label: 'Batas Pambansa', patterns: ['Batas Pambansa%', 'B.P.%', 'BP %'] },
+  'commonwealth-act': { label: 'Commonwealth Acts', patterns: ['Commonwealth Act%', 'C.A.%', 'CA %'] },
+  act: { label: 'Acts', patterns: ['Act No%'] },
+};
+
+export const DOCUMENT_TYPE_IDS = Object.keys(DOCUMENT_TYPES);
+
+// `division` filter values: decisions of the court sitting en banc, or of
+// any of its divisions
+export const COURT_DIVISIONS = ['en-banc', 'division'];
+
+// Header line naming the deciding body, e.g. "EN BANC" or "THIRD DIVISION"
+const DIVISION_LINE = /^(EN\s+BANC|(?:FIRST|SECOND|THIRD|FOURTH|FIFTH|SPECIAL\s+\w+)\s+DIVISION)$/i;
+
+// Court division from the first lines of a decision: 'EN BANC',
+// 'THIRD DIVISION', ... or '' when the document has no such header (statutes,
+// circulars). The empty string marks the document as checked.
+export function detectCourtDivision(text) {
+  if (!text) return '';
+  const lines = String(text).split('\n', 40);
+  for (const line of lines) {
+    const m = line.trim().match(DIVISION_LINE);
+    if (m) return m[1].replace(/\s+/g, ' ').toUpperCase();
+  }
+  return '';
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// documents.date of undated documents (the column is NOT NULL)
+export const MIN_DATE = '0001-01-01';
+
+// YYYY-MM-DD of a documents.date value, null for undated documents
+export function isoDate(value) {
+  const date = value ? new Date(value).toISOString().slice(0, 10) : null;
+  return date && date > MIN_DATE ? date : null;
+}
+
+// Filters with every unset or empty field removed; null when nothing is left.
+// Besides the request's `filters`, accepts `asOf` (the request-level as-of
+// date, merged in by embeddings.mjs): documents dated after it are excluded.
+export function normalizeFilters(filters) {
+  if (!filters || typeof filters !== 'object') return null;
+  const out = {};
+  if (ISO_DATE.test(filters.dateFrom || '')) out.dateFrom = filters.dateFrom;
+  if (ISO_DATE.test(filters.dateTo || '')) out.dateTo = filters.dateTo;
+  if (ISO_DATE.test(filters.asOf || '')) out.asOf = filters.asOf;
+  const types = (Array.isArray(filters.documentTypes) ? filters.documentTypes : []).filter((t) =>
+    Object.hasOwn(DOCUMENT_TYPES, t)
+  );
+  if (types.length > 0) out.documentTypes = types;
+  if (COURT_DIVISIONS.includes(filters.division)) out.division = filters.division;
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+// SQL conditions on the documents alias `m` for `filters`, with placeholders
+// numbered from `firstParam`. Returns `{ sql, params }`; `sql` is '' when
+// there is nothing to filter, otherwise conditions joined with AND.
+export function filterSql(filters, firstParam) {
+  const f = normalizeFilters(filters);
+  if (!f) return { sql: '', params: [] };
+  const conditions = [];
+  const params = [];
+  const next = (value) => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+
+  // A date range excludes undated documents
+  if (f.dateFrom || f.dateTo) conditions.push(`m.date > '${MIN_DATE}'::date`);
+  if (f.dateFrom) conditions.push(`m.date >= ${next(f.dateFrom)}::date`);
+  if (f.dateTo) conditions.push(`m.date <= ${next(f.dateTo)}::date`);
+  // Unlike a date range, an as-of date keeps undated documents
+  if (f.asOf) conditions.push(`(m.date IS NULL OR m.date <= ${next(f.asOf)}::date)`);
+  if (f.documentTypes) {
+    const patterns = next(f.documentTypes.flatMap((t) => DOCUMENT_TYPES[t].patterns));
+    conditions.push(`(m.category ILIKE ANY(${patterns}::text[]) OR m.title ILIKE ANY(${patterns}::text[]))`);
+  }
+  if (f.division === 'en-banc') conditions.push(`m.court_division = 'EN BANC'`);
+  if (f.division === 'division') conditions.push(`m.court_division LIKE '%DIVISION'`);
+
+  return { sql: conditions.join(' AND '), params };
+}
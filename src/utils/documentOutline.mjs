@@ -0,0 +1,65 @@
+// Outline of a document for the viewer: the divisions of a statute (books,
+// titles, chapters, rules, articles, sections) and the parts of a decision
+// (facts, issues, ruling, dispositive portion), each with the index of the
+// line it starts on.
+
+// Most entries returned; codes have thousands of articles
+const MAX_ENTRIES = 500;
+// Longest line taken as a decision part heading ("The Facts", "Our Ruling")
+const MAX_HEADING = 60;
+const LABEL_LENGTH = 90;
+
+// Statute divisions. Uppercase-only words avoid prose such as "Title to the property".
+const DIVISIONS = [
+  ['book', /^BOOK\s+(?:[IVXLC]+|[A-Z]+|\d+)\b/],
+  ['title', /^TITLE\s+(?:[IVXLC]+|[A-Z]+|\d+)\b/],
+  ['chapter', /^CHAPTER\s+(?:[IVXLC]+|[A-Z]+|\d+)\b/i],
+  ['rule', /^RULE\s+(?:[IVXLC]+|\d+)\b/],
+  ['article', /^(?:ARTICLE|Article|ART\.|Art\.)\s*(?:\d+(?:-?[A-Za-z])?|[IVXLC]+)\s*[.:–—-]/],
+  ['section', /^(?:SECTION|Section|SEC\.|Sec\.)\s*\d+(?:-?[A-Za-z])?\s*[.:–—-]/],
+];
+
+// Decision parts, as standalone headings
+const PARTS = [
+  ['facts', /^(?:the\s+)?(?:facts|antecedents?|antecedent\s+facts|factual\s+antecedents|statement\s+of\s+(?:the\s+)?facts)(?:\s+of\s+the\s+case)?$/i],
+  ['issues', /^(?:the\s+)?(?:issues?|issues?\s+before\s+(?:the|this)\s+court|assignments?\s+of\s+errors?)$/i],
+  ['ruling', /^(?:the\s+|our\s+)?(?:court['’]s\s+)?ruling(?:\s+of\s+(?:the|this)\s+[\w\s]+)?$/i],
+];
+// First words of the dispositive portion
+const DISPOSITIVE = /^(?:WHEREFORE|ACCORDINGLY|IN VIEW (?:OF|WHEREOF)|PREMISES CONSIDERED)\b/;
+
+function label(line) {
+  return line.length > LABEL_LENGTH ? `${line.slice(0, LABEL_LENGTH - 1).trimEnd()}…` : line;
+}
+
+// [{ kind, label, line }] in document order; `line` is a 0-based index into
+// text.split('\n')
+export function parseOutline(text) {
+  const lines = String(text || '').split('\n');
+  const outline = [];
+  let dispositive = -1;
+
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    const division = DIVISIONS.find(([, re]) => re.test(line));
+    if (division) {
+      outline.push({ kind: division[0], label: label(line), line: index });
+      return;
+    }
+    const heading = line.replace(/[\s:.]+$/, '');
+    const part = heading.length <= MAX_HEADING && PARTS.find(([, re]) => re.test(heading));
+    if (part) {
+      outline.push({ kind: part[0], label: label(heading), line: index });
+      return;
+    }
+    // Lower courts' decisions quoted earlier have one too: the Court's own is the last
+    if (DISPOSITIVE.test(line)) dispositive = index;
+  });
+
+  // The cap applies to the divisions and parts, so a long decision keeps its dispositive portion
+  if (dispositive < 0) return outline.slice(0, MAX_ENTRIES);
+  const capped = outline.slice(0, MAX_ENTRIES - 1);
+  capped.push({ kind: 'dispositive', label: 'Dispositive portion', line: dispositive });
+  return capped.sort((a, b) => a.line - b.line);
+}
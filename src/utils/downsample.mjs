@@ -18,3 +18,11 @@ export function downsampleEmbedding(embedding, targetDim) {
   }
   return out;
 }
+
+// `vector` at a column's `dim` dimensions: downsampled when longer. A shorter
+// one cannot be widened, so it is an error.
+export function toDim(vector, dim) {
+  if (!Array.isArray(vector) || vector.length === 0) throw new Error('no vector to store');
+  if (vector.length < dim) throw new Error(`vector of ${vector.length} dimensions cannot fill ${dim}`);
+  return vector.length > dim ? downsampleEmbedding(vector, dim) : vector;
+}
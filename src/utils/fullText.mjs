@@ -0,0 +1,24 @@
+// Full-text search settings shared across import (scripts/setup-db.mjs) and
+// query code (embeddings.mjs). Both sides must use the same text search
+// configuration, or stemmed query terms will not match the indexed lexemes.
+
+export const TS_CONFIG = process.env.PG_TS_CONFIG || 'english';
+
+// Postgres rejects tsvectors over 1MB; cap the document body we index
+export const MAX_INDEXED_CHARS = parseInt(process.env.SEARCH_INDEX_MAX_CHARS || '200000', 10);
+
+// SQL expression building `documents.search_tsv`: title matches weigh most,
+// then the summary, then the body. Parameters are the regconfig, title,
+// summary and body placeholders, e.g. documentSearchVectorSql('$1', '$2', '$3', '$4').
+export function documentSearchVectorSql(config, title, summary, body) {
+  return `(
+    setweight(to_tsvector(${config}::regconfig, coalesce(${title}, '')), 'A') ||
+    setweight(to_tsvector(${config}::regconfig, coalesce(${summary}, '')), 'B') ||
+    setweight(to_tsvector(${config}::regconfig, coalesce(${body}, '')), 'C')
+  )`;
+}
+
+export function truncateForIndex(text) {
+  if (!text) return null;
+  return text.length > MAX_INDEXED_CHARS ? text.slice(0, MAX_INDEXED_CHARS) : text;
+}
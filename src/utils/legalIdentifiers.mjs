@@ -0,0 +1,236 @@
+// Philippine legal identifiers: case numbers ("G.R. No. 100264",
+// "G.R. Nos. 100264-81", "A.M. No. 01-2-04-SC"), statutes and issuances
+// ("R.A. 9262", "Batas Pambansa Blg. 22", "the Revised Penal Code"), Rules of
+// Court provisions ("Section 1, Rule 65") and reporter citations
+// ("123 SCRA 456", "45 Phil. 123"), parsed into one canonical form.
+//
+// Every identifier has a `key` that is the same however it was written
+// ('ra:9262', 'gr:100264', 'gr:L-12345', 'am:01-2-04-SC', 'roc:65:1',
+// 'scra:123:456') and a `canonical` citation for display and title lookups.
+// The server (search, research, the importer's relation and citation graphs)
+// and the client (viewer highlights) share this module, so it has no imports
+// and no Node APIs.
+
+// Numbered identifiers. `name`, `abbr` and `short` are the spellings accepted
+// (and generated as title variants); `marker` is the word before the number.
+// `strict` spellings are ordinary words, so they need an explicit "No.".
+const NUMBERED = {
+  gr: { name: 'G.R.', abbr: 'G.R.', short: 'GR', marker: 'No.', aliases: ['General\\s+Regist(?:er|ry)(?:\\s+Number)?'] },
+  am: { name: 'A.M.', abbr: 'A.M.', short: 'AM', marker: 'No.', aliases: ['Administrative\\s+Matter'], strict: ['AM'] },
+  ra: { name: 'Republic Act', abbr: 'R.A.', short: 'RA', marker: 'No.', statute: true },
+  pd: { name: 'Presidential Decree', abbr: 'P.D.', short: 'PD', marker: 'No.', statute: true },
+  eo: { name: 'Executive Order', abbr: 'E.O.', short: 'EO', marker: 'No.', statute: true },
+  bp: { name: 'Batas Pambansa', abbr: 'B.P.', short: 'BP', marker: 'Blg.', statute: true },
+  ca: { name: 'Commonwealth Act', abbr: 'C.A.', short: 'CA', marker: 'No.', statute: true, strict: ['CA'] },
+  act: { name: 'Act', marker: 'No.', statute: true, strict: ['Act'] },
+  ao: { name: 'Administrative Order', abbr: 'A.O.', short: 'AO', marker: 'No.' },
+  mc: { name: 'Memorandum Circular', abbr: 'M.C.', short: 'MC', marker: 'No.' },
+  mo: { name: 'Memorandum Order', abbr: 'M.O.', short: 'MO', marker: 'No.', strict: ['MO'] },
+  do: { name: 'Department Order', abbr: 'D.O.', short: 'DO', marker: 'No.', strict: ['DO'] },
+};
+
+// What a number looks like for each kind of identifier
+const NUMBER_SOURCE = {
+  // "123456", "L-12345", ranges "100264-81"
+  gr: '(?:L\\s*-\\s*)?\\d{3,7}(?:\\s*[-–]\\s*\\d{1,7})?',
+  // "01-2-04-SC", "RTJ-05-1234", "P-04-1849", "1234"
+  am: '(?:[A-Z]{1,4}-)?\\d(?:[\\d-]*\\d)?(?:-[A-Z]{2,4})?',
+  statute: '\\d{1,5}(?:-[A-Z](?![\\w]))?',
+  // "2019-05", "174-17"
+  issuance: '\\d+(?:-\\d+)*(?:-[A-Z]{1,4})?',
+};
+
+// Codes usually cited by name rather than number
+const CODE_NAMES = [
+  [/Revised\s+Penal\s+Code/i, 'act:3815'],
+  [/Family\s+Code/i, 'eo:209'],
+  [/Civil\s+Code/i, 'ra:386'],
+  [/Labor\s+Code/i, 'pd:442'],
+  [/Local\s+Government\s+Code/i, 'ra:7160'],
+  [/Corporation\s+Code/i, 'bp:68'],
+];
+
+// Kinds of identifiers that name one document and so can be looked up by title
+export const LOOKUP_TYPES = new Set(Object.keys(NUMBERED));
+export const STATUTE_TYPES = new Set(Object.keys(NUMBERED).filter((t) => NUMBERED[t].statute));
+
+// Largest G.R. range expanded into its numbers; wider ones keep the endpoints
+const MAX_RANGE = 50;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// "R.A." also matches "R. A."; spaces match any run of whitespace
+const spelling = (s) => escapeRe(s).replace(/\\\.(?!$)/g, '\\.\\s?').replace(/\s+/g, '\\s+');
+
+function numberSource(type) {
+  return NUMBER_SOURCE[type] || (NUMBERED[type].statute ? NUMBER_SOURCE.statute : NUMBER_SOURCE.issuance);
+}
+
+function numberedPattern(type) {
+  const t = NUMBERED[type];
+  const strict = t.strict || [];
+  const loose = [...new Set([t.name, t.abbr, t.short].filter((s) => s && !strict.includes(s)))].map(spelling);
+  const num = numberSource(type);
+  // "123 SCRA 456" after a list separator is a reporter citation, not one more number
+  const item = `${num}(?!\\s+(?:SCRA|Phil)\\b)`;
+  const list = `${item}(?:\\s*(?:,\\s*(?:and\\s+|&\\s*)?|&|\\band\\b)\\s*${item})*`;
+  const marker = '(?:(?:Nos?|Blg)\\.?\\s*|Numbers?\\s+|#\\s*)';
+  const names = [...loose, ...(t.aliases || [])].join('|') || '(?!)';
+  const strictNames = strict.map(spelling).join('|') || '(?!)';
+  // Groups: 1 = marker after a loose spelling, 2 = marker after a strict one, 3 = the numbers
+  return new RegExp(
+    `(?<![\\w.-])(?:(?:${names})\\s*(${marker})?|(?:${strictNames})\\s*(${marker}))(${list})(?![\\w-]*\\d)`,
+    'gi'
+  );
+}
+
+const PATTERNS = Object.keys(NUMBERED).map((type) => [type, numberedPattern(type)]);
+const CODE_PATTERN = new RegExp(`\\b(?:${CODE_NAMES.map(([re]) => re.source).join('|')})\\b`, 'gi');
+// "Section 1, Rule 65", "Sec. 3 of Rule 111", "Rule 65, Section 4", "Rule 45 of the Rules of Court";
+// not "Rule 3 of the Omnibus Rules" or "Rule 5 hereof"
+const ROC_SECTION = 'Sec(?:tion)?\\.?\\s*(\\d{1,3}(?:-?[a-z])?)';
+const ROC_SUFFIX =
+  '\\s+of\\s+the\\s+(?:(?:Revised|\\d{4}(?:\\s+Revised)?)\\s+)?Rules\\s+(?:of|on)\\s+(?:Court|Civil\\s+Procedure|Criminal\\s+Procedure)';
+const ROC_PATTERN = new RegExp(
+  `(?<![\\w.-])(?:${ROC_SECTION}\\s*(?:,\\s*|\\s+of\\s+(?:the\\s+)?))?Rule\\s+(\\d{1,3})(?:\\s*,\\s*${ROC_SECTION})?(?:${ROC_SUFFIX})?` +
+    '(?!\\w|\\s+(?:of\\s+(?:the|these|this)\\b|hereof|thereof))',
+  'gi'
+);
+// "123 SCRA 456", "45 Phil. 123"
+const REPORTER_PATTERN = /(?<![\w.])(\d{1,4})\s+(SCRA|Phil\.?)\s+(\d{1,5})(?!\d)/g;
+
+// "100264-81" -> ['100264', ..., '100281']
+function expandRange(part) {
+  const m = part.match(/^(L-)?(\d+)(?:[-–](\d+))?$/);
+  if (!m) return [part];
+  const [, prefix = '', first, tail] = m;
+  if (!tail) return [prefix + first];
+  const last = tail.length >= first.length ? tail : first.slice(0, first.length - tail.length) + tail;
+  const from = Number(first);
+  const to = Number(last);
+  if (!(to > from)) return [prefix + first];
+  if (to - from >= MAX_RANGE) return [prefix + first, prefix + last];
+  return Array.from({ length: to - from + 1 }, (_, i) => prefix + String(from + i));
+}
+
+function splitList(list) {
+  return list
+    .split(/\s*(?:,\s*(?:and\s+|&\s*)?|&|\band\b)\s*/i)
+    .map((p) => p.replace(/\s+/g, '').toUpperCase())
+    .filter(Boolean);
+}
+
+function numberedIdentifier(type, m) {
+  const t = NUMBERED[type];
+  // Strict spellings keep their case: "I am No. 1" is not an A.M. number
+  if (m[2] !== undefined && !t.strict.some((s) => m[0].startsWith(s))) return null;
+  const parts = splitList(m[3]);
+  let raw = m[0];
+  // A list ("Nos. 7610 and 9262") needs the plural marker: "R.A. 9262, 2004" names one law
+  const listed = /^N(?:os|umbers)/i.test(m[1] || m[2] || '') ? parts : parts.slice(0, 1);
+  if (listed.length < parts.length) {
+    const first = m[3].match(new RegExp(numberSource(type), 'i'));
+    raw = raw.slice(0, raw.length - m[3].length + first.index + first[0].length);
+  }
+  const numbers = type === 'gr' ? listed.flatMap(expandRange) : listed;
+  const marker = numbers.length > 1 && t.marker === 'No.' ? 'Nos.' : t.marker;
+  return {
+    type,
+    name: t.name,
+    numbers,
+    key: `${type}:${numbers[0]}`,
+    keys: numbers.map((n) => `${type}:${n}`),
+    canonical: `${t.name} ${marker} ${listed.join(', ')}`,
+    raw,
+    start: m.index,
+    end: m.index + raw.length,
+  };
+}
+
+// An identifier with a single key ('act:3815', 'roc:65:1', 'scra:123:456') found by `m`
+function keyedIdentifier(key, m) {
+  const [type, number] = key.split(':');
+  return {
+    type,
+    name: NUMBERED[type] ? NUMBERED[type].name : null,
+    numbers: [number],
+    key,
+    keys: [key],
+    canonical: identifierLabel(key),
+    raw: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  };
+}
+
+// Every identifier in `text`, in order, without overlaps (the longer reading
+// wins: "Republic Act No. 9262" is not also "Act No. 9262"):
+// [{ type, name, key, keys, numbers, canonical, raw, start, end }], plus
+// `rule` and `section` for Rules of Court provisions and `volume` and `page`
+// for reporter citations. `keys` holds one key per number of a list or G.R. range.
+export function parseIdentifiers(text) {
+  const body = String(text || '');
+  const found = [];
+  for (const [type, re] of PATTERNS) {
+    for (const m of body.matchAll(re)) {
+      const id = numberedIdentifier(type, m);
+      if (id) found.push(id);
+    }
+  }
+  for (const m of body.matchAll(CODE_PATTERN)) {
+    const key = CODE_NAMES.find(([re]) => re.test(m[0]))[1];
+    found.push({ ...keyedIdentifier(key, m), code: true });
+  }
+  for (const m of body.matchAll(ROC_PATTERN)) {
+    const [, sectionBefore, rule, sectionAfter] = m;
+    const section = (sectionBefore || sectionAfter || '').toLowerCase() || null;
+    found.push({ ...keyedIdentifier(section ? `roc:${rule}:${section}` : `roc:${rule}`, m), rule, section });
+  }
+  for (const m of body.matchAll(REPORTER_PATTERN)) {
+    const type = m[2].toUpperCase() === 'SCRA' ? 'scra' : 'phil';
+    found.push({ ...keyedIdentifier(`${type}:${m[1]}:${m[3]}`, m), volume: m[1], page: m[3] });
+  }
+
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const result = [];
+  for (const id of found) {
+    const prev = result[result.length - 1];
+    if (prev && id.start < prev.end) continue;
+    result.push(id);
+  }
+  return result;
+}
+
+// The first identifier in `text`, or null
+export function parseIdentifier(text) {
+  return parseIdentifiers(text)[0] || null;
+}
+
+// Canonical citation for a key: 'ra:9262' -> 'Republic Act No. 9262',
+// 'roc:65:1' -> 'Rule 65, Section 1 of the Rules of Court',
+// 'scra:123:456' -> '123 SCRA 456'. Unknown keys are returned as they are.
+export function identifierLabel(key) {
+  const [type, number, extra] = String(key || '').split(':');
+  if (NUMBERED[type] && number) return `${NUMBERED[type].name} ${NUMBERED[type].marker} ${number}`;
+  if (type === 'roc' && number) {
+    return extra ? `Rule ${number}, Section ${extra} of the Rules of Court` : `Rule ${number} of the Rules of Court`;
+  }
+  if (type === 'scra' && extra) return `${number} SCRA ${extra}`;
+  if (type === 'phil' && extra) return `${number} Phil. ${extra}`;
+  return String(key || '');
+}
+
+// Spellings a title may use for `id` (from parseIdentifiers), most formal first:
+// 'Republic Act No. 9262', 'Republic Act 9262', 'R.A. No. 9262', 'R.A. 9262', 'RA No. 9262', 'RA 9262'
+export function identifierVariants(id) {
+  if (!id) return [];
+  const t = NUMBERED[id.type];
+  if (!t) return [id.canonical];
+  const numbers = id.canonical.slice(`${t.name} `.length).replace(/^(?:Nos?|Blg)\.\s*/, '');
+  const variants = new Set([id.canonical]);
+  if (id.code) variants.add(id.raw.replace(/\s+/g, ' '));
+  for (const form of new Set([t.name, t.abbr, t.short].filter(Boolean))) {
+    variants.add(`${form} ${t.marker} ${numbers}`);
+    variants.add(`${form} ${numbers}`);
+  }
+  return [...variants];
+}
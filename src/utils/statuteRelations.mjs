@@ -0,0 +1,129 @@
+// Amendment and repeal clauses between statutes. The importer runs
+// `detectStatuteRelations` over each document (scripts/setup-db.mjs) and
+// stores the edges in `statute_relations`; src/search/amendments.mjs reads
+// them back to warn about amended or repealed laws.
+//
+// Statutes are identified by their key in legalIdentifiers.mjs, such as
+// 'ra:9262' or 'act:3815', taken from the document title (`statuteKey`) or
+// from references in the text.
+
+import { identifierLabel, parseIdentifiers, STATUTE_TYPES } from './legalIdentifiers.mjs';
+
+// A run of "Section 5 of", "Articles 266-A and 266-B of the" before a reference
+const PROVISION = /(?:Sec(?:tion)?s?\.?|Art(?:icle)?s?\.?)\s*([\w().-]+(?:\s*(?:,|and|&)\s*[\w().-]+)*)\s+of\s+(?:the\s+)?$/i;
+// What may stand between two references of one list
+const LIST_GAP = new RegExp(`^[\\s,]*(?:and|&)?\\s*(?:${PROVISION.source.slice(0, -1)})?\\s*$`, 'i');
+
+// Every statute reference in `text`: [{ key, label, start, end }]; a list
+// ("Republic Act Nos. 7610 and 9262") gives one reference per law
+export function findStatuteRefs(text) {
+  return parseIdentifiers(text)
+    .filter((id) => STATUTE_TYPES.has(id.type))
+    .flatMap((id) => id.keys.map((key) => ({ key, label: identifierLabel(key), start: id.start, end: id.end })));
+}
+
+// Key of the statute a document title names ("Republic Act No. 9262",
+// "R.A. 9262 - ..."), or null for decisions, circulars and untitled documents
+export function statuteKey(title) {
+  const ref = findStatuteRefs(title)[0];
+  return ref && ref.start <= 2 ? ref.key : null;
+}
+
+function provisionBefore(text, ref) {
+  const m = text.slice(Math.max(0, ref.start - 80), ref.start).match(PROVISION);
+  return m ? m[0].replace(/\s+of\s+(?:the\s+)?$/i, '').trim() : '';
+}
+
+function evidenceAround(text, start, end) {
+  return text.slice(Math.max(0, start - 80), Math.min(text.length, end + 120)).trim();
+}
+
+// The reference at `first` and those continuing its list
+function listFrom(text, refs, first) {
+  const list = [refs[first]];
+  for (let i = first + 1; i < refs.length && LIST_GAP.test(text.slice(refs[i - 1].end, refs[i].start)); i++) {
+    list.push(refs[i]);
+  }
+  return list;
+}
+
+// The reference at `last` and those before it in the same list
+function listTo(text, refs, last) {
+  const list = [refs[last]];
+  for (let i = last - 1; i >= 0 && LIST_GAP.test(text.slice(refs[i].end, refs[i + 1].start)); i--) {
+    list.unshift(refs[i]);
+  }
+  return list;
+}
+
+// Amendment and repeal edges stated in a statute's text:
+// [{ fromKey, relation: 'amends' | 'repeals', toKey, provision, fromLabel, toLabel, evidence }]
+//
+// - "<law>, as amended by <law>, <law> ..." links any two statutes;
+// - "An Act amending / repealing <law>" and "<law> is hereby amended /
+//   repealed" are clauses of the document itself, so need its `ownKey`.
+//
+// `provision` names the amended or repealed part ("Section 5") or is '' when
+// the clause covers the whole law.
+export function detectStatuteRelations(text, ownKey = null) {
+  const body = String(text || '').replace(/[ \t]+/g, ' ');
+  const refs = findStatuteRefs(body);
+  const edges = new Map();
+  const add = (fromKey, relation, to, evidence) => {
+    if (!fromKey || fromKey === to.key) return;
+    const provision = provisionBefore(body, to);
+    const id = [fromKey, relation, to.key, provision].join('|');
+    if (edges.has(id)) return;
+    edges.set(id, {
+      fromKey,
+      relation,
+      toKey: to.key,
+      provision,
+      fromLabel: identifierLabel(fromKey),
+      toLabel: identifierLabel(to.key),
+      evidence: evidence.replace(/\s+/g, ' '),
+    });
+  };
+  if (refs.length === 0) return [];
+
+  // "<target>, as (further) amended by <amender>[, <amender> and <amender>]"
+  for (const m of body.matchAll(/\b(?:as\s+)?(?:further\s+)?(amended|repealed)\s+by\s+/gi)) {
+    const target = refs.findLastIndex((r) => r.end <= m.index);
+    const next = refs.findIndex((r) => r.start >= m.index + m[0].length);
+    if (target < 0 || next < 0) continue;
+    const before = body.slice(refs[target].end, m.index);
+    if (before.length > 60 || /[;\n]/.test(before)) continue;
+    if (!LIST_GAP.test(body.slice(m.index + m[0].length, refs[next].start))) continue;
+    const relation = m[1].toLowerCase() === 'amended' ? 'amends' : 'repeals';
+    for (const amender of listFrom(body, refs, next)) {
+      add(amender.key, relation, refs[target], evidenceAround(body, refs[target].start, amender.end));
+    }
+  }
+
+  if (!ownKey) return [...edges.values()];
+
+  // "An Act amending Sections 2 and 3 of Republic Act No. 1234 ..."
+  for (const m of body.matchAll(/\b(?:further\s+)?(amending|repealing)\b/gi)) {
+    const next = refs.findIndex((r) => r.start >= m.index + m[0].length);
+    if (next < 0) continue;
+    const gap = body.slice(m.index + m[0].length, refs[next].start);
+    if (gap.length > 150 || /[;]|\n\s*\n|\b(?:amending|repealing)\b/i.test(gap)) continue;
+    const relation = m[1].toLowerCase() === 'amending' ? 'amends' : 'repeals';
+    for (const to of listFrom(body, refs, next)) add(ownKey, relation, to, evidenceAround(body, m.index, to.end));
+  }
+
+  // "Section 5 of Republic Act No. 1234 is hereby amended to read as follows"
+  for (const m of body.matchAll(/\b(?:is|are)\s+hereby\s+(?:further\s+)?(amended|repealed)\b/gi)) {
+    let last = refs.findLastIndex((r) => r.end <= m.index);
+    if (last < 0) continue;
+    // "Act No. 3815, otherwise known as the Revised Penal Code, is ..." names one law twice
+    const alias = last > 0 ? body.slice(refs[last - 1].end, refs[last].start) : '';
+    if (last > 0 && refs[last - 1].key === refs[last].key && alias.length < 80 && !/[;\n]/.test(alias)) last--;
+    const gap = body.slice(refs[last].end, m.index);
+    if (gap.length > 150 || /[;]|\n\s*\n/.test(gap)) continue;
+    const relation = m[1].toLowerCase() === 'amended' ? 'amends' : 'repeals';
+    for (const to of listTo(body, refs, last)) add(ownKey, relation, to, evidenceAround(body, to.start, m.index + m[0].length));
+  }
+
+  return [...edges.values()];
+}
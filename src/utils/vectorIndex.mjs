@@ -0,0 +1,124 @@
+// Vector column types and approximate nearest-neighbour indexes (pgvector),
+// shared by setup-db, reembed, scripts/vector-index.mjs and the search
+// queries (search/vectorQuery.mjs). `vector` stores 4-byte floats and can be
+// indexed up to 2000 dimensions; `halfvec` stores 2-byte floats and can be
+// indexed up to 4000, so most models' full-size embeddings need no
+// downsampling.
+
+export const VECTOR_TYPES = {
+  vector: { maxIndexDim: 2000, opclass: 'vector_l2_ops' },
+  halfvec: { maxIndexDim: 4000, opclass: 'halfvec_l2_ops' },
+};
+export const INDEX_METHODS = ['hnsw', 'ivfflat'];
+// Comment on the `embedding_next` staging columns scripts/vector-index.mjs
+// migrate creates, so migrate and reembed never resume each other's column
+export const MIGRATE_STAGING_COMMENT = 'vector-index migrate';
+
+// pgvector's defaults for options an index was built without
+const DEFAULT_LISTS = 100;
+const DEFAULT_EF_SEARCH = 40;
+const MAX_EF_SEARCH = 1000;
+
+// { type, dim } of a column type as format_type() prints it ('vector(1536)',
+// 'halfvec(3072)'); null for other types and unconstrained vectors
+export function parseVectorType(formatted) {
+  const m = String(formatted || '').match(/^(vector|halfvec)\((\d+)\)$/i);
+  return m ? { type: m[1].toLowerCase(), dim: Number(m[2]) } : null;
+}
+
+// Schema lookups. `db` is anything with pg's query(text, params): a client
+// in a transaction, or { query } of src/db.mjs.
+
+export async function tableExists(db, table) {
+  const { rows } = await db.query(
+    `SELECT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = $1) AS exists`,
+    [table]
+  );
+  return !!rows[0].exists;
+}
+
+// { type, dim, comment } of a vector (or halfvec) column, or null when the
+// column does not exist or has no dimension
+export async function vectorColumnType(db, table, column) {
+  const { rows } = await db.query(
+    `SELECT pg_catalog.format_type(a.atttypid, a.atttypmod) AS t, col_description(a.attrelid, a.attnum) AS comment
+     FROM pg_attribute a JOIN pg_class c ON a.attrelid = c.oid JOIN pg_namespace n ON c.relnamespace = n.oid
+     WHERE n.nspname = current_schema() AND c.relname = $1 AND a.attname = $2 AND NOT a.attisdropped`,
+    [table, column]
+  );
+  const type = parseVectorType(rows[0]?.t);
+  return type && { ...type, comment: rows[0].comment };
+}
+
+// [{ name, method, options, size }] of the vector indexes on `table`
+export async function vectorIndexes(db, table) {
+  const { rows } = await db.query(
+    `SELECT indexname, indexdef, pg_size_pretty(pg_relation_size(format('%I', indexname)::regclass)) AS size
+     FROM pg_indexes WHERE schemaname = current_schema() AND tablename = $1`,
+    [table]
+  );
+  return rows
+    .map((r) => ({ name: r.indexname, size: r.size, ...parseIndexDef(r.indexdef) }))
+    .filter((index) => index.method);
+}
+
+// Whether a column of `type` with `dim` dimensions can have an index
+export function isIndexable(type, dim) {
+  return dim > 0 && dim <= (VECTOR_TYPES[type]?.maxIndexDim || 0);
+}
+
+export function vectorIndexName(table, method) {
+  return `idx_${table}_vector_${method}`;
+}
+
+// Build options of an index over `rows` vectors. ivfflat gets rows / 1000
+// lists up to a million rows and sqrt(rows) beyond, as pgvector recommends;
+// hnsw gets a denser graph for larger tables, where the default loses recall.
+export function indexParameters(method, rows) {
+  if (method === 'ivfflat') {
+    const lists = rows > 1_000_000 ? Math.sqrt(rows) : rows / 1000;
+    return { lists: Math.max(1, Math.round(lists)) };
+  }
+  if (rows > 5_000_000) return { m: 32, ef_construction: 128 };
+  if (rows > 1_000_000) return { m: 24, ef_construction: 96 };
+  return { m: 16, ef_construction: 64 };
+}
+
+// CREATE INDEX statement for `table`.embedding, sized to `rows`
+export function createIndexSql(table, { method, type, rows, name = vectorIndexName(table, method) }) {
+  const options = Object.entries(indexParameters(method, rows))
+    .map(([key, value]) => `${key} = ${value}`)
+    .join(', ');
+  return `CREATE INDEX ${name} ON ${table} USING ${method} (embedding ${VECTOR_TYPES[type].opclass}) WITH (${options})`;
+}
+
+// { method, options } of a vector index from its pg_indexes definition, null
+// for other indexes. "... USING hnsw (embedding vector_l2_ops) WITH (m='16', ef_construction='64')"
+// -> { method: 'hnsw', options: { m: 16, ef_construction: 64 } }
+export function parseIndexDef(indexdef) {
+  const m = String(indexdef || '').match(/\bUSING (hnsw|ivfflat) /i);
+  if (!m) return null;
+  const options = {};
+  const withClause = indexdef.match(/\bWITH \(([^)]*)\)/i);
+  for (const option of (withClause?.[1] || '').split(',')) {
+    const [key, value] = option.split('=').map((s) => s.trim().replace(/^'|'$/g, ''));
+    if (key && value && Number.isFinite(Number(value))) options[key] = Number(value);
+  }
+  return { method: m[1].toLowerCase(), options };
+}
+
+// Settings for a query that takes its `limit` nearest rows from `index`
+// ({ method, options } or null). ivfflat probes sqrt(lists) lists, the
+// balance pgvector recommends; hnsw keeps at least `limit` candidates, since
+// it never returns more rows than hnsw.ef_search. `probes` / `efSearch`
+// override the computed values.
+export function searchSettings(index, limit, { probes = null, efSearch = null } = {}) {
+  if (index?.method === 'ivfflat') {
+    const lists = index.options.lists || DEFAULT_LISTS;
+    return { 'ivfflat.probes': Math.min(lists, probes || Math.ceil(Math.sqrt(lists))) };
+  }
+  if (index?.method === 'hnsw') {
+    return { 'hnsw.ef_search': Math.min(MAX_EF_SEARCH, Math.max(efSearch || DEFAULT_EF_SEARCH, limit)) };
+  }
+  return {};
+}
@@ -0,0 +1,291 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+
+import {
+  identifierLabel,
+  identifierVariants,
+  parseIdentifier,
+  parseIdentifiers,
+} from '../src/utils/legalIdentifiers.mjs';
+
+// [text, keys of every identifier found, in order]
+const KEYS = [
+  // G.R. numbers
+  ['G.R. No. 100264', ['gr:100264']],
+  ['G.R. No. L-12345', ['gr:L-12345']],
+  ['G.R. No. L - 12345', ['gr:L-12345']],
+  ['G.R. Nos. 123456 & 123457', ['gr:123456', 'gr:123457']],
+  ['G.R. Nos. 150000, 150001 and 150002', ['gr:150000', 'gr:150001', 'gr:150002']],
+  ['G.R. Nos. 150000, 150001, & 150002', ['gr:150000', 'gr:150001', 'gr:150002']],
+  ['G.R. Nos. 100264-66', ['gr:100264', 'gr:100265', 'gr:100266']],
+  ['G.R. Nos. 100264–66', ['gr:100264', 'gr:100265', 'gr:100266']],
+  ['G.R. Nos. 100000-100200', ['gr:100000', 'gr:100200']],
+  ['General Register No. 12345', ['gr:12345']],
+  // Statutes
+  ['Republic Act No. 9262', ['ra:9262']],
+  ['Republic Act Nos. 7610 and 9262', ['ra:7610', 'ra:9262']],
+  ['R.A. 9262, 2004', ['ra:9262']],
+  ['Presidential Decree No. 1529', ['pd:1529']],
+  ['P.D. 1529', ['pd:1529']],
+  ['Batas Pambansa Blg. 22', ['bp:22']],
+  ['B.P. 22', ['bp:22']],
+  ['BP Blg. 22', ['bp:22']],
+  ['Executive Order No. 209', ['eo:209']],
+  ['E.O. 292', ['eo:292']],
+  ['Commonwealth Act No. 141', ['ca:141']],
+  ['C.A. No. 141', ['ca:141']],
+  ['CA No. 141', ['ca:141']],
+  ['Act No. 3815', ['act:3815']],
+  ['Republic Act No. 10951-A', ['ra:10951-A']],
+  // Court issuances
+  ['A.M. No. 01-2-04-SC', ['am:01-2-04-SC']],
+  ['A.M. No. RTJ-05-1234', ['am:RTJ-05-1234']],
+  ['Administrative Matter No. P-04-1849', ['am:P-04-1849']],
+  ['AM No. 01-2-04-SC', ['am:01-2-04-SC']],
+  ['Administrative Order No. 2019-05', ['ao:2019-05']],
+  ['Memorandum Circular No. 174-17', ['mc:174-17']],
+  ['DO No. 174', ['do:174']],
+  // Codes cited by name
+  ['the Revised Penal Code', ['act:3815']],
+  ['the Family Code', ['eo:209']],
+  ['the Civil Code', ['ra:386']],
+  ['the Labor Code', ['pd:442']],
+  ['the Local Government Code', ['ra:7160']],
+  ['the Corporation Code', ['bp:68']],
+  // Rules of Court
+  ['Section 1, Rule 65', ['roc:65:1']],
+  ['Sec. 3 of Rule 111', ['roc:111:3']],
+  ['Sec. 3 of the Rule 111', ['roc:111:3']],
+  ['Rule 65, Section 4', ['roc:65:4']],
+  ['Rule 45 of the Rules of Court', ['roc:45']],
+  ['Section 5 of Rule 110 of the Revised Rules of Criminal Procedure', ['roc:110:5']],
+  ['Section 3-a, Rule 41', ['roc:41:3-a']],
+  // Reporters
+  ['123 SCRA 456', ['scra:123:456']],
+  ['45 Phil. 123', ['phil:45:123']],
+  ['45 Phil 123', ['phil:45:123']],
+  // Sections and articles of a statute: the statute is the identifier
+  ['Section 5(b) of R.A. 7610', ['ra:7610']],
+  ['Article 266-A of the Revised Penal Code', ['act:3815']],
+  ['Art. 36 of the Family Code', ['eo:209']],
+  ['Section 3(e) of Republic Act No. 3019', ['ra:3019']],
+  // Several in one text, in order
+  ['G.R. No. 100264, 123 SCRA 456', ['gr:100264', 'scra:123:456']],
+  ['R.A. 9262 and P.D. 1529', ['ra:9262', 'pd:1529']],
+  ['People v. Cruz, G.R. No. 250001, 45 Phil. 123; Rule 65, Section 1', ['gr:250001', 'phil:45:123', 'roc:65:1']],
+  ['violating B.P. 22 and Art. 315 of the Revised Penal Code', ['bp:22', 'act:3815']],
+];
+
+// Spellings of one identifier: spacing, case and punctuation do not change the key
+const SPELLINGS = [
+  ['ra:9262', ['Republic Act No. 9262', 'Republic Act 9262', 'R.A. No. 9262', 'R.A. 9262', 'R. A. No. 9262', 'RA 9262', 'RA No. 9262', 'ra 9262', 'R.A.No.9262', 'R.A. No.9262', 'RA #9262', 'Republic Act Number 9262', 'Republic\nAct  No.   9262', '(R.A. No. 9262)', 'R.A. No. 9262.']],
+  ['gr:123456', ['G.R. No. 123456', 'G. R. No. 123456', 'G.R. No.123456', 'GR No. 123456', 'GR No 123456', 'G.R. 123456', 'g.r. no. 123456', '(G.R. No. 123456)', 'G.R. No. 123456.']],
+  ['bp:22', ['Batas Pambansa Blg. 22', 'Batas Pambansa Blg.22', 'B.P. Blg. 22', 'BP 22', 'B. P. 22', 'BP Blg 22']],
+  ['pd:1529', ['Presidential Decree No. 1529', 'P.D. No. 1529', 'PD 1529', 'P. D. 1529']],
+  ['eo:209', ['Executive Order No. 209', 'E.O. No. 209', 'EO 209', 'E. O. 209']],
+  ['ca:141', ['Commonwealth Act No. 141', 'C.A. 141', 'C.A. No. 141', 'CA No. 141', 'CA Nos. 141']],
+  ['am:01-2-04-SC', ['A.M. No. 01-2-04-SC', 'A. M. No. 01-2-04-SC', 'AM No. 01-2-04-SC', 'Administrative Matter No. 01-2-04-SC']],
+  ['roc:65:1', ['Section 1, Rule 65', 'Sec. 1, Rule 65', 'Sec 1, Rule 65', 'Section 1 of Rule 65', 'Rule 65, Section 1', 'Rule 65, Sec. 1', 'section 1, rule 65', 'Section 1, Rule 65 of the Rules of Court', 'Section 1, Rule 65 of the 1997 Rules of Civil Procedure']],
+];
+
+// Text that holds no identifier
+const NO_MATCH = [
+  '',
+  'Republic of the Philippines',
+  'the Act of 1991',
+  'No. 9262',
+  'page 123 of the record',
+  'Section 12 of the Constitution',
+  'Article 3 of the Constitution',
+  // Strict spellings need their marker and their case
+  'CA 141',
+  'Act 3815',
+  'ca No. 141',
+  'I am No. 1 in class',
+  'do No. 5 now',
+  'MO 12',
+  // Numbers that continue past the match
+  'R.A. 926212',
+  'RA 9262-12',
+  'G.R. No. 12',
+  // Rules that are not Rules of Court
+  'Rule 3 of the Omnibus Rules',
+  'Rule 5 hereof',
+  'Rule 5 thereof',
+  'Rule 2 of these Rules',
+  // Identifiers inside other words or numbers
+  'XRA 9262',
+  'ARA 9262',
+  '1123 SCRA',
+  'SCRA 456',
+];
+
+// [key, canonical citation]
+const LABELS = [
+  ['gr:100264', 'G.R. No. 100264'],
+  ['gr:L-12345', 'G.R. No. L-12345'],
+  ['am:01-2-04-SC', 'A.M. No. 01-2-04-SC'],
+  ['ra:9262', 'Republic Act No. 9262'],
+  ['pd:1529', 'Presidential Decree No. 1529'],
+  ['bp:22', 'Batas Pambansa Blg. 22'],
+  ['eo:209', 'Executive Order No. 209'],
+  ['ca:141', 'Commonwealth Act No. 141'],
+  ['act:3815', 'Act No. 3815'],
+  ['ao:2019-05', 'Administrative Order No. 2019-05'],
+  ['mc:174-17', 'Memorandum Circular No. 174-17'],
+  ['roc:65', 'Rule 65 of the Rules of Court'],
+  ['roc:65:1', 'Rule 65, Section 1 of the Rules of Court'],
+  ['scra:123:456', '123 SCRA 456'],
+  ['phil:45:123', '45 Phil. 123'],
+  ['unknown:1', 'unknown:1'],
+  ['', ''],
+];
+
+// [text, canonical citation of the first identifier]
+const CANONICAL = [
+  ['R.A. 9262', 'Republic Act No. 9262'],
+  ['RA No 9262', 'Republic Act No. 9262'],
+  ['B.P. 22', 'Batas Pambansa Blg. 22'],
+  ['G.R. Nos. 100264-81', 'G.R. Nos. 100264-81'],
+  ['G.R. Nos. 123456 & 123457', 'G.R. Nos. 123456, 123457'],
+  ['G.R. Nos. 150000, 150001 and 150002', 'G.R. Nos. 150000, 150001, 150002'],
+  ['G.R. No. L - 12345', 'G.R. No. L-12345'],
+  ['Republic Act Nos. 7610 and 9262', 'Republic Act Nos. 7610, 9262'],
+  ['A. M. No. 01-2-04-SC', 'A.M. No. 01-2-04-SC'],
+  ['CA No. 141', 'Commonwealth Act No. 141'],
+  ['the Revised Penal Code', 'Act No. 3815'],
+  ['Sec. 3 of Rule 111', 'Rule 111, Section 3 of the Rules of Court'],
+  ['Rule 45 of the Rules of Court', 'Rule 45 of the Rules of Court'],
+  ['45 Phil 123', '45 Phil. 123'],
+];
+
+describe('parseIdentifiers', () => {
+  for (const [text, keys] of KEYS) {
+    test(`finds ${keys.join(', ')} in ${JSON.stringify(text)}`, () => {
+      assert.deepEqual(
+        parseIdentifiers(text).flatMap((id) => id.keys),
+        keys
+      );
+    });
+  }
+
+  for (const [key, spellings] of SPELLINGS) {
+    for (const text of spellings) {
+      test(`reads ${JSON.stringify(text)} as ${key}`, () => {
+        const ids = parseIdentifiers(text);
+        assert.equal(ids.length, 1);
+        assert.equal(ids[0].key, key);
+      });
+    }
+  }
+
+  for (const text of NO_MATCH) {
+    test(`finds nothing in ${JSON.stringify(text)}`, () => {
+      assert.deepEqual(parseIdentifiers(text), []);
+    });
+  }
+
+  for (const [text, canonical] of CANONICAL) {
+    test(`writes ${JSON.stringify(text)} as ${canonical}`, () => {
+      assert.equal(parseIdentifier(text).canonical, canonical);
+    });
+  }
+
+  test('expands a G.R. range into its numbers', () => {
+    const id = parseIdentifier('G.R. Nos. 100264-81');
+    assert.equal(id.numbers.length, 18);
+    assert.equal(id.numbers[0], '100264');
+    assert.equal(id.numbers[17], '100281');
+    assert.equal(id.key, 'gr:100264');
+  });
+
+  test('keeps the endpoints of a range too wide to expand', () => {
+    assert.deepEqual(parseIdentifier('G.R. Nos. 100000-100200').numbers, ['100000', '100200']);
+  });
+
+  test('reports the offsets and text of each identifier', () => {
+    const text = 'See R.A. No. 9262 and 123 SCRA 456.';
+    const [ra, scra] = parseIdentifiers(text);
+    assert.equal(ra.raw, 'R.A. No. 9262');
+    assert.equal(text.slice(ra.start, ra.end), ra.raw);
+    assert.equal(scra.raw, '123 SCRA 456');
+    assert.equal(text.slice(scra.start, scra.end), scra.raw);
+  });
+
+  test('stops a singular identifier at its number', () => {
+    const id = parseIdentifier('R.A. 9262, 2004');
+    assert.equal(id.raw, 'R.A. 9262');
+    assert.deepEqual(id.numbers, ['9262']);
+  });
+
+  test('prefers the longer reading of overlapping identifiers', () => {
+    const ids = parseIdentifiers('Republic Act No. 9262');
+    assert.equal(ids.length, 1);
+    assert.equal(ids[0].type, 'ra');
+    assert.equal(ids[0].name, 'Republic Act');
+  });
+
+  test('adds rule and section to Rules of Court provisions', () => {
+    const id = parseIdentifier('Section 1, Rule 65');
+    assert.equal(id.type, 'roc');
+    assert.equal(id.rule, '65');
+    assert.equal(id.section, '1');
+    assert.equal(parseIdentifier('Rule 45 of the Rules of Court').section, null);
+  });
+
+  test('adds volume and page to reporter citations', () => {
+    const id = parseIdentifier('123 SCRA 456');
+    assert.equal(id.type, 'scra');
+    assert.equal(id.volume, '123');
+    assert.equal(id.page, '456');
+  });
+
+  test('marks codes cited by name', () => {
+    const id = parseIdentifier('the Revised Penal Code');
+    assert.equal(id.code, true);
+    assert.equal(id.type, 'act');
+  });
+
+  test('accepts non-string input', () => {
+    assert.deepEqual(parseIdentifiers(null), []);
+    assert.deepEqual(parseIdentifiers(undefined), []);
+    assert.equal(parseIdentifier(''), null);
+  });
+});
+
+describe('identifierLabel', () => {
+  for (const [key, label] of LABELS) {
+    test(`labels ${JSON.stringify(key)} ${JSON.stringify(label)}`, () => {
+      assert.equal(identifierLabel(key), label);
+    });
+  }
+});
+
+describe('identifierVariants', () => {
+  test('lists the title spellings of a statute, most formal first', () => {
+    assert.deepEqual(identifierVariants(parseIdentifier('RA 9262')), [
+      'Republic Act No. 9262',
+      'Republic Act 9262',
+      'R.A. No. 9262',
+      'R.A. 9262',
+      'RA No. 9262',
+      'RA 9262',
+    ]);
+  });
+
+  test('uses the marker of the identifier', () => {
+    assert.ok(identifierVariants(parseIdentifier('B.P. 22')).includes('Batas Pambansa Blg. 22'));
+    assert.ok(identifierVariants(parseIdentifier('B.P. 22')).includes('BP 22'));
+  });
+
+  test('keeps the name a code was cited by', () => {
+    const variants = identifierVariants(parseIdentifier('the Revised  Penal Code'));
+    assert.equal(variants[0], 'Act No. 3815');
+    assert.ok(variants.includes('Revised Penal Code'));
+  });
+
+  test('returns the canonical form of identifiers without spellings', () => {
+    assert.deepEqual(identifierVariants(parseIdentifier('123 SCRA 456')), ['123 SCRA 456']);
+    assert.deepEqual(identifierVariants(null), []);
+  });
+});